@@ -0,0 +1,174 @@
+// Reference server for collaborative editing. Each URL path is a room with one shared
+// drawing, kept in memory while the server runs. The server puts the operation batches it
+// receives in order, applies them and sends them to everyone in the room, sender
+// included, which is what keeps all copies the same. Cursors and selections are passed on
+// to the others as they come.
+//
+// Messages are JSON text frames. Clients send { type: 'hello', name } first, then
+// { type: 'op', opId, ops } and { type: 'presence', cursor, selection }. The server
+// answers hello with { type: 'welcome', clientId, color, polygons, peers } and sends
+// { type: 'op', clientId, opId, ops }, { type: 'presence', clientId, name, color, cursor,
+// selection }, { type: 'leave', clientId } and { type: 'error', opId, message }.
+
+import { createServer } from 'node:http';
+import { acceptKey, decodeFrames, encodeFrame, MAX_PAYLOAD, OPCODES } from './websocket.js';
+import { applyOperations, isValidOperation, PEER_COLORS } from '../src/utils/collaboration.js';
+
+const MAX_NAME_LENGTH = 40;
+
+const isPoint = (point) => point !== null && typeof point === 'object' && Number.isFinite(point.x) && Number.isFinite(point.y);
+
+// Messages of one WebSocket connection, after the handshake. Text messages go to
+// onMessage; onClose is called once, however the connection ends.
+const openConnection = (socket, { onMessage, onClose }) => {
+  let buffered = Buffer.alloc(0);
+  let fragments = null; // Payloads of a text message sent in several frames
+  let closed = false;
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    if (socket.writable) socket.end(encodeFrame(OPCODES.close));
+    socket.destroy();
+    onClose();
+  };
+
+  const handleFrame = ({ fin, opcode, payload }) => {
+    if (opcode === OPCODES.close) return close();
+    if (opcode === OPCODES.ping) return socket.write(encodeFrame(OPCODES.pong, payload));
+    if (opcode === OPCODES.text) {
+      fragments = [payload];
+    } else if (opcode === OPCODES.continuation && fragments) {
+      fragments.push(payload);
+    } else {
+      return;
+    }
+    if (fragments.reduce((total, part) => total + part.length, 0) > MAX_PAYLOAD) return close();
+    if (fin) {
+      const text = Buffer.concat(fragments).toString('utf8');
+      fragments = null;
+      onMessage(text);
+    }
+  };
+
+  socket.on('data', (chunk) => {
+    try {
+      const { frames, rest } = decodeFrames(Buffer.concat([buffered, chunk]));
+      buffered = Buffer.from(rest);
+      frames.forEach(frame => {
+        if (!closed) handleFrame(frame);
+      });
+    } catch {
+      close();
+    }
+  });
+  socket.on('close', close);
+  socket.on('error', close);
+
+  return {
+    send: (text) => {
+      if (!closed && socket.writable) socket.write(encodeFrame(OPCODES.text, text));
+    },
+    close
+  };
+};
+
+// An HTTP server that accepts WebSocket connections on any path; call listen() on it
+export const createCollaborationServer = () => {
+  const rooms = new Map(); // Path to { polygons, clients, joined }
+  let nextClientId = 1;
+
+  const roomFor = (path) => {
+    if (!rooms.has(path)) rooms.set(path, { polygons: [], clients: new Map(), joined: 0 });
+    return rooms.get(path);
+  };
+
+  const presenceOf = ({ id, name, color, cursor, selection }) =>
+    ({ type: 'presence', clientId: id, name, color, cursor, selection });
+
+  // Send a message to everyone in the room who said hello, except `skip`
+  const broadcast = (room, message, skip = null) => {
+    const text = JSON.stringify(message);
+    room.clients.forEach(client => {
+      if (client.name !== null && client !== skip) client.connection.send(text);
+    });
+  };
+
+  const handleMessage = (room, client, message) => {
+    if (message.type === 'hello') {
+      if (client.name !== null) return;
+      client.name = String(message.name || 'Guest').slice(0, MAX_NAME_LENGTH);
+      client.color = PEER_COLORS[room.joined++ % PEER_COLORS.length];
+      const peers = [...room.clients.values()]
+        .filter(other => other !== client && other.name !== null)
+        .map(({ id, name, color, cursor, selection }) => ({ id, name, color, cursor, selection }));
+      client.connection.send(JSON.stringify({
+        type: 'welcome',
+        clientId: client.id,
+        color: client.color,
+        polygons: room.polygons,
+        peers
+      }));
+      broadcast(room, presenceOf(client), client);
+      return;
+    }
+    if (client.name === null) return;
+
+    if (message.type === 'op') {
+      const { opId, ops } = message;
+      if (typeof opId !== 'string' || !Array.isArray(ops) || !ops.every(isValidOperation)) {
+        client.connection.send(JSON.stringify({ type: 'error', opId, message: 'The server refused an invalid change' }));
+        return;
+      }
+      room.polygons = applyOperations(room.polygons, ops);
+      broadcast(room, { type: 'op', clientId: client.id, opId, ops });
+    } else if (message.type === 'presence') {
+      const { cursor, selection } = message;
+      client.cursor = isPoint(cursor) ? { x: cursor.x, y: cursor.y } : null;
+      client.selection = Array.isArray(selection) ? selection.filter(id => typeof id === 'string') : [];
+      broadcast(room, presenceOf(client), client);
+    }
+  };
+
+  const server = createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain', Upgrade: 'websocket' });
+    res.end('This is a WebSocket server for collaborative polygon editing\n');
+  });
+
+  server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if (req.headers.upgrade?.toLowerCase() !== 'websocket' || !key || req.headers['sec-websocket-version'] !== '13') {
+      socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+      return;
+    }
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${acceptKey(key)}`,
+      '',
+      ''
+    ].join('\r\n'));
+
+    const room = roomFor(new URL(req.url, 'http://localhost').pathname);
+    const client = { id: `c${nextClientId++}`, name: null, color: null, cursor: null, selection: [] };
+    client.connection = openConnection(socket, {
+      onMessage: (text) => {
+        let message;
+        try {
+          message = JSON.parse(text);
+        } catch {
+          return;
+        }
+        if (message !== null && typeof message === 'object') handleMessage(room, client, message);
+      },
+      onClose: () => {
+        room.clients.delete(client.id);
+        if (client.name !== null) broadcast(room, { type: 'leave', clientId: client.id });
+      }
+    });
+    room.clients.set(client.id, client);
+  });
+
+  return server;
+};
@@ -0,0 +1,133 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { request } from 'node:http';
+import { createCollaborationServer } from './collabServer.js';
+import { decodeFrames, encodeFrame, OPCODES } from './websocket.js';
+
+const triangle = (id) => ({ id, points: [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 0, y: 10 }], holes: [] });
+
+// A bare WebSocket client on top of the server's own frame codec. Messages are collected
+// as they arrive; next() waits for the next one not read yet.
+const connect = (port, path) => new Promise((resolve, reject) => {
+  const req = request({
+    port,
+    path,
+    headers: {
+      Connection: 'Upgrade',
+      Upgrade: 'websocket',
+      'Sec-WebSocket-Key': 'dGhlIHNhbXBsZSBub25jZQ==',
+      'Sec-WebSocket-Version': '13'
+    }
+  });
+  req.on('error', reject);
+  req.on('upgrade', (res, socket) => {
+    const messages = [];
+    const waiting = [];
+    let buffered = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+      const { frames, rest } = decodeFrames(Buffer.concat([buffered, chunk]));
+      buffered = Buffer.from(rest);
+      frames.filter(frame => frame.opcode === OPCODES.text).forEach(frame => {
+        messages.push(JSON.parse(frame.payload.toString()));
+        while (waiting.length > 0 && messages.length > 0) waiting.shift()(messages.shift());
+      });
+    });
+    resolve({
+      send: (message) => socket.write(encodeFrame(OPCODES.text, JSON.stringify(message))),
+      next: () => messages.length > 0 ? Promise.resolve(messages.shift()) : new Promise(done => waiting.push(done)),
+      close: () => socket.end(encodeFrame(OPCODES.close))
+    });
+  });
+  req.end();
+});
+
+describe('collaboration server', () => {
+  let server;
+  let port;
+  const clients = [];
+
+  const join = async (name, path = '/plan') => {
+    const client = await connect(port, path);
+    clients.push(client);
+    client.send({ type: 'hello', name });
+    client.welcome = await client.next();
+    return client;
+  };
+
+  beforeEach(async () => {
+    server = createCollaborationServer();
+    await new Promise(resolve => server.listen(0, resolve));
+    port = server.address().port;
+  });
+
+  afterEach(async () => {
+    clients.splice(0).forEach(client => client.close());
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('welcomes newcomers with the drawing and the people already there', async () => {
+    const ann = await join('Ann');
+    expect(ann.welcome).toMatchObject({ type: 'welcome', polygons: [], peers: [] });
+
+    ann.send({ type: 'op', opId: 'o1', ops: [{ type: 'create', polygon: triangle('p') }] });
+    await ann.next();
+    const bob = await join('Bob');
+    expect(bob.welcome.polygons).toEqual([triangle('p')]);
+    expect(bob.welcome.peers).toEqual([expect.objectContaining({ id: ann.welcome.clientId, name: 'Ann' })]);
+    expect(await ann.next()).toMatchObject({ type: 'presence', clientId: bob.welcome.clientId, name: 'Bob' });
+    expect(bob.welcome.color).not.toBe(ann.welcome.color);
+  });
+
+  it('sends every batch to everyone in the order it applied them', async () => {
+    const ann = await join('Ann');
+    const bob = await join('Bob');
+    await ann.next(); // Bob's arrival
+
+    ann.send({ type: 'op', opId: 'a1', ops: [{ type: 'create', polygon: triangle('p') }] });
+    bob.send({ type: 'op', opId: 'b1', ops: [{ type: 'delete', ids: ['p'] }] });
+    const seenByAnn = [await ann.next(), await ann.next()];
+    const seenByBob = [await bob.next(), await bob.next()];
+    expect(seenByAnn.map(message => message.opId)).toEqual(seenByBob.map(message => message.opId));
+    expect(seenByAnn[0]).toMatchObject({ type: 'op', clientId: ann.welcome.clientId, opId: 'a1' });
+
+    const cy = await join('Cy');
+    expect(cy.welcome.polygons).toEqual([]);
+  });
+
+  it('refuses invalid batches without applying any of them', async () => {
+    const ann = await join('Ann');
+    ann.send({ type: 'op', opId: 'bad', ops: [{ type: 'create', polygon: triangle('p') }, { type: 'explode' }] });
+    expect(await ann.next()).toMatchObject({ type: 'error', opId: 'bad' });
+
+    const bob = await join('Bob');
+    expect(bob.welcome.polygons).toEqual([]);
+  });
+
+  it('keeps rooms apart and tells the room when someone leaves', async () => {
+    const ann = await join('Ann');
+    const bob = await join('Bob');
+    await ann.next(); // Bob's arrival
+    const other = await join('Dee', '/other');
+    expect(other.welcome.peers).toEqual([]);
+
+    other.send({ type: 'op', opId: 'd1', ops: [{ type: 'create', polygon: triangle('q') }] });
+    await other.next();
+    bob.close();
+    expect(await ann.next()).toEqual({ type: 'leave', clientId: bob.welcome.clientId });
+  });
+
+  it('passes cursors and selections on to the others', async () => {
+    const ann = await join('Ann');
+    const bob = await join('Bob');
+    await ann.next(); // Bob's arrival
+
+    bob.send({ type: 'presence', cursor: { x: 4, y: 2 }, selection: ['p', 7] });
+    expect(await ann.next()).toEqual({
+      type: 'presence',
+      clientId: bob.welcome.clientId,
+      name: 'Bob',
+      color: bob.welcome.color,
+      cursor: { x: 4, y: 2 },
+      selection: ['p']
+    });
+  });
+});
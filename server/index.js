@@ -0,0 +1,8 @@
+// Start the collaboration server: npm run collab-server, with PORT to change the port
+import { createCollaborationServer } from './collabServer.js';
+
+const port = Number(process.env.PORT) || 8787;
+
+createCollaborationServer().listen(port, () => {
+  console.log(`Collaboration server listening on ws://localhost:${port}`);
+});
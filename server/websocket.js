@@ -0,0 +1,70 @@
+// The parts of the WebSocket protocol (RFC 6455) the collaboration server needs, so it
+// runs on plain Node without packages: the handshake key and reading and writing frames.
+
+import { createHash } from 'node:crypto';
+
+const GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+export const OPCODES = { continuation: 0, text: 1, binary: 2, close: 8, ping: 9, pong: 10 };
+
+// Frames bigger than this close the connection
+export const MAX_PAYLOAD = 16 * 1024 * 1024;
+
+// Value of the Sec-WebSocket-Accept header answering a Sec-WebSocket-Key
+export const acceptKey = (key) => createHash('sha1').update(key + GUID).digest('base64');
+
+// A frame as the server sends it: final and unmasked
+export const encodeFrame = (opcode, payload = Buffer.alloc(0)) => {
+  const data = Buffer.isBuffer(payload) ? payload : Buffer.from(payload);
+  let header;
+  if (data.length < 126) {
+    header = Buffer.from([0x80 | opcode, data.length]);
+  } else if (data.length < 65536) {
+    header = Buffer.alloc(4);
+    header.writeUInt16BE(data.length, 2);
+    header[1] = 126;
+  } else {
+    header = Buffer.alloc(10);
+    header.writeBigUInt64BE(BigInt(data.length), 2);
+    header[1] = 127;
+  }
+  header[0] = 0x80 | opcode;
+  return Buffer.concat([header, data]);
+};
+
+// The complete frames at the start of `buffer`, unmasked, and the bytes left over.
+// Throws when a frame is too big.
+export const decodeFrames = (buffer) => {
+  const frames = [];
+  let offset = 0;
+  while (buffer.length - offset >= 2) {
+    const fin = (buffer[offset] & 0x80) !== 0;
+    const opcode = buffer[offset] & 0x0f;
+    const masked = (buffer[offset + 1] & 0x80) !== 0;
+    let length = buffer[offset + 1] & 0x7f;
+    let position = offset + 2;
+    if (length === 126) {
+      if (buffer.length < position + 2) break;
+      length = buffer.readUInt16BE(position);
+      position += 2;
+    } else if (length === 127) {
+      if (buffer.length < position + 8) break;
+      const big = buffer.readBigUInt64BE(position);
+      if (big > BigInt(MAX_PAYLOAD)) throw new Error('Frame too big');
+      length = Number(big);
+      position += 8;
+    }
+    if (length > MAX_PAYLOAD) throw new Error('Frame too big');
+    const mask = masked ? buffer.subarray(position, position + 4) : null;
+    if (masked) position += 4;
+    if (buffer.length < position + length) break;
+
+    const payload = Buffer.from(buffer.subarray(position, position + length));
+    if (mask) {
+      for (let index = 0; index < payload.length; index++) payload[index] ^= mask[index % 4];
+    }
+    frames.push({ fin, opcode, payload });
+    offset = position + length;
+  }
+  return { frames, rest: buffer.subarray(offset) };
+};
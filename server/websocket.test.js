@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest';
+import { acceptKey, decodeFrames, encodeFrame, OPCODES } from './websocket.js';
+
+// A frame as a browser sends it: masked
+const maskedFrame = (opcode, text, fin = true) => {
+  const data = Buffer.from(text);
+  const mask = Buffer.from([1, 2, 3, 4]);
+  const length = data.length < 126 ? Buffer.from([0x80 | data.length]) : Buffer.from([0x80 | 126, data.length >> 8, data.length & 0xff]);
+  const masked = data.map((byte, index) => byte ^ mask[index % 4]);
+  return Buffer.concat([Buffer.from([(fin ? 0x80 : 0) | opcode]), length, mask, masked]);
+};
+
+describe('acceptKey', () => {
+  it('answers the example key from the specification', () => {
+    expect(acceptKey('dGhlIHNhbXBsZSBub25jZQ==')).toBe('s3pPLMBiTxaQ9kYGzzhZRbK+xOo=');
+  });
+});
+
+describe('decodeFrames', () => {
+  it('unmasks frames and keeps incomplete ones for later', () => {
+    const long = 'x'.repeat(300);
+    const buffer = Buffer.concat([maskedFrame(OPCODES.text, 'hello'), maskedFrame(OPCODES.text, long)]);
+    const { frames, rest } = decodeFrames(buffer.subarray(0, buffer.length - 10));
+    expect(frames).toHaveLength(1);
+    expect(frames[0]).toMatchObject({ fin: true, opcode: OPCODES.text });
+    expect(frames[0].payload.toString()).toBe('hello');
+
+    const { frames: more } = decodeFrames(Buffer.concat([rest, buffer.subarray(buffer.length - 10)]));
+    expect(more[0].payload.toString()).toBe(long);
+  });
+
+  it('reads the frames it encodes', () => {
+    const texts = ['short', 'm'.repeat(1000), 'l'.repeat(70000)];
+    const { frames, rest } = decodeFrames(Buffer.concat(texts.map(text => encodeFrame(OPCODES.text, text))));
+    expect(frames.map(frame => frame.payload.toString())).toEqual(texts);
+    expect(rest).toHaveLength(0);
+  });
+
+  it('reports fragments and control frames', () => {
+    const { frames } = decodeFrames(Buffer.concat([
+      maskedFrame(OPCODES.text, 'one ', false),
+      maskedFrame(OPCODES.ping, ''),
+      maskedFrame(OPCODES.continuation, 'two')
+    ]));
+    expect(frames.map(({ fin, opcode }) => [fin, opcode])).toEqual([
+      [false, OPCODES.text],
+      [true, OPCODES.ping],
+      [true, OPCODES.continuation]
+    ]);
+  });
+});
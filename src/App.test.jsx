@@ -0,0 +1,40 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, fireEvent, screen } from '@testing-library/react';
+import App from './App';
+import { loadDocument, loadDocumentIndex } from './utils/storage';
+
+// A server that never answers, so the app stays connecting until told to disconnect
+class SilentWebSocket {
+  static OPEN = 1;
+  readyState = 0;
+  send() {}
+  close() {
+    this.readyState = 3;
+  }
+}
+
+describe('App', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    vi.stubGlobal('WebSocket', SilentWebSocket);
+    vi.stubGlobal('prompt', () => 'Walls');
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('keeps edits to the document across a collaboration session', () => {
+    const { unmount } = render(<App />);
+    fireEvent.click(screen.getByText('New layer'));
+    fireEvent.click(screen.getByText('Connect'));
+    fireEvent.click(screen.getByText('Disconnect'));
+    // Unmounting writes pending saves straight away
+    unmount();
+
+    const { activeId } = loadDocumentIndex();
+    const layers = loadDocument(activeId).history.state.layers;
+    expect(layers.map(layer => layer.name)).toEqual(['Layer 1', 'Walls']);
+  });
+});
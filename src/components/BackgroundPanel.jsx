@@ -0,0 +1,118 @@
+import { useRef } from 'react';
+import PropTypes from 'prop-types';
+
+const buttonClass = 'px-2 py-1 rounded-lg text-sm text-gray-700 bg-gray-100 hover:bg-gray-200 transition-colors';
+const inputClass = 'w-20 border border-gray-300 rounded-lg px-2 py-1';
+
+// Side panel for the background image: load, show or hide, opacity and calibration.
+// The image is locked; it is never selected or moved by clicks on the canvas.
+function BackgroundPanel({ background, onLoad, onChange, onFit, onRemove }) {
+  const fileInputRef = useRef(null);
+
+  const handleFileChange = (event) => {
+    const file = event.target.files[0];
+    // Reset so the same file can be chosen again
+    event.target.value = '';
+    if (file) {
+      onLoad(file);
+    }
+  };
+
+  // Number fields only apply valid values; scale must stay positive
+  const numberField = (key, label, { min } = {}) => (
+    <label className="flex items-center justify-between gap-2">
+      {label}
+      <input
+        type="number"
+        step="any"
+        min={min}
+        value={background[key]}
+        onChange={(e) => {
+          const value = Number(e.target.value);
+          if (e.target.value !== '' && Number.isFinite(value) && (min === undefined || value > min)) {
+            onChange({ [key]: value });
+          }
+        }}
+        className={inputClass}
+      />
+    </label>
+  );
+
+  return (
+    <aside className="bg-white rounded-lg shadow-lg p-4 text-sm text-gray-700 w-full">
+      <div className="flex justify-between items-center mb-2">
+        <h2 className="text-lg font-semibold text-gray-700">Background</h2>
+        <button onClick={() => fileInputRef.current?.click()} className={buttonClass} title="Load an image to trace over">
+          {background ? 'Replace' : 'Load image'}
+        </button>
+        <input ref={fileInputRef} type="file" accept="image/*" className="hidden" onChange={handleFileChange} />
+      </div>
+
+      {background ? (
+        <div className="space-y-2">
+          <p className="truncate" title={background.name}>
+            {background.name} <span className="text-gray-400">({background.width} × {background.height} px)</span>
+          </p>
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={background.visible}
+              onChange={(e) => onChange({ visible: e.target.checked })}
+            />
+            Show
+          </label>
+          <label className="flex items-center gap-2">
+            Opacity
+            <input
+              type="range"
+              min="0"
+              max="1"
+              step="0.05"
+              value={background.opacity}
+              onChange={(e) => onChange({ opacity: Number(e.target.value) })}
+              className="flex-1"
+            />
+          </label>
+          <h3 className="font-semibold">Calibration</h3>
+          <p className="text-xs text-gray-500">
+            Where the top-left image pixel sits in the drawing, and drawing units per image pixel.
+            COCO and VOC exports use image pixels.
+          </p>
+          {numberField('x', 'Left')}
+          {numberField('y', 'Top')}
+          {numberField('scale', 'Scale', { min: 0 })}
+          <div className="flex flex-wrap gap-2">
+            <button onClick={onFit} className={buttonClass} title="Fit the view to the image">
+              Fit view
+            </button>
+            <button onClick={onRemove} className={buttonClass} title="Remove the background image">
+              Remove
+            </button>
+          </div>
+          <p className="text-xs text-gray-400">The image is not saved with the drawing.</p>
+        </div>
+      ) : (
+        <p className="text-gray-500">Load an image or drop one on the canvas to trace over it.</p>
+      )}
+    </aside>
+  );
+}
+
+BackgroundPanel.propTypes = {
+  background: PropTypes.shape({
+    name: PropTypes.string.isRequired,
+    width: PropTypes.number.isRequired,
+    height: PropTypes.number.isRequired,
+    x: PropTypes.number.isRequired,
+    y: PropTypes.number.isRequired,
+    scale: PropTypes.number.isRequired,
+    opacity: PropTypes.number.isRequired,
+    visible: PropTypes.bool.isRequired
+  }),
+  onLoad: PropTypes.func.isRequired,
+  onChange: PropTypes.func.isRequired,
+  onFit: PropTypes.func.isRequired,
+  onRemove: PropTypes.func.isRequired
+};
+
+export default BackgroundPanel;
@@ -0,0 +1,41 @@
+import PropTypes from 'prop-types';
+import { BOOLEAN_OPERATIONS } from '../utils/booleanOps';
+
+// Operation buttons shown while two or more polygons are selected. Merge is offered when
+// `onMerge` is given, for exactly two polygons.
+function BooleanToolbar({ selectionCount, onApply, onMerge }) {
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-sm">
+      <span className="text-gray-600">{selectionCount} selected:</span>
+      {Object.entries(BOOLEAN_OPERATIONS).map(([operation, label]) => (
+        <button
+          key={operation}
+          onClick={() => onApply(operation)}
+          className="px-3 py-1 rounded-lg text-white bg-purple-500 hover:bg-purple-600 transition-colors"
+          title={operation === 'difference'
+            ? 'Subtract the other selected polygons from the first one selected'
+            : `${label} of the selected polygons`}
+        >
+          {label}
+        </button>
+      ))}
+      {onMerge && (
+        <button
+          onClick={onMerge}
+          className="px-3 py-1 rounded-lg text-white bg-purple-500 hover:bg-purple-600 transition-colors"
+          title="Join the two selected polygons along their shared edge, keeping the first one's properties"
+        >
+          Merge
+        </button>
+      )}
+    </div>
+  );
+}
+
+BooleanToolbar.propTypes = {
+  selectionCount: PropTypes.number.isRequired,
+  onApply: PropTypes.func.isRequired,
+  onMerge: PropTypes.func
+};
+
+export default BooleanToolbar;
@@ -0,0 +1,84 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { DEFAULT_SERVER_URL } from '../utils/collaboration';
+
+const buttonClass = 'px-3 py-1 rounded-lg text-sm transition-colors';
+const inputClass = 'border border-gray-300 rounded-lg px-2 py-1 text-sm';
+
+const STATUS_LABELS = {
+  offline: 'Not connected',
+  connecting: 'Connecting…',
+  online: 'Connected'
+};
+
+// Joining a shared drawing on a collaboration server, and who else is in it
+function CollaborationBar({ status, peers, error, onConnect, onDisconnect }) {
+  const [url, setUrl] = useState(`${DEFAULT_SERVER_URL}/plan`);
+  const [name, setName] = useState('Guest');
+  const isOffline = status === 'offline';
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (isOffline) {
+      onConnect(url.trim(), name.trim() || 'Guest');
+    } else {
+      onDisconnect();
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-lg p-3 mb-4 flex flex-wrap items-center gap-2 text-sm">
+      <label htmlFor="collaboration-url" className="font-semibold text-gray-700">
+        Shared drawing:
+      </label>
+      <input
+        id="collaboration-url"
+        value={url}
+        onChange={(e) => setUrl(e.target.value)}
+        disabled={!isOffline}
+        className={`${inputClass} w-64`}
+        title="Server address; the path names the drawing"
+      />
+      <input
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        disabled={!isOffline}
+        className={`${inputClass} w-28`}
+        aria-label="Your name"
+        title="Your name, shown to the others"
+      />
+      <button
+        type="submit"
+        className={`${buttonClass} ${isOffline ? 'bg-blue-500 text-white hover:bg-blue-600' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+      >
+        {isOffline ? 'Connect' : 'Disconnect'}
+      </button>
+      <span className="text-gray-500" role="status">{STATUS_LABELS[status]}</span>
+      {peers.length > 0 && (
+        <ul className="flex flex-wrap gap-2" aria-label="Also editing">
+          {peers.map(peer => (
+            <li key={peer.id} className="flex items-center gap-1">
+              <span className="inline-block w-3 h-3 rounded-full" style={{ backgroundColor: peer.color }} />
+              {peer.name}
+            </li>
+          ))}
+        </ul>
+      )}
+      {error && <span className="text-red-600 ml-auto">{error}</span>}
+    </form>
+  );
+}
+
+CollaborationBar.propTypes = {
+  status: PropTypes.oneOf(Object.keys(STATUS_LABELS)).isRequired,
+  peers: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired,
+    color: PropTypes.string.isRequired
+  })).isRequired,
+  error: PropTypes.string,
+  onConnect: PropTypes.func.isRequired,
+  onDisconnect: PropTypes.func.isRequired
+};
+
+export default CollaborationBar;
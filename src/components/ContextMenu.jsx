@@ -0,0 +1,73 @@
+import { useEffect, useLayoutEffect, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+
+// Menu of actions shown at a point on the canvas, opened by right-click or a long press.
+// It closes on Escape, on a press anywhere else, or once an action is chosen.
+function ContextMenu({ x, y, actions, onClose }) {
+  const menuRef = useRef(null);
+  const [position, setPosition] = useState({ left: x, top: y });
+
+  // Keep the menu inside the canvas when opened near its right or bottom edge
+  useLayoutEffect(() => {
+    const menu = menuRef.current;
+    const container = menu?.offsetParent;
+    if (!container) return;
+    setPosition({
+      left: Math.max(0, Math.min(x, container.clientWidth - menu.offsetWidth - 4)),
+      top: Math.max(0, Math.min(y, container.clientHeight - menu.offsetHeight - 4))
+    });
+  }, [x, y]);
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') onClose();
+    };
+    const handlePointerDown = (event) => {
+      if (!menuRef.current?.contains(event.target)) onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    window.addEventListener('pointerdown', handlePointerDown);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+      window.removeEventListener('pointerdown', handlePointerDown);
+    };
+  }, [onClose]);
+
+  return (
+    <ul
+      ref={menuRef}
+      role="menu"
+      style={position}
+      className="absolute z-20 min-w-40 bg-white border border-gray-200 rounded-lg shadow-lg py-1 text-sm"
+    >
+      {actions.map(action => (
+        <li key={action.label} role="none">
+          <button
+            role="menuitem"
+            disabled={action.disabled}
+            onClick={() => {
+              onClose();
+              action.onSelect();
+            }}
+            className="w-full text-left px-4 py-2 text-gray-700 hover:bg-gray-100 disabled:text-gray-300 disabled:hover:bg-transparent"
+          >
+            {action.label}
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+ContextMenu.propTypes = {
+  x: PropTypes.number.isRequired,
+  y: PropTypes.number.isRequired,
+  actions: PropTypes.arrayOf(PropTypes.shape({
+    label: PropTypes.string.isRequired,
+    onSelect: PropTypes.func.isRequired,
+    disabled: PropTypes.bool
+  })).isRequired,
+  onClose: PropTypes.func.isRequired
+};
+
+export default ContextMenu;
@@ -0,0 +1,59 @@
+import PropTypes from 'prop-types';
+
+// Round X button drawn inside the SVG canvas
+function DeleteMarker({ x, y, radius = 12, fill = 'rgba(239, 68, 68, 0.9)', title, onDelete }) {
+  const arm = radius / 3;
+
+  return (
+    <g>
+      {/* Delete button background */}
+      <circle
+        cx={x}
+        cy={y}
+        r={radius}
+        fill={fill}
+        stroke="white"
+        strokeWidth="2"
+        className="cursor-pointer hover:fill-red-600 transition-colors"
+        onClick={(e) => {
+          e.stopPropagation();
+          onDelete();
+        }}
+      >
+        {title && <title>{title}</title>}
+      </circle>
+      {/* Delete icon (X) */}
+      <g className="pointer-events-none">
+        <line
+          x1={x - arm}
+          y1={y - arm}
+          x2={x + arm}
+          y2={y + arm}
+          stroke="white"
+          strokeWidth="2"
+          strokeLinecap="round"
+        />
+        <line
+          x1={x + arm}
+          y1={y - arm}
+          x2={x - arm}
+          y2={y + arm}
+          stroke="white"
+          strokeWidth="2"
+          strokeLinecap="round"
+        />
+      </g>
+    </g>
+  );
+}
+
+DeleteMarker.propTypes = {
+  x: PropTypes.number.isRequired,
+  y: PropTypes.number.isRequired,
+  radius: PropTypes.number,
+  fill: PropTypes.string,
+  title: PropTypes.string,
+  onDelete: PropTypes.func.isRequired
+};
+
+export default DeleteMarker;
@@ -0,0 +1,81 @@
+import PropTypes from 'prop-types';
+
+const buttonClass = 'px-3 py-1 rounded-lg text-sm text-gray-700 bg-gray-100 hover:bg-gray-200 transition-colors';
+
+function DocumentBar({ documents, activeId, saveFailed = false, onCreate, onSwitch, onRename, onDuplicate, onDelete }) {
+  const activeDocument = documents.find(entry => entry.id === activeId);
+
+  const handleCreate = () => {
+    const name = window.prompt('Name for the new document:', 'Untitled');
+    if (name !== null) {
+      onCreate(name.trim() || 'Untitled');
+    }
+  };
+
+  const handleRename = () => {
+    const name = window.prompt('Rename document:', activeDocument?.name || '');
+    if (name !== null && name.trim()) {
+      onRename(activeId, name.trim());
+    }
+  };
+
+  const handleDelete = () => {
+    if (window.confirm(`Delete "${activeDocument?.name}"? This cannot be undone.`)) {
+      onDelete(activeId);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-3 mb-4 flex flex-wrap items-center gap-2">
+      <label htmlFor="document-select" className="text-sm font-semibold text-gray-700">
+        Document:
+      </label>
+      <select
+        id="document-select"
+        value={activeId}
+        onChange={(e) => onSwitch(e.target.value)}
+        className="border border-gray-300 rounded-lg px-2 py-1 text-sm"
+      >
+        {documents.map(entry => (
+          <option key={entry.id} value={entry.id}>{entry.name}</option>
+        ))}
+      </select>
+      <button onClick={handleCreate} className={buttonClass} title="Create a new document">
+        New
+      </button>
+      <button onClick={handleRename} className={buttonClass} title="Rename this document">
+        Rename
+      </button>
+      <button onClick={() => onDuplicate(activeId)} className={buttonClass} title="Duplicate this document">
+        Duplicate
+      </button>
+      <button onClick={handleDelete} className={buttonClass} title="Delete this document">
+        Delete
+      </button>
+      {saveFailed ? (
+        <span className="text-xs text-red-600 ml-auto" role="alert">
+          Changes could not be saved; storage may be full or disabled
+        </span>
+      ) : (
+        <span className="text-xs text-gray-400 ml-auto">Changes are saved automatically</span>
+      )}
+    </div>
+  );
+}
+
+DocumentBar.propTypes = {
+  documents: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired
+  })).isRequired,
+  activeId: PropTypes.string.isRequired,
+  // Whether the last save did not reach storage
+  saveFailed: PropTypes.bool,
+  onCreate: PropTypes.func.isRequired,
+  onSwitch: PropTypes.func.isRequired,
+  onRename: PropTypes.func.isRequired,
+  onDuplicate: PropTypes.func.isRequired,
+  onDelete: PropTypes.func.isRequired
+};
+
+export default DocumentBar;
@@ -0,0 +1,84 @@
+import { useState, useRef } from 'react';
+import PropTypes from 'prop-types';
+
+// Export formats offered in the dropdown. Annotation formats need a background image.
+const EXPORT_OPTIONS = [
+  { format: 'geojson', label: 'GeoJSON (.geojson)' },
+  { format: 'svg', label: 'SVG image (.svg)' },
+  { format: 'project', label: 'Project file (.json)' },
+  { format: 'coco', label: 'COCO annotations (.json)', needsImage: true },
+  { format: 'voc', label: 'Pascal VOC annotations (.xml)', needsImage: true }
+];
+
+function ExportMenu({ canExport, hasImage, onExport, onImport }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const handleExport = (format) => {
+    setIsOpen(false);
+    onExport(format);
+  };
+
+  const handleFileChange = (event) => {
+    const file = event.target.files[0];
+    // Reset so the same file can be imported again
+    event.target.value = '';
+    if (file) {
+      onImport(file);
+    }
+  };
+
+  return (
+    <div className="relative flex gap-2">
+      <button
+        onClick={() => setIsOpen(open => !open)}
+        disabled={!canExport}
+        className={`px-3 py-2 rounded-lg text-white text-sm transition-colors ${canExport
+          ? 'bg-green-500 hover:bg-green-600'
+          : 'bg-gray-300 cursor-not-allowed'
+          }`}
+        title="Export drawing"
+      >
+        Export ▾
+      </button>
+      <button
+        onClick={() => fileInputRef.current?.click()}
+        className="px-3 py-2 rounded-lg text-white text-sm bg-green-500 hover:bg-green-600 transition-colors"
+        title="Import GeoJSON, SVG or project file"
+      >
+        Import
+      </button>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".json,.geojson,.svg,application/json,application/geo+json,image/svg+xml"
+        className="hidden"
+        onChange={handleFileChange}
+      />
+
+      {isOpen && (
+        <ul className="absolute left-0 top-full mt-1 z-10 w-60 bg-white border border-gray-200 rounded-lg shadow-lg py-1 text-sm">
+          {EXPORT_OPTIONS.filter(option => hasImage || !option.needsImage).map(option => (
+            <li key={option.format}>
+              <button
+                onClick={() => handleExport(option.format)}
+                className="w-full text-left px-3 py-2 text-gray-700 hover:bg-gray-100"
+              >
+                {option.label}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+ExportMenu.propTypes = {
+  canExport: PropTypes.bool.isRequired,
+  hasImage: PropTypes.bool.isRequired,
+  onExport: PropTypes.func.isRequired,
+  onImport: PropTypes.func.isRequired
+};
+
+export default ExportMenu;
@@ -0,0 +1,124 @@
+import PropTypes from 'prop-types';
+import { GEOMETRY_OPERATIONS, DEFAULT_GEOMETRY_OPTIONS } from '../utils/geometryOps';
+
+const buttonClass = 'px-2 py-1 rounded-lg text-sm transition-colors';
+const inputClass = 'w-20 border border-gray-300 rounded-lg px-2 py-1';
+
+const OPERATION_HINTS = {
+  simplify: 'Remove vertices that barely change the outline (Douglas–Peucker)',
+  smooth: 'Round off corners by cutting them (Chaikin)',
+  offset: 'Grow or shrink the outline by a distance',
+  hull: 'Replace with the convex hull',
+  bbox: 'Replace with the axis-aligned bounding box',
+  obb: 'Replace with the smallest rotated bounding box'
+};
+
+// Side panel with clean-up operations for the selected polygons. Choosing an operation
+// previews it on the canvas; nothing changes until Apply.
+function GeometryPanel({ selectionCount, operation, preview, onChange, onApply }) {
+  const choose = (type) => onChange(operation?.type === type ? null : { ...DEFAULT_GEOMETRY_OPTIONS, ...operation, type });
+
+  return (
+    <aside className="bg-white rounded-lg shadow-lg p-4 text-sm text-gray-700 w-full">
+      <h2 className="text-lg font-semibold text-gray-700 mb-2">Geometry</h2>
+      <div className="flex flex-wrap gap-1 mb-2">
+        {Object.entries(GEOMETRY_OPERATIONS).map(([type, label]) => (
+          <button
+            key={type}
+            onClick={() => choose(type)}
+            aria-pressed={operation?.type === type}
+            className={`${buttonClass} ${operation?.type === type ? 'bg-blue-500 text-white' : 'bg-gray-100 hover:bg-gray-200'}`}
+            title={OPERATION_HINTS[type]}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {operation && (
+        <div className="space-y-2">
+          {operation.type === 'simplify' && (
+            <label className="flex items-center gap-2">
+              Tolerance
+              <input
+                type="range"
+                min="0.1"
+                max="50"
+                step="0.1"
+                value={operation.tolerance}
+                onChange={(e) => onChange({ ...operation, tolerance: Number(e.target.value) })}
+                className="flex-1"
+              />
+              <span className="w-10 text-right">{operation.tolerance}</span>
+            </label>
+          )}
+          {operation.type === 'smooth' && (
+            <label className="flex items-center gap-2">
+              Iterations
+              <input
+                type="range"
+                min="1"
+                max="5"
+                value={operation.iterations}
+                onChange={(e) => onChange({ ...operation, iterations: Number(e.target.value) })}
+                className="flex-1"
+              />
+              <span className="w-10 text-right">{operation.iterations}</span>
+            </label>
+          )}
+          {operation.type === 'offset' && (
+            <label className="flex items-center gap-2" title="Negative distances shrink the polygons">
+              Distance
+              <input
+                type="number"
+                step="any"
+                value={operation.distance}
+                onChange={(e) => {
+                  const distance = Number(e.target.value);
+                  if (e.target.value !== '' && Number.isFinite(distance)) onChange({ ...operation, distance });
+                }}
+                className={inputClass}
+              />
+            </label>
+          )}
+          <p className="text-gray-500">
+            {preview
+              ? `${selectionCount} polygon${selectionCount === 1 ? '' : 's'}: ${preview.before} → ${preview.after} vertices`
+              : 'This operation cannot be applied to the selection'}
+          </p>
+          <div className="flex gap-2">
+            <button
+              onClick={onApply}
+              disabled={!preview}
+              className={`${buttonClass} text-white ${preview ? 'bg-blue-500 hover:bg-blue-600' : 'bg-gray-300 cursor-not-allowed'}`}
+            >
+              Apply
+            </button>
+            <button onClick={() => onChange(null)} className={`${buttonClass} bg-gray-100 hover:bg-gray-200`}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </aside>
+  );
+}
+
+GeometryPanel.propTypes = {
+  selectionCount: PropTypes.number.isRequired,
+  operation: PropTypes.shape({
+    type: PropTypes.oneOf(Object.keys(GEOMETRY_OPERATIONS)).isRequired,
+    tolerance: PropTypes.number.isRequired,
+    iterations: PropTypes.number.isRequired,
+    distance: PropTypes.number.isRequired
+  }),
+  // Vertex counts of the selection before and after, or null when the operation fails
+  preview: PropTypes.shape({
+    before: PropTypes.number.isRequired,
+    after: PropTypes.number.isRequired
+  }),
+  onChange: PropTypes.func.isRequired,
+  onApply: PropTypes.func.isRequired
+};
+
+export default GeometryPanel;
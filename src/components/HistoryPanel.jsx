@@ -0,0 +1,71 @@
+import { useEffect, useRef } from 'react';
+import PropTypes from 'prop-types';
+import { HISTORY_LIMITS } from '../utils/history';
+
+// Side panel listing the undo steps oldest first. Choosing a step undoes or redoes
+// everything after or up to it; steps below the current one can still be redone.
+function HistoryPanel({ entries, index, limit, onJump, onLimitChange }) {
+  const currentRef = useRef(null);
+
+  // Keep the current step visible as the list grows or the user undoes
+  useEffect(() => {
+    currentRef.current?.scrollIntoView?.({ block: 'nearest' });
+  }, [index, entries.length]);
+
+  const items = [{ label: 'Start' }, ...entries];
+
+  return (
+    <aside className="bg-white rounded-lg shadow-lg p-4 text-sm text-gray-700 w-full">
+      <div className="flex justify-between items-center mb-2">
+        <h2 className="text-lg font-semibold text-gray-700">History</h2>
+        <label className="flex items-center gap-1 text-xs text-gray-500">
+          Keep
+          <select
+            value={limit === null ? 'all' : limit}
+            onChange={(e) => onLimitChange(e.target.value === 'all' ? null : Number(e.target.value))}
+            className="border border-gray-300 rounded px-1 py-0.5"
+          >
+            {HISTORY_LIMITS.map(option => (
+              <option key={option ?? 'all'} value={option ?? 'all'}>
+                {option === null ? 'all steps' : `${option} steps`}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <ol className="max-h-56 overflow-y-auto space-y-0.5">
+        {items.map((item, position) => {
+          const isCurrent = position === index;
+          return (
+            <li key={position}>
+              <button
+                ref={isCurrent ? currentRef : null}
+                onClick={() => onJump(position)}
+                className={`w-full text-left truncate rounded px-2 py-0.5 ${
+                  isCurrent ? 'bg-blue-50 ring-1 ring-blue-300 text-blue-800' : position > index ? 'text-gray-400 hover:bg-gray-100' : 'hover:bg-gray-100'
+                }`}
+                aria-current={isCurrent ? 'step' : undefined}
+                title={position > index ? 'Redo up to this step' : 'Undo back to this step'}
+              >
+                {item.label}
+              </button>
+            </li>
+          );
+        })}
+      </ol>
+    </aside>
+  );
+}
+
+HistoryPanel.propTypes = {
+  entries: PropTypes.arrayOf(PropTypes.shape({
+    label: PropTypes.string.isRequired
+  })).isRequired,
+  index: PropTypes.number.isRequired,
+  limit: PropTypes.number,
+  onJump: PropTypes.func.isRequired,
+  onLimitChange: PropTypes.func.isRequired
+};
+
+export default HistoryPanel;
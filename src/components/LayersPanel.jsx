@@ -0,0 +1,146 @@
+import PropTypes from 'prop-types';
+
+const iconButtonClass = 'w-7 h-7 rounded text-gray-600 hover:bg-gray-200 disabled:opacity-30 disabled:hover:bg-transparent';
+
+// Side panel listing the layers top first. New polygons go on the active layer.
+function LayersPanel({ layers, activeLayerId, counts, canMoveSelection, onActivate, onAdd, onChange, onMove, onDelete, onMoveSelection }) {
+  const handleAdd = () => {
+    const name = window.prompt('Name for the new layer:', `Layer ${layers.length + 1}`);
+    if (name !== null) {
+      onAdd(name.trim() || `Layer ${layers.length + 1}`);
+    }
+  };
+
+  const handleRename = (layer) => {
+    const name = window.prompt('Rename layer:', layer.name);
+    if (name !== null && name.trim()) {
+      onChange(layer.id, { name: name.trim() });
+    }
+  };
+
+  const handleDelete = (layer) => {
+    const count = counts[layer.id] || 0;
+    const message = count > 0
+      ? `Delete "${layer.name}" and its ${count} polygon${count === 1 ? '' : 's'}?`
+      : `Delete "${layer.name}"?`;
+    if (window.confirm(message)) {
+      onDelete(layer.id);
+    }
+  };
+
+  return (
+    <aside className="bg-white rounded-lg shadow-lg p-4 text-sm text-gray-700 w-full">
+      <div className="flex justify-between items-center mb-2">
+        <h2 className="text-lg font-semibold text-gray-700">Layers</h2>
+        <button
+          onClick={handleAdd}
+          className="px-2 py-1 rounded-lg text-sm text-gray-700 bg-gray-100 hover:bg-gray-200 transition-colors"
+          title="Add a layer above the others"
+        >
+          New layer
+        </button>
+      </div>
+
+      <ul className="space-y-1">
+        {[...layers].reverse().map((layer, position) => {
+          const index = layers.length - 1 - position;
+          const isActive = layer.id === activeLayerId;
+          return (
+            <li
+              key={layer.id}
+              className={`flex items-center gap-1 rounded-lg px-1 ${isActive ? 'bg-blue-50 ring-1 ring-blue-300' : ''}`}
+            >
+              <button
+                onClick={() => onChange(layer.id, { visible: !layer.visible })}
+                className={iconButtonClass}
+                title={layer.visible ? 'Hide layer' : 'Show layer'}
+                aria-label={`Hide ${layer.name}`}
+                aria-pressed={!layer.visible}
+              >
+                {layer.visible ? '👁' : '–'}
+              </button>
+              <button
+                onClick={() => onChange(layer.id, { locked: !layer.locked })}
+                className={iconButtonClass}
+                title={layer.locked ? 'Unlock layer' : 'Lock layer'}
+                aria-label={`Lock ${layer.name}`}
+                aria-pressed={layer.locked}
+              >
+                {layer.locked ? '🔒' : '🔓'}
+              </button>
+              <button
+                onClick={() => onActivate(layer.id)}
+                onDoubleClick={() => handleRename(layer)}
+                className={`flex-1 min-w-0 text-left truncate py-1 ${layer.visible ? '' : 'text-gray-400'}`}
+                title="Draw on this layer (double-click to rename)"
+                aria-current={isActive ? 'true' : undefined}
+              >
+                {layer.name} <span className="text-gray-400">({counts[layer.id] || 0})</span>
+              </button>
+              <button onClick={() => handleRename(layer)} className={iconButtonClass} title="Rename layer" aria-label={`Rename ${layer.name}`}>
+                ✎
+              </button>
+              <button
+                onClick={() => onMove(layer.id, 1)}
+                disabled={index === layers.length - 1}
+                className={iconButtonClass}
+                title="Move layer up"
+                aria-label={`Move ${layer.name} up`}
+              >
+                ↑
+              </button>
+              <button
+                onClick={() => onMove(layer.id, -1)}
+                disabled={index === 0}
+                className={iconButtonClass}
+                title="Move layer down"
+                aria-label={`Move ${layer.name} down`}
+              >
+                ↓
+              </button>
+              <button
+                onClick={() => handleDelete(layer)}
+                disabled={layers.length === 1}
+                className={iconButtonClass}
+                title="Delete layer"
+                aria-label={`Delete ${layer.name}`}
+              >
+                ×
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+
+      {canMoveSelection && (
+        <button
+          onClick={onMoveSelection}
+          className="mt-3 w-full px-2 py-1 rounded-lg text-sm text-white bg-blue-500 hover:bg-blue-600 transition-colors"
+          title="Move the selected polygons to the active layer"
+        >
+          Move selection to active layer
+        </button>
+      )}
+    </aside>
+  );
+}
+
+LayersPanel.propTypes = {
+  layers: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired,
+    visible: PropTypes.bool.isRequired,
+    locked: PropTypes.bool.isRequired
+  })).isRequired,
+  activeLayerId: PropTypes.string.isRequired,
+  counts: PropTypes.objectOf(PropTypes.number).isRequired,
+  canMoveSelection: PropTypes.bool.isRequired,
+  onActivate: PropTypes.func.isRequired,
+  onAdd: PropTypes.func.isRequired,
+  onChange: PropTypes.func.isRequired,
+  onMove: PropTypes.func.isRequired,
+  onDelete: PropTypes.func.isRequired,
+  onMoveSelection: PropTypes.func.isRequired
+};
+
+export default LayersPanel;
@@ -0,0 +1,41 @@
+import PropTypes from 'prop-types';
+
+const pointShape = PropTypes.shape({ x: PropTypes.number.isRequired, y: PropTypes.number.isRequired });
+
+// Length text at the middle of a segment, offset to one side and outlined in white so it
+// stays readable over fills. pixelSize is one screen pixel in drawing units.
+function LengthLabel({ from, to, text, pixelSize = 1 }) {
+  const length = Math.hypot(to.x - from.x, to.y - from.y);
+  if (length === 0) return null;
+
+  // Offset perpendicular to the segment
+  const offset = 10 * pixelSize;
+  const x = (from.x + to.x) / 2 - ((to.y - from.y) / length) * offset;
+  const y = (from.y + to.y) / 2 + ((to.x - from.x) / length) * offset;
+
+  return (
+    <text
+      x={x}
+      y={y}
+      fontSize={11 * pixelSize}
+      textAnchor="middle"
+      dominantBaseline="middle"
+      fill="rgb(30, 64, 175)"
+      stroke="white"
+      strokeWidth="3"
+      paintOrder="stroke"
+      className="pointer-events-none select-none"
+    >
+      {text}
+    </text>
+  );
+}
+
+LengthLabel.propTypes = {
+  from: pointShape.isRequired,
+  to: pointShape.isRequired,
+  text: PropTypes.string.isRequired,
+  pixelSize: PropTypes.number
+};
+
+export default LengthLabel;
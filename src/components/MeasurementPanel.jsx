@@ -0,0 +1,102 @@
+import PropTypes from 'prop-types';
+import { UNITS, changeUnit, formatLength, formatArea, formatPoint, measurePolygon } from '../utils/measurements';
+
+const pointShape = PropTypes.shape({ x: PropTypes.number.isRequired, y: PropTypes.number.isRequired });
+
+// Side panel with the measurement scale and the measurements of the selected polygon
+function MeasurementPanel({ scale, onScaleChange, polygon, polygonNumber }) {
+  const measures = polygon ? measurePolygon(polygon) : null;
+
+  return (
+    <aside className="bg-white rounded-lg shadow-lg p-4 text-sm text-gray-700 w-full">
+      <h2 className="text-lg font-semibold text-gray-700 mb-2">Measurements</h2>
+
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        <label className="flex items-center gap-1">
+          Units:
+          <select
+            value={scale.unit}
+            onChange={(e) => onScaleChange(changeUnit(scale, e.target.value))}
+            className="border border-gray-300 rounded-lg px-2 py-1"
+          >
+            {Object.entries(UNITS).map(([unit, { label }]) => (
+              <option key={unit} value={unit}>{label}</option>
+            ))}
+          </select>
+        </label>
+        {scale.unit !== 'px' && (
+          <label className="flex items-center gap-1">
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={scale.pixelsPerUnit}
+              onChange={(e) => {
+                const pixelsPerUnit = Number(e.target.value);
+                if (pixelsPerUnit > 0) onScaleChange({ ...scale, pixelsPerUnit });
+              }}
+              className="w-20 border border-gray-300 rounded-lg px-2 py-1"
+            />
+            px per {UNITS[scale.unit].symbol}
+          </label>
+        )}
+      </div>
+
+      {measures ? (
+        <>
+          <h3 className="font-semibold mb-1">Polygon {polygonNumber}</h3>
+          <dl className="grid grid-cols-[auto_1fr] gap-x-3 gap-y-1">
+            <dt className="text-gray-500">Area</dt>
+            <dd>{formatArea(measures.area, scale)}</dd>
+            <dt className="text-gray-500">Perimeter</dt>
+            <dd>{formatLength(measures.perimeter, scale)}</dd>
+            <dt className="text-gray-500">Centroid</dt>
+            <dd>{formatPoint(measures.centroid, scale)}</dd>
+            <dt className="text-gray-500">Bounds</dt>
+            <dd>
+              {formatLength(measures.bounds.width, scale)} × {formatLength(measures.bounds.height, scale)}
+              <br />
+              from {formatPoint({ x: measures.bounds.minX, y: measures.bounds.minY }, scale)}
+            </dd>
+          </dl>
+          <h3 className="font-semibold mt-3 mb-1">Vertices</h3>
+          <table className="w-full text-left">
+            <thead className="text-gray-500">
+              <tr>
+                <th className="font-normal">#</th>
+                <th className="font-normal">Angle</th>
+                <th className="font-normal">Next edge</th>
+              </tr>
+            </thead>
+            <tbody>
+              {measures.angles.map((angle, index) => (
+                <tr key={index}>
+                  <td>{index + 1}</td>
+                  <td className={angle > 180 ? 'text-amber-600' : undefined}>{angle.toFixed(1)}°</td>
+                  <td>{formatLength(measures.edges[index], scale)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      ) : (
+        <p className="text-gray-500">Select a single polygon to see its area, perimeter, centroid, angles and bounds.</p>
+      )}
+    </aside>
+  );
+}
+
+MeasurementPanel.propTypes = {
+  scale: PropTypes.shape({
+    unit: PropTypes.oneOf(Object.keys(UNITS)).isRequired,
+    pixelsPerUnit: PropTypes.number.isRequired
+  }).isRequired,
+  onScaleChange: PropTypes.func.isRequired,
+  polygon: PropTypes.shape({
+    points: PropTypes.arrayOf(pointShape).isRequired,
+    holes: PropTypes.arrayOf(PropTypes.arrayOf(pointShape)).isRequired
+  }),
+  polygonNumber: PropTypes.number
+};
+
+export default MeasurementPanel;
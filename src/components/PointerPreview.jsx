@@ -0,0 +1,63 @@
+import { useSyncExternalStore } from 'react';
+import PropTypes from 'prop-types';
+import LengthLabel from './LengthLabel';
+import { distance } from '../utils/geometry';
+import { formatLength } from '../utils/measurements';
+
+const pointShape = PropTypes.shape({ x: PropTypes.number.isRequired, y: PropTypes.number.isRequired });
+
+// Dashed line from the last placed vertex to where the next one would go, with its length,
+// and the line back to the first vertex while the pointer is close enough to close the
+// polygon. It follows the pointer store on its own, so a pointer move re-renders only this.
+function PointerPreview({ pointer, from, start, snap = null, canClose = false, color, closingColor, scale, pixelSize = 1 }) {
+  const position = useSyncExternalStore(pointer.subscribe, pointer.get);
+  const end = snap ? snap.point : position;
+
+  return (
+    <>
+      <line
+        x1={from.x}
+        y1={from.y}
+        x2={end.x}
+        y2={end.y}
+        stroke={color}
+        strokeWidth="2"
+        strokeDasharray="5,5"
+        className="pointer-events-none"
+      />
+      <LengthLabel from={from} to={end} text={formatLength(distance(from, end), scale)} pixelSize={pixelSize} />
+      {canClose && (
+        <line
+          x1={position.x}
+          y1={position.y}
+          x2={start.x}
+          y2={start.y}
+          stroke={closingColor}
+          strokeWidth="3"
+          strokeDasharray="3,3"
+          className="pointer-events-none"
+        />
+      )}
+    </>
+  );
+}
+
+PointerPreview.propTypes = {
+  pointer: PropTypes.shape({
+    get: PropTypes.func.isRequired,
+    subscribe: PropTypes.func.isRequired
+  }).isRequired,
+  from: pointShape.isRequired,
+  start: pointShape.isRequired,
+  snap: PropTypes.shape({ point: pointShape.isRequired }),
+  canClose: PropTypes.bool,
+  color: PropTypes.string.isRequired,
+  closingColor: PropTypes.string.isRequired,
+  scale: PropTypes.shape({
+    unit: PropTypes.string.isRequired,
+    pixelsPerUnit: PropTypes.number.isRequired
+  }).isRequired,
+  pixelSize: PropTypes.number
+};
+
+export default PointerPreview;
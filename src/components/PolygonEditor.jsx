@@ -0,0 +1,2437 @@
+import { forwardRef, useState, useRef, useCallback, useEffect, useMemo, useImperativeHandle, useSyncExternalStore } from 'react';
+import PropTypes from 'prop-types';
+import Delete from '../assets/delete.svg';
+import Undo from '../assets/undo.svg';
+import Redo from '../assets/redo.svg';
+import Reset from '../assets/reset.svg';
+import ExportMenu from './ExportMenu';
+import ValidationControls from './ValidationControls';
+import ValidationOverlay from './ValidationOverlay';
+import BooleanToolbar from './BooleanToolbar';
+import SelectionHandles from './SelectionHandles';
+import TransformToolbar from './TransformToolbar';
+import ViewportControls from './ViewportControls';
+import SnapToolbar from './SnapToolbar';
+import SnapIndicator from './SnapIndicator';
+import LengthLabel from './LengthLabel';
+import PointerPreview from './PointerPreview';
+import MeasurementPanel from './MeasurementPanel';
+import PropertiesPanel from './PropertiesPanel';
+import ContextMenu from './ContextMenu';
+import LayersPanel from './LayersPanel';
+import BackgroundPanel from './BackgroundPanel';
+import PolygonShape from './PolygonShape';
+import HistoryPanel from './HistoryPanel';
+import ToolPalette from './ToolPalette';
+import GeometryPanel from './GeometryPanel';
+import RemotePresence from './RemotePresence';
+import { distance, isNearPoint, boundingBox, centroid, pointInPolygon, pointsToPolyline } from '../utils/geometry';
+import { createPolygon, normalizePolygon, withNewId, ensureUniqueIds, getRing, getRings, moveVertex, insertVertex, removeVertex, addHole, removeHole, polygonToPath } from '../utils/polygonModel';
+import { resolveStyle } from '../utils/colors';
+import { validateRing, validatePolygon, validatePolygons, hasErrors, describeErrors } from '../utils/validation';
+import { applyBooleanOperation, BOOLEAN_OPERATIONS } from '../utils/booleanOps';
+import { translatePolygon, flipPolygon, polygonsBounds, boundsCenter, applyDrag } from '../utils/transforms';
+import { DEFAULT_SNAP_SETTINGS, findSnap, isSameSnap } from '../utils/snapping';
+import { createPointerStore } from '../utils/pointerStore';
+import { sharedNodeIds, vertexGroup, moveNode, joinVertices, ensureNode, detachNode, insertOnEdge, removeNode } from '../utils/topology';
+import { DEFAULT_SCALE, formatLength } from '../utils/measurements';
+import { IDENTITY_VIEWPORT, screenToWorld, worldToScreen, viewportTransform, zoomAt, panBy, fitBounds } from '../utils/viewport';
+import { toGeoJSON, toSVG, toProject, parseImportFile, downloadFile } from '../utils/fileFormats';
+import { toCOCO, toVOC } from '../utils/annotationFormats';
+import { createBackground, backgroundCorners, loadImageFile } from '../utils/background';
+import { countLabel, describePoint, describePolygon, describeVertex, focusOrder, focusPosition } from '../utils/accessibility';
+import { CLIPBOARD_TYPE, PASTE_OFFSET, toClipboardData, parseClipboardData, placePasted } from '../utils/clipboard';
+import { createSpatialIndex, queryRect } from '../utils/spatialIndex';
+import { DEFAULT_TOOL_OPTIONS, shapePoints } from '../utils/drawingTools';
+import { GEOMETRY_OPERATIONS, applyGeometryOperation } from '../utils/geometryOps';
+import { splitPolygon, mergePolygons } from '../utils/splitMerge';
+import { createHistory, recordHistory, adoptState, moveHistory, setHistoryLimit } from '../utils/history';
+import { createLayer, createDefaultLayers, layerOf, isEditable, drawingOrder, updateLayer, moveLayer, removeLayer, shiftPolygon, mergeLayers } from '../utils/layers';
+
+// Hit-test distances in screen pixels; they stay the same on screen at every zoom level
+const CLOSE_THRESHOLD = 20;
+const SNAP_THRESHOLD = 12;
+const DRAG_THRESHOLD = 4;
+// Touch targets are this much larger than mouse targets
+const COARSE_HIT_SCALE = 2;
+// How long a touch or pen has to be held still to open the context menu, in milliseconds
+const LONG_PRESS_DELAY = 500;
+// Keyboard cursor step in screen pixels; Shift moves it one pixel at a time
+const CURSOR_STEP = 10;
+
+// Freehand strokes are simplified to within this many screen pixels
+const FREEHAND_TOLERANCE = 2;
+
+// Screen pixels around the canvas within which polygons are still drawn
+const CULL_MARGIN = 50;
+
+// Shared by every polygon when validation is off, so memoized shapes see no change
+const NO_ISSUES = [];
+
+const NO_PEERS = [];
+
+const ARROW_OFFSETS = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+
+// History labels for dragging the selection or its handles
+const DRAG_LABELS = { move: 'Move', scale: 'Scale', rotate: 'Rotate' };
+
+// History labels for the shapes drawn with one drag
+const SHAPE_LABELS = { rectangle: 'Draw rectangle', regular: 'Draw regular polygon', ellipse: 'Draw ellipse', freehand: 'Draw freehand' };
+
+// Colors of the editing aids. `fill` and `stroke`, when given, replace the generated
+// colors of polygons that have no style of their own.
+const DEFAULT_COLORS = {
+  drawing: 'rgb(59, 130, 246)', // Polygon being drawn
+  closing: 'rgb(34, 197, 94)', // First vertex when a click would close the polygon
+  selection: 'rgb(59, 130, 246)' // Marquee and focused vertex
+};
+
+// Polygons handed in through `value` or `defaultValue`, in the current shape with unique ids
+const importPolygons = (polygons) => ensureUniqueIds([], polygons.map(normalizePolygon));
+
+// Start from a stored undo history, or from the given polygons on a single layer
+const createInitialHistory = (initialHistory, polygons) =>
+  initialHistory || createHistory({ polygons: importPolygons(polygons || []), currentPolygon: [], layers: createDefaultLayers() });
+
+// The polygon editor: toolbar, canvas and side panels. It is uncontrolled by default
+// (`defaultValue`); pass `value` to control it, and every committed change is reported
+// through `onChange`. A new `value` that did not come from `onChange` is adopted as an
+// undoable step, or with `recordExternalChanges` off as a change undo leaves alone. The
+// ref exposes undo, redo, clear and fitView.
+const PolygonEditor = forwardRef(function PolygonEditor({
+  value,
+  defaultValue,
+  onChange,
+  initialHistory,
+  onHistoryChange,
+  onPolygonCreate,
+  onVertexMove,
+  onSelect,
+  onDelete,
+  onClear,
+  recordExternalChanges = true,
+  peers = NO_PEERS,
+  onCursorMove,
+  closeThreshold: closeDistance = CLOSE_THRESHOLD,
+  snapThreshold: snapDistance = SNAP_THRESHOLD,
+  dragThreshold = DRAG_THRESHOLD,
+  colors: customColors,
+  height = 600,
+  className = ''
+}, ref) {
+  const [initialHistoryState] = useState(() => createInitialHistory(initialHistory, value ?? defaultValue));
+  const initialState = initialHistoryState.state;
+
+  const [polygons, setPolygons] = useState(initialState.polygons);
+  const [currentPolygon, setCurrentPolygon] = useState(initialState.currentPolygon);
+  const [layers, setLayers] = useState(initialState.layers); // Bottom to top
+  const [chosenLayerId, setChosenLayerId] = useState(null); // Layer that new polygons go on
+  const [pointer] = useState(createPointerStore); // Pointer position, outside state so moves stay cheap
+  const [draggedVertex, setDraggedVertex] = useState(null);
+  const [isDrawing, setIsDrawing] = useState(initialState.currentPolygon.length > 0);
+  const [selectedPolygons, setSelectedPolygons] = useState([]); // Indices in the order they were selected
+  const [holeTarget, setHoleTarget] = useState(null); // Polygon index that the drawn ring becomes a hole of
+  const [cutTarget, setCutTarget] = useState(null); // Polygon index that the drawn line splits
+  const [selectedVertex, setSelectedVertex] = useState(null); // { polygonIndex, ringIndex, vertexIndex } for Delete
+  const [drag, setDrag] = useState(null); // Move, scale or rotate of the selection in progress
+  const [marquee, setMarquee] = useState(null); // Rubber-band selection rectangle in progress
+  const [tool, setTool] = useState('polygon'); // Drawing tool, see drawingTools.js
+  const [toolOptions, setToolOptions] = useState(DEFAULT_TOOL_OPTIONS);
+  const [shapeDraft, setShapeDraft] = useState(null); // Shape being dragged out with the active tool
+  const [geometryOperation, setGeometryOperation] = useState(null); // Clean-up operation being previewed
+  const [snapTarget, setSnapTarget] = useState(null); // Active snap: { point, kind, ... }
+  const [snapSettings, setSnapSettings] = useState(DEFAULT_SNAP_SETTINGS);
+  const [measurementScale, setMeasurementScale] = useState(DEFAULT_SCALE); // Drawing units per real-world unit
+  const [importReport, setImportReport] = useState(null); // Result of the last file import
+  const [validationPolicy, setValidationPolicy] = useState({ mode: 'warn', winding: 'any' });
+  const [statusMessage, setStatusMessage] = useState(null); // Feedback about the last blocked or partial action
+  const [viewport, setViewport] = useState(IDENTITY_VIEWPORT); // Pan offset and zoom of the canvas
+  const [pan, setPan] = useState(null); // Space-drag or middle-drag pan in progress
+  const [spaceHeld, setSpaceHeld] = useState(false);
+  // Type of the last pointer used; touch gets larger hit targets
+  const [pointerType, setPointerType] = useState(() =>
+    (window.matchMedia?.('(pointer: coarse)').matches ? 'touch' : 'mouse'));
+  const [contextMenu, setContextMenu] = useState(null); // { x, y, target } in canvas pixels
+  const [keyboardCursor, setKeyboardCursor] = useState(null); // Where Space places a point, while drawing by keyboard
+  const [announcement, setAnnouncement] = useState(null); // Latest message for screen readers
+  const [background, setBackground] = useState(null); // Image to trace over; kept for the session only
+  const [canvasSize, setCanvasSize] = useState({ width: 800, height: 600 }); // Screen size of the canvas, for culling
+
+  // Undo/Redo state management
+  const [history, setHistory] = useState(initialHistoryState); // Committed state and undo steps
+
+  const svgRef = useRef(null);
+  const propertyEditPending = useRef(false); // Live property edit not yet recorded in history
+  // Pointer gesture bookkeeping that must not wait for a re-render
+  const pressPoint = useRef(null); // Client position where the current press started
+  const pressTarget = useRef(null); // What the current press landed on, for the context menu
+  const gestureMoved = useRef(false); // The current press has turned into a drag
+  const swallowClick = useRef(false); // The click ending the current press is not a click
+  const touches = useRef(new Map()); // Screen positions of the touch points on the canvas
+  const pinch = useRef(null); // Two-finger pan and zoom in progress
+  const longPress = useRef(null); // Timer that opens the context menu
+  const lastPaste = useRef({ text: null, count: 0 }); // Last clipboard payload pasted, and how often
+  // Controlled value bookkeeping: the last `value` seen and the polygons last reported
+  const lastValue = useRef(value);
+  const syncedPolygons = useRef(initialState.polygons);
+  const lastSelection = useRef(''); // Ids of the selection last reported through onSelect
+
+  // Host callbacks, read at call time so they never have to be dependencies
+  const events = useRef(null);
+  events.current = { onChange, onHistoryChange, onPolygonCreate, onVertexMove, onSelect, onDelete, onClear, onCursorMove };
+
+  const colors = { ...DEFAULT_COLORS, ...customColors };
+  // Kept stable so the memoized polygon shapes are not all redrawn on every render
+  const defaultStyle = useMemo(() => Object.fromEntries(
+    Object.entries({ fill: colors.fill, stroke: colors.stroke }).filter(([, color]) => color)
+  ), [colors.fill, colors.stroke]);
+
+  // Read a message out through the live region. Each message gets a new id so repeating
+  // the same text is announced again.
+  const announce = useCallback((text) => {
+    setAnnouncement(prev => ({ text, id: (prev?.id || 0) + 1 }));
+  }, []);
+
+  // Blocked and partial actions are announced as well as shown
+  useEffect(() => {
+    if (statusMessage) announce(statusMessage);
+  }, [statusMessage, announce]);
+
+  // Get mouse coordinates relative to the SVG element, in screen pixels
+  const getScreenCoordinates = useCallback((event) => {
+    if (!svgRef.current) return { x: 0, y: 0 };
+
+    const rect = svgRef.current.getBoundingClientRect();
+    return {
+      x: event.clientX - rect.left,
+      y: event.clientY - rect.top
+    };
+  }, []);
+
+  // Get mouse coordinates in the drawing, undoing the viewport pan and zoom
+  const getSVGCoordinates = useCallback((event) =>
+    screenToWorld(viewport, getScreenCoordinates(event)), [viewport, getScreenCoordinates]);
+
+  // The chosen layer may have been removed by undo or a document switch; fall back to the top one
+  const activeLayerId = layers.some(layer => layer.id === chosenLayerId) ? chosenLayerId : layers[layers.length - 1].id;
+
+  // Shared vertices leave the polygons on hidden or locked layers alone
+  const canEdit = useCallback((polygon) => isEditable(polygon, layers), [layers]);
+
+  // Size of one screen pixel in drawing units, for thresholds and handle sizes
+  const pixel = 1 / viewport.scale;
+  // Hit targets and handles, which grow on touch
+  const hitScale = pointerType === 'touch' ? COARSE_HIT_SCALE : 1;
+  const handlePixel = pixel * hitScale;
+  const closeThreshold = closeDistance * handlePixel;
+  const snapThreshold = snapDistance * handlePixel;
+
+  // Live validation of completed polygons and the polygon being drawn
+  const isValidating = validationPolicy.mode !== 'off';
+  // Drawing a hole or a cut line for the selected polygon, rather than a new polygon
+  const hasDrawTarget = holeTarget !== null || cutTarget !== null;
+  // A cut line is finished with Enter, not by returning to its first point
+  // Only crossing the closing distance re-renders the editor, not every pointer move
+  const pointerNearStart = useSyncExternalStore(pointer.subscribe, () =>
+    currentPolygon.length >= 3 && isNearPoint(pointer.get(), currentPolygon[0], closeThreshold));
+  const canClosePolygon = cutTarget === null && pointerNearStart;
+
+  // Vertex counts and constraints of the shape tools
+  const shapeOptions = useMemo(() => ({
+    ...toolOptions,
+    angleStep: snapSettings.angleStep,
+    tolerance: FREEHAND_TOLERANCE * pixel
+  }), [toolOptions, snapSettings.angleStep, pixel]);
+  // Outline of the shape being dragged out, or null while it is too small to be one
+  const draftPoints = useMemo(() => shapeDraft && shapePoints(shapeDraft, shapeOptions), [shapeDraft, shapeOptions]);
+
+  const polygonIssues = useMemo(() => {
+    if (!isValidating) return polygons.map(() => NO_ISSUES);
+    return validatePolygons(polygons, { winding: validationPolicy.winding });
+  }, [polygons, isValidating, validationPolicy.winding]);
+
+  // Grid of polygon bounds for snapping, marquee selection and culling
+  const spatialIndex = useMemo(() => createSpatialIndex(polygons), [polygons]);
+  // Node ids used by more than one vertex. The set only changes when the ids do, so the
+  // memoized shapes are not redrawn on every vertex move.
+  const sharedNodeKey = useMemo(() => sharedNodeIds(polygons).join(' '), [polygons]);
+  const sharedNodes = useMemo(() => new Set(sharedNodeKey.split(' ').filter(Boolean)), [sharedNodeKey]);
+
+  // Polygons to draw, bottom to top: those on visible layers that are in view, plus the
+  // selection so its handles and keyboard focus targets always exist
+  const renderOrder = useMemo(() => {
+    const topLeft = screenToWorld(viewport, { x: -CULL_MARGIN, y: -CULL_MARGIN });
+    const bottomRight = screenToWorld(viewport, { x: canvasSize.width + CULL_MARGIN, y: canvasSize.height + CULL_MARGIN });
+    const inView = new Set(queryRect(spatialIndex, {
+      minX: topLeft.x,
+      minY: topLeft.y,
+      maxX: bottomRight.x,
+      maxY: bottomRight.y
+    }));
+    return drawingOrder(polygons, layers).filter(index =>
+      layerOf(polygons[index], layers).visible && (inView.has(index) || selectedPolygons.includes(index))
+    );
+  }, [polygons, layers, spatialIndex, viewport, canvasSize, selectedPolygons]);
+
+  // Polygons that would replace each selected polygon under the previewed operation, or
+  // null when it fails or would remove a polygon entirely. Not recomputed during drags.
+  const geometryResults = useMemo(() => {
+    if (!geometryOperation || selectedPolygons.length === 0 || drag) return null;
+    try {
+      const results = selectedPolygons.map(index => applyGeometryOperation(geometryOperation.type, polygons[index], geometryOperation));
+      return results.every(result => result.length > 0) ? results : null;
+    } catch {
+      return null;
+    }
+  }, [geometryOperation, selectedPolygons, polygons, drag]);
+
+  // While hovering the first vertex, show what closing the polygon would produce
+  const currentIssues = useMemo(() => {
+    if (!isValidating || cutTarget !== null) return [];
+    return validateRing(currentPolygon, { closed: canClosePolygon });
+  }, [currentPolygon, isValidating, canClosePolygon, cutTarget]);
+
+  // Record the state reached by an action as one undo step. Edits sharing a `coalesce`
+  // key in quick succession, like repeated nudges, are merged into a single step.
+  const saveToHistory = useCallback((newPolygons, newCurrentPolygon, { label, layers: newLayers = layers, coalesce } = {}) => {
+    const state = { polygons: newPolygons, currentPolygon: newCurrentPolygon, layers: newLayers };
+    setHistory(prev => recordHistory(prev, state, { label, coalesce }));
+  }, [layers]);
+
+  // Show a state reached by undo, redo or a jump in the history panel
+  const restoreState = useCallback((state) => {
+    setPolygons(state.polygons);
+    setCurrentPolygon(state.currentPolygon);
+    setLayers(state.layers);
+    setSelectedPolygons([]);
+    // Keep drawing a hole or cut line only while its polygon still exists, wherever it
+    // now sits in the stacking order
+    const follow = (target) => {
+      const index = target === null ? -1 : state.polygons.findIndex(polygon => polygon.id === polygons[target]?.id);
+      return index === -1 ? null : index;
+    };
+    setHoleTarget(follow(holeTarget));
+    setCutTarget(follow(cutTarget));
+    setSelectedVertex(null);
+    propertyEditPending.current = false;
+    setIsDrawing(state.currentPolygon.length > 0);
+  }, [polygons, holeTarget, cutTarget]);
+
+  // Undo or redo to just after the given step; 0 is the start of the history
+  const jumpToHistory = useCallback((index) => {
+    const next = moveHistory(history, index);
+    if (next.index === history.index) return;
+    setHistory(next);
+    restoreState(next.state);
+    const steps = next.index - history.index;
+    if (steps === -1) {
+      announce(`Undone: ${history.entries[next.index].label}`);
+    } else if (steps === 1) {
+      announce(`Redone: ${history.entries[history.index].label}`);
+    } else {
+      announce(`${countLabel(Math.abs(steps), 'step')} ${steps < 0 ? 'undone' : 'redone'}`);
+    }
+  }, [history, restoreState, announce]);
+
+  const undo = useCallback(() => jumpToHistory(history.index - 1), [history.index, jumpToHistory]);
+  const redo = useCallback(() => jumpToHistory(history.index + 1), [history.index, jumpToHistory]);
+
+  // Let the host persist the undo history (and with it the visible state) whenever it changes
+  useEffect(() => {
+    events.current.onHistoryChange?.(history);
+  }, [history]);
+
+  // Adopt a controlled value that changed outside the editor. Values the editor reported
+  // itself come back as the same array and are skipped.
+  useEffect(() => {
+    if (value === undefined || value === lastValue.current) return;
+    lastValue.current = value;
+    if (value === syncedPolygons.current) return;
+    const state = { ...history.state, polygons: importPolygons(value) };
+    syncedPolygons.current = state.polygons;
+    if (recordExternalChanges) {
+      setDraggedVertex(null);
+      setDrag(null);
+      setHistory(prev => recordHistory(prev, state, { label: 'External change' }));
+      restoreState(state);
+      return;
+    }
+    // Someone else's change: the drawing in progress, the selection and the hole or cut
+    // target stay, followed by id to their new positions
+    const indexOf = (index) => index === null ? -1 : state.polygons.findIndex(polygon => polygon.id === polygons[index]?.id);
+    const follow = (index) => indexOf(index) === -1 ? null : indexOf(index);
+    const vertexIndex = selectedVertex && indexOf(selectedVertex.polygonIndex);
+    const keepsVertex = vertexIndex !== null && vertexIndex !== -1 &&
+      getRing(state.polygons[vertexIndex], selectedVertex.ringIndex)?.[selectedVertex.vertexIndex] !== undefined;
+
+    // A vertex drag or transform in progress goes on unless the change touched the polygons
+    // it is changing; those keep their dragged shape
+    const dragged = draggedVertex
+      ? (snapSettings.shared ? vertexGroup(polygons, draggedVertex, canEdit) : [draggedVertex]).map(member => member.polygonIndex)
+      : drag ? drag.selection : [];
+    const draggedIds = new Set(dragged.map(index => polygons[index].id));
+    const committed = new Map(history.state.polygons.map(polygon => [polygon.id, polygon]));
+    const keepsGesture = [...draggedIds].every(id => {
+      const incoming = state.polygons.find(polygon => polygon.id === id);
+      return incoming && JSON.stringify(incoming) === JSON.stringify(committed.get(id));
+    });
+    const shown = keepsGesture
+      ? state.polygons.map(polygon => draggedIds.has(polygon.id) ? polygons.find(own => own.id === polygon.id) : polygon)
+      : state.polygons;
+
+    setHistory(prev => adoptState(prev, state));
+    setPolygons(shown);
+    if (keepsGesture) {
+      if (draggedVertex) setDraggedVertex({ ...draggedVertex, polygonIndex: indexOf(draggedVertex.polygonIndex) });
+      if (drag) setDrag({ ...drag, originals: state.polygons, selection: drag.selection.map(indexOf) });
+    } else {
+      setDraggedVertex(null);
+      setDrag(null);
+    }
+    setSelectedPolygons(selectedPolygons.map(indexOf).filter(index => index !== -1));
+    setSelectedVertex(keepsVertex ? { ...selectedVertex, polygonIndex: vertexIndex } : null);
+    setHoleTarget(follow(holeTarget));
+    setCutTarget(follow(cutTarget));
+  }, [value, history.state, restoreState, recordExternalChanges, selectedPolygons, selectedVertex, polygons, holeTarget, cutTarget,
+    draggedVertex, drag, snapSettings.shared, canEdit]);
+
+  // Report committed changes to the polygons; gestures in progress are not reported
+  useEffect(() => {
+    const committed = history.state.polygons;
+    if (committed === syncedPolygons.current) return;
+    syncedPolygons.current = committed;
+    events.current.onChange?.(committed);
+  }, [history.state.polygons]);
+
+  // Report the selected polygons whenever a different set is selected
+  useEffect(() => {
+    const selected = selectedPolygons.map(index => polygons[index]).filter(Boolean);
+    const ids = selected.map(polygon => polygon.id).join(' ');
+    if (ids === lastSelection.current) return;
+    lastSelection.current = ids;
+    events.current.onSelect?.(selected, selectedPolygons);
+  }, [selectedPolygons, polygons]);
+
+  // Check if undo/redo are available
+  const canUndo = history.index > 0;
+  const canRedo = history.index < history.entries.length;
+
+  // Keyboard shortcuts for undo/redo
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      // Text fields keep their own undo
+      if (['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target.tagName)) return;
+      // Ctrl+Z for undo (Cmd+Z on Mac)
+      if ((event.ctrlKey || event.metaKey) && event.key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        undo();
+      }
+      // Ctrl+Shift+Z or Ctrl+Y for redo (Cmd+Shift+Z or Cmd+Y on Mac)
+      else if (((event.ctrlKey || event.metaKey) && event.shiftKey && event.key === 'Z') ||
+        ((event.ctrlKey || event.metaKey) && event.key === 'y')) {
+        event.preventDefault();
+        redo();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo]);
+
+  // The dragged vertex, or with shared vertices on every vertex of its node
+  const draggedGroup = useMemo(() =>
+    draggedVertex && snapSettings.shared && polygons[draggedVertex.polygonIndex] ? vertexGroup(polygons, draggedVertex, canEdit) : draggedVertex,
+  [polygons, draggedVertex, snapSettings.shared, canEdit]);
+
+  // Snap the pointer for placing or dragging a vertex. The angle constraint (Shift) is
+  // measured from the previous vertex of the ring being dragged or drawn.
+  const computeSnap = useCallback((coords, constrain) => {
+    let anchor = currentPolygon[currentPolygon.length - 1] || null;
+    if (draggedVertex) {
+      const ring = getRing(polygons[draggedVertex.polygonIndex], draggedVertex.ringIndex);
+      anchor = ring[(draggedVertex.vertexIndex - 1 + ring.length) % ring.length];
+    }
+    // Hidden and locked layers only take part when the snap settings say so
+    const include = (polygon) => {
+      const layer = layerOf(polygon, layers);
+      return (layer.visible || snapSettings.hiddenLayers) && (!layer.locked || snapSettings.lockedLayers);
+    };
+    return findSnap(coords, {
+      polygons,
+      currentPolygon,
+      settings: snapSettings,
+      threshold: snapThreshold,
+      anchor,
+      constrain,
+      exclude: draggedGroup,
+      include,
+      index: spatialIndex
+    });
+  }, [polygons, spatialIndex, currentPolygon, layers, draggedVertex, draggedGroup, snapSettings, snapThreshold]);
+
+  // Whether the pointer has moved far enough from where it was pressed to count as a drag.
+  // Coarse pointers get more slack so a wobbly tap still counts as a tap.
+  const movedFromPress = useCallback((event) => {
+    const start = pressPoint.current;
+    return !start || Math.hypot(event.clientX - start.x, event.clientY - start.y) >= dragThreshold * hitScale;
+  }, [dragThreshold, hitScale]);
+
+  // Turn the current press into a drag once the pointer has moved far enough. From then on
+  // the pointer is captured, so the drag continues outside the canvas, and the click that
+  // ends it is swallowed. Returns whether the press is a drag.
+  const beginDrag = useCallback((event) => {
+    if (gestureMoved.current) return true;
+    if (!movedFromPress(event)) return false;
+    gestureMoved.current = true;
+    swallowClick.current = true;
+    clearTimeout(longPress.current);
+    svgRef.current?.setPointerCapture?.(event.pointerId);
+    return true;
+  }, [movedFromPress]);
+
+  // Abandon a pan, vertex drag, transform or marquee in progress, putting the polygons back
+  const cancelGesture = useCallback(() => {
+    if (draggedVertex) setPolygons(history.state.polygons);
+    if (drag) setPolygons(drag.originals);
+    setDraggedVertex(null);
+    setDrag(null);
+    setMarquee(null);
+    setShapeDraft(null);
+    setPan(null);
+    setSnapTarget(null);
+  }, [draggedVertex, drag, history.state]);
+
+  // Every press starts here, before the handlers of the element under the pointer. Touch
+  // points are tracked for pinch-zoom; a second finger cancels whatever the first started.
+  const handlePointerDownCapture = useCallback((event) => {
+    if (event.pointerType !== pointerType) setPointerType(event.pointerType);
+    if (event.pointerType === 'touch') {
+      touches.current.set(event.pointerId, getScreenCoordinates(event));
+    }
+    if (touches.current.size > 1) {
+      event.stopPropagation();
+      if (touches.current.size === 2) {
+        clearTimeout(longPress.current);
+        cancelGesture();
+        const [first, second] = [...touches.current.values()];
+        pinch.current = {
+          center: { x: (first.x + second.x) / 2, y: (first.y + second.y) / 2 },
+          distance: Math.max(distance(first, second), 1),
+          origin: viewport
+        };
+        swallowClick.current = true;
+      }
+      return;
+    }
+
+    gestureMoved.current = false;
+    swallowClick.current = false;
+    pressPoint.current = { x: event.clientX, y: event.clientY };
+    pressTarget.current = { type: 'canvas' };
+    setContextMenu(null);
+    setKeyboardCursor(null);
+
+    // Middle-drag or Space-drag pans the view; handled here so it works over polygons too
+    if (event.button === 1 || (event.button === 0 && spaceHeld)) {
+      event.preventDefault();
+      event.stopPropagation();
+      svgRef.current?.setPointerCapture?.(event.pointerId);
+      gestureMoved.current = true;
+      swallowClick.current = true;
+      setPan({ start: { x: event.clientX, y: event.clientY }, origin: viewport });
+      return;
+    }
+
+    // Touch and pen have no right button; holding still opens the context menu instead
+    if (event.pointerType !== 'mouse' && event.button === 0) {
+      const position = getScreenCoordinates(event);
+      longPress.current = setTimeout(() => {
+        longPress.current = null;
+        swallowClick.current = true;
+        setDraggedVertex(null);
+        setDrag(null);
+        setMarquee(null);
+        setShapeDraft(null);
+        setSnapTarget(null);
+        setContextMenu({ ...position, target: pressTarget.current });
+      }, LONG_PRESS_DELAY);
+    }
+  }, [pointerType, spaceHeld, viewport, getScreenCoordinates, cancelGesture]);
+
+  // Handle pointer move for preview line and dragging
+  const handlePointerMove = useCallback((event) => {
+    if (touches.current.has(event.pointerId)) {
+      touches.current.set(event.pointerId, getScreenCoordinates(event));
+    }
+
+    // Two fingers pan and zoom around the point between them
+    if (pinch.current) {
+      if (touches.current.size < 2) return;
+      const [first, second] = [...touches.current.values()];
+      const center = { x: (first.x + second.x) / 2, y: (first.y + second.y) / 2 };
+      const { origin, center: start } = pinch.current;
+      const panned = panBy(origin, center.x - start.x, center.y - start.y);
+      setViewport(zoomAt(panned, center, distance(first, second) / pinch.current.distance));
+      return;
+    }
+
+    if (pan) {
+      setViewport(panBy(pan.origin, event.clientX - pan.start.x, event.clientY - pan.start.y));
+      return;
+    }
+
+    if (longPress.current && movedFromPress(event)) {
+      clearTimeout(longPress.current);
+      longPress.current = null;
+    }
+
+    const coords = getSVGCoordinates(event);
+    pointer.set(coords);
+    events.current.onCursorMove?.(coords);
+
+    // Whole-selection transforms and marquee selection take over the pointer
+    if (drag) {
+      if (beginDrag(event)) {
+        setPolygons(applyDrag(drag, coords, { constrain: event.shiftKey }));
+      }
+      return;
+    }
+    if (marquee) {
+      if (beginDrag(event)) {
+        setMarquee({ ...marquee, current: coords, active: true });
+      }
+      return;
+    }
+    // Freehand strokes follow the pointer; the other shapes snap their dragged corner
+    if (shapeDraft) {
+      if (!beginDrag(event)) return;
+      if (shapeDraft.tool === 'freehand') {
+        if (distance(coords, shapeDraft.stroke[shapeDraft.stroke.length - 1]) >= pixel) {
+          setShapeDraft({ ...shapeDraft, stroke: [...shapeDraft.stroke, coords] });
+        }
+      } else {
+        const snap = computeSnap(coords, false);
+        setSnapTarget(prev => isSameSnap(prev, snap) ? prev : snap);
+        setShapeDraft({ ...shapeDraft, current: snap ? snap.point : coords, constrain: event.shiftKey });
+      }
+      return;
+    }
+
+    // Check for snap targets
+    // An unchanged snap keeps its object, so moving within it does not re-render the editor
+    const snapTarget = computeSnap(coords, event.shiftKey);
+    setSnapTarget(prev => isSameSnap(prev, snapTarget) ? prev : snapTarget);
+
+    if (draggedVertex && beginDrag(event)) {
+      const { polygonIndex, ringIndex, vertexIndex } = draggedVertex;
+
+      // Use snap target coordinates if snapping
+      const finalCoords = snapTarget ? snapTarget.point : coords;
+
+      // A shared node moves in every polygon that uses it
+      setPolygons(prev => snapSettings.shared ? moveNode(prev, draggedVertex, finalCoords, canEdit) : prev.map((polygon, pIndex) => {
+        if (pIndex === polygonIndex) {
+          return moveVertex(polygon, ringIndex, vertexIndex, finalCoords);
+        }
+        return polygon;
+      }));
+    }
+  }, [getScreenCoordinates, getSVGCoordinates, computeSnap, movedFromPress, beginDrag, pan, draggedVertex, drag, marquee, shapeDraft, pixel,
+    snapSettings.shared, canEdit, pointer]);
+
+  // Add a finished ring as a new polygon, or cut it out of the hole target. Rings come from
+  // the clicked vertices of the polygon being drawn or from the shape tools.
+  const closeRing = useCallback((ring, polygonLabel) => {
+    const closingIssues = validateRing(ring);
+    if (validationPolicy.mode === 'block' && hasErrors(closingIssues)) {
+      setStatusMessage(`Cannot close polygon: ${describeErrors(closingIssues)}`);
+      return;
+    }
+
+    let newPolygons;
+    let label = polygonLabel;
+    if (holeTarget !== null) {
+      // The new ring must sit inside the outer ring of the polygon it is cut from
+      const target = polygons[holeTarget];
+      const withHole = addHole(target, ring);
+      if (!ring.every(point => pointInPolygon(point, target.points)) ||
+        (hasErrors(validatePolygon(withHole)) && !hasErrors(validatePolygon(target)))) {
+        setStatusMessage('Cannot add hole: it must lie inside the polygon without touching its edges or other holes');
+        return;
+      }
+      newPolygons = polygons.map((polygon, index) => index === holeTarget ? withHole : polygon);
+      label = 'Add hole';
+      setHoleTarget(null);
+      announce(`Hole ${withHole.holes.length} added to polygon ${holeTarget + 1}`);
+    } else {
+      const polygon = createPolygon(ring, [], { layerId: activeLayerId });
+      newPolygons = [...polygons, polygon];
+      announce(`Polygon ${newPolygons.length} closed, ${countLabel(ring.length, 'vertex', 'vertices')}`);
+      events.current.onPolygonCreate?.(polygon, newPolygons.length - 1);
+    }
+    setPolygons(newPolygons);
+    setCurrentPolygon([]);
+    setIsDrawing(false);
+    setSnapTarget(null);
+    saveToHistory(newPolygons, [], { label });
+  }, [holeTarget, polygons, activeLayerId, saveToHistory, announce, validationPolicy.mode]);
+
+  // Split the cut target along the line drawn across it. The pieces take its place in the
+  // drawing order and are selected.
+  const splitAlongCut = useCallback(() => {
+    const pieces = splitPolygon(polygons[cutTarget], currentPolygon);
+    if (!pieces) {
+      setStatusMessage('Cannot split: the cut line must cross the polygon from one side to another');
+      return;
+    }
+    if (validationPolicy.mode === 'block' && pieces.some(piece => hasErrors(validatePolygon(piece)))) {
+      setStatusMessage(`Cannot split: ${describeErrors(pieces.flatMap(piece => validatePolygon(piece)))}`);
+      return;
+    }
+    const newPolygons = [...polygons.slice(0, cutTarget), ...pieces, ...polygons.slice(cutTarget + 1)];
+    setPolygons(newPolygons);
+    setCurrentPolygon([]);
+    setIsDrawing(false);
+    setSnapTarget(null);
+    setSelectedPolygons(pieces.map((_, offset) => cutTarget + offset));
+    setSelectedVertex(null);
+    setCutTarget(null);
+    setStatusMessage(null);
+    saveToHistory(newPolygons, [], { label: 'Split polygon' });
+    announce(`Polygon ${cutTarget + 1} split into ${countLabel(pieces.length, 'polygon')}`);
+  }, [polygons, cutTarget, currentPolygon, saveToHistory, announce, validationPolicy.mode]);
+
+  // Close the polygon being drawn vertex by vertex, or finish the cut line
+  const closePolygon = useCallback(() => cutTarget !== null ? splitAlongCut() : closeRing(currentPolygon, 'Close polygon'),
+    [cutTarget, currentPolygon, closeRing, splitAlongCut]);
+
+  // Take back the last placed point of the polygon being drawn
+  const removeLastPoint = useCallback(() => {
+    const newCurrentPolygon = currentPolygon.slice(0, -1);
+    setCurrentPolygon(newCurrentPolygon);
+    setIsDrawing(newCurrentPolygon.length > 0);
+    saveToHistory(polygons, newCurrentPolygon, { label: 'Remove point' });
+    announce(`Point ${currentPolygon.length} removed`);
+  }, [currentPolygon, polygons, saveToHistory, announce]);
+
+  // Throw away the polygon or cut line being drawn and leave hole or split mode
+  const cancelPolygon = useCallback(() => {
+    if (currentPolygon.length > 0) {
+      const kind = holeTarget !== null ? 'hole' : cutTarget !== null ? 'split' : 'polygon';
+      setCurrentPolygon([]);
+      setIsDrawing(false);
+      setSnapTarget(null);
+      saveToHistory(polygons, [], { label: `Cancel ${kind}` });
+      announce(`${kind[0].toUpperCase()}${kind.slice(1)} cancelled`);
+    }
+    setHoleTarget(null);
+    setCutTarget(null);
+  }, [currentPolygon, holeTarget, cutTarget, polygons, saveToHistory, announce]);
+
+  // Add a point to the polygon being drawn. With shared vertices on, a point snapped onto
+  // a vertex of a finished polygon joins that vertex's node.
+  const addPoint = useCallback((point, snap = null) => {
+    let newPolygons = polygons;
+    let vertex = point;
+    if (snapSettings.shared && cutTarget === null && snap?.kind === 'vertex' && snap.polygonIndex >= 0 && canEdit(polygons[snap.polygonIndex])) {
+      const linked = ensureNode(polygons, snap);
+      newPolygons = linked.polygons;
+      vertex = { ...point, node: linked.node };
+      setPolygons(newPolygons);
+    }
+    const newCurrentPolygon = [...currentPolygon, vertex];
+    setCurrentPolygon(newCurrentPolygon);
+    setIsDrawing(true);
+    saveToHistory(newPolygons, newCurrentPolygon, { label: 'Add vertex' });
+    announce(`Point ${newCurrentPolygon.length} at ${describePoint(point)}`);
+  }, [currentPolygon, polygons, cutTarget, snapSettings.shared, canEdit, saveToHistory, announce]);
+
+  // Handle SVG click for adding vertices
+  const handleSVGClick = useCallback((event) => {
+    const coords = getSVGCoordinates(event);
+    setStatusMessage(null);
+
+    // Deselect any selected polygon when clicking on empty space (the hole or cut target stays selected)
+    if (selectedPolygons.length > 0 && !hasDrawTarget) {
+      setSelectedPolygons([]);
+      setSelectedVertex(null);
+    }
+
+    // The shape tools draw by dragging; a click only selects or deselects. Cut lines are
+    // always drawn point by point.
+    if (tool !== 'polygon' && currentPolygon.length === 0 && cutTarget === null) return;
+
+    // Check if we're clicking near the first point to close the polygon automatically
+    if (cutTarget === null && currentPolygon.length >= 3 && isNearPoint(coords, currentPolygon[0], closeThreshold)) {
+      closePolygon();
+      return;
+    }
+
+    // Check for snap target for new vertex placement
+    const snapTarget = computeSnap(coords, event.shiftKey);
+    const finalCoords = snapTarget ? snapTarget.point : coords;
+
+    addPoint(finalCoords, snapTarget);
+    // Touch has no hover, so the snap indicator would otherwise stay behind
+    if (pointerType === 'touch') setSnapTarget(null);
+  }, [tool, currentPolygon, selectedPolygons, hasDrawTarget, cutTarget, pointerType, getSVGCoordinates, computeSnap, closeThreshold, closePolygon,
+    addPoint]);
+
+  // Delete a vertex, keeping at least three in every ring. A shared node is deleted from
+  // every polygon that uses it.
+  const deleteVertex = useCallback((polygonIndex, ringIndex, vertexIndex) => {
+    let newPolygons;
+    if (snapSettings.shared) {
+      newPolygons = removeNode(polygons, { polygonIndex, ringIndex, vertexIndex }, canEdit);
+    } else {
+      const updated = removeVertex(polygons[polygonIndex], ringIndex, vertexIndex);
+      newPolygons = updated && polygons.map((polygon, index) => index === polygonIndex ? updated : polygon);
+    }
+    if (!newPolygons) {
+      setStatusMessage('Cannot delete vertex: a ring needs at least three vertices');
+      return;
+    }
+    setPolygons(newPolygons);
+    setSelectedVertex(null);
+    setStatusMessage(null);
+    saveToHistory(newPolygons, currentPolygon, { label: 'Delete vertex' });
+    announce(`Vertex ${vertexIndex + 1} of polygon ${polygonIndex + 1} deleted`);
+  }, [polygons, currentPolygon, snapSettings.shared, canEdit, saveToHistory, announce]);
+
+  // Split a shared node back into independent vertices
+  const detachVertex = useCallback((address) => {
+    const newPolygons = detachNode(polygons, address, canEdit);
+    setPolygons(newPolygons);
+    setStatusMessage(null);
+    saveToHistory(newPolygons, currentPolygon, { label: 'Detach vertex' });
+    announce(`Vertex ${address.vertexIndex + 1} of polygon ${address.polygonIndex + 1} detached`);
+  }, [polygons, canEdit, currentPolygon, saveToHistory, announce]);
+
+  // Pressing a vertex starts dragging it
+  const handleVertexPointerDown = useCallback((event, polygonIndex, ringIndex, vertexIndex) => {
+    pressTarget.current = { type: 'vertex', polygonIndex, ringIndex, vertexIndex };
+    // Vertices on locked layers cannot be moved or deleted
+    if (event.button !== 0 || !isEditable(polygons[polygonIndex], layers)) return;
+    event.stopPropagation();
+    event.preventDefault();
+    // Alt-click deletes the vertex instead of dragging it
+    if (event.altKey) {
+      deleteVertex(polygonIndex, ringIndex, vertexIndex);
+      return;
+    }
+    setDraggedVertex({ polygonIndex, ringIndex, vertexIndex });
+    setStatusMessage(null);
+  }, [polygons, layers, deleteVertex]);
+
+  // Clicking a vertex of a selected polygon selects that vertex for the Delete key.
+  // Elsewhere the click falls through so drawing can start or continue on the vertex.
+  const handleVertexClick = useCallback((event, polygonIndex, ringIndex, vertexIndex) => {
+    if (event.altKey) {
+      event.stopPropagation();
+      return;
+    }
+    if (currentPolygon.length > 0 || hasDrawTarget || !selectedPolygons.includes(polygonIndex)) return;
+    event.stopPropagation();
+    setSelectedVertex({ polygonIndex, ringIndex, vertexIndex });
+  }, [currentPolygon, hasDrawTarget, selectedPolygons]);
+
+  // Dragging an edge midpoint inserts a new vertex there and drags it
+  const handleMidpointPointerDown = useCallback((event, polygonIndex, ringIndex, edgeIndex, point) => {
+    if (event.button !== 0) return;
+    event.stopPropagation();
+    event.preventDefault();
+    clearTimeout(longPress.current);
+    // A shared edge gets the new vertex in every polygon along it
+    setPolygons(prev => snapSettings.shared ? insertOnEdge(prev, { polygonIndex, ringIndex, edgeIndex }, point, canEdit) : prev.map((polygon, index) =>
+      index === polygonIndex ? insertVertex(polygon, ringIndex, edgeIndex + 1, point) : polygon
+    ));
+    // The insertion is recorded even if the new vertex is not moved
+    setDraggedVertex({ polygonIndex, ringIndex, vertexIndex: edgeIndex + 1, inserted: true });
+    setSelectedVertex(null);
+    setStatusMessage(null);
+  }, [snapSettings.shared, canEdit]);
+
+  // Clicks that end a drag, pan, pinch or long press are not clicks, and neither are
+  // clicks while Space is held
+  const handleClickCapture = useCallback((event) => {
+    if (spaceHeld || swallowClick.current) event.stopPropagation();
+  }, [spaceHeld]);
+
+  // Right-click opens the context menu. Touch and pen use a long press instead, so the
+  // browser's own long-press menu event is ignored for them.
+  const handleContextMenu = useCallback((event) => {
+    event.preventDefault();
+    if (pointerType !== 'mouse') return;
+    setContextMenu({ ...getScreenCoordinates(event), target: pressTarget.current || { type: 'canvas' } });
+  }, [pointerType, getScreenCoordinates]);
+
+  const closeContextMenu = useCallback(() => setContextMenu(null), []);
+
+  // Start a shape with the active tool, or with the polygon tool a marquee selection, when
+  // pressing on empty canvas while not drawing
+  const handleCanvasPointerDown = useCallback((event) => {
+    if (event.button !== 0 || currentPolygon.length > 0) return;
+    const coords = getSVGCoordinates(event);
+    if (tool !== 'polygon' && cutTarget === null) {
+      const snap = tool === 'freehand' ? null : computeSnap(coords, false);
+      const start = snap ? snap.point : coords;
+      setShapeDraft({ tool, start, current: start, stroke: [coords], constrain: event.shiftKey });
+      return;
+    }
+    if (hasDrawTarget) return;
+    setMarquee({ start: coords, current: coords, additive: event.shiftKey, active: false });
+  }, [tool, currentPolygon, hasDrawTarget, cutTarget, getSVGCoordinates, computeSnap]);
+
+  // Start moving the selection when pressing on an already selected polygon
+  const handlePolygonPointerDown = useCallback((event, polygonIndex) => {
+    pressTarget.current = { type: 'polygon', polygonIndex };
+    if (event.button !== 0 || currentPolygon.length > 0 || hasDrawTarget) return;
+    if (!selectedPolygons.includes(polygonIndex) || !isEditable(polygons[polygonIndex], layers)) return;
+    event.stopPropagation();
+    setDrag({ type: 'move', start: getSVGCoordinates(event), originals: polygons, selection: selectedPolygons });
+  }, [currentPolygon, hasDrawTarget, selectedPolygons, polygons, layers, getSVGCoordinates]);
+
+  // Start scaling from a corner handle; the opposite corner stays fixed
+  const handleScaleStart = useCallback((event, handle, anchor) => {
+    if (event.button !== 0) return;
+    event.stopPropagation();
+    event.preventDefault();
+    clearTimeout(longPress.current);
+    setDrag({ type: 'scale', start: handle, anchor, originals: polygons, selection: selectedPolygons });
+  }, [polygons, selectedPolygons]);
+
+  // Start rotating around the centre of the selection
+  const handleRotateStart = useCallback((event) => {
+    if (event.button !== 0) return;
+    event.stopPropagation();
+    event.preventDefault();
+    clearTimeout(longPress.current);
+    const center = boundsCenter(polygonsBounds(selectedPolygons.map(index => polygons[index])));
+    setDrag({ type: 'rotate', start: getSVGCoordinates(event), center, originals: polygons, selection: selectedPolygons });
+  }, [polygons, selectedPolygons, getSVGCoordinates]);
+
+  // Handle pointer up to finish the pan, drag or marquee in progress
+  const handlePointerUp = useCallback((event) => {
+    touches.current.delete(event.pointerId);
+    clearTimeout(longPress.current);
+    longPress.current = null;
+
+    // Lifting one finger ends the pinch; the other one does nothing until it is lifted too
+    if (pinch.current) {
+      if (touches.current.size < 2) pinch.current = null;
+      return;
+    }
+
+    if (pan) {
+      setPan(null);
+    }
+
+    if (drag) {
+      // The whole transform becomes a single history entry
+      if (gestureMoved.current) {
+        saveToHistory(polygons, currentPolygon, { label: DRAG_LABELS[drag.type] });
+      }
+      setDrag(null);
+    }
+
+    if (marquee) {
+      if (marquee.active) {
+        const left = Math.min(marquee.start.x, marquee.current.x);
+        const right = Math.max(marquee.start.x, marquee.current.x);
+        const top = Math.min(marquee.start.y, marquee.current.y);
+        const bottom = Math.max(marquee.start.y, marquee.current.y);
+        // Select editable polygons that lie entirely inside the rectangle
+        const enclosed = queryRect(spatialIndex, { minX: left, minY: top, maxX: right, maxY: bottom })
+          .filter(index => isEditable(polygons[index], layers) && polygons[index].points.every(point =>
+            point.x >= left && point.x <= right && point.y >= top && point.y <= bottom
+          ));
+        setSelectedPolygons(marquee.additive
+          ? [...selectedPolygons, ...enclosed.filter(index => !selectedPolygons.includes(index))]
+          : enclosed);
+      }
+      setMarquee(null);
+    }
+
+    // A shape too small to have an area is dropped, like a click
+    if (shapeDraft) {
+      const points = gestureMoved.current ? shapePoints(shapeDraft, shapeOptions) : null;
+      if (points) closeRing(points, SHAPE_LABELS[shapeDraft.tool]);
+      setShapeDraft(null);
+    }
+
+    if (draggedVertex && (gestureMoved.current || draggedVertex.inserted)) {
+      const { polygonIndex } = draggedVertex;
+      const committedPolygons = history.state.polygons;
+      // With shared vertices on, dropping onto another polygon's vertex joins the two nodes
+      let newPolygons = polygons;
+      const joining = snapSettings.shared && snapTarget?.kind === 'vertex' && snapTarget.polygonIndex >= 0 &&
+        !draggedGroup.some(({ polygonIndex: p, ringIndex: r, vertexIndex: v }) =>
+          p === snapTarget.polygonIndex && r === snapTarget.ringIndex && v === snapTarget.vertexIndex);
+      if (joining) newPolygons = joinVertices(polygons, [snapTarget, draggedVertex], canEdit);
+      // Only block drags that break a polygon which was valid before, so broken ones can still be repaired
+      const affected = [...new Set([draggedGroup].flat().map(member => member.polygonIndex))];
+      const broken = affected.map(index => validatePolygon(newPolygons[index]))
+        .find((issues, position) => hasErrors(issues) && !hasErrors(validatePolygon(committedPolygons[affected[position]])));
+
+      if (validationPolicy.mode === 'block' && broken) {
+        setPolygons(committedPolygons);
+        setStatusMessage(`Move reverted: ${describeErrors(broken)}`);
+      } else {
+        setPolygons(newPolygons);
+        saveToHistory(newPolygons, currentPolygon, {
+          label: draggedVertex.inserted ? 'Insert vertex' : joining ? 'Join vertices' : draggedVertex.ringIndex > 0 ? 'Move hole vertex' : 'Move vertex'
+        });
+        const { ringIndex, vertexIndex } = draggedVertex;
+        const polygon = newPolygons[polygonIndex];
+        events.current.onVertexMove?.({ polygon, polygonIndex, ringIndex, vertexIndex, point: getRing(polygon, ringIndex)[vertexIndex] });
+      }
+    }
+    setDraggedVertex(null);
+    setSnapTarget(null); // Clear snap target when the pointer is released
+  }, [pan, drag, marquee, shapeDraft, shapeOptions, closeRing, selectedPolygons, draggedVertex, draggedGroup, snapTarget, snapSettings.shared,
+    polygons, layers, currentPolygon, spatialIndex, saveToHistory, history.state, validationPolicy.mode, canEdit]);
+
+  // The pointer left the canvas, so there is no cursor to show collaborators
+  const handlePointerLeave = useCallback(() => events.current.onCursorMove?.(null), []);
+
+  // The browser took the pointer over (for example to scroll), so nothing it started counts
+  const handlePointerCancel = useCallback((event) => {
+    touches.current.delete(event.pointerId);
+    clearTimeout(longPress.current);
+    longPress.current = null;
+    if (touches.current.size < 2) pinch.current = null;
+    cancelGesture();
+  }, [cancelGesture]);
+
+  // Handle polygon deletion
+  const deletePolygon = useCallback((polygonIndex) => {
+    const newPolygons = polygons.filter((_, index) => index !== polygonIndex);
+    setPolygons(newPolygons);
+    setSelectedPolygons([]);
+    setSelectedVertex(null);
+    setHoleTarget(null);
+    setCutTarget(null);
+    saveToHistory(newPolygons, currentPolygon, { label: 'Delete polygon' });
+    announce(`Polygon ${polygonIndex + 1} deleted`);
+    events.current.onDelete?.([polygons[polygonIndex]]);
+  }, [polygons, currentPolygon, saveToHistory, announce]);
+
+  // Handle polygon double-click for deletion
+  const handlePolygonDoubleClick = useCallback((event, polygonIndex) => {
+    if (currentPolygon.length > 0 || hasDrawTarget || !isEditable(polygons[polygonIndex], layers)) return;
+    event.stopPropagation();
+    deletePolygon(polygonIndex);
+  }, [deletePolygon, polygons, layers, currentPolygon, hasDrawTarget]);
+
+  // Remove one hole from a polygon
+  const deleteHole = useCallback((polygonIndex, holeIndex) => {
+    const newPolygons = polygons.map((polygon, index) =>
+      index === polygonIndex ? removeHole(polygon, holeIndex) : polygon
+    );
+    setPolygons(newPolygons);
+    saveToHistory(newPolygons, currentPolygon, { label: 'Delete hole' });
+  }, [polygons, currentPolygon, saveToHistory]);
+
+  // Start or cancel drawing a hole in the selected polygon
+  const toggleHoleMode = useCallback(() => {
+    if (holeTarget !== null) {
+      setHoleTarget(null);
+      return;
+    }
+    if (selectedPolygons.length === 1) {
+      setHoleTarget(selectedPolygons[0]);
+      setCutTarget(null);
+      setStatusMessage(null);
+    }
+  }, [holeTarget, selectedPolygons]);
+
+  // Start or cancel drawing a cut line across the selected polygon
+  const toggleSplitMode = useCallback(() => {
+    if (cutTarget !== null) {
+      cancelPolygon();
+      return;
+    }
+    if (selectedPolygons.length === 1) {
+      setCutTarget(selectedPolygons[0]);
+      setHoleTarget(null);
+      setStatusMessage(null);
+    }
+  }, [cutTarget, selectedPolygons, cancelPolygon]);
+
+  // Join the two selected polygons along their shared edge. The result keeps the first
+  // selected polygon's place, id and properties.
+  const mergeSelection = useCallback(() => {
+    const [first, second] = selectedPolygons;
+    let merged;
+    try {
+      merged = mergePolygons(polygons[first], polygons[second]);
+    } catch (error) {
+      setStatusMessage(`Merge failed: ${error.message}`);
+      return;
+    }
+    const newPolygons = polygons
+      .map((polygon, index) => index === first ? merged : polygon)
+      .filter((_, index) => index !== second);
+    setPolygons(newPolygons);
+    setSelectedPolygons([second < first ? first - 1 : first]);
+    setSelectedVertex(null);
+    setStatusMessage(null);
+    saveToHistory(newPolygons, currentPolygon, { label: 'Merge polygons' });
+    announce(`Polygons ${first + 1} and ${second + 1} merged`);
+  }, [polygons, selectedPolygons, currentPolygon, saveToHistory, announce]);
+
+  // Delete every selected polygon
+  const deleteSelectedPolygons = useCallback(() => {
+    const newPolygons = polygons.filter((_, index) => !selectedPolygons.includes(index));
+    setPolygons(newPolygons);
+    setSelectedPolygons([]);
+    setSelectedVertex(null);
+    setHoleTarget(null);
+    setCutTarget(null);
+    saveToHistory(newPolygons, currentPolygon, {
+      label: selectedPolygons.length === 1 ? 'Delete polygon' : `Delete ${selectedPolygons.length} polygons`
+    });
+    announce(`${countLabel(selectedPolygons.length, 'polygon')} deleted`);
+    events.current.onDelete?.(selectedPolygons.map(index => polygons[index]));
+  }, [polygons, selectedPolygons, currentPolygon, saveToHistory, announce]);
+
+  // Handle polygon selection; Shift/Ctrl/Cmd-click adds to or removes from the selection
+  const handlePolygonClick = useCallback((event, polygonIndex) => {
+    // While drawing, clicks on existing polygons place vertices (needed to draw holes and cut lines)
+    if (currentPolygon.length > 0 || hasDrawTarget) return;
+    // Polygons on locked layers cannot be selected; the click reaches the canvas instead
+    if (!isEditable(polygons[polygonIndex], layers)) return;
+    event.stopPropagation();
+    setSelectedVertex(null);
+    const isSelected = selectedPolygons.includes(polygonIndex);
+    if (event.shiftKey || event.ctrlKey || event.metaKey) {
+      setSelectedPolygons(isSelected
+        ? selectedPolygons.filter(index => index !== polygonIndex)
+        : [...selectedPolygons, polygonIndex]);
+    } else {
+      setSelectedPolygons(isSelected && selectedPolygons.length === 1 ? [] : [polygonIndex]);
+    }
+  }, [polygons, layers, selectedPolygons, currentPolygon, hasDrawTarget]);
+
+  // Change a polygon's name, attributes or style. Typing and slider edits are applied live
+  // and recorded by commitPolygonEdit once finished, so each becomes a single undo step.
+  const editPolygon = useCallback((polygonIndex, changes, commit = false) => {
+    const newPolygons = polygons.map((polygon, index) =>
+      index === polygonIndex ? { ...polygon, ...changes } : polygon
+    );
+    setPolygons(newPolygons);
+    propertyEditPending.current = !commit;
+    if (commit) {
+      // Quick successive changes, like stepping through colors, make one step
+      saveToHistory(newPolygons, currentPolygon, { label: 'Edit properties', coalesce: `edit:${polygons[polygonIndex].id}` });
+    }
+  }, [polygons, currentPolygon, saveToHistory]);
+
+  const commitPolygonEdit = useCallback(() => {
+    if (!propertyEditPending.current) return;
+    propertyEditPending.current = false;
+    saveToHistory(polygons, currentPolygon, { label: 'Edit properties' });
+  }, [polygons, currentPolygon, saveToHistory]);
+
+  // Apply a transform to every selected polygon as one history entry
+  const transformSelection = useCallback((transform, historyOptions) => {
+    if (selectedPolygons.length === 0) return;
+    const newPolygons = polygons.map((polygon, index) =>
+      selectedPolygons.includes(index) ? transform(polygon) : polygon
+    );
+    setPolygons(newPolygons);
+    saveToHistory(newPolygons, currentPolygon, historyOptions);
+  }, [polygons, selectedPolygons, currentPolygon, saveToHistory]);
+
+  // Mirror the selection around its centre
+  const flipSelection = useCallback((direction) => {
+    const center = boundsCenter(polygonsBounds(selectedPolygons.map(index => polygons[index])));
+    transformSelection(polygon => flipPolygon(polygon, direction, center), {
+      label: direction === 'horizontal' ? 'Flip horizontally' : 'Flip vertically'
+    });
+  }, [polygons, selectedPolygons, transformSelection]);
+
+  // Copy the selection with a small offset and select the copies
+  const duplicateSelection = useCallback(() => {
+    if (selectedPolygons.length === 0) return;
+    const copies = selectedPolygons.map(index => withNewId(translatePolygon(polygons[index], 20, 20)));
+    const newPolygons = [...polygons, ...copies];
+    setPolygons(newPolygons);
+    setSelectedPolygons(copies.map((_, offset) => polygons.length + offset));
+    saveToHistory(newPolygons, currentPolygon, { label: 'Duplicate' });
+    announce(`${countLabel(copies.length, 'polygon')} duplicated`);
+  }, [polygons, selectedPolygons, currentPolygon, saveToHistory, announce]);
+
+  // Bring the selected polygon forward (1) or send it backward (-1) within its layer
+  const shiftSelection = useCallback((offset) => {
+    if (selectedPolygons.length !== 1) return;
+    const result = shiftPolygon(polygons, layers, selectedPolygons[0], offset);
+    if (result.polygons === polygons) return;
+    setPolygons(result.polygons);
+    setSelectedPolygons([result.index]);
+    saveToHistory(result.polygons, currentPolygon, { label: offset > 0 ? 'Bring forward' : 'Send backward' });
+  }, [polygons, layers, selectedPolygons, currentPolygon, saveToHistory]);
+
+  // Layer changes are undoable like any other edit
+  const applyLayers = useCallback((newLayers, label, newPolygons = polygons) => {
+    if (newLayers === layers) return;
+    setLayers(newLayers);
+    setPolygons(newPolygons);
+    // Polygons on hidden or locked layers drop out of the selection; removing polygons clears it
+    setSelectedPolygons(newPolygons === polygons
+      ? selectedPolygons.filter(index => isEditable(polygons[index], newLayers))
+      : []);
+    setSelectedVertex(null);
+    setHoleTarget(null);
+    setCutTarget(null);
+    saveToHistory(newPolygons, currentPolygon, { label, layers: newLayers });
+  }, [polygons, layers, selectedPolygons, currentPolygon, saveToHistory]);
+
+  const addLayer = useCallback((name) => {
+    const layer = createLayer(name);
+    applyLayers([...layers, layer], 'Add layer');
+    setChosenLayerId(layer.id);
+  }, [layers, applyLayers]);
+
+  const deleteLayer = useCallback((id) => {
+    const result = removeLayer(layers, polygons, id);
+    if (!result) return;
+    applyLayers(result.layers, 'Delete layer', result.polygons);
+    const removed = polygons.filter(polygon => !result.polygons.includes(polygon));
+    if (removed.length > 0) events.current.onDelete?.(removed);
+  }, [layers, polygons, applyLayers]);
+
+  const changeLayer = useCallback((id, changes) => {
+    let label = 'Rename layer';
+    if ('visible' in changes) label = changes.visible ? 'Show layer' : 'Hide layer';
+    if ('locked' in changes) label = changes.locked ? 'Lock layer' : 'Unlock layer';
+    applyLayers(updateLayer(layers, id, changes), label);
+  }, [layers, applyLayers]);
+
+  // Put the selected polygons on the active layer, on top of its stack
+  const moveSelectionToLayer = useCallback(() => {
+    const moved = selectedPolygons.map(index => ({ ...polygons[index], layerId: activeLayerId }));
+    const newPolygons = [...polygons.filter((_, index) => !selectedPolygons.includes(index)), ...moved];
+    setPolygons(newPolygons);
+    setSelectedPolygons(moved.map((_, offset) => newPolygons.length - moved.length + offset));
+    saveToHistory(newPolygons, currentPolygon, { label: 'Move to layer' });
+  }, [polygons, selectedPolygons, activeLayerId, currentPolygon, saveToHistory]);
+
+  // Polygon count per layer for the layers panel
+  const layerCounts = useMemo(() => {
+    const counts = {};
+    polygons.forEach(polygon => {
+      const { id } = layerOf(polygon, layers);
+      counts[id] = (counts[id] || 0) + 1;
+    });
+    return counts;
+  }, [polygons, layers]);
+
+  // Visible part of the drawing, as bounds in drawing coordinates
+  const visibleBounds = useCallback(() => {
+    const rect = svgRef.current?.getBoundingClientRect();
+    if (!rect) return null;
+    const topLeft = screenToWorld(viewport, { x: 0, y: 0 });
+    const bottomRight = screenToWorld(viewport, { x: rect.width, y: rect.height });
+    return { minX: topLeft.x, minY: topLeft.y, maxX: bottomRight.x, maxY: bottomRight.y };
+  }, [viewport]);
+
+  // Add pasted polygons on the active layer as one undoable step and select them.
+  // Pasting the same shapes again moves each copy a little further along.
+  const pastePolygons = useCallback((pasted, text) => {
+    const previous = lastPaste.current;
+    const count = previous.text === text ? previous.count + 1 : 1;
+    lastPaste.current = { text, count };
+    const copies = placePasted(pasted, count * PASTE_OFFSET, visibleBounds())
+      .map(polygon => ({ ...polygon, layerId: activeLayerId }));
+    const newPolygons = [...polygons, ...copies];
+    setPolygons(newPolygons);
+    setSelectedPolygons(copies
+      .map((_, offset) => polygons.length + offset)
+      .filter(index => isEditable(newPolygons[index], layers)));
+    setSelectedVertex(null);
+    saveToHistory(newPolygons, currentPolygon, { label: 'Paste' });
+    announce(`${countLabel(copies.length, 'polygon')} pasted`);
+  }, [polygons, layers, activeLayerId, currentPolygon, visibleBounds, saveToHistory, announce]);
+
+  // Clipboard shortcuts for the selected polygons. Copy, cut and paste use the browser's
+  // clipboard events so the data reaches the system clipboard; Ctrl+D duplicates in place.
+  useEffect(() => {
+    const inFormControl = (event) => ['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target.tagName);
+
+    const handleCopy = (event) => {
+      if (inFormControl(event) || selectedPolygons.length === 0) return;
+      // Leave ordinary text selections on the page to the browser
+      if (!window.getSelection()?.isCollapsed) return;
+      event.preventDefault();
+      const data = toClipboardData(selectedPolygons.map(index => polygons[index]));
+      Object.entries(data).forEach(([type, text]) => event.clipboardData.setData(type, text));
+      // A cut pastes back in place the first time; a copy lands beside the original
+      lastPaste.current = { text: data[CLIPBOARD_TYPE], count: event.type === 'cut' ? -1 : 0 };
+      if (event.type === 'cut') {
+        deleteSelectedPolygons();
+      } else {
+        announce(`${countLabel(selectedPolygons.length, 'polygon')} copied`);
+      }
+    };
+
+    const handlePaste = (event) => {
+      if (inFormControl(event)) return;
+      const getData = (type) => event.clipboardData.getData(type);
+      const pasted = parseClipboardData(getData);
+      if (!pasted) return;
+      event.preventDefault();
+      pastePolygons(pasted, getData(CLIPBOARD_TYPE) || getData('text/plain'));
+    };
+
+    const handleKeyDown = (event) => {
+      if ((event.ctrlKey || event.metaKey) && event.key === 'd' && !inFormControl(event)) {
+        // Also keeps the browser from bookmarking the page
+        event.preventDefault();
+        duplicateSelection();
+      }
+    };
+
+    window.addEventListener('copy', handleCopy);
+    window.addEventListener('cut', handleCopy);
+    window.addEventListener('paste', handlePaste);
+    window.addEventListener('keydown', handleKeyDown);
+    return () => {
+      window.removeEventListener('copy', handleCopy);
+      window.removeEventListener('cut', handleCopy);
+      window.removeEventListener('paste', handlePaste);
+      window.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [polygons, selectedPolygons, deleteSelectedPolygons, duplicateSelection, pastePolygons, announce]);
+
+  // Arrow keys nudge the selection by 1px, or 10px with Shift
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!ARROW_OFFSETS[event.key] || selectedPolygons.length === 0 || drag) return;
+      // Leave arrow keys alone in form controls
+      if (['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target.tagName)) return;
+      event.preventDefault();
+      const step = event.shiftKey ? 10 : 1;
+      const [dx, dy] = ARROW_OFFSETS[event.key];
+      transformSelection(polygon => translatePolygon(polygon, dx * step, dy * step), {
+        label: 'Nudge',
+        coalesce: `nudge:${selectedPolygons.map(index => polygons[index].id).join()}`
+      });
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [polygons, selectedPolygons, drag, transformSelection]);
+
+  // Pan just enough to bring a drawing point into view
+  const scrollIntoView = useCallback((point) => {
+    const rect = svgRef.current?.getBoundingClientRect();
+    if (!rect) return;
+    const margin = 40;
+    const screen = worldToScreen(viewport, point);
+    const dx = Math.max(0, margin - screen.x) - Math.max(0, screen.x - (rect.width - margin));
+    const dy = Math.max(0, margin - screen.y) - Math.max(0, screen.y - (rect.height - margin));
+    if (dx !== 0 || dy !== 0) setViewport(panBy(viewport, dx, dy));
+  }, [viewport]);
+
+  // Put the keyboard cursor somewhere and show where a point placed there would snap to
+  const placeCursor = useCallback((point) => {
+    const snap = computeSnap(point, false);
+    setKeyboardCursor(point);
+    pointer.set(point);
+    setSnapTarget(snap);
+    scrollIntoView(point);
+    announce(snap
+      ? `Cursor at ${describePoint(snap.point)}, snapped to ${snap.kind}`
+      : `Cursor at ${describePoint(point)}`);
+  }, [pointer, computeSnap, scrollIntoView, announce]);
+
+  // Show the keyboard cursor in the middle of the view when the canvas is reached by keyboard
+  const handleCanvasFocus = useCallback(() => {
+    if (keyboardCursor || !svgRef.current?.matches(':focus-visible')) return;
+    const rect = svgRef.current.getBoundingClientRect();
+    placeCursor(screenToWorld(viewport, { x: rect.width / 2, y: rect.height / 2 }));
+  }, [keyboardCursor, viewport, placeCursor]);
+
+  const handleCanvasBlur = useCallback(() => {
+    setKeyboardCursor(null);
+    setSnapTarget(null);
+  }, []);
+
+  // Move the focus to a polygon or one of its vertices by selecting it, or back to the cursor
+  const focusItem = useCallback((item) => {
+    setStatusMessage(null);
+    if (!item) {
+      setSelectedPolygons([]);
+      setSelectedVertex(null);
+      announce('Drawing cursor');
+      return;
+    }
+    const polygon = polygons[item.polygonIndex];
+    setSelectedPolygons([item.polygonIndex]);
+    if (item.vertexIndex === undefined) {
+      setSelectedVertex(null);
+      scrollIntoView(polygon.points[0]);
+      announce(describePolygon(polygon, item.polygonIndex));
+    } else {
+      const point = getRing(polygon, item.ringIndex)[item.vertexIndex];
+      setSelectedVertex(item);
+      scrollIntoView(point);
+      announce(describeVertex(item, point));
+    }
+  }, [polygons, scrollIntoView, announce]);
+
+  // Arrow keys on a focused vertex move it; a run of key presses is one history entry
+  const moveSelectedVertex = useCallback((dx, dy) => {
+    const { polygonIndex, ringIndex, vertexIndex } = selectedVertex;
+    const polygon = polygons[polygonIndex];
+    const point = getRing(polygon, ringIndex)[vertexIndex];
+    const target = { x: point.x + dx, y: point.y + dy };
+    const newPolygons = snapSettings.shared
+      ? moveNode(polygons, selectedVertex, target, canEdit)
+      : polygons.map((item, index) => index === polygonIndex ? moveVertex(polygon, ringIndex, vertexIndex, target) : item);
+    const moved = newPolygons[polygonIndex];
+    const issues = validatePolygon(moved);
+    if (validationPolicy.mode === 'block' && hasErrors(issues) && !hasErrors(validatePolygon(polygon))) {
+      setStatusMessage(`Move blocked: ${describeErrors(issues)}`);
+      return;
+    }
+    setPolygons(newPolygons);
+    saveToHistory(newPolygons, currentPolygon, {
+      label: ringIndex > 0 ? 'Move hole vertex' : 'Move vertex',
+      coalesce: `vertex:${polygon.id}:${ringIndex}:${vertexIndex}`
+    });
+    events.current.onVertexMove?.({ polygon: moved, polygonIndex, ringIndex, vertexIndex, point: target });
+    scrollIntoView(target);
+    announce(describeVertex(selectedVertex, target));
+  }, [polygons, selectedVertex, currentPolygon, snapSettings.shared, canEdit, saveToHistory, scrollIntoView, announce, validationPolicy.mode]);
+
+  // Keyboard drawing on the focused canvas. Arrow keys move the cursor, or the focused
+  // vertex; Space places a point at the cursor and Enter closes the polygon. Tab moves
+  // through polygons and their vertices, and out of the canvas after the last one.
+  const handleCanvasKeyDown = useCallback((event) => {
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
+    const offsets = ARROW_OFFSETS[event.key];
+    const isDrawingShape = currentPolygon.length > 0 || hasDrawTarget;
+    const cursorMode = !selectedVertex && (selectedPolygons.length === 0 || hasDrawTarget);
+
+    if (event.key === 'Tab') {
+      if (isDrawingShape) return;
+      const order = focusOrder(polygons, layers);
+      const next = focusPosition(order, selectedPolygons, selectedVertex) + (event.shiftKey ? -1 : 1);
+      if (next < -1 || next >= order.length) return;
+      event.preventDefault();
+      focusItem(next === -1 ? null : order[next]);
+    } else if (offsets && selectedVertex) {
+      event.preventDefault();
+      event.stopPropagation();
+      const step = event.shiftKey ? 10 : 1;
+      moveSelectedVertex(offsets[0] * step, offsets[1] * step);
+    } else if (offsets && cursorMode) {
+      event.preventDefault();
+      event.stopPropagation();
+      const rect = svgRef.current.getBoundingClientRect();
+      const origin = keyboardCursor || screenToWorld(viewport, { x: rect.width / 2, y: rect.height / 2 });
+      const step = (event.shiftKey ? 1 : CURSOR_STEP) * pixel;
+      placeCursor({ x: origin.x + offsets[0] * step, y: origin.y + offsets[1] * step });
+    } else if (event.key === ' ' && keyboardCursor && cursorMode) {
+      // Space is also the pan key; with the keyboard cursor showing it places a point
+      event.preventDefault();
+      event.stopPropagation();
+      if (cutTarget === null && currentPolygon.length >= 3 && isNearPoint(keyboardCursor, currentPolygon[0], closeThreshold)) {
+        closePolygon();
+        return;
+      }
+      const snap = computeSnap(keyboardCursor, false);
+      addPoint(snap ? snap.point : keyboardCursor, snap);
+    } else if (event.key === 'Enter' && currentPolygon.length >= (cutTarget !== null ? 2 : 3)) {
+      event.preventDefault();
+      closePolygon();
+    } else if (event.key === 'Delete' && !selectedVertex && !isDrawingShape && selectedPolygons.length > 0) {
+      event.preventDefault();
+      deleteSelectedPolygons();
+    } else if (event.key === 'Escape' && !isDrawingShape && selectedPolygons.length > 0) {
+      focusItem(null);
+    }
+  }, [polygons, layers, currentPolygon, hasDrawTarget, cutTarget, selectedPolygons, selectedVertex, keyboardCursor, viewport, pixel, closeThreshold,
+    focusItem, moveSelectedVertex, placeCursor, computeSnap, addPoint, closePolygon, deleteSelectedPolygons]);
+
+  // Drawing and vertex editing keys: Backspace removes the last placed point, Escape cancels
+  // the polygon being drawn, Delete (or Backspace when not drawing) removes the selected vertex
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target.tagName)) return;
+
+      if (event.key === 'Escape') {
+        cancelPolygon();
+        setShapeDraft(null);
+        setSelectedVertex(null);
+      } else if (event.key === 'Backspace' && currentPolygon.length > 0) {
+        event.preventDefault();
+        removeLastPoint();
+      } else if ((event.key === 'Delete' || event.key === 'Backspace') && selectedVertex) {
+        event.preventDefault();
+        const { polygonIndex, ringIndex, vertexIndex } = selectedVertex;
+        deleteVertex(polygonIndex, ringIndex, vertexIndex);
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [currentPolygon, selectedVertex, deleteVertex, cancelPolygon, removeLastPoint]);
+
+  // Space held turns left-drag into panning
+  useEffect(() => {
+    const ignore = (event) => event.code !== 'Space' ||
+      ['INPUT', 'SELECT', 'TEXTAREA', 'BUTTON'].includes(event.target.tagName);
+    const handleKeyDown = (event) => {
+      if (ignore(event)) return;
+      event.preventDefault();
+      setSpaceHeld(true);
+    };
+    const handleKeyUp = (event) => {
+      if (ignore(event)) return;
+      setSpaceHeld(false);
+    };
+    const handleBlur = () => setSpaceHeld(false);
+
+    window.addEventListener('keydown', handleKeyDown);
+    window.addEventListener('keyup', handleKeyUp);
+    window.addEventListener('blur', handleBlur);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+      window.removeEventListener('keyup', handleKeyUp);
+      window.removeEventListener('blur', handleBlur);
+    };
+  }, []);
+
+  // Wheel zooms around the cursor. React registers wheel listeners as passive, so the
+  // native listener is needed to stop the page from scrolling.
+  useEffect(() => {
+    const svg = svgRef.current;
+    if (!svg) return undefined;
+    const handleWheel = (event) => {
+      event.preventDefault();
+      // Line-based deltas (Firefox) are roughly 16px per line
+      const delta = event.deltaMode === 1 ? event.deltaY * 16 : event.deltaY;
+      const cursor = getScreenCoordinates(event);
+      setViewport(prev => zoomAt(prev, cursor, Math.exp(-delta * 0.002)));
+    };
+    svg.addEventListener('wheel', handleWheel, { passive: false });
+    return () => svg.removeEventListener('wheel', handleWheel);
+  }, [getScreenCoordinates]);
+
+  // Track the canvas size so polygons outside it can be left out of the drawing
+  useEffect(() => {
+    const svg = svgRef.current;
+    if (!svg || typeof ResizeObserver === 'undefined') return undefined;
+    const observer = new ResizeObserver(([entry]) => {
+      const { width, height } = entry.contentRect;
+      setCanvasSize(prev => (prev.width === width && prev.height === height ? prev : { width, height }));
+    });
+    observer.observe(svg);
+    return () => observer.disconnect();
+  }, []);
+
+  // Zoom around the centre of the canvas
+  const zoomBy = useCallback((factor) => {
+    const rect = svgRef.current?.getBoundingClientRect();
+    const center = rect ? { x: rect.width / 2, y: rect.height / 2 } : { x: 0, y: 0 };
+    setViewport(prev => zoomAt(prev, center, factor));
+  }, []);
+
+  // Fit a set of points into the canvas
+  const fitToPoints = useCallback((points) => {
+    const rect = svgRef.current?.getBoundingClientRect();
+    if (!rect || points.length === 0) return;
+    setViewport(fitBounds(boundingBox(points), rect.width, rect.height));
+  }, []);
+
+  const fitView = useCallback(() => {
+    fitToPoints([...polygons.flatMap(polygon => polygon.points), ...currentPolygon]);
+  }, [polygons, currentPolygon, fitToPoints]);
+
+  const fitSelection = useCallback(() => {
+    fitToPoints(selectedPolygons.flatMap(index => polygons[index].points));
+  }, [polygons, selectedPolygons, fitToPoints]);
+
+  // Load an image to trace over, replacing any previous one, and bring it into view
+  const loadBackground = useCallback(async (file) => {
+    try {
+      const image = await loadImageFile(file);
+      if (background) URL.revokeObjectURL(background.src);
+      const newBackground = createBackground(image);
+      setBackground(newBackground);
+      setStatusMessage(null);
+      fitToPoints(backgroundCorners(newBackground));
+    } catch (error) {
+      setStatusMessage(error.message);
+    }
+  }, [background, fitToPoints]);
+
+  const removeBackground = useCallback(() => {
+    if (background) URL.revokeObjectURL(background.src);
+    setBackground(null);
+  }, [background]);
+
+  // Previews belong to the selection they were chosen for
+  useEffect(() => {
+    if (selectedPolygons.length === 0) setGeometryOperation(null);
+  }, [selectedPolygons.length]);
+
+  // Replace each selected polygon with the previewed result in its place in the stacking
+  // order, as one history entry
+  const applyGeometry = useCallback(() => {
+    if (!geometryResults) return;
+    const replacements = new Map(selectedPolygons.map((index, position) => [index, geometryResults[position]]));
+    const newPolygons = [];
+    const newSelection = [];
+    polygons.forEach((polygon, index) => {
+      if (!replacements.has(index)) {
+        newPolygons.push(polygon);
+        return;
+      }
+      replacements.get(index).forEach(result => {
+        newSelection.push(newPolygons.length);
+        newPolygons.push(result);
+      });
+    });
+    const label = GEOMETRY_OPERATIONS[geometryOperation.type];
+    setPolygons(newPolygons);
+    setSelectedPolygons(newSelection);
+    setSelectedVertex(null);
+    setGeometryOperation(null);
+    saveToHistory(newPolygons, currentPolygon, { label });
+    announce(`${label} applied to ${countLabel(selectedPolygons.length, 'polygon')}`);
+  }, [polygons, selectedPolygons, currentPolygon, geometryOperation, geometryResults, saveToHistory, announce]);
+
+  // Replace the selected polygons with the result of a boolean operation
+  const applyBoolean = useCallback((operation) => {
+    setStatusMessage(null);
+    let result;
+    try {
+      result = applyBooleanOperation(operation, selectedPolygons.map(index => polygons[index]));
+    } catch (error) {
+      setStatusMessage(`${BOOLEAN_OPERATIONS[operation]} failed: ${error.message}`);
+      return;
+    }
+
+    if (result.length === 0) {
+      setStatusMessage(`${BOOLEAN_OPERATIONS[operation]} of the selected polygons is empty`);
+      return;
+    }
+
+    const remaining = polygons.filter((_, index) => !selectedPolygons.includes(index));
+    const newPolygons = [...remaining, ...result];
+    setPolygons(newPolygons);
+    setSelectedPolygons(result.map((_, offset) => remaining.length + offset));
+    saveToHistory(newPolygons, currentPolygon, { label: BOOLEAN_OPERATIONS[operation] });
+  }, [polygons, selectedPolygons, currentPolygon, saveToHistory]);
+
+  // Clear all polygons
+  const clearAllPolygons = useCallback(() => {
+    setPolygons([]);
+    setCurrentPolygon([]);
+    setSelectedPolygons([]);
+    setHoleTarget(null);
+    setCutTarget(null);
+    setIsDrawing(false);
+    saveToHistory([], [], { label: 'Clear all' });
+    if (polygons.length > 0) events.current.onDelete?.(polygons);
+    events.current.onClear?.();
+  }, [polygons, saveToHistory]);
+
+  // Export the completed polygons in the requested format
+  const handleExport = useCallback((format) => {
+    if (format === 'geojson') {
+      downloadFile(toGeoJSON(polygons), 'polygons.geojson', 'application/geo+json');
+    } else if (format === 'svg') {
+      const rect = svgRef.current?.getBoundingClientRect();
+      const size = rect ? { width: Math.round(rect.width), height: Math.round(rect.height) } : undefined;
+      downloadFile(toSVG(polygons, size), 'polygons.svg', 'image/svg+xml');
+    } else if (format === 'project') {
+      downloadFile(toProject(polygons, layers), 'polygons.json', 'application/json');
+    } else if (background && (format === 'coco' || format === 'voc')) {
+      // Annotation files are named after the image they describe
+      const baseName = background.name.replace(/\.[^.]+$/, '');
+      if (format === 'coco') {
+        downloadFile(toCOCO(polygons, layers, background), `${baseName}.coco.json`, 'application/json');
+        if (polygons.some(polygon => polygon.holes.length > 0)) {
+          setStatusMessage('COCO polygon segmentations cannot have holes; only outer rings were exported');
+        }
+      } else {
+        downloadFile(toVOC(polygons, layers, background), `${baseName}.xml`, 'application/xml');
+      }
+    }
+  }, [polygons, layers, background]);
+
+  // Import polygons from a file and add them as a single undoable step
+  const handleImport = useCallback(async (file) => {
+    try {
+      const result = parseImportFile(await file.text(), file.name);
+      if (result.polygons.length > 0) {
+        // Imported layers are added above the existing ones; polygons without one go on the active layer
+        const merged = mergeLayers(layers, result.layers, ensureUniqueIds(polygons, result.polygons), activeLayerId);
+        const newPolygons = [...polygons, ...merged.polygons];
+        setPolygons(newPolygons);
+        setLayers(merged.layers);
+        setSelectedPolygons([]);
+        saveToHistory(newPolygons, currentPolygon, { label: `Import ${file.name}`, layers: merged.layers });
+      }
+      setImportReport({ fileName: file.name, count: result.polygons.length, issues: result.issues });
+    } catch (error) {
+      setImportReport({ fileName: file.name, count: 0, issues: [error.message] });
+    }
+  }, [polygons, layers, activeLayerId, currentPolygon, saveToHistory]);
+
+  // Dropped images become the background; other files are imported as drawings
+  const handleDrop = useCallback((event) => {
+    event.preventDefault();
+    const file = event.dataTransfer.files[0];
+    if (!file) return;
+    if (file.type.startsWith('image/') && file.type !== 'image/svg+xml') {
+      loadBackground(file);
+    } else {
+      handleImport(file);
+    }
+  }, [loadBackground, handleImport]);
+
+  // The polygon or vertex with keyboard focus, for screen readers
+  let activeDescendant;
+  if (selectedVertex && polygons[selectedVertex.polygonIndex]) {
+    const { polygonIndex, ringIndex, vertexIndex } = selectedVertex;
+    activeDescendant = `vertex-${polygons[polygonIndex].id}-${ringIndex}-${vertexIndex}`;
+  } else if (selectedPolygons.length === 1 && polygons[selectedPolygons[0]]) {
+    activeDescendant = `polygon-${polygons[selectedPolygons[0]].id}`;
+  }
+
+  // Whether a vertex address (possibly stale after an undo) is a node shared with other vertices
+  const isSharedVertex = (address) =>
+    Boolean(polygons[address.polygonIndex]) && sharedNodes.has(getRing(polygons[address.polygonIndex], address.ringIndex)?.[address.vertexIndex]?.node);
+
+  // Context menu actions for what was pressed: a vertex, a polygon or the empty canvas
+  const contextActions = (target) => {
+    const actions = [];
+    const isDrawingShape = currentPolygon.length > 0 || hasDrawTarget;
+    const { polygonIndex } = target;
+    const onPolygon = !isDrawingShape && polygonIndex !== undefined && polygonIndex < polygons.length &&
+      isEditable(polygons[polygonIndex], layers);
+
+    if (onPolygon) {
+      if (target.type === 'vertex') {
+        actions.push({ label: 'Delete vertex', onSelect: () => deleteVertex(polygonIndex, target.ringIndex, target.vertexIndex) });
+        if (isSharedVertex(target)) {
+          actions.push({ label: 'Detach vertex', onSelect: () => detachVertex(target) });
+        }
+      }
+      if (selectedPolygons.includes(polygonIndex)) {
+        actions.push({ label: 'Deselect', onSelect: () => setSelectedPolygons(selectedPolygons.filter(index => index !== polygonIndex)) });
+      } else {
+        actions.push({ label: 'Select', onSelect: () => setSelectedPolygons([polygonIndex]) });
+        if (selectedPolygons.length > 0) {
+          actions.push({ label: 'Add to selection', onSelect: () => setSelectedPolygons([...selectedPolygons, polygonIndex]) });
+        }
+      }
+      actions.push({ label: 'Delete polygon', onSelect: () => deletePolygon(polygonIndex) });
+    } else if (!isDrawingShape && selectedPolygons.length > 0) {
+      actions.push({ label: 'Delete selection', onSelect: deleteSelectedPolygons });
+      actions.push({ label: 'Clear selection', onSelect: () => setSelectedPolygons([]) });
+    }
+
+    if (cutTarget !== null && currentPolygon.length >= 2) {
+      actions.push({ label: 'Split polygon', onSelect: closePolygon });
+    } else if (cutTarget === null && currentPolygon.length >= 3) {
+      actions.push({ label: 'Close polygon', onSelect: closePolygon });
+    }
+    if (currentPolygon.length > 0) {
+      actions.push({ label: 'Remove last point', onSelect: removeLastPoint });
+    }
+    if (isDrawingShape) {
+      actions.push({ label: holeTarget !== null ? 'Cancel hole' : cutTarget !== null ? 'Cancel split' : 'Cancel polygon', onSelect: cancelPolygon });
+    }
+    actions.push({ label: 'Undo', onSelect: undo, disabled: !canUndo });
+    actions.push({ label: 'Redo', onSelect: redo, disabled: !canRedo });
+    return actions;
+  };
+
+  // Handlers for the memoized polygon shapes. They call the latest callbacks through a ref,
+  // so their identity never changes and unchanged shapes skip re-rendering.
+  const shapeCallbacks = useRef(null);
+  shapeCallbacks.current = {
+    onPolygonPointerDown: handlePolygonPointerDown,
+    onPolygonClick: handlePolygonClick,
+    onPolygonDoubleClick: handlePolygonDoubleClick,
+    onVertexPointerDown: handleVertexPointerDown,
+    onVertexClick: handleVertexClick,
+    onMidpointPointerDown: handleMidpointPointerDown,
+    onDeleteHole: deleteHole,
+    onDeletePolygon: deletePolygon
+  };
+  const shapeHandlers = useMemo(() => Object.fromEntries(Object.keys(shapeCallbacks.current).map(name =>
+    [name, (...args) => shapeCallbacks.current[name](...args)]
+  )), []);
+
+  useImperativeHandle(ref, () => ({ undo, redo, clear: clearAllPolygons, fitView }), [undo, redo, clearAllPolygons, fitView]);
+
+  return (
+    <div className={`polygon-editor ${className}`.trim()}>
+      <div className="bg-white rounded-lg shadow-lg p-4 mb-6 flex justify-between items-center">
+        {/* Undo/Redo Controls */}
+        <div className="flex justify-center gap-2 mb-3">
+          <button
+            onClick={undo}
+            disabled={!canUndo}
+            className={`px-3 py-2 rounded-lg text-white transition-colors ${canUndo
+              ? 'bg-blue-500 hover:bg-blue-600'
+              : 'bg-gray-300 cursor-not-allowed'
+              }`}
+            title="Undo (Ctrl+Z)"
+          >
+            <img src={Undo} alt="Undo" className="w-5 h-5 inline-block" />
+          </button>
+          <button
+            onClick={redo}
+            disabled={!canRedo}
+            className={`px-3 py-2 rounded-lg text-white transition-colors ${canRedo
+              ? 'bg-blue-500 hover:bg-blue-600'
+              : 'bg-gray-300 cursor-not-allowed'
+              }`}
+            title="Redo (Ctrl+Y)"
+          >
+            <img src={Redo} alt="Redo" className="w-5 h-5 inline-block" />
+          </button>
+          <ExportMenu
+            canExport={polygons.length > 0}
+            hasImage={background !== null}
+            onExport={handleExport}
+            onImport={handleImport}
+          />
+        </div>
+        <div>
+          <p>Completed Polygons: {polygons.length}</p>
+          {currentPolygon.length > 0 && (
+            <p>Current Polygon: {currentPolygon.length} vertices</p>
+          )}
+          <div className="mt-2">
+            <ValidationControls policy={validationPolicy} onChange={setValidationPolicy} />
+          </div>
+          <div className="mt-2">
+            <ViewportControls
+              scale={viewport.scale}
+              canFit={polygons.length > 0 || currentPolygon.length > 0}
+              canFitSelection={selectedPolygons.length > 0}
+              onZoom={zoomBy}
+              onFit={fitView}
+              onFitSelection={fitSelection}
+              onReset={() => setViewport(IDENTITY_VIEWPORT)}
+            />
+          </div>
+          <div className="mt-2">
+            <ToolPalette tool={tool} options={toolOptions} onToolChange={setTool} onOptionsChange={setToolOptions} />
+          </div>
+          <div className="mt-2">
+            <SnapToolbar settings={snapSettings} onChange={setSnapSettings} />
+          </div>
+        </div>
+        <div>
+          {/* Other Controls */}
+          {(polygons.length > 0 || selectedPolygons.length > 0) && (
+            <div className="flex justify-center gap-4">
+              {polygons.length > 0 && (
+                <button
+                  onClick={clearAllPolygons}
+                  className="p-2 bg-red-500 text-white rounded-lg hover:bg-red-600 transition-colors"
+                  title='Reset All Polygons'
+                >
+                  <img src={Reset} alt="Reset" className="h-5 w-5 inline-block" />
+
+                </button>
+              )}
+              {selectedPolygons.length > 0 && (
+                <button
+                  onClick={deleteSelectedPolygons}
+                  className="p-2 bg-orange-500 text-white rounded-lg hover:bg-orange-600 transition-colors"
+                  title='Delete Selected Polygons'
+                >
+                  <img src={Delete} alt="Delete" className="h-5 w-5 inline-block" />
+                </button>
+              )}
+            </div>
+          )}
+          {selectedPolygons.length > 0 && !hasDrawTarget && (
+            <div className="mt-2">
+              <TransformToolbar
+                onFlip={flipSelection}
+                onDuplicate={duplicateSelection}
+                onShift={selectedPolygons.length === 1 ? shiftSelection : undefined}
+              />
+            </div>
+          )}
+          {(selectedPolygons.length === 1 || hasDrawTarget) && (
+            <div className="mt-2 flex justify-center gap-2">
+              <button
+                onClick={toggleHoleMode}
+                className={`px-3 py-1 rounded-lg text-sm text-white transition-colors ${holeTarget !== null
+                  ? 'bg-gray-500 hover:bg-gray-600'
+                  : 'bg-purple-500 hover:bg-purple-600'
+                  }`}
+                title="Draw a ring inside the selected polygon to cut a hole"
+              >
+                {holeTarget !== null ? 'Cancel hole' : 'Draw hole'}
+              </button>
+              <button
+                onClick={toggleSplitMode}
+                className={`px-3 py-1 rounded-lg text-sm text-white transition-colors ${cutTarget !== null
+                  ? 'bg-gray-500 hover:bg-gray-600'
+                  : 'bg-purple-500 hover:bg-purple-600'
+                  }`}
+                title="Draw a line across the selected polygon to cut it into pieces"
+              >
+                {cutTarget !== null ? 'Cancel split' : 'Split'}
+              </button>
+              {cutTarget !== null && currentPolygon.length >= 2 && (
+                <button
+                  onClick={closePolygon}
+                  className="px-3 py-1 rounded-lg text-sm text-white bg-purple-500 hover:bg-purple-600 transition-colors"
+                  title="Cut the polygon along the line (Enter)"
+                >
+                  Apply split
+                </button>
+              )}
+            </div>
+          )}
+          {selectedPolygons.length >= 2 && (
+            <div className="mt-2">
+              <BooleanToolbar
+                selectionCount={selectedPolygons.length}
+                onApply={applyBoolean}
+                onMerge={selectedPolygons.length === 2 ? mergeSelection : undefined}
+              />
+            </div>
+          )}
+        </div>
+
+
+      </div>
+
+      {/* Import report */}
+      {importReport && (
+        <div className={`rounded-lg p-3 mb-4 text-sm ${importReport.issues.length > 0
+          ? 'bg-yellow-50 border border-yellow-300 text-yellow-800'
+          : 'bg-green-50 border border-green-300 text-green-800'
+          }`}
+        >
+          <div className="flex justify-between items-start">
+            <p className="font-semibold">
+              Imported {importReport.count} polygon{importReport.count === 1 ? '' : 's'} from {importReport.fileName}
+            </p>
+            <button
+              onClick={() => setImportReport(null)}
+              className="text-gray-500 hover:text-gray-700"
+              title="Dismiss"
+            >
+              ×
+            </button>
+          </div>
+          {importReport.issues.length > 0 && (
+            <ul className="mt-1 list-disc list-inside">
+              {importReport.issues.map((issue, index) => (
+                <li key={index}>{issue}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      <div className="flex flex-col lg:flex-row gap-4 items-start">
+        <div
+          className="relative bg-white rounded-lg shadow-lg overflow-hidden flex-1 min-w-0 w-full"
+          onDragOver={(e) => e.preventDefault()}
+          onDrop={handleDrop}
+        >
+          <svg
+            ref={svgRef}
+            className={`drawing-canvas w-full border border-gray-200 touch-none select-none focus:outline-none focus-visible:ring-2 focus-visible:ring-inset focus-visible:ring-blue-500 ${pan ? 'cursor-grabbing' : spaceHeld ? 'cursor-grab' : 'cursor-crosshair'}`}
+            width="100%"
+            height={height}
+            onPointerDownCapture={handlePointerDownCapture}
+            onPointerDown={handleCanvasPointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerCancel={handlePointerCancel}
+            onPointerLeave={handlePointerLeave}
+            onClickCapture={handleClickCapture}
+            onClick={handleSVGClick}
+            onContextMenu={handleContextMenu}
+            tabIndex={0}
+            role="application"
+            aria-label="Polygon drawing canvas"
+            aria-describedby="canvas-keyboard-help"
+            aria-activedescendant={activeDescendant}
+            onKeyDown={handleCanvasKeyDown}
+            onFocus={handleCanvasFocus}
+            onBlur={handleCanvasBlur}
+          >
+            <g transform={viewportTransform(viewport)}>
+              {/* Locked background image to trace over */}
+              {background?.visible && (
+                <image
+                  href={background.src}
+                  x={background.x}
+                  y={background.y}
+                  width={background.width * background.scale}
+                  height={background.height * background.scale}
+                  opacity={background.opacity}
+                  preserveAspectRatio="none"
+                  className="pointer-events-none select-none"
+                />
+              )}
+
+              {/* Snapping grid, hidden when zoomed out too far for it to be useful */}
+              {snapSettings.grid && snapSettings.gridSize * viewport.scale >= 4 && (
+                <>
+                  <defs>
+                    <pattern id="snap-grid" width={snapSettings.gridSize} height={snapSettings.gridSize} patternUnits="userSpaceOnUse">
+                      <path
+                        d={`M ${snapSettings.gridSize} 0 L 0 0 0 ${snapSettings.gridSize}`}
+                        fill="none"
+                        stroke="rgb(229, 231, 235)"
+                        strokeWidth={pixel}
+                        style={{ vectorEffect: 'none' }}
+                      />
+                    </pattern>
+                  </defs>
+                  <rect x="-50000" y="-50000" width="100000" height="100000" fill="url(#snap-grid)" className="pointer-events-none" />
+                </>
+              )}
+
+              {/* Completed polygons layer by layer; hidden layers and polygons out of view are skipped */}
+              {renderOrder.map(polygonIndex => {
+                const polygon = polygons[polygonIndex];
+                const selected = selectedPolygons.includes(polygonIndex);
+                return (
+                  <PolygonShape
+                    key={polygon.id}
+                    polygon={polygon}
+                    polygonIndex={polygonIndex}
+                    locked={layerOf(polygon, layers).locked}
+                    selected={selected}
+                    soleSelection={selected && selectedPolygons.length === 1}
+                    showMidpoints={selected && currentPolygon.length === 0 && !hasDrawTarget && !drag}
+                    selectedVertex={selected && selectedVertex?.polygonIndex === polygonIndex ? selectedVertex : null}
+                    sharedNodes={sharedNodes}
+                    issues={polygonIssues[polygonIndex]}
+                    pixel={pixel}
+                    handlePixel={handlePixel}
+                    defaultStyle={defaultStyle}
+                    selectionColor={colors.selection}
+                    handlers={shapeHandlers}
+                  />
+                );
+              })}
+
+              {/* Names at the polygon centroids, kept clear of the delete button of a selected polygon */}
+              {renderOrder.map(polygonIndex => {
+                const polygon = polygons[polygonIndex];
+                if (!polygon.name) return null;
+                const center = centroid(polygon.points);
+                const shifted = selectedPolygons.length === 1 && selectedPolygons[0] === polygonIndex;
+                return (
+                  <text
+                    key={polygon.id}
+                    x={center.x}
+                    y={center.y + (shifted ? 24 * handlePixel : 0)}
+                    fontSize={13 * pixel}
+                    fontWeight="600"
+                    textAnchor="middle"
+                    dominantBaseline="middle"
+                    fill="rgb(31, 41, 55)"
+                    stroke="white"
+                    strokeWidth="3"
+                    paintOrder="stroke"
+                    className="pointer-events-none select-none"
+                  >
+                    {polygon.name}
+                  </text>
+                );
+              })}
+
+              {/* Transform handles around the selection */}
+              {selectedPolygons.length > 0 && !hasDrawTarget && currentPolygon.length === 0 && (
+                <SelectionHandles
+                  bounds={polygonsBounds(selectedPolygons.map(index => polygons[index]))}
+                  onScaleStart={handleScaleStart}
+                  onRotateStart={handleRotateStart}
+                  pixelSize={handlePixel}
+                />
+              )}
+
+              {/* Marquee selection rectangle */}
+              {marquee?.active && (
+                <rect
+                  x={Math.min(marquee.start.x, marquee.current.x)}
+                  y={Math.min(marquee.start.y, marquee.current.y)}
+                  width={Math.abs(marquee.current.x - marquee.start.x)}
+                  height={Math.abs(marquee.current.y - marquee.start.y)}
+                  fill={colors.selection}
+                  fillOpacity="0.1"
+                  stroke={colors.selection}
+                  strokeWidth="1"
+                  strokeDasharray="4,2"
+                  className="pointer-events-none"
+                />
+              )}
+
+              {/* Result of the previewed geometry operation */}
+              {geometryResults?.flat().map((polygon, index) => (
+                <path
+                  key={index}
+                  d={polygonToPath(polygon)}
+                  fill={colors.selection}
+                  fillOpacity="0.15"
+                  fillRule="evenodd"
+                  stroke={colors.selection}
+                  strokeWidth="2"
+                  strokeDasharray="6,3"
+                  className="pointer-events-none"
+                />
+              ))}
+
+              {/* Shape being dragged out with a shape tool */}
+              {draftPoints && (
+                <polygon
+                  points={pointsToPolyline(draftPoints)}
+                  fill={colors.drawing}
+                  fillOpacity="0.1"
+                  stroke={colors.drawing}
+                  strokeWidth="2"
+                  strokeDasharray="5,5"
+                  className="pointer-events-none"
+                />
+              )}
+
+              {/* Render current polygon being drawn */}
+              {currentPolygon.length > 0 && (
+                <g>
+                  {/* Current polygon lines */}
+                  <polyline
+                    points={pointsToPolyline(currentPolygon)}
+                    fill="none"
+                    stroke={colors.drawing}
+                    strokeWidth="2"
+                    className="pointer-events-none"
+                  />
+
+                  {/* Invalid edges of the polygon being drawn */}
+                  {currentIssues.length > 0 && (
+                    <ValidationOverlay rings={[currentPolygon]} issues={currentIssues} pixelSize={pixel} />
+                  )}
+
+                  {/* Lengths of the placed edges */}
+                  {currentPolygon.slice(1).map((vertex, index) => (
+                    <LengthLabel
+                      key={index}
+                      from={currentPolygon[index]}
+                      to={vertex}
+                      text={formatLength(distance(currentPolygon[index], vertex), measurementScale)}
+                      pixelSize={pixel}
+                    />
+                  ))}
+
+                  {/* Preview line to the pointer with its length, and the line closing the polygon */}
+                  {isDrawing && (
+                    <PointerPreview
+                      pointer={pointer}
+                      from={currentPolygon[currentPolygon.length - 1]}
+                      start={currentPolygon[0]}
+                      snap={snapTarget}
+                      canClose={canClosePolygon}
+                      color={colors.drawing}
+                      closingColor={colors.closing}
+                      scale={measurementScale}
+                      pixelSize={pixel}
+                    />
+                  )}
+
+                  {/* Current polygon vertices */}
+                  {currentPolygon.map((vertex, index) => {
+                    const isFirstVertex = index === 0;
+                    const canClose = isFirstVertex && canClosePolygon;
+
+                    return (
+                      <g key={index}>
+                        <circle
+                          cx={vertex.x}
+                          cy={vertex.y}
+                          r={(canClose ? 12 : 6) * handlePixel}
+                          fill={canClose ? colors.closing : colors.drawing}
+                          stroke="white"
+                          strokeWidth="2"
+                          className="pointer-events-none"
+                        />
+                        {canClose && (
+                          <>
+                            {/* Inner pulsing circle */}
+                            <circle
+                              cx={vertex.x}
+                              cy={vertex.y}
+                              r={18 * handlePixel}
+                              fill="none"
+                              stroke={colors.closing}
+                              strokeWidth="2"
+                              strokeDasharray="3,3"
+                              className="pointer-events-none animate-pulse"
+                            />
+                            {/* Outer click area indicator */}
+                            <circle
+                              cx={vertex.x}
+                              cy={vertex.y}
+                              r={closeThreshold}
+                              fill={colors.closing}
+                              fillOpacity="0.1"
+                              stroke={colors.closing}
+                              strokeWidth="1"
+                              strokeDasharray="2,2"
+                              className="pointer-events-none"
+                            />
+                          </>
+                        )}
+                      </g>
+                    );
+                  })}
+                </g>
+              )}
+
+              {/* Other collaborators' selections and cursors */}
+              {peers.length > 0 && <RemotePresence peers={peers} polygons={polygons} pixelSize={pixel} />}
+
+              {/* Snap target indicator */}
+              {snapTarget && <SnapIndicator snap={snapTarget} pixelSize={pixel} />}
+
+              {/* Keyboard cursor */}
+              {keyboardCursor && (
+                <g className="pointer-events-none" aria-hidden="true">
+                  <line
+                    x1={keyboardCursor.x - 12 * pixel}
+                    y1={keyboardCursor.y}
+                    x2={keyboardCursor.x + 12 * pixel}
+                    y2={keyboardCursor.y}
+                    stroke="rgb(17, 24, 39)"
+                    strokeWidth="1.5"
+                  />
+                  <line
+                    x1={keyboardCursor.x}
+                    y1={keyboardCursor.y - 12 * pixel}
+                    x2={keyboardCursor.x}
+                    y2={keyboardCursor.y + 12 * pixel}
+                    stroke="rgb(17, 24, 39)"
+                    strokeWidth="1.5"
+                  />
+                  <circle cx={keyboardCursor.x} cy={keyboardCursor.y} r={4 * pixel} fill="none" stroke="rgb(17, 24, 39)" strokeWidth="1.5" />
+                </g>
+              )}
+            </g>
+          </svg>
+          <p id="canvas-keyboard-help" className="sr-only">
+            Arrow keys move the drawing cursor, Shift for fine steps. Space places a point and Enter closes the polygon.
+            Backspace removes the last point and Escape cancels. Tab moves through polygons and their vertices;
+            arrow keys move the focused vertex and Delete removes it.
+          </p>
+          <div role="status" aria-live="polite" className="sr-only">
+            {announcement && <span key={announcement.id}>{announcement.text}</span>}
+          </div>
+          {contextMenu && (
+            <ContextMenu
+              x={contextMenu.x}
+              y={contextMenu.y}
+              actions={contextActions(contextMenu.target)}
+              onClose={closeContextMenu}
+            />
+          )}
+        </div>
+
+        <div className="flex flex-col gap-4 w-full lg:w-72 shrink-0">
+          {selectedPolygons.length === 1 && (
+            <PropertiesPanel
+              key={polygons[selectedPolygons[0]].id}
+              polygon={polygons[selectedPolygons[0]]}
+              style={resolveStyle(polygons[selectedPolygons[0]], defaultStyle)}
+              polygonNumber={selectedPolygons[0] + 1}
+              onChange={(changes, commit) => editPolygon(selectedPolygons[0], changes, commit)}
+              onCommit={commitPolygonEdit}
+            />
+          )}
+          {selectedPolygons.length > 0 && !hasDrawTarget && (
+            <GeometryPanel
+              selectionCount={selectedPolygons.length}
+              operation={geometryOperation}
+              preview={geometryResults && {
+                before: selectedPolygons.reduce((total, index) => total + getRings(polygons[index]).flat().length, 0),
+                after: geometryResults.flat().reduce((total, polygon) => total + getRings(polygon).flat().length, 0)
+              }}
+              onChange={setGeometryOperation}
+              onApply={applyGeometry}
+            />
+          )}
+          <BackgroundPanel
+            background={background}
+            onLoad={loadBackground}
+            onChange={(changes) => setBackground(prev => ({ ...prev, ...changes }))}
+            onFit={() => fitToPoints(backgroundCorners(background))}
+            onRemove={removeBackground}
+          />
+          <LayersPanel
+            layers={layers}
+            activeLayerId={activeLayerId}
+            counts={layerCounts}
+            canMoveSelection={selectedPolygons.some(index => layerOf(polygons[index], layers).id !== activeLayerId)}
+            onActivate={setChosenLayerId}
+            onAdd={addLayer}
+            onChange={changeLayer}
+            onMove={(id, offset) => applyLayers(moveLayer(layers, id, offset), offset > 0 ? 'Raise layer' : 'Lower layer')}
+            onDelete={deleteLayer}
+            onMoveSelection={moveSelectionToLayer}
+          />
+          <HistoryPanel
+            entries={history.entries}
+            index={history.index}
+            limit={history.limit}
+            onJump={jumpToHistory}
+            onLimitChange={(limit) => setHistory(prev => setHistoryLimit(prev, limit))}
+          />
+          <MeasurementPanel
+            scale={measurementScale}
+            onScaleChange={setMeasurementScale}
+            polygon={selectedPolygons.length === 1 ? polygons[selectedPolygons[0]] : null}
+            polygonNumber={selectedPolygons.length === 1 ? selectedPolygons[0] + 1 : undefined}
+          />
+        </div>
+      </div>
+
+      {/* Stats and Controls */}
+      <div className="mt-4 text-center">
+        <div className="text-sm text-gray-600 mb-3">
+
+          {canClosePolygon && (hasErrors(currentIssues) ? (
+            <p className="text-red-600 font-semibold">
+              Closing here would create an invalid polygon: {describeErrors(currentIssues)}
+              {validationPolicy.mode === 'block' && ' (blocked)'}
+            </p>
+          ) : (
+            <p className="text-green-600 font-semibold animate-pulse">
+              Click anywhere in the green area to close the polygon!
+            </p>
+          ))}
+          {holeTarget !== null && (
+            <p className="text-purple-600 font-semibold">
+              Drawing a hole in polygon {holeTarget + 1} - Close the ring inside the polygon
+            </p>
+          )}
+          {cutTarget !== null && (
+            <p className="text-purple-600 font-semibold">
+              Splitting polygon {cutTarget + 1} - Click points across it, then press Enter
+            </p>
+          )}
+          {statusMessage && (
+            <p className="text-red-600 font-semibold">{statusMessage}</p>
+          )}
+          {selectedVertex && isSharedVertex(selectedVertex) && (
+            <p className="text-blue-600">
+              The selected vertex is shared with {vertexGroup(polygons, selectedVertex, canEdit).length - 1} other vertex(es){' '}
+              <button onClick={() => detachVertex(selectedVertex)} className="underline hover:text-blue-800">
+                Detach
+              </button>
+            </p>
+          )}
+          {polygonIssues.some(issues => issues.length > 0) && (
+            <p className="text-red-600">
+              {polygonIssues.filter(issues => issues.length > 0).length} polygon(s) have validation issues (highlighted in red)
+            </p>
+          )}
+          {snapTarget && (
+            <p className="text-orange-600 font-semibold">
+              {snapTarget.kind === 'angle'
+                ? `Angle constrained to ${snapTarget.angle}°`
+                : `Snapping to ${snapTarget.kind}`}
+            </p>
+          )}
+          {selectedPolygons.length === 1 && (
+            <p className="text-blue-600 font-semibold">
+              Polygon {selectedPolygons[0] + 1} selected - Click the red X to delete
+            </p>
+          )}
+          {selectedPolygons.length > 1 && (
+            <p className="text-blue-600 font-semibold">
+              {selectedPolygons.length} polygons selected - Choose a boolean operation in the toolbar
+            </p>
+          )}
+          {selectedPolygons.length === 1 && polygonIssues[selectedPolygons[0]]?.map(issue => (
+            <p key={issue.type} className={issue.severity === 'error' ? 'text-red-600' : 'text-amber-600'}>
+              {issue.message}
+            </p>
+          ))}
+        </div>
+
+
+
+
+      </div>
+    </div>
+  );
+});
+
+PolygonEditor.propTypes = {
+  // Polygons to show, for a controlled editor; arrays of points are accepted too
+  value: PropTypes.array,
+  // Polygons to start with, for an uncontrolled editor
+  defaultValue: PropTypes.array,
+  // Called with the polygons after every committed change, including undo and redo
+  onChange: PropTypes.func,
+  // Undo history to start from instead of `value`, as reported by onHistoryChange
+  initialHistory: PropTypes.shape({
+    state: PropTypes.object.isRequired,
+    entries: PropTypes.array.isRequired,
+    index: PropTypes.number.isRequired
+  }),
+  onHistoryChange: PropTypes.func,
+  // Called with a polygon closed on the canvas and its index
+  onPolygonCreate: PropTypes.func,
+  // Called with { polygon, polygonIndex, ringIndex, vertexIndex, point } when a vertex move is committed
+  onVertexMove: PropTypes.func,
+  // Called with the selected polygons and their indices
+  onSelect: PropTypes.func,
+  // Called with the polygons removed by a delete, Clear all or deleting a layer
+  onDelete: PropTypes.func,
+  // Called when Clear all empties the drawing, before the change reaches onChange
+  onClear: PropTypes.func,
+  // Whether a new `value` from outside becomes an undo step. Collaborative hosts turn this
+  // off so undo only takes back the user's own changes.
+  recordExternalChanges: PropTypes.bool,
+  // Other people editing the same drawing, shown with their cursors and selections
+  peers: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired,
+    color: PropTypes.string.isRequired,
+    cursor: PropTypes.shape({ x: PropTypes.number.isRequired, y: PropTypes.number.isRequired }),
+    selection: PropTypes.arrayOf(PropTypes.string).isRequired
+  })),
+  // Called with the pointer position in drawing units as it moves over the canvas, and
+  // with null when it leaves
+  onCursorMove: PropTypes.func,
+  // Hit-test distances in screen pixels
+  closeThreshold: PropTypes.number,
+  snapThreshold: PropTypes.number,
+  dragThreshold: PropTypes.number,
+  colors: PropTypes.shape({
+    drawing: PropTypes.string,
+    closing: PropTypes.string,
+    selection: PropTypes.string,
+    fill: PropTypes.string,
+    stroke: PropTypes.string
+  }),
+  // Height of the canvas in pixels
+  height: PropTypes.number,
+  className: PropTypes.string
+};
+
+export default PolygonEditor;
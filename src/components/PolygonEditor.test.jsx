@@ -0,0 +1,109 @@
+// @vitest-environment jsdom
+import { createRef } from 'react';
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { render, fireEvent, screen, act, cleanup } from '@testing-library/react';
+import PolygonEditor from './PolygonEditor';
+
+// Counts renders of a side panel, to see what a pointer move re-renders
+const panelRenders = vi.hoisted(() => ({ count: 0 }));
+vi.mock('./LayersPanel', async (importOriginal) => {
+  const { default: LayersPanel } = await importOriginal();
+  return {
+    default: (props) => {
+      panelRenders.count += 1;
+      return <LayersPanel {...props} />;
+    }
+  };
+});
+
+// In jsdom the canvas sits at the origin, so client coordinates are drawing coordinates
+const clickAt = (canvas, x, y) => fireEvent.click(canvas, { clientX: x, clientY: y });
+
+const drawSquare = (canvas, left = 0) => {
+  [[0, 0], [100, 0], [100, 100], [0, 100], [0, 0]].forEach(([x, y]) => clickAt(canvas, left + x, y));
+};
+
+// Select the only polygon and start splitting it
+const startSplit = (container) => {
+  fireEvent.click(container.querySelector('path[role="img"]'));
+  fireEvent.click(screen.getByText('Split'));
+};
+
+describe('PolygonEditor', () => {
+  afterEach(cleanup);
+
+  it('stops splitting when undo removes the polygon being split', () => {
+    const ref = createRef();
+    const { container } = render(<PolygonEditor ref={ref} />);
+    const canvas = container.querySelector('svg');
+    drawSquare(canvas);
+    startSplit(container);
+    expect(screen.getByText(/Splitting polygon 1/)).toBeTruthy();
+
+    // Undo the square itself
+    act(() => ref.current.undo());
+    act(() => ref.current.undo());
+    expect(container.querySelector('path[role="img"]')).toBeNull();
+    expect(screen.queryByText(/Splitting polygon/)).toBeNull();
+    expect(screen.queryByText('Cancel split')).toBeNull();
+  });
+
+  it('keeps splitting the same polygon when undo puts an earlier one back', () => {
+    const ref = createRef();
+    const { container } = render(<PolygonEditor ref={ref} />);
+    const canvas = container.querySelector('svg');
+    drawSquare(canvas);
+    drawSquare(canvas, 200);
+
+    // Delete the first square, then split the second, which is now polygon 1
+    fireEvent.click(container.querySelectorAll('path[role="img"]')[0]);
+    fireEvent.keyDown(canvas, { key: 'Delete' });
+    startSplit(container);
+    expect(screen.getByText(/Splitting polygon 1/)).toBeTruthy();
+
+    act(() => ref.current.undo());
+    expect(container.querySelectorAll('path[role="img"]')).toHaveLength(2);
+    expect(screen.getByText(/Splitting polygon 2/)).toBeTruthy();
+  });
+
+  it('stops splitting when Clear all removes the polygon being split', () => {
+    const ref = createRef();
+    const { container } = render(<PolygonEditor ref={ref} />);
+    const canvas = container.querySelector('svg');
+    drawSquare(canvas);
+    startSplit(container);
+
+    act(() => ref.current.clear());
+    expect(screen.queryByText(/Splitting polygon/)).toBeNull();
+    // A line drawn now is the start of a new polygon, not a cut
+    clickAt(canvas, -10, 50);
+    clickAt(canvas, 110, 50);
+    expect(() => fireEvent.keyDown(window, { key: 'Enter' })).not.toThrow();
+  });
+
+  it('leaves Ctrl+Z in text fields to the field', () => {
+    const { container } = render(<PolygonEditor />);
+    drawSquare(container.querySelector('svg'));
+    fireEvent.click(container.querySelector('path[role="img"]'));
+
+    fireEvent.keyDown(screen.getByLabelText('Name:'), { key: 'z', ctrlKey: true });
+    expect(container.querySelector('path[role="img"]')).not.toBeNull();
+    fireEvent.keyDown(window, { key: 'z', ctrlKey: true });
+    expect(container.querySelector('path[role="img"]')).toBeNull();
+  });
+
+  it('follows the pointer while drawing without re-rendering the panels', () => {
+    const { container } = render(<PolygonEditor />);
+    const canvas = container.querySelector('svg');
+    clickAt(canvas, 0, 0);
+    clickAt(canvas, 100, 0);
+
+    const renders = panelRenders.count;
+    // jsdom has no PointerEvent, so the moves are mouse events of the pointer type
+    [[300, 200], [310, 230], [320, 260]].forEach(([x, y]) =>
+      fireEvent(canvas, new MouseEvent('pointermove', { bubbles: true, clientX: x, clientY: y })));
+    const preview = container.querySelector('line[stroke-dasharray="5,5"]');
+    expect([preview.getAttribute('x2'), preview.getAttribute('y2')]).toEqual(['320', '260']);
+    expect(panelRenders.count).toBe(renders);
+  });
+});
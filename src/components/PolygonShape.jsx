@@ -0,0 +1,181 @@
+import { memo } from 'react';
+import PropTypes from 'prop-types';
+import DeleteMarker from './DeleteMarker';
+import ValidationOverlay from './ValidationOverlay';
+import { centroid, interiorPoint } from '../utils/geometry';
+import { getRings, getRing, polygonToPath } from '../utils/polygonModel';
+import { resolveStyle } from '../utils/colors';
+import { describePolygon, describeVertex } from '../utils/accessibility';
+
+// One completed polygon on the canvas with its vertex handles and, when selected, its
+// midpoint handles and delete buttons. Memoized: the canvas re-renders on every pointer
+// move, and only shapes whose props changed are drawn again. `handlers` must keep the
+// same identity between renders for that to work. Vertices whose node is in `sharedNodes`
+// are drawn hollow, as they move together with other polygons' vertices.
+function PolygonShape({
+  polygon,
+  polygonIndex,
+  locked,
+  selected,
+  soleSelection,
+  showMidpoints,
+  selectedVertex,
+  sharedNodes,
+  issues,
+  pixel,
+  handlePixel,
+  defaultStyle,
+  selectionColor,
+  handlers
+}) {
+  const style = resolveStyle(polygon, defaultStyle);
+  const rings = getRings(polygon);
+  const focusedVertex = selectedVertex && getRing(polygon, selectedVertex.ringIndex)?.[selectedVertex.vertexIndex];
+
+  return (
+    <g>
+      {/* Filled polygon */}
+      <path
+        id={`polygon-${polygon.id}`}
+        role="img"
+        aria-label={describePolygon(polygon, polygonIndex)}
+        d={polygonToPath(polygon)}
+        fill={style.fill}
+        fillOpacity={style.opacity}
+        fillRule="evenodd"
+        stroke={style.stroke}
+        strokeWidth={selected ? style.strokeWidth + 2 : style.strokeWidth}
+        className={locked ? 'pointer-events-none' : 'cursor-pointer hover:opacity-80 transition-opacity'}
+        onPointerDown={(e) => handlers.onPolygonPointerDown(e, polygonIndex)}
+        onClick={(e) => handlers.onPolygonClick(e, polygonIndex)}
+        onDoubleClick={(e) => handlers.onPolygonDoubleClick(e, polygonIndex)}
+      />
+
+      {/* Invalid edges and vertices */}
+      {issues.length > 0 && (
+        <ValidationOverlay rings={rings} issues={issues} pixelSize={pixel} />
+      )}
+
+      {/* Vertices of the outer ring and holes; locked layers have no handles */}
+      {!locked && rings.map((ring, ringIndex) => ring.map((vertex, vertexIndex) => {
+        const shared = sharedNodes.has(vertex.node);
+        return (
+          <circle
+            key={`${ringIndex}-${vertexIndex}`}
+            id={`vertex-${polygon.id}-${ringIndex}-${vertexIndex}`}
+            role="img"
+            aria-label={`${describeVertex({ polygonIndex, ringIndex, vertexIndex }, vertex)}${shared ? ', shared' : ''}`}
+            cx={vertex.x}
+            cy={vertex.y}
+            r={6 * handlePixel}
+            fill={shared ? 'white' : style.stroke}
+            stroke={shared ? style.stroke : 'white'}
+            strokeWidth={shared ? 3 : 2}
+            className="cursor-move hover:r-8 transition-all"
+            onPointerDown={(e) => handlers.onVertexPointerDown(e, polygonIndex, ringIndex, vertexIndex)}
+            onClick={(e) => handlers.onVertexClick(e, polygonIndex, ringIndex, vertexIndex)}
+            style={{ pointerEvents: 'all' }}
+          />
+        );
+      }))}
+
+      {/* Edge midpoint handles; drag one to insert a vertex */}
+      {showMidpoints && rings.map((ring, ringIndex) => ring.map((vertex, edgeIndex) => {
+        const next = ring[(edgeIndex + 1) % ring.length];
+        const midpoint = { x: (vertex.x + next.x) / 2, y: (vertex.y + next.y) / 2 };
+        return (
+          <circle
+            key={`mid-${ringIndex}-${edgeIndex}`}
+            cx={midpoint.x}
+            cy={midpoint.y}
+            r={4 * handlePixel}
+            fill="white"
+            stroke={style.stroke}
+            strokeWidth="2"
+            className="cursor-copy"
+            onPointerDown={(e) => handlers.onMidpointPointerDown(e, polygonIndex, ringIndex, edgeIndex, midpoint)}
+            onClick={(e) => e.stopPropagation()}
+          />
+        );
+      }))}
+
+      {/* Vertex selected for deletion */}
+      {focusedVertex && (
+        <circle
+          cx={focusedVertex.x}
+          cy={focusedVertex.y}
+          r={10 * handlePixel}
+          fill="none"
+          stroke={selectionColor}
+          strokeWidth="2"
+          className="pointer-events-none"
+        />
+      )}
+
+      {/* Delete buttons for a single selected polygon and each of its holes */}
+      {soleSelection && (
+        <g>
+          {polygon.holes.map((hole, holeIndex) => {
+            const center = centroid(hole);
+            return (
+              <DeleteMarker
+                key={holeIndex}
+                x={center.x}
+                y={center.y}
+                radius={9 * handlePixel}
+                fill="rgba(249, 115, 22, 0.9)"
+                title={`Remove hole ${holeIndex + 1}`}
+                onDelete={() => handlers.onDeleteHole(polygonIndex, holeIndex)}
+              />
+            );
+          })}
+          <DeleteMarker
+            {...interiorPoint(polygon)}
+            radius={12 * handlePixel}
+            title="Delete polygon"
+            onDelete={() => handlers.onDeletePolygon(polygonIndex)}
+          />
+        </g>
+      )}
+    </g>
+  );
+}
+
+const pointShape = PropTypes.shape({ x: PropTypes.number.isRequired, y: PropTypes.number.isRequired });
+
+PolygonShape.propTypes = {
+  polygon: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    points: PropTypes.arrayOf(pointShape).isRequired,
+    holes: PropTypes.arrayOf(PropTypes.arrayOf(pointShape)).isRequired
+  }).isRequired,
+  polygonIndex: PropTypes.number.isRequired,
+  locked: PropTypes.bool.isRequired,
+  selected: PropTypes.bool.isRequired,
+  soleSelection: PropTypes.bool.isRequired,
+  showMidpoints: PropTypes.bool.isRequired,
+  selectedVertex: PropTypes.shape({
+    ringIndex: PropTypes.number.isRequired,
+    vertexIndex: PropTypes.number.isRequired
+  }),
+  sharedNodes: PropTypes.instanceOf(Set).isRequired,
+  issues: PropTypes.array.isRequired,
+  pixel: PropTypes.number.isRequired,
+  handlePixel: PropTypes.number.isRequired,
+  defaultStyle: PropTypes.object.isRequired,
+  selectionColor: PropTypes.string.isRequired,
+  handlers: PropTypes.shape({
+    onPolygonPointerDown: PropTypes.func.isRequired,
+    onPolygonClick: PropTypes.func.isRequired,
+    onPolygonDoubleClick: PropTypes.func.isRequired,
+    onVertexPointerDown: PropTypes.func.isRequired,
+    onVertexClick: PropTypes.func.isRequired,
+    onMidpointPointerDown: PropTypes.func.isRequired,
+    onDeleteHole: PropTypes.func.isRequired,
+    onDeletePolygon: PropTypes.func.isRequired
+  }).isRequired
+};
+
+const MemoizedPolygonShape = memo(PolygonShape);
+
+export default MemoizedPolygonShape;
@@ -0,0 +1,150 @@
+import PropTypes from 'prop-types';
+
+const inputClass = 'border border-gray-300 rounded-lg px-2 py-1';
+
+// Name, style and attributes of the selected polygon. Typing and dragging apply changes live
+// through onChange(changes); onCommit is called when such an edit is finished (on blur, Enter
+// or releasing a slider) so that it becomes a single undo step. One-off actions pass
+// onChange(changes, true) to apply and record them at once.
+function PropertiesPanel({ polygon, style, polygonNumber, onChange, onCommit }) {
+  const attributes = Object.entries(polygon.attributes);
+
+  const setStyle = (key, value) => onChange({ style: { ...polygon.style, [key]: value } });
+
+  const setAttributes = (entries, commit = false) => onChange({ attributes: Object.fromEntries(entries) }, commit);
+
+  const renameAttribute = (index, key) => {
+    // Keys must stay unique; ignore a rename onto another attribute
+    if (attributes.some(([other], otherIndex) => other === key && otherIndex !== index)) return;
+    setAttributes(attributes.map((entry, i) => (i === index ? [key, entry[1]] : entry)));
+  };
+
+  const addAttribute = () => {
+    let key = 'attribute';
+    for (let n = 2; key in polygon.attributes; n++) key = `attribute ${n}`;
+    setAttributes([...attributes, [key, '']], true);
+  };
+
+  const removeAttribute = (index) => {
+    setAttributes(attributes.filter((_, i) => i !== index), true);
+  };
+
+  const commitOnEnter = (event) => {
+    if (event.key === 'Enter') event.currentTarget.blur();
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-4 text-sm text-gray-700 w-full">
+      <h2 className="text-lg font-semibold text-gray-700 mb-2">Polygon {polygonNumber}</h2>
+
+      <label className="flex items-center gap-2 mb-2">
+        Name:
+        <input
+          type="text"
+          value={polygon.name}
+          placeholder="Unnamed"
+          onChange={(e) => onChange({ name: e.target.value })}
+          onBlur={onCommit}
+          onKeyDown={commitOnEnter}
+          className={`${inputClass} flex-1 min-w-0`}
+        />
+      </label>
+
+      <div className="grid grid-cols-2 gap-2 mb-3">
+        <label className="flex items-center gap-2">
+          Fill
+          <input type="color" value={style.fill} onChange={(e) => setStyle('fill', e.target.value)} onBlur={onCommit} />
+        </label>
+        <label className="flex items-center gap-2">
+          Stroke
+          <input type="color" value={style.stroke} onChange={(e) => setStyle('stroke', e.target.value)} onBlur={onCommit} />
+        </label>
+        <label className="flex items-center gap-2 col-span-2">
+          Opacity
+          <input
+            type="range"
+            min="0"
+            max="1"
+            step="0.05"
+            value={style.opacity}
+            onChange={(e) => setStyle('opacity', Number(e.target.value))}
+            onPointerUp={onCommit}
+            onKeyUp={onCommit}
+            className="flex-1"
+          />
+          <span className="w-10 text-right">{Math.round(style.opacity * 100)}%</span>
+        </label>
+        <label className="flex items-center gap-2 col-span-2">
+          Stroke width
+          <input
+            type="number"
+            min="0"
+            step="0.5"
+            value={style.strokeWidth}
+            onChange={(e) => {
+              const strokeWidth = Number(e.target.value);
+              if (e.target.value !== '' && strokeWidth >= 0) setStyle('strokeWidth', strokeWidth);
+            }}
+            onBlur={onCommit}
+            onKeyDown={commitOnEnter}
+            className={`${inputClass} w-20`}
+          />
+        </label>
+      </div>
+
+      <h3 className="font-semibold mb-1">Attributes</h3>
+      {attributes.length === 0 && <p className="text-gray-500 mb-1">No attributes</p>}
+      {attributes.map(([key, value], index) => (
+        <div key={index} className="flex items-center gap-1 mb-1">
+          <input
+            type="text"
+            value={key}
+            aria-label="Attribute name"
+            onChange={(e) => renameAttribute(index, e.target.value)}
+            onBlur={onCommit}
+            onKeyDown={commitOnEnter}
+            className={`${inputClass} w-24 min-w-0`}
+          />
+          <input
+            type="text"
+            value={value}
+            aria-label={`Value of ${key}`}
+            onChange={(e) => setAttributes(attributes.map((entry, i) => (i === index ? [key, e.target.value] : entry)))}
+            onBlur={onCommit}
+            onKeyDown={commitOnEnter}
+            className={`${inputClass} flex-1 min-w-0`}
+          />
+          <button
+            onClick={() => removeAttribute(index)}
+            className="px-2 text-gray-500 hover:text-red-600"
+            title={`Remove ${key}`}
+          >
+            ×
+          </button>
+        </div>
+      ))}
+      <button onClick={addAttribute} className="mt-1 px-3 py-1 rounded-lg text-sm bg-gray-100 text-gray-700 hover:bg-gray-200 transition-colors">
+        Add attribute
+      </button>
+    </div>
+  );
+}
+
+PropertiesPanel.propTypes = {
+  polygon: PropTypes.shape({
+    name: PropTypes.string.isRequired,
+    attributes: PropTypes.objectOf(PropTypes.string).isRequired,
+    style: PropTypes.object.isRequired
+  }).isRequired,
+  style: PropTypes.shape({
+    fill: PropTypes.string.isRequired,
+    stroke: PropTypes.string.isRequired,
+    opacity: PropTypes.number.isRequired,
+    strokeWidth: PropTypes.number.isRequired
+  }).isRequired,
+  polygonNumber: PropTypes.number.isRequired,
+  onChange: PropTypes.func.isRequired,
+  onCommit: PropTypes.func.isRequired
+};
+
+export default PropertiesPanel;
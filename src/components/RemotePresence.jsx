@@ -0,0 +1,57 @@
+import PropTypes from 'prop-types';
+import { polygonToPath } from '../utils/polygonModel';
+
+// Selections and cursors of other people editing the same drawing, each in their own
+// color. pixelSize is one screen pixel in drawing units.
+function RemotePresence({ peers, polygons, pixelSize = 1 }) {
+  const byId = new Map(polygons.map(polygon => [polygon.id, polygon]));
+
+  return (
+    <g className="pointer-events-none" aria-hidden="true">
+      {peers.map(peer => peer.selection.filter(id => byId.has(id)).map(id => (
+        <path
+          key={`${peer.id}-${id}`}
+          d={polygonToPath(byId.get(id))}
+          fill="none"
+          stroke={peer.color}
+          strokeWidth={3 * pixelSize}
+          strokeDasharray={`${6 * pixelSize},${4 * pixelSize}`}
+        />
+      )))}
+      {peers.filter(peer => peer.cursor).map(({ id, name, color, cursor }) => (
+        <g key={id}>
+          <path
+            d={`M ${cursor.x} ${cursor.y} l ${12 * pixelSize} ${4 * pixelSize} l ${-5 * pixelSize} ${3 * pixelSize} l ${-3 * pixelSize} ${5 * pixelSize} Z`}
+            fill={color}
+            stroke="white"
+            strokeWidth={pixelSize}
+          />
+          <text
+            x={cursor.x + 14 * pixelSize}
+            y={cursor.y + 18 * pixelSize}
+            fontSize={11 * pixelSize}
+            fill={color}
+          >
+            {name}
+          </text>
+        </g>
+      ))}
+    </g>
+  );
+}
+
+RemotePresence.propTypes = {
+  peers: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired,
+    color: PropTypes.string.isRequired,
+    cursor: PropTypes.shape({ x: PropTypes.number.isRequired, y: PropTypes.number.isRequired }),
+    selection: PropTypes.arrayOf(PropTypes.string).isRequired
+  })).isRequired,
+  polygons: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired
+  })).isRequired,
+  pixelSize: PropTypes.number
+};
+
+export default RemotePresence;
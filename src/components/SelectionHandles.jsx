@@ -0,0 +1,90 @@
+import PropTypes from 'prop-types';
+
+const HANDLE_SIZE = 10;
+const ROTATE_OFFSET = 30;
+
+// Corner handles and the point that stays fixed while each one is dragged
+const cornerHandles = (bounds) => {
+  const { minX, minY, maxX, maxY } = bounds;
+  return [
+    { name: 'nw', x: minX, y: minY, anchor: { x: maxX, y: maxY }, cursor: 'nwse-resize' },
+    { name: 'ne', x: maxX, y: minY, anchor: { x: minX, y: maxY }, cursor: 'nesw-resize' },
+    { name: 'se', x: maxX, y: maxY, anchor: { x: minX, y: minY }, cursor: 'nwse-resize' },
+    { name: 'sw', x: minX, y: maxY, anchor: { x: maxX, y: minY }, cursor: 'nesw-resize' }
+  ];
+};
+
+// Dashed box around the selection with scale handles on the corners and a rotate handle on top
+// pixelSize is one screen pixel in drawing units, so the handles keep their size when zoomed.
+function SelectionHandles({ bounds, onScaleStart, onRotateStart, pixelSize = 1 }) {
+  const handleSize = HANDLE_SIZE * pixelSize;
+  const centerX = bounds.minX + bounds.width / 2;
+  const rotateY = bounds.minY - ROTATE_OFFSET * pixelSize;
+
+  return (
+    <g>
+      <rect
+        x={bounds.minX}
+        y={bounds.minY}
+        width={bounds.width}
+        height={bounds.height}
+        fill="none"
+        stroke="rgb(59, 130, 246)"
+        strokeWidth="1"
+        strokeDasharray="4,4"
+        className="pointer-events-none"
+      />
+      <line
+        x1={centerX}
+        y1={bounds.minY}
+        x2={centerX}
+        y2={rotateY}
+        stroke="rgb(59, 130, 246)"
+        strokeWidth="1"
+        className="pointer-events-none"
+      />
+      <circle
+        cx={centerX}
+        cy={rotateY}
+        r={handleSize / 2 + pixelSize}
+        fill="white"
+        stroke="rgb(59, 130, 246)"
+        strokeWidth="2"
+        style={{ cursor: 'grab' }}
+        onPointerDown={onRotateStart}
+      >
+        <title>Drag to rotate (Shift snaps to 15°)</title>
+      </circle>
+      {cornerHandles(bounds).map(handle => (
+        <rect
+          key={handle.name}
+          x={handle.x - handleSize / 2}
+          y={handle.y - handleSize / 2}
+          width={handleSize}
+          height={handleSize}
+          fill="white"
+          stroke="rgb(59, 130, 246)"
+          strokeWidth="2"
+          style={{ cursor: handle.cursor }}
+          onPointerDown={(e) => onScaleStart(e, { x: handle.x, y: handle.y }, handle.anchor)}
+        >
+          <title>Drag to scale (Shift keeps proportions)</title>
+        </rect>
+      ))}
+    </g>
+  );
+}
+
+SelectionHandles.propTypes = {
+  bounds: PropTypes.shape({
+    minX: PropTypes.number.isRequired,
+    minY: PropTypes.number.isRequired,
+    width: PropTypes.number.isRequired,
+    height: PropTypes.number.isRequired
+  }).isRequired,
+  onScaleStart: PropTypes.func.isRequired,
+  onRotateStart: PropTypes.func.isRequired,
+  pixelSize: PropTypes.number
+};
+
+export default SelectionHandles;
@@ -0,0 +1,96 @@
+import PropTypes from 'prop-types';
+
+const pointShape = PropTypes.shape({ x: PropTypes.number.isRequired, y: PropTypes.number.isRequired });
+
+const COLOR = 'rgb(255, 165, 0)';
+
+const LABELS = {
+  vertex: 'vertex',
+  midpoint: 'midpoint',
+  edge: 'on edge',
+  extension: 'extension',
+  grid: 'grid'
+};
+
+// Marker at the snapped point whose shape shows the kind of snap, with its guide lines
+// and a short label. pixelSize is one screen pixel in drawing units.
+function SnapIndicator({ snap, pixelSize = 1 }) {
+  const { point, kind } = snap;
+  const size = 6 * pixelSize;
+  const label = kind === 'angle' ? `${snap.angle}°` : LABELS[kind];
+
+  let marker;
+  if (kind === 'vertex') {
+    marker = (
+      <>
+        <circle cx={point.x} cy={point.y} r={10 * pixelSize} fill="none" stroke={COLOR} strokeWidth="3" className="animate-pulse" />
+        <line x1={point.x - size} y1={point.y} x2={point.x + size} y2={point.y} stroke={COLOR} strokeWidth="2" strokeLinecap="round" />
+        <line x1={point.x} y1={point.y - size} x2={point.x} y2={point.y + size} stroke={COLOR} strokeWidth="2" strokeLinecap="round" />
+      </>
+    );
+  } else if (kind === 'midpoint') {
+    marker = (
+      <polygon
+        points={`${point.x},${point.y - size * 1.3} ${point.x + size * 1.2},${point.y + size * 0.8} ${point.x - size * 1.2},${point.y + size * 0.8}`}
+        fill="none"
+        stroke={COLOR}
+        strokeWidth="2"
+      />
+    );
+  } else if (kind === 'edge') {
+    marker = (
+      <polygon
+        points={`${point.x},${point.y - size} ${point.x + size},${point.y} ${point.x},${point.y + size} ${point.x - size},${point.y}`}
+        fill="none"
+        stroke={COLOR}
+        strokeWidth="2"
+      />
+    );
+  } else {
+    // Grid, extension and angle snaps land on a computed point rather than on geometry
+    marker = (
+      <>
+        <line x1={point.x - size} y1={point.y - size} x2={point.x + size} y2={point.y + size} stroke={COLOR} strokeWidth="2" strokeLinecap="round" />
+        <line x1={point.x + size} y1={point.y - size} x2={point.x - size} y2={point.y + size} stroke={COLOR} strokeWidth="2" strokeLinecap="round" />
+      </>
+    );
+  }
+
+  return (
+    <g className="pointer-events-none">
+      {snap.guides?.map((guide, index) => (
+        <line
+          key={index}
+          x1={guide.from.x}
+          y1={guide.from.y}
+          x2={guide.to.x}
+          y2={guide.to.y}
+          stroke={COLOR}
+          strokeWidth="1"
+          strokeDasharray="4,3"
+        />
+      ))}
+      {marker}
+      <text
+        x={point.x + 12 * pixelSize}
+        y={point.y - 10 * pixelSize}
+        fontSize={11 * pixelSize}
+        fill="rgb(194, 120, 3)"
+      >
+        {label}
+      </text>
+    </g>
+  );
+}
+
+SnapIndicator.propTypes = {
+  snap: PropTypes.shape({
+    point: pointShape.isRequired,
+    kind: PropTypes.oneOf(['vertex', 'midpoint', 'edge', 'extension', 'grid', 'angle']).isRequired,
+    angle: PropTypes.number,
+    guides: PropTypes.arrayOf(PropTypes.shape({ from: pointShape.isRequired, to: pointShape.isRequired }))
+  }).isRequired,
+  pixelSize: PropTypes.number
+};
+
+export default SnapIndicator;
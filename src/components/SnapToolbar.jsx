@@ -0,0 +1,96 @@
+import PropTypes from 'prop-types';
+import { SNAP_MODES, ANGLE_STEPS } from '../utils/snapping';
+
+const MODE_LABELS = {
+  vertex: 'Vertices',
+  midpoint: 'Midpoints',
+  edge: 'Edges',
+  extension: 'Extensions',
+  grid: 'Grid'
+};
+
+// Toggles for each snapping mode, the grid size, the Shift angle step and shared vertices
+function SnapToolbar({ settings, onChange }) {
+  return (
+    <div className="flex flex-wrap items-center gap-3 text-sm text-gray-700">
+      <span>Snap:</span>
+      {SNAP_MODES.map(mode => (
+        <label key={mode} className="flex items-center gap-1">
+          <input
+            type="checkbox"
+            checked={settings[mode]}
+            onChange={(e) => onChange({ ...settings, [mode]: e.target.checked })}
+          />
+          {MODE_LABELS[mode]}
+        </label>
+      ))}
+      <label className="flex items-center gap-1">
+        Grid size:
+        <input
+          type="number"
+          min="1"
+          value={settings.gridSize}
+          onChange={(e) => {
+            const gridSize = Number(e.target.value);
+            if (gridSize > 0) onChange({ ...settings, gridSize });
+          }}
+          className="w-16 border border-gray-300 rounded-lg px-2 py-1"
+        />
+      </label>
+      <label className="flex items-center gap-1">
+        <input
+          type="checkbox"
+          checked={settings.hiddenLayers}
+          onChange={(e) => onChange({ ...settings, hiddenLayers: e.target.checked })}
+        />
+        Hidden layers
+      </label>
+      <label className="flex items-center gap-1">
+        <input
+          type="checkbox"
+          checked={settings.lockedLayers}
+          onChange={(e) => onChange({ ...settings, lockedLayers: e.target.checked })}
+        />
+        Locked layers
+      </label>
+      <label className="flex items-center gap-1" title="Hold Shift while drawing or dragging to constrain angles">
+        Shift angle:
+        <select
+          value={settings.angleStep}
+          onChange={(e) => onChange({ ...settings, angleStep: Number(e.target.value) })}
+          className="border border-gray-300 rounded-lg px-2 py-1"
+        >
+          {ANGLE_STEPS.map(step => (
+            <option key={step} value={step}>{step}°</option>
+          ))}
+        </select>
+      </label>
+      <label className="flex items-center gap-1" title="Vertices snapped onto each other stay joined and move together">
+        <input
+          type="checkbox"
+          checked={settings.shared}
+          onChange={(e) => onChange({ ...settings, shared: e.target.checked })}
+        />
+        Shared vertices
+      </label>
+    </div>
+  );
+}
+
+SnapToolbar.propTypes = {
+  settings: PropTypes.shape({
+    vertex: PropTypes.bool.isRequired,
+    midpoint: PropTypes.bool.isRequired,
+    edge: PropTypes.bool.isRequired,
+    extension: PropTypes.bool.isRequired,
+    grid: PropTypes.bool.isRequired,
+    gridSize: PropTypes.number.isRequired,
+    angleStep: PropTypes.oneOf(ANGLE_STEPS).isRequired,
+    hiddenLayers: PropTypes.bool.isRequired,
+    lockedLayers: PropTypes.bool.isRequired,
+    shared: PropTypes.bool.isRequired
+  }).isRequired,
+  onChange: PropTypes.func.isRequired
+};
+
+export default SnapToolbar;
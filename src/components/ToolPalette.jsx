@@ -0,0 +1,80 @@
+import PropTypes from 'prop-types';
+import { DRAWING_TOOLS } from '../utils/drawingTools';
+
+const TOOL_HINTS = {
+  polygon: 'Click to place vertices; drag on empty canvas to select',
+  rectangle: 'Drag to draw a rectangle; hold Shift for a square',
+  regular: 'Drag from the centre to a corner; hold Shift to constrain the rotation',
+  ellipse: 'Drag to draw an ellipse; hold Shift for a circle',
+  freehand: 'Drag around an area to draw its outline'
+};
+
+// Choice of drawing tool, with the vertex counts of the regular polygon and ellipse tools
+function ToolPalette({ tool, options, onToolChange, onOptionsChange }) {
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-sm text-gray-700">
+      <span>Tool:</span>
+      <div role="group" aria-label="Drawing tool" className="flex flex-wrap gap-1">
+        {Object.entries(DRAWING_TOOLS).map(([id, label]) => (
+          <button
+            key={id}
+            type="button"
+            onClick={() => onToolChange(id)}
+            aria-pressed={tool === id}
+            className={`px-2 py-1 rounded-lg transition-colors ${tool === id
+              ? 'bg-blue-500 text-white'
+              : 'bg-gray-200 hover:bg-gray-300'
+              }`}
+            title={TOOL_HINTS[id]}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      {tool === 'regular' && (
+        <label className="flex items-center gap-1">
+          Sides:
+          <input
+            type="number"
+            min="3"
+            max="64"
+            value={options.sides}
+            onChange={(e) => {
+              const sides = Math.round(Number(e.target.value));
+              if (sides >= 3 && sides <= 64) onOptionsChange({ ...options, sides });
+            }}
+            className="w-16 border border-gray-300 rounded-lg px-2 py-1"
+          />
+        </label>
+      )}
+      {tool === 'ellipse' && (
+        <label className="flex items-center gap-1">
+          Segments:
+          <input
+            type="number"
+            min="8"
+            max="256"
+            value={options.segments}
+            onChange={(e) => {
+              const segments = Math.round(Number(e.target.value));
+              if (segments >= 8 && segments <= 256) onOptionsChange({ ...options, segments });
+            }}
+            className="w-16 border border-gray-300 rounded-lg px-2 py-1"
+          />
+        </label>
+      )}
+    </div>
+  );
+}
+
+ToolPalette.propTypes = {
+  tool: PropTypes.oneOf(Object.keys(DRAWING_TOOLS)).isRequired,
+  options: PropTypes.shape({
+    sides: PropTypes.number.isRequired,
+    segments: PropTypes.number.isRequired
+  }).isRequired,
+  onToolChange: PropTypes.func.isRequired,
+  onOptionsChange: PropTypes.func.isRequired
+};
+
+export default ToolPalette;
@@ -0,0 +1,38 @@
+import PropTypes from 'prop-types';
+
+const buttonClass = 'px-3 py-1 rounded-lg text-sm text-white bg-blue-500 hover:bg-blue-600 transition-colors';
+
+// Actions on the whole selection. Stacking order can only be changed for a single polygon.
+function TransformToolbar({ onFlip, onDuplicate, onShift }) {
+  return (
+    <div className="flex flex-wrap justify-center gap-2">
+      <button onClick={() => onFlip('horizontal')} className={buttonClass} title="Flip horizontally">
+        Flip ↔
+      </button>
+      <button onClick={() => onFlip('vertical')} className={buttonClass} title="Flip vertically">
+        Flip ↕
+      </button>
+      <button onClick={onDuplicate} className={buttonClass} title="Duplicate the selected polygons (Ctrl+D)">
+        Duplicate
+      </button>
+      {onShift && (
+        <>
+          <button onClick={() => onShift(1)} className={buttonClass} title="Bring forward within its layer">
+            Forward
+          </button>
+          <button onClick={() => onShift(-1)} className={buttonClass} title="Send backward within its layer">
+            Backward
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
+
+TransformToolbar.propTypes = {
+  onFlip: PropTypes.func.isRequired,
+  onDuplicate: PropTypes.func.isRequired,
+  onShift: PropTypes.func
+};
+
+export default TransformToolbar;
@@ -0,0 +1,50 @@
+import PropTypes from 'prop-types';
+import { WINDING_OPTIONS } from '../utils/validation';
+
+const MODE_LABELS = {
+  off: 'Off',
+  warn: 'Highlight only',
+  block: 'Block invalid polygons'
+};
+
+function ValidationControls({ policy, onChange }) {
+  return (
+    <div className="flex flex-wrap items-center gap-3 text-sm text-gray-700">
+      <label className="flex items-center gap-1">
+        Validation:
+        <select
+          value={policy.mode}
+          onChange={(e) => onChange({ ...policy, mode: e.target.value })}
+          className="border border-gray-300 rounded-lg px-2 py-1"
+        >
+          {Object.entries(MODE_LABELS).map(([mode, label]) => (
+            <option key={mode} value={mode}>{label}</option>
+          ))}
+        </select>
+      </label>
+      <label className="flex items-center gap-1">
+        Winding:
+        <select
+          value={policy.winding}
+          onChange={(e) => onChange({ ...policy, winding: e.target.value })}
+          disabled={policy.mode === 'off'}
+          className="border border-gray-300 rounded-lg px-2 py-1"
+        >
+          {WINDING_OPTIONS.map(option => (
+            <option key={option} value={option}>{option}</option>
+          ))}
+        </select>
+      </label>
+    </div>
+  );
+}
+
+ValidationControls.propTypes = {
+  policy: PropTypes.shape({
+    mode: PropTypes.oneOf(Object.keys(MODE_LABELS)).isRequired,
+    winding: PropTypes.oneOf(WINDING_OPTIONS).isRequired
+  }).isRequired,
+  onChange: PropTypes.func.isRequired
+};
+
+export default ValidationControls;
@@ -0,0 +1,64 @@
+import PropTypes from 'prop-types';
+
+const pointShape = PropTypes.shape({ x: PropTypes.number.isRequired, y: PropTypes.number.isRequired });
+
+// Highlights the edges and vertices referenced by validation issues.
+// Issues without a ring refer to the first ring. pixelSize keeps markers a fixed size on screen.
+function ValidationOverlay({ rings, issues, pixelSize = 1 }) {
+  const dashed = issues.every(issue => issue.severity !== 'error');
+  // Several issues can point at the same edge; keep each one once
+  const edges = new Map();
+  const vertices = new Map();
+  issues.forEach(issue => {
+    const ringIndex = issue.ring ?? 0;
+    issue.edges.forEach(index => edges.set(`${ringIndex}-${index}`, [ringIndex, index]));
+    issue.vertices.forEach(index => vertices.set(`${ringIndex}-${index}`, [ringIndex, index]));
+  });
+
+  return (
+    <g className="pointer-events-none">
+      {[...edges].map(([key, [ringIndex, index]]) => {
+        const ring = rings[ringIndex];
+        const start = ring[index];
+        const end = ring[(index + 1) % ring.length];
+        return (
+          <line
+            key={key}
+            x1={start.x}
+            y1={start.y}
+            x2={end.x}
+            y2={end.y}
+            stroke="rgb(239, 68, 68)"
+            strokeWidth="4"
+            strokeLinecap="round"
+            strokeDasharray={dashed ? '6,4' : undefined}
+          />
+        );
+      })}
+      {[...vertices].map(([key, [ringIndex, index]]) => (
+        <circle
+          key={key}
+          cx={rings[ringIndex][index].x}
+          cy={rings[ringIndex][index].y}
+          r={10 * pixelSize}
+          fill="none"
+          stroke="rgb(239, 68, 68)"
+          strokeWidth="3"
+        />
+      ))}
+    </g>
+  );
+}
+
+ValidationOverlay.propTypes = {
+  rings: PropTypes.arrayOf(PropTypes.arrayOf(pointShape)).isRequired,
+  issues: PropTypes.arrayOf(PropTypes.shape({
+    severity: PropTypes.oneOf(['error', 'warning']).isRequired,
+    edges: PropTypes.arrayOf(PropTypes.number).isRequired,
+    vertices: PropTypes.arrayOf(PropTypes.number).isRequired,
+    ring: PropTypes.number
+  })).isRequired,
+  pixelSize: PropTypes.number
+};
+
+export default ValidationOverlay;
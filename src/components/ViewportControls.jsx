@@ -0,0 +1,38 @@
+import PropTypes from 'prop-types';
+
+const buttonClass = 'px-2 py-1 rounded-lg text-sm bg-gray-100 text-gray-700 hover:bg-gray-200 transition-colors disabled:opacity-50 disabled:cursor-not-allowed';
+
+// Zoom level and buttons to zoom, fit the drawing or the selection, and reset the view
+function ViewportControls({ scale, canFit, canFitSelection, onZoom, onFit, onFitSelection, onReset }) {
+  return (
+    <div className="flex flex-wrap items-center justify-center gap-1">
+      <button onClick={() => onZoom(1 / 1.25)} className={buttonClass} title="Zoom out">
+        −
+      </button>
+      <button onClick={onReset} className={`${buttonClass} w-16`} title="Reset zoom to 100%">
+        {Math.round(scale * 100)}%
+      </button>
+      <button onClick={() => onZoom(1.25)} className={buttonClass} title="Zoom in">
+        +
+      </button>
+      <button onClick={onFit} disabled={!canFit} className={buttonClass} title="Zoom to fit all polygons">
+        Fit
+      </button>
+      <button onClick={onFitSelection} disabled={!canFitSelection} className={buttonClass} title="Zoom to the selection">
+        Selection
+      </button>
+    </div>
+  );
+}
+
+ViewportControls.propTypes = {
+  scale: PropTypes.number.isRequired,
+  canFit: PropTypes.bool.isRequired,
+  canFitSelection: PropTypes.bool.isRequired,
+  onZoom: PropTypes.func.isRequired,
+  onFit: PropTypes.func.isRequired,
+  onFitSelection: PropTypes.func.isRequired,
+  onReset: PropTypes.func.isRequired
+};
+
+export default ViewportControls;
@@ -0,0 +1,221 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+import { applyOperations, diffOperations, rebase } from '../utils/collaboration';
+
+// Delay before trying again after the connection to a joined room dropped
+const RECONNECT_DELAY = 2000;
+
+// Cursor and selection updates are sent at most this often
+const PRESENCE_INTERVAL = 50;
+
+const createOpId = () =>
+  `op-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Connection to a collaboration server (see server/). Keeps the drawing the server
+// confirmed plus the user's batches it has not confirmed yet, and the other people in the
+// room. `polygons` is null until the server sent the drawing. Once it has, a dropped
+// connection is retried and batches made meanwhile are sent when it comes back; a server
+// that cannot be reached in the first place leaves the hook offline with an error.
+export function useCollaboration() {
+  const [status, setStatus] = useState('offline'); // 'offline', 'connecting' or 'online'
+  const [session, setSession] = useState(0); // Counts connects, so each one gets a fresh editor
+  const [clientId, setClientId] = useState(null);
+  const [polygons, setPolygons] = useState(null);
+  const [peers, setPeers] = useState([]);
+  const [error, setError] = useState(null);
+
+  const socketRef = useRef(null);
+  const addressRef = useRef(null); // { url, name } while the user wants to be connected
+  const joinedRef = useRef(false); // Whether the server welcomed this session
+  const clientIdRef = useRef(null);
+  const confirmedRef = useRef([]);
+  const pendingRef = useRef([]); // Batches { opId, ops } in the order they were made
+  const viewRef = useRef(null);
+  const presenceRef = useRef({ cursor: null, selection: [] });
+  const presenceTimerRef = useRef(null);
+  const reconnectTimerRef = useRef(null);
+
+  const send = useCallback((message) => {
+    const socket = socketRef.current;
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify(message));
+    }
+  }, []);
+
+  const show = useCallback(() => {
+    viewRef.current = rebase(confirmedRef.current, pendingRef.current);
+    setPolygons(viewRef.current);
+  }, []);
+
+  const sendPresence = useCallback(() => {
+    presenceTimerRef.current = null;
+    send({ type: 'presence', ...presenceRef.current });
+  }, [send]);
+
+  // Send the latest cursor and selection once the interval is up
+  const updatePresence = useCallback((changes) => {
+    presenceRef.current = { ...presenceRef.current, ...changes };
+    if (presenceTimerRef.current === null) {
+      presenceTimerRef.current = setTimeout(sendPresence, PRESENCE_INTERVAL);
+    }
+  }, [sendPresence]);
+
+  const handleMessage = useCallback((message) => {
+    switch (message.type) {
+      case 'welcome':
+        joinedRef.current = true;
+        clientIdRef.current = message.clientId;
+        setClientId(message.clientId);
+        confirmedRef.current = message.polygons;
+        setPeers(message.peers);
+        setStatus('online');
+        setError(null);
+        // The server may have applied some of these before the connection dropped;
+        // applying them again changes nothing
+        pendingRef.current.forEach(batch => send({ type: 'op', ...batch }));
+        send({ type: 'presence', ...presenceRef.current });
+        show();
+        break;
+      case 'op': {
+        confirmedRef.current = applyOperations(confirmedRef.current, message.ops);
+        if (message.clientId !== clientIdRef.current) {
+          show();
+          break;
+        }
+        // The user's own batch came back: what they see stays the same
+        const pending = pendingRef.current;
+        pendingRef.current = pending.filter(batch => batch.opId !== message.opId);
+        if (pending[0]?.opId !== message.opId) show();
+        break;
+      }
+      case 'presence': {
+        const { clientId: id, name, color, cursor, selection } = message;
+        const peer = { id, name, color, cursor, selection };
+        setPeers(prev => prev.some(entry => entry.id === id)
+          ? prev.map(entry => entry.id === id ? peer : entry)
+          : [...prev, peer]);
+        break;
+      }
+      case 'leave':
+        setPeers(prev => prev.filter(entry => entry.id !== message.clientId));
+        break;
+      case 'error':
+        // The server refused a batch, so it is taken back
+        pendingRef.current = pendingRef.current.filter(batch => batch.opId !== message.opId);
+        setError(message.message);
+        show();
+        break;
+      default:
+        break;
+    }
+  }, [send, show]);
+
+  const open = useCallback(() => {
+    const { url, name } = addressRef.current;
+    setStatus('connecting');
+    let socket;
+    try {
+      socket = new WebSocket(url);
+    } catch (err) {
+      addressRef.current = null;
+      setStatus('offline');
+      setError(`Cannot connect: ${err.message}`);
+      return;
+    }
+    socketRef.current = socket;
+    socket.onopen = () => socket.send(JSON.stringify({ type: 'hello', name }));
+    socket.onmessage = (event) => {
+      try {
+        handleMessage(JSON.parse(event.data));
+      } catch (err) {
+        setError(`Unreadable message from the server: ${err.message}`);
+      }
+    };
+    socket.onclose = () => {
+      if (socketRef.current !== socket) return;
+      socketRef.current = null;
+      setPeers([]);
+      if (!addressRef.current) return;
+      if (joinedRef.current) {
+        setStatus('connecting');
+        reconnectTimerRef.current = setTimeout(open, RECONNECT_DELAY);
+        return;
+      }
+      addressRef.current = null;
+      setStatus('offline');
+      setError(`Cannot connect to ${url}`);
+    };
+  }, [handleMessage]);
+
+  const disconnect = useCallback(() => {
+    addressRef.current = null;
+    joinedRef.current = false;
+    clearTimeout(reconnectTimerRef.current);
+    clearTimeout(presenceTimerRef.current);
+    presenceTimerRef.current = null;
+    const socket = socketRef.current;
+    socketRef.current = null;
+    socket?.close();
+    clientIdRef.current = null;
+    confirmedRef.current = [];
+    pendingRef.current = [];
+    viewRef.current = null;
+    setClientId(null);
+    setPolygons(null);
+    setPeers([]);
+    setStatus('offline');
+  }, []);
+
+  // Join the room given by the URL's path under the given name
+  const connect = useCallback((url, name) => {
+    disconnect();
+    setError(null);
+    setSession(prev => prev + 1);
+    addressRef.current = { url, name };
+    open();
+  }, [disconnect, open]);
+
+  const sendBatch = useCallback((ops) => {
+    const batch = { opId: createOpId(), ops };
+    pendingRef.current = [...pendingRef.current, batch];
+    send({ type: 'op', ...batch });
+  }, [send]);
+
+  // Report the user's committed polygons; only what changed is sent
+  const commit = useCallback((next) => {
+    if (viewRef.current === null) return;
+    const ops = diffOperations(viewRef.current, next);
+    if (ops.length > 0) sendBatch(ops);
+    // The editor's own array, so it knows the value as its own change
+    viewRef.current = next;
+    setPolygons(next);
+  }, [sendBatch]);
+
+  // Empty the shared drawing, including what others added that the user has not seen yet.
+  // Call it before the emptied polygons are committed, which then change nothing.
+  const clear = useCallback(() => {
+    if (viewRef.current === null) return;
+    sendBatch([{ type: 'clear' }]);
+    viewRef.current = [];
+  }, [sendBatch]);
+
+  const setCursor = useCallback((cursor) => updatePresence({ cursor }), [updatePresence]);
+  const setSelection = useCallback((selection) => updatePresence({ selection }), [updatePresence]);
+
+  // Leave the room when the page closes
+  useEffect(() => disconnect, [disconnect]);
+
+  return {
+    status,
+    session,
+    clientId,
+    polygons,
+    peers,
+    error,
+    connect,
+    disconnect,
+    commit,
+    clear,
+    setCursor,
+    setSelection
+  };
+}
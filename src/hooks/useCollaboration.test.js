@@ -0,0 +1,123 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+import { useCollaboration } from './useCollaboration';
+
+// Stands in for the browser's WebSocket; tests play the server through the instances
+class FakeWebSocket {
+  static OPEN = 1;
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.readyState = 0;
+    this.sent = [];
+    FakeWebSocket.instances.push(this);
+  }
+
+  send(text) {
+    this.sent.push(JSON.parse(text));
+  }
+
+  close() {
+    this.readyState = 3;
+  }
+
+  // Server side
+  accept() {
+    this.readyState = FakeWebSocket.OPEN;
+    this.onopen?.();
+  }
+
+  receive(message) {
+    this.onmessage?.({ data: JSON.stringify(message) });
+  }
+
+  drop() {
+    this.readyState = 3;
+    this.onclose?.();
+  }
+}
+
+const lastSocket = () => FakeWebSocket.instances[FakeWebSocket.instances.length - 1];
+
+describe('useCollaboration', () => {
+  beforeEach(() => {
+    FakeWebSocket.instances = [];
+    vi.stubGlobal('WebSocket', FakeWebSocket);
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+  });
+
+  it('goes offline with an error when the server cannot be reached', () => {
+    const { result } = renderHook(() => useCollaboration());
+    act(() => result.current.connect('ws://nowhere/plan', 'Ann'));
+    expect(result.current.status).toBe('connecting');
+
+    act(() => lastSocket().drop());
+    expect(result.current.status).toBe('offline');
+    expect(result.current.error).toMatch('ws://nowhere/plan');
+    act(() => vi.advanceTimersByTime(10000));
+    expect(FakeWebSocket.instances).toHaveLength(1);
+  });
+
+  it('reconnects to a room it joined and sends unconfirmed changes again', () => {
+    const { result } = renderHook(() => useCollaboration());
+    act(() => result.current.connect('ws://server/plan', 'Ann'));
+    act(() => lastSocket().accept());
+    act(() => lastSocket().receive({ type: 'welcome', clientId: 'c1', color: '#000', polygons: [], peers: [] }));
+    expect(result.current.status).toBe('online');
+
+    const polygon = { id: 'p', points: [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 0, y: 1 }], holes: [] };
+    act(() => lastSocket().drop());
+    act(() => result.current.commit([polygon]));
+    expect(result.current.status).toBe('connecting');
+
+    act(() => vi.advanceTimersByTime(2000));
+    act(() => lastSocket().accept());
+    act(() => lastSocket().receive({ type: 'welcome', clientId: 'c2', color: '#000', polygons: [], peers: [] }));
+    expect(lastSocket().sent.filter(message => message.type === 'op')).toEqual([
+      expect.objectContaining({ ops: [{ type: 'create', polygon, index: 0 }] })
+    ]);
+    expect(result.current.polygons).toEqual([polygon]);
+  });
+
+  it('shows remote batches under unconfirmed ones', () => {
+    const a = { id: 'a', points: [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 0, y: 1 }], holes: [] };
+    const b = { ...a, id: 'b' };
+    const { result } = renderHook(() => useCollaboration());
+    act(() => result.current.connect('ws://server/plan', 'Ann'));
+    act(() => lastSocket().accept());
+    act(() => lastSocket().receive({ type: 'welcome', clientId: 'c1', color: '#000', polygons: [a], peers: [] }));
+
+    const moved = { ...a, points: [{ x: 5, y: 5 }, ...a.points.slice(1)] };
+    act(() => result.current.commit([moved]));
+    const [mine] = lastSocket().sent.filter(message => message.type === 'op');
+    expect(mine.ops).toEqual([{ type: 'move', id: 'a', ringIndex: 0, vertexIndex: 0, point: { x: 5, y: 5 } }]);
+
+    // Someone else's batch, applied by the server before the user's move
+    act(() => lastSocket().receive({ type: 'op', clientId: 'c2', opId: 'x', ops: [{ type: 'create', polygon: b }] }));
+    expect(result.current.polygons).toEqual([moved, b]);
+
+    act(() => lastSocket().receive({ type: 'op', clientId: 'c1', opId: mine.opId, ops: mine.ops }));
+    expect(result.current.polygons).toEqual([moved, b]);
+  });
+
+  it('takes back a batch the server refused', () => {
+    const a = { id: 'a', points: [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 0, y: 1 }], holes: [] };
+    const { result } = renderHook(() => useCollaboration());
+    act(() => result.current.connect('ws://server/plan', 'Ann'));
+    act(() => lastSocket().accept());
+    act(() => lastSocket().receive({ type: 'welcome', clientId: 'c1', color: '#000', polygons: [], peers: [] }));
+
+    act(() => result.current.commit([a]));
+    const [mine] = lastSocket().sent.filter(message => message.type === 'op');
+    act(() => lastSocket().receive({ type: 'error', opId: mine.opId, message: 'Refused' }));
+    expect(result.current.polygons).toEqual([]);
+    expect(result.current.error).toBe('Refused');
+  });
+});
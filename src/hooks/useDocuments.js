@@ -0,0 +1,167 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+import {
+  createDocument,
+  generateId,
+  loadDocument,
+  loadDocumentIndex,
+  removeDocument,
+  saveDocument,
+  saveDocumentIndex
+} from '../utils/storage';
+
+// Delay before pending edits are written to storage
+const AUTOSAVE_DELAY = 500;
+
+const DEFAULT_NAME = 'Untitled';
+
+// Load the last active document, creating a first one when nothing is stored
+const loadInitialState = () => {
+  const index = loadDocumentIndex();
+  const candidates = [index.activeId, ...index.documents.map(entry => entry.id)];
+
+  for (const id of candidates) {
+    const doc = id && index.documents.some(entry => entry.id === id) ? loadDocument(id) : null;
+    if (doc) {
+      return { documents: index.documents, activeDocument: doc };
+    }
+  }
+
+  const doc = createDocument();
+  saveDocument(doc);
+  return {
+    documents: [...index.documents, { id: doc.id, name: DEFAULT_NAME }],
+    activeDocument: doc
+  };
+};
+
+// Manages the list of named documents and debounced autosave of the active one.
+// Actions that change the active document return it so the caller can load its state.
+// `saveFailed` tells whether the last save did not reach storage.
+export function useDocuments() {
+  const [initialState] = useState(loadInitialState);
+  const [documents, setDocuments] = useState(initialState.documents);
+  const [activeId, setActiveId] = useState(initialState.activeDocument.id);
+  const [saveFailed, setSaveFailed] = useState(false);
+
+  // Refs let the debounced save target the document that was active when it was scheduled
+  const activeIdRef = useRef(activeId);
+  const pendingRef = useRef(null);
+  const timerRef = useRef(null);
+
+  // Keep the stored index in sync with the document list
+  useEffect(() => {
+    if (!saveDocumentIndex({ documents, activeId })) setSaveFailed(true);
+  }, [documents, activeId]);
+
+  const store = useCallback((doc) => {
+    setSaveFailed(!saveDocument(doc));
+  }, []);
+
+  // Write any pending changes immediately
+  const flush = useCallback(() => {
+    clearTimeout(timerRef.current);
+    if (pendingRef.current) {
+      store(pendingRef.current);
+      pendingRef.current = null;
+    }
+  }, [store]);
+
+  // Queue the active document's undo history for saving
+  const scheduleSave = useCallback((history) => {
+    pendingRef.current = { id: activeIdRef.current, history };
+    clearTimeout(timerRef.current);
+    timerRef.current = setTimeout(flush, AUTOSAVE_DELAY);
+  }, [flush]);
+
+  // Save before the page goes away or the editor unmounts
+  useEffect(() => {
+    window.addEventListener('beforeunload', flush);
+    return () => {
+      window.removeEventListener('beforeunload', flush);
+      flush();
+    };
+  }, [flush]);
+
+  const activate = useCallback((doc) => {
+    activeIdRef.current = doc.id;
+    setActiveId(doc.id);
+    return doc;
+  }, []);
+
+  const createNew = useCallback((name = DEFAULT_NAME) => {
+    flush();
+    const doc = createDocument();
+    store(doc);
+    setDocuments(prev => [...prev, { id: doc.id, name }]);
+    return activate(doc);
+  }, [flush, store, activate]);
+
+  const switchTo = useCallback((id) => {
+    if (id === activeIdRef.current) return null;
+    flush();
+    // A document whose data went missing opens empty rather than failing
+    return activate(loadDocument(id) || createDocument(id));
+  }, [flush, activate]);
+
+  // The active document as last saved, with pending edits written first
+  const reload = useCallback(() => {
+    flush();
+    const id = activeIdRef.current;
+    return loadDocument(id) || createDocument(id);
+  }, [flush]);
+
+  const rename = useCallback((id, name) => {
+    setDocuments(prev => prev.map(entry => entry.id === id ? { ...entry, name } : entry));
+  }, []);
+
+  const duplicate = useCallback((id) => {
+    flush();
+    const source = loadDocument(id) || createDocument(id);
+    const copy = { ...source, id: generateId() };
+    store(copy);
+
+    const sourceEntry = documents.find(entry => entry.id === id);
+    const copyEntry = { id: copy.id, name: `${sourceEntry ? sourceEntry.name : DEFAULT_NAME} (copy)` };
+    setDocuments(prev => {
+      const position = prev.findIndex(entry => entry.id === id);
+      return [...prev.slice(0, position + 1), copyEntry, ...prev.slice(position + 1)];
+    });
+    return activate(copy);
+  }, [documents, flush, store, activate]);
+
+  const remove = useCallback((id) => {
+    const isActive = id === activeIdRef.current;
+    if (isActive) {
+      // Drop unsaved edits of the document being deleted
+      clearTimeout(timerRef.current);
+      pendingRef.current = null;
+    }
+    removeDocument(id);
+
+    const remaining = documents.filter(entry => entry.id !== id);
+    if (remaining.length === 0) {
+      const doc = createDocument();
+      store(doc);
+      setDocuments([{ id: doc.id, name: DEFAULT_NAME }]);
+      return activate(doc);
+    }
+
+    setDocuments(remaining);
+    if (!isActive) return null;
+    return activate(loadDocument(remaining[0].id) || createDocument(remaining[0].id));
+  }, [documents, store, activate]);
+
+  return {
+    documents,
+    activeId,
+    saveFailed,
+    initialDocument: initialState.activeDocument,
+    scheduleSave,
+    createNew,
+    switchTo,
+    reload,
+    rename,
+    duplicate,
+    remove
+  };
+}
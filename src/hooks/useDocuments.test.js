@@ -0,0 +1,49 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+import { useDocuments } from './useDocuments';
+import { loadDocument } from '../utils/storage';
+import { createHistory } from '../utils/history';
+import { createDefaultLayers } from '../utils/layers';
+
+const historyWith = (name) =>
+  createHistory({ polygons: [], currentPolygon: [], layers: [...createDefaultLayers(), { id: 'l2', name, visible: true, locked: false }] });
+
+describe('useDocuments', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('saves the active document a moment after the last change', () => {
+    const { result } = renderHook(() => useDocuments());
+    const { activeId } = result.current;
+    act(() => result.current.scheduleSave(historyWith('First')));
+    act(() => result.current.scheduleSave(historyWith('Second')));
+    expect(loadDocument(activeId).history.state.layers).toHaveLength(1);
+
+    act(() => vi.advanceTimersByTime(500));
+    expect(loadDocument(activeId).history).toEqual(historyWith('Second'));
+    expect(result.current.saveFailed).toBe(false);
+  });
+
+  it('reports saves that do not reach storage', () => {
+    const { result } = renderHook(() => useDocuments());
+    vi.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+      throw new Error('QuotaExceededError');
+    });
+    act(() => result.current.scheduleSave(historyWith('Lost')));
+    act(() => vi.advanceTimersByTime(500));
+    expect(result.current.saveFailed).toBe(true);
+
+    vi.restoreAllMocks();
+    act(() => result.current.scheduleSave(historyWith('Kept')));
+    act(() => vi.advanceTimersByTime(500));
+    expect(result.current.saveFailed).toBe(false);
+  });
+});
@@ -0,0 +1,10 @@
+// Library entry: the embeddable editor and helpers for the polygons it works with.
+// Built with `npm run build:lib`; the app itself starts from main.jsx.
+
+import './lib.css';
+
+export { default as PolygonEditor } from './components/PolygonEditor';
+export { createPolygon, normalizePolygon } from './utils/polygonModel';
+export { toGeoJSON, toSVG, toProject, parseImportFile } from './utils/fileFormats';
+export { validatePolygon, validatePolygons } from './utils/validation';
+export { useCollaboration } from './hooks/useCollaboration';
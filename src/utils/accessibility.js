@@ -0,0 +1,46 @@
+// Text for screen reader labels and announcements, and the keyboard focus order of the
+// canvas. Polygons and vertices are numbered from 1 as they are everywhere else in the UI.
+
+import { isEditable } from './layers';
+
+export const countLabel = (count, singular, plural = `${singular}s`) =>
+  `${count} ${count === 1 ? singular : plural}`;
+
+export const describePoint = (point) => `${Math.round(point.x)}, ${Math.round(point.y)}`;
+
+// "Polygon 3 "Kitchen", 5 vertices, 1 hole"
+export const describePolygon = (polygon, polygonIndex) => {
+  const parts = [
+    `Polygon ${polygonIndex + 1}${polygon.name ? ` "${polygon.name}"` : ''}`,
+    countLabel(polygon.points.length, 'vertex', 'vertices')
+  ];
+  if (polygon.holes.length > 0) parts.push(countLabel(polygon.holes.length, 'hole'));
+  return parts.join(', ');
+};
+
+// "Vertex 2 of hole 1 of polygon 3 at 120, 40"
+export const describeVertex = ({ polygonIndex, ringIndex, vertexIndex }, point) =>
+  `Vertex ${vertexIndex + 1} of ${ringIndex > 0 ? `hole ${ringIndex} of ` : ''}polygon ${polygonIndex + 1} at ${describePoint(point)}`;
+
+// What Tab visits on the canvas: each editable polygon followed by its vertices, outer
+// ring first. Items are { polygonIndex } or { polygonIndex, ringIndex, vertexIndex }.
+export const focusOrder = (polygons, layers) => polygons.flatMap((polygon, polygonIndex) => {
+  if (!isEditable(polygon, layers)) return [];
+  const vertices = [polygon.points, ...polygon.holes].flatMap((ring, ringIndex) =>
+    ring.map((_, vertexIndex) => ({ polygonIndex, ringIndex, vertexIndex }))
+  );
+  return [{ polygonIndex }, ...vertices];
+});
+
+// Position of the current keyboard focus in the order, which follows the selection: a
+// selected vertex, else a single selected polygon. -1 means the free cursor.
+export const focusPosition = (order, selectedPolygons, selectedVertex) => {
+  if (selectedVertex) {
+    return order.findIndex(item => item.vertexIndex === selectedVertex.vertexIndex &&
+      item.ringIndex === selectedVertex.ringIndex && item.polygonIndex === selectedVertex.polygonIndex);
+  }
+  if (selectedPolygons.length === 1) {
+    return order.findIndex(item => item.vertexIndex === undefined && item.polygonIndex === selectedPolygons[0]);
+  }
+  return -1;
+};
@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import { countLabel, describePolygon, describeVertex, focusOrder, focusPosition } from './accessibility';
+import { createLayer, updateLayer } from './layers';
+import { createPolygon } from './polygonModel';
+
+const triangle = [{ x: 0, y: 0 }, { x: 10.4, y: 0 }, { x: 0, y: 10 }];
+const layers = [createLayer('Base', 'base'), createLayer('Top', 'top')];
+
+describe('descriptions', () => {
+  it('pluralizes counts', () => {
+    expect(countLabel(1, 'vertex', 'vertices')).toBe('1 vertex');
+    expect(countLabel(2, 'hole')).toBe('2 holes');
+  });
+
+  it('describes polygons and vertices', () => {
+    const polygon = createPolygon(triangle, [triangle], { name: 'Kitchen' });
+    expect(describePolygon(polygon, 2)).toBe('Polygon 3 "Kitchen", 3 vertices, 1 hole');
+    expect(describeVertex({ polygonIndex: 2, ringIndex: 1, vertexIndex: 1 }, triangle[1]))
+      .toBe('Vertex 2 of hole 1 of polygon 3 at 10, 0');
+  });
+});
+
+describe('focusOrder', () => {
+  const polygons = [
+    createPolygon(triangle, [], { layerId: 'top' }),
+    createPolygon(triangle, [], { layerId: 'base' })
+  ];
+
+  it('visits each polygon and then its vertices', () => {
+    const order = focusOrder(polygons, layers);
+    expect(order).toHaveLength(8);
+    expect(order[0]).toEqual({ polygonIndex: 0 });
+    expect(order[1]).toEqual({ polygonIndex: 0, ringIndex: 0, vertexIndex: 0 });
+    expect(order[4]).toEqual({ polygonIndex: 1 });
+  });
+
+  it('skips locked and hidden layers', () => {
+    const order = focusOrder(polygons, updateLayer(layers, 'top', { locked: true }));
+    expect(order.every(item => item.polygonIndex === 1)).toBe(true);
+  });
+
+  it('follows the selection', () => {
+    const order = focusOrder(polygons, layers);
+    expect(focusPosition(order, [], null)).toBe(-1);
+    expect(focusPosition(order, [1], null)).toBe(4);
+    expect(focusPosition(order, [1], { polygonIndex: 1, ringIndex: 0, vertexIndex: 2 })).toBe(7);
+    expect(focusPosition(order, [0, 1], null)).toBe(-1);
+  });
+});
@@ -0,0 +1,89 @@
+// Dataset annotation exports for tracing over a background image: COCO instance
+// segmentation JSON and Pascal VOC XML with polygons. Coordinates are in image pixels.
+// Each polygon's class is its `category` attribute, or the name of its layer.
+
+import { escapeXML } from './fileFormats';
+import { shapeArea, boundingBox } from './geometry';
+import { layerOf } from './layers';
+import { polygonToImage } from './background';
+
+const round = (value) => Math.round(value * 100) / 100;
+
+export const categoryOf = (polygon, layers) =>
+  polygon.attributes.category?.trim() || layerOf(polygon, layers).name;
+
+// Category names in order of first use
+const collectCategories = (polygons, layers) =>
+  [...new Set(polygons.map(polygon => categoryOf(polygon, layers)))];
+
+// COCO polygon segmentations cannot describe holes, so only the outer ring is written;
+// the area still has the holes subtracted.
+export const toCOCO = (polygons, layers, background) => {
+  const categories = collectCategories(polygons, layers);
+  const annotations = polygons.map((polygon, index) => {
+    const shape = polygonToImage(background, polygon);
+    const bounds = boundingBox(shape.points);
+    return {
+      id: index + 1,
+      image_id: 1,
+      category_id: categories.indexOf(categoryOf(polygon, layers)) + 1,
+      segmentation: [shape.points.flatMap(point => [round(point.x), round(point.y)])],
+      area: round(shapeArea(shape)),
+      bbox: [round(bounds.minX), round(bounds.minY), round(bounds.width), round(bounds.height)],
+      iscrowd: 0
+    };
+  });
+  const dataset = {
+    info: { description: 'Interactive Polygon Drawing Tool export', date_created: new Date().toISOString() },
+    images: [{ id: 1, file_name: background.name, width: background.width, height: background.height }],
+    categories: categories.map((name, index) => ({ id: index + 1, name, supercategory: '' })),
+    annotations
+  };
+  return JSON.stringify(dataset, null, 2);
+};
+
+// One <object> per polygon with the usual bounding box (1-based, clamped to the image)
+// plus the outer ring as a LabelMe-style <polygon> of <pt> elements.
+export const toVOC = (polygons, layers, background) => {
+  const { width, height } = background;
+  const clamp = (value, max) => Math.min(max, Math.max(1, Math.round(value) + 1));
+  const objects = polygons.map(polygon => {
+    const shape = polygonToImage(background, polygon);
+    const bounds = boundingBox(shape.points);
+    const truncated = bounds.minX < 0 || bounds.minY < 0 || bounds.maxX > width || bounds.maxY > height;
+    const points = shape.points.map(point =>
+      `        <pt><x>${round(point.x)}</x><y>${round(point.y)}</y></pt>`
+    );
+    return [
+      '  <object>',
+      `    <name>${escapeXML(categoryOf(polygon, layers))}</name>`,
+      '    <pose>Unspecified</pose>',
+      `    <truncated>${truncated ? 1 : 0}</truncated>`,
+      '    <difficult>0</difficult>',
+      '    <bndbox>',
+      `      <xmin>${clamp(bounds.minX, width)}</xmin>`,
+      `      <ymin>${clamp(bounds.minY, height)}</ymin>`,
+      `      <xmax>${clamp(bounds.maxX, width)}</xmax>`,
+      `      <ymax>${clamp(bounds.maxY, height)}</ymax>`,
+      '    </bndbox>',
+      '    <polygon>',
+      ...points,
+      '    </polygon>',
+      '  </object>'
+    ].join('\n');
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<annotation>',
+    `  <filename>${escapeXML(background.name)}</filename>`,
+    '  <size>',
+    `    <width>${width}</width>`,
+    `    <height>${height}</height>`,
+    '    <depth>3</depth>',
+    '  </size>',
+    '  <segmented>1</segmented>',
+    ...objects,
+    '</annotation>',
+    ''
+  ].join('\n');
+};
@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { categoryOf, toCOCO, toVOC } from './annotationFormats';
+import { createBackground } from './background';
+import { createLayer } from './layers';
+import { createPolygon } from './polygonModel';
+
+const layers = [createLayer('Rooms', 'rooms')];
+const background = { ...createBackground({ name: 'plan <1>.png', src: 'blob:plan', width: 200, height: 100 }), scale: 0.5 };
+
+const room = createPolygon(
+  [{ x: 0, y: 0 }, { x: 50, y: 0 }, { x: 50, y: 40 }, { x: 0, y: 40 }],
+  [[{ x: 10, y: 10 }, { x: 20, y: 10 }, { x: 20, y: 20 }, { x: 10, y: 20 }]],
+  { layerId: 'rooms' }
+);
+const door = createPolygon(
+  [{ x: 90, y: 30 }, { x: 110, y: 30 }, { x: 110, y: 45 }],
+  [],
+  { layerId: 'rooms', attributes: { category: 'door' } }
+);
+
+describe('categoryOf', () => {
+  it('uses the category attribute, then the layer name', () => {
+    expect(categoryOf(door, layers)).toBe('door');
+    expect(categoryOf(room, layers)).toBe('Rooms');
+  });
+});
+
+describe('toCOCO', () => {
+  it('writes annotations in image pixels', () => {
+    const dataset = JSON.parse(toCOCO([room, door], layers, background));
+    expect(dataset.images).toEqual([{ id: 1, file_name: 'plan <1>.png', width: 200, height: 100 }]);
+    expect(dataset.categories.map(category => category.name)).toEqual(['Rooms', 'door']);
+    const [first, second] = dataset.annotations;
+    expect(first.segmentation).toEqual([[0, 0, 100, 0, 100, 80, 0, 80]]);
+    // 100 x 80 minus the 20 x 20 hole
+    expect(first.area).toBe(7600);
+    expect(first.bbox).toEqual([0, 0, 100, 80]);
+    expect(second.category_id).toBe(2);
+  });
+});
+
+describe('toVOC', () => {
+  it('writes objects with bounding boxes clamped to the image', () => {
+    const xml = toVOC([room, door], layers, background);
+    expect(xml).toContain('<filename>plan &lt;1&gt;.png</filename>');
+    expect(xml).toContain('<name>door</name>');
+    expect(xml).toContain('<pt><x>100</x><y>80</y></pt>');
+    // The door reaches past the right edge of the image
+    expect(xml).toContain('<truncated>1</truncated>');
+    expect(xml).toContain('<xmax>200</xmax>');
+    expect(xml.match(/<object>/g)).toHaveLength(2);
+  });
+});
@@ -0,0 +1,57 @@
+// Background image for tracing. The image is placed in the drawing with its top-left
+// corner at (x, y) and `scale` drawing units per image pixel, so image pixel coordinates
+// are image = (drawing - position) / scale. A new image sits at the origin at its natural
+// size, which makes drawing units and image pixels the same until it is recalibrated.
+
+import { mapVertices } from './polygonModel';
+
+export const DEFAULT_BACKGROUND_OPACITY = 0.6;
+
+export const createBackground = ({ name, src, width, height }) => ({
+  name,
+  src,
+  width,
+  height,
+  x: 0,
+  y: 0,
+  scale: 1,
+  opacity: DEFAULT_BACKGROUND_OPACITY,
+  visible: true
+});
+
+export const drawingToImage = (background, point) => ({
+  x: (point.x - background.x) / background.scale,
+  y: (point.y - background.y) / background.scale
+});
+
+export const imageToDrawing = (background, point) => ({
+  x: background.x + point.x * background.scale,
+  y: background.y + point.y * background.scale
+});
+
+// Copy of the polygon with every vertex in image pixel coordinates
+export const polygonToImage = (background, polygon) =>
+  mapVertices(polygon, point => drawingToImage(background, point));
+
+// Corners of the image in drawing coordinates, for fitting the view to it
+export const backgroundCorners = (background) => [
+  imageToDrawing(background, { x: 0, y: 0 }),
+  imageToDrawing(background, { x: background.width, y: background.height })
+];
+
+// Read an image file into an object URL and find its natural size. The caller owns the
+// URL and revokes it when the background is replaced or removed.
+export const loadImageFile = (file) => new Promise((resolve, reject) => {
+  if (!file.type.startsWith('image/')) {
+    reject(new Error(`${file.name} is not an image`));
+    return;
+  }
+  const src = URL.createObjectURL(file);
+  const image = new Image();
+  image.onload = () => resolve({ name: file.name, src, width: image.naturalWidth, height: image.naturalHeight });
+  image.onerror = () => {
+    URL.revokeObjectURL(src);
+    reject(new Error(`Could not read ${file.name} as an image`));
+  };
+  image.src = src;
+});
@@ -0,0 +1,29 @@
+import { describe, it, expect } from 'vitest';
+import { createBackground, drawingToImage, imageToDrawing, polygonToImage, backgroundCorners } from './background';
+import { createPolygon } from './polygonModel';
+
+const background = { ...createBackground({ name: 'plan.png', src: 'blob:plan', width: 400, height: 300 }), x: 100, y: 50, scale: 2 };
+
+describe('background calibration', () => {
+  it('starts at the origin at natural size', () => {
+    const fresh = createBackground({ name: 'plan.png', src: 'blob:plan', width: 400, height: 300 });
+    expect(drawingToImage(fresh, { x: 12, y: 34 })).toEqual({ x: 12, y: 34 });
+  });
+
+  it('converts between drawing and image pixel coordinates', () => {
+    expect(drawingToImage(background, { x: 140, y: 90 })).toEqual({ x: 20, y: 20 });
+    expect(imageToDrawing(background, { x: 20, y: 20 })).toEqual({ x: 140, y: 90 });
+    expect(backgroundCorners(background)).toEqual([{ x: 100, y: 50 }, { x: 900, y: 650 }]);
+  });
+
+  it('maps every ring of a polygon', () => {
+    const polygon = createPolygon(
+      [{ x: 100, y: 50 }, { x: 300, y: 50 }, { x: 300, y: 250 }],
+      [[{ x: 200, y: 100 }, { x: 220, y: 100 }, { x: 220, y: 120 }]]
+    );
+    const mapped = polygonToImage(background, polygon);
+    expect(mapped.points[1]).toEqual({ x: 100, y: 0 });
+    expect(mapped.holes[0][0]).toEqual({ x: 50, y: 25 });
+    expect(mapped.id).toBe(polygon.id);
+  });
+});
@@ -0,0 +1,36 @@
+// Boolean operations between polygons, backed by the polygon-clipping library.
+// The first polygon is the subject: difference subtracts every other polygon from it.
+
+import polygonClipping from 'polygon-clipping';
+import { createPolygon, getRings, polygonProperties } from './polygonModel';
+
+export const BOOLEAN_OPERATIONS = {
+  union: 'Union',
+  intersection: 'Intersection',
+  difference: 'Difference',
+  xor: 'Symmetric difference'
+};
+
+// Conversions to and from the ring arrays polygon-clipping works with
+export const toGeometry = (polygon) => getRings(polygon).map(ring => ring.map(point => [point.x, point.y]));
+
+// polygon-clipping returns closed rings; the editor stores open ones
+export const fromRing = (ring) => ring.slice(0, -1).map(([x, y]) => ({ x, y }));
+
+// Apply an operation to two or more polygons. Returns the resulting polygons, each
+// with its holes; a multipolygon result becomes several polygons. Results keep the
+// name, attributes and style of the first polygon under new ids.
+export const applyBooleanOperation = (operation, polygons) => {
+  if (!BOOLEAN_OPERATIONS[operation]) {
+    throw new Error(`Unknown boolean operation: ${operation}`);
+  }
+  if (polygons.length < 2) {
+    throw new Error('Select at least two polygons');
+  }
+
+  const [subject, ...clips] = polygons.map(toGeometry);
+  const result = polygonClipping[operation](subject, ...clips);
+
+  const properties = polygonProperties(polygons[0]);
+  return result.map(([outer, ...holes]) => createPolygon(fromRing(outer), holes.map(fromRing), properties));
+};
@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import { applyBooleanOperation } from './booleanOps';
+import { shapeArea } from './geometry';
+import { createPolygon } from './polygonModel';
+
+const rect = (x, y, width, height) => createPolygon([
+  { x, y },
+  { x: x + width, y },
+  { x: x + width, y: y + height },
+  { x, y: y + height }
+]);
+
+const a = rect(0, 0, 10, 10);
+const b = rect(5, 0, 10, 10);
+const far = rect(100, 100, 10, 10);
+
+const totalArea = (polygons) => polygons.reduce((sum, polygon) => sum + shapeArea(polygon), 0);
+
+describe('applyBooleanOperation', () => {
+  it('merges overlapping polygons with union', () => {
+    const polygons = applyBooleanOperation('union', [a, b]);
+    expect(polygons).toHaveLength(1);
+    expect(totalArea(polygons)).toBe(150);
+  });
+
+  it('keeps the overlap with intersection', () => {
+    const polygons = applyBooleanOperation('intersection', [a, b]);
+    expect(totalArea(polygons)).toBe(50);
+  });
+
+  it('subtracts the other polygons from the first with difference', () => {
+    expect(totalArea(applyBooleanOperation('difference', [a, b]))).toBe(50);
+    expect(totalArea(applyBooleanOperation('difference', [b, a]))).toBe(50);
+  });
+
+  it('keeps the non-overlapping parts with xor', () => {
+    const polygons = applyBooleanOperation('xor', [a, b]);
+    expect(polygons).toHaveLength(2);
+    expect(totalArea(polygons)).toBe(100);
+  });
+
+  it('keeps the properties of the first polygon under new ids', () => {
+    const named = { ...a, name: 'Parcel', attributes: { zone: 'C1' }, style: { fill: '#112233' } };
+    const [result] = applyBooleanOperation('union', [named, b]);
+    expect(result).toMatchObject({ name: 'Parcel', attributes: { zone: 'C1' }, style: { fill: '#112233' } });
+    expect([a.id, b.id]).not.toContain(result.id);
+  });
+
+  it('returns open rings', () => {
+    const [{ points }] = applyBooleanOperation('union', [a, b]);
+    expect(points[0]).not.toEqual(points[points.length - 1]);
+  });
+
+  it('reports an empty result for disjoint intersections', () => {
+    expect(applyBooleanOperation('intersection', [a, far])).toEqual([]);
+  });
+
+  it('cuts holes when subtracting an enclosed polygon', () => {
+    const [result, ...rest] = applyBooleanOperation('difference', [rect(0, 0, 30, 30), rect(10, 10, 10, 10)]);
+    expect(rest).toEqual([]);
+    expect(result.holes).toHaveLength(1);
+    expect(shapeArea(result)).toBe(800);
+  });
+
+  it('keeps existing holes of the operands', () => {
+    const [donut] = applyBooleanOperation('difference', [rect(0, 0, 30, 30), rect(10, 10, 10, 10)]);
+    const [merged] = applyBooleanOperation('union', [donut, rect(30, 0, 10, 30)]);
+    expect(merged.holes).toHaveLength(1);
+    expect(shapeArea(merged)).toBe(1100);
+  });
+
+  it('rejects fewer than two polygons and unknown operations', () => {
+    expect(() => applyBooleanOperation('union', [a])).toThrow('at least two');
+    expect(() => applyBooleanOperation('merge', [a, b])).toThrow('Unknown');
+  });
+});
@@ -0,0 +1,56 @@
+// Copy and paste of polygons through the system clipboard. A copy carries the native
+// project JSON for pasting into a drawing in any tab, plus GeoJSON as plain text and an
+// SVG document so other tools can take the shapes too.
+
+import { parseImportFile, toGeoJSON, toProject, toSVG } from './fileFormats';
+import { withNewId } from './polygonModel';
+import { boundsCenter, polygonsBounds, translatePolygon } from './transforms';
+
+export const CLIPBOARD_TYPE = 'application/vnd.draw-polygon+json';
+
+// Distance each successive paste of the same shapes moves them down and right
+export const PASTE_OFFSET = 20;
+
+// Clipboard entries by MIME type, for DataTransfer.setData
+export const toClipboardData = (polygons) => ({
+  [CLIPBOARD_TYPE]: toProject(polygons),
+  'image/svg+xml': toSVG(polygons),
+  'text/plain': toGeoJSON(polygons)
+});
+
+// Polygons from clipboard data, read through `getData(type)`. The native payload is
+// preferred; plain text may hold a project, GeoJSON or SVG. Returns null when there is
+// nothing usable, so a paste of unrelated text is simply ignored.
+export const parseClipboardData = (getData) => {
+  const text = [CLIPBOARD_TYPE, 'image/svg+xml', 'text/plain']
+    .map(type => getData(type))
+    .find(data => data && data.trim());
+  if (!text) return null;
+  try {
+    const { polygons } = parseImportFile(text);
+    return polygons.length > 0 ? polygons : null;
+  } catch {
+    return null;
+  }
+};
+
+const overlaps = (a, b) =>
+  a.minX <= b.maxX && a.maxX >= b.minX && a.minY <= b.maxY && a.maxY >= b.minY;
+
+// Copies of pasted polygons with new ids, moved by `offset` in both directions. When that
+// leaves them entirely outside `view` (the visible part of the drawing, as bounds) they
+// are centred in it instead, so a paste always lands on screen.
+export const placePasted = (polygons, offset, view = null) => {
+  const bounds = polygonsBounds(polygons);
+  let dx = offset;
+  let dy = offset;
+  if (view && bounds) {
+    const moved = { minX: bounds.minX + dx, minY: bounds.minY + dy, maxX: bounds.maxX + dx, maxY: bounds.maxY + dy };
+    if (!overlaps(moved, view)) {
+      const from = boundsCenter(bounds);
+      dx = (view.minX + view.maxX) / 2 - from.x;
+      dy = (view.minY + view.maxY) / 2 - from.y;
+    }
+  }
+  return polygons.map(polygon => withNewId(translatePolygon(polygon, dx, dy)));
+};
@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest';
+import { CLIPBOARD_TYPE, parseClipboardData, placePasted, toClipboardData } from './clipboard';
+import { createPolygon } from './polygonModel';
+
+const square = [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }, { x: 0, y: 10 }];
+const lot = createPolygon(square, [], { id: 'lot-1', name: 'Lot 1', attributes: { zone: 'R2' } });
+
+const reader = (data) => (type) => data[type] ?? '';
+
+describe('clipboard data', () => {
+  it('round-trips through the native payload', () => {
+    const data = toClipboardData([lot]);
+    expect(Object.keys(data)).toEqual([CLIPBOARD_TYPE, 'image/svg+xml', 'text/plain']);
+    expect(parseClipboardData(reader(data))).toEqual([lot]);
+  });
+
+  it('accepts GeoJSON pasted as plain text', () => {
+    const { 'text/plain': text } = toClipboardData([lot]);
+    expect(parseClipboardData(reader({ 'text/plain': text }))).toEqual([lot]);
+  });
+
+  it('ignores unrelated text', () => {
+    expect(parseClipboardData(reader({ 'text/plain': 'hello' }))).toBeNull();
+    expect(parseClipboardData(reader({ 'text/plain': '{"type":"FeatureCollection","features":[]}' }))).toBeNull();
+    expect(parseClipboardData(reader({}))).toBeNull();
+  });
+});
+
+describe('placePasted', () => {
+  it('offsets copies and gives them new ids', () => {
+    const [copy] = placePasted([lot], 20);
+    expect(copy.id).not.toBe(lot.id);
+    expect(copy.name).toBe('Lot 1');
+    expect(copy.points[0]).toEqual({ x: 20, y: 20 });
+  });
+
+  it('keeps the offset while the copies stay in view', () => {
+    const view = { minX: -100, minY: -100, maxX: 100, maxY: 100 };
+    expect(placePasted([lot], 20, view)[0].points[0]).toEqual({ x: 20, y: 20 });
+  });
+
+  it('centres copies that would land outside the view', () => {
+    const view = { minX: 500, minY: 500, maxX: 700, maxY: 600 };
+    expect(placePasted([lot], 20, view)[0].points[0]).toEqual({ x: 595, y: 545 });
+  });
+});
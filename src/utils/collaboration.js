@@ -0,0 +1,157 @@
+// Operations for collaborative editing. Every committed change becomes a batch of
+// operations on polygons by id; the server applies batches in the order it receives them
+// and sends them to everyone, so all copies end up the same. Clients show their own
+// batches straight away, on top of the last state the server confirmed, until the server
+// sends them back.
+//
+// Operations are { type: 'create', polygon, index }, { type: 'update', polygon },
+// { type: 'move', id, ringIndex, vertexIndex, point }, { type: 'delete', ids },
+// { type: 'clear' } and { type: 'order', ids }. Conflicts resolve by server order:
+// a later write to a polygon wins, moves of different vertices of one polygon both
+// apply, once a polygon is deleted updates and moves to it are dropped, and a clear
+// removes everything the server has at that point. Applying an
+// operation twice has the same effect as once, so unconfirmed batches can be sent again
+// after reconnecting.
+//
+// The server imports this module as it is, so it must not import anything.
+
+// Default address of the server in server/, see `npm run collab-server`
+export const DEFAULT_SERVER_URL = 'ws://localhost:8787';
+
+// Colors given to collaborators in the order they join
+export const PEER_COLORS = ['#e11d48', '#0891b2', '#ca8a04', '#7c3aed', '#059669', '#ea580c', '#db2777', '#2563eb'];
+
+const isPoint = (point) => point !== null && typeof point === 'object' && Number.isFinite(point.x) && Number.isFinite(point.y);
+
+const isRing = (ring) => Array.isArray(ring) && ring.every(isPoint);
+
+const isPolygon = (polygon) => polygon !== null && typeof polygon === 'object' && typeof polygon.id === 'string' &&
+  isRing(polygon.points) && Array.isArray(polygon.holes) && polygon.holes.every(isRing);
+
+const isIdList = (ids) => Array.isArray(ids) && ids.every(id => typeof id === 'string');
+
+// Whether an operation received from the network is well formed
+export const isValidOperation = (op) => {
+  if (op === null || typeof op !== 'object') return false;
+  switch (op.type) {
+    case 'create':
+      return isPolygon(op.polygon) && (op.index === undefined || Number.isInteger(op.index));
+    case 'update':
+      return isPolygon(op.polygon);
+    case 'move':
+      return typeof op.id === 'string' && Number.isInteger(op.ringIndex) && Number.isInteger(op.vertexIndex) && isPoint(op.point);
+    case 'delete':
+    case 'order':
+      return isIdList(op.ids);
+    case 'clear':
+      return true;
+    default:
+      return false;
+  }
+};
+
+const moveRingVertex = (ring, vertexIndex, point) =>
+  ring.map((vertex, index) => index === vertexIndex ? { ...vertex, x: point.x, y: point.y } : vertex);
+
+// Polygons after one operation. Operations on polygons that no longer exist do nothing.
+export const applyOperation = (polygons, op) => {
+  switch (op.type) {
+    case 'create': {
+      if (polygons.some(polygon => polygon.id === op.polygon.id)) {
+        return polygons.map(polygon => polygon.id === op.polygon.id ? op.polygon : polygon);
+      }
+      const index = Math.min(op.index ?? polygons.length, polygons.length);
+      return [...polygons.slice(0, index), op.polygon, ...polygons.slice(index)];
+    }
+    case 'update':
+      return polygons.map(polygon => polygon.id === op.polygon.id ? op.polygon : polygon);
+    case 'move':
+      return polygons.map(polygon => {
+        if (polygon.id !== op.id) return polygon;
+        const { ringIndex, vertexIndex, point } = op;
+        const ring = ringIndex === 0 ? polygon.points : polygon.holes[ringIndex - 1];
+        if (!ring || vertexIndex < 0 || vertexIndex >= ring.length) return polygon;
+        return ringIndex === 0
+          ? { ...polygon, points: moveRingVertex(ring, vertexIndex, point) }
+          : { ...polygon, holes: polygon.holes.map((hole, index) => index === ringIndex - 1 ? moveRingVertex(hole, vertexIndex, point) : hole) };
+      });
+    case 'delete': {
+      const ids = new Set(op.ids);
+      return polygons.filter(polygon => !ids.has(polygon.id));
+    }
+    case 'clear':
+      return [];
+    case 'order': {
+      // Polygons the list does not know about, created meanwhile by someone else, go on top
+      const byId = new Map(polygons.map(polygon => [polygon.id, polygon]));
+      const ids = new Set(op.ids);
+      const listed = op.ids.filter(id => byId.has(id)).map(id => byId.get(id));
+      return [...listed, ...polygons.filter(polygon => !ids.has(polygon.id))];
+    }
+    default:
+      return polygons;
+  }
+};
+
+export const applyOperations = (polygons, ops) => ops.reduce(applyOperation, polygons);
+
+// What the user sees: their unconfirmed batches on top of the confirmed state
+export const rebase = (confirmed, pending) =>
+  pending.reduce((polygons, batch) => applyOperations(polygons, batch.ops), confirmed);
+
+const sameContent = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b);
+
+const rings = (polygon) => [polygon.points, ...polygon.holes];
+
+// Operations for one changed polygon: a move when exactly one vertex moved, otherwise
+// the whole polygon
+const changeOperations = (before, after) => {
+  const beforeRings = rings(before);
+  const afterRings = rings(after);
+  const sameShape = beforeRings.length === afterRings.length &&
+    beforeRings.every((ring, index) => ring.length === afterRings[index].length) &&
+    sameContent({ ...before, points: null, holes: null }, { ...after, points: null, holes: null });
+  if (sameShape) {
+    const moved = [];
+    afterRings.forEach((ring, ringIndex) => ring.forEach((vertex, vertexIndex) => {
+      const previous = beforeRings[ringIndex][vertexIndex];
+      if (!sameContent(previous, vertex)) moved.push({ ringIndex, vertexIndex, previous, vertex });
+    }));
+    if (moved.length === 1) {
+      const [{ ringIndex, vertexIndex, previous, vertex }] = moved;
+      if (previous.node === vertex.node) {
+        return [{ type: 'move', id: after.id, ringIndex, vertexIndex, point: { x: vertex.x, y: vertex.y } }];
+      }
+    }
+  }
+  return [{ type: 'update', polygon: after }];
+};
+
+// Operations taking `before` to `after`, or an empty list when nothing changed. Removed
+// polygons are deleted by id even when none are left, so polygons someone else created
+// meanwhile stay; only an explicit Clear all sends a clear.
+export const diffOperations = (before, after) => {
+  const beforeById = new Map(before.map(polygon => [polygon.id, polygon]));
+  const afterIds = new Set(after.map(polygon => polygon.id));
+  const ops = [];
+
+  const removed = before.filter(polygon => !afterIds.has(polygon.id)).map(polygon => polygon.id);
+  if (removed.length > 0) ops.push({ type: 'delete', ids: removed });
+
+  after.forEach((polygon, index) => {
+    const previous = beforeById.get(polygon.id);
+    if (!previous) {
+      ops.push({ type: 'create', polygon, index });
+    } else if (!sameContent(previous, polygon)) {
+      ops.push(...changeOperations(previous, polygon));
+    }
+  });
+
+  // Only a change in the order of polygons both sides have counts as a reorder
+  const kept = after.filter(polygon => beforeById.has(polygon.id)).map(polygon => polygon.id);
+  const previousOrder = before.filter(polygon => afterIds.has(polygon.id)).map(polygon => polygon.id);
+  if (kept.some((id, index) => id !== previousOrder[index])) {
+    ops.push({ type: 'order', ids: after.map(polygon => polygon.id) });
+  }
+  return ops;
+};
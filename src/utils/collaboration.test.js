@@ -0,0 +1,140 @@
+import { describe, it, expect } from 'vitest';
+import { isValidOperation, applyOperation, applyOperations, rebase, diffOperations } from './collaboration';
+import { createPolygon } from './polygonModel';
+
+const square = createPolygon([{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }, { x: 0, y: 10 }], [], { id: 'a' });
+const triangle = createPolygon([{ x: 20, y: 0 }, { x: 30, y: 0 }, { x: 25, y: 10 }], [], { id: 'b' });
+
+describe('isValidOperation', () => {
+  it('accepts well-formed operations only', () => {
+    expect(isValidOperation({ type: 'create', polygon: square, index: 0 })).toBe(true);
+    expect(isValidOperation({ type: 'move', id: 'a', ringIndex: 0, vertexIndex: 1, point: { x: 1, y: 2 } })).toBe(true);
+    expect(isValidOperation({ type: 'clear' })).toBe(true);
+    expect(isValidOperation({ type: 'update', polygon: { ...square, points: [{ x: 'no', y: 0 }] } })).toBe(false);
+    expect(isValidOperation({ type: 'delete', ids: [1] })).toBe(false);
+    expect(isValidOperation({ type: 'explode' })).toBe(false);
+    expect(isValidOperation(null)).toBe(false);
+  });
+});
+
+describe('applyOperation', () => {
+  it('creates, moves and deletes polygons by id', () => {
+    const created = applyOperations([], [
+      { type: 'create', polygon: triangle },
+      { type: 'create', polygon: square, index: 0 }
+    ]);
+    expect(created.map(polygon => polygon.id)).toEqual(['a', 'b']);
+
+    const moved = applyOperation(created, { type: 'move', id: 'a', ringIndex: 0, vertexIndex: 2, point: { x: 12, y: 12 } });
+    expect(moved[0].points[2]).toEqual({ x: 12, y: 12 });
+    expect(moved[1]).toBe(created[1]);
+
+    expect(applyOperation(moved, { type: 'delete', ids: ['a'] })).toEqual([triangle]);
+    expect(applyOperation(moved, { type: 'clear' })).toEqual([]);
+  });
+
+  it('keeps the node of a moved shared vertex', () => {
+    const shared = { ...square, points: square.points.map((point, index) => index === 1 ? { ...point, node: 'n' } : point) };
+    const [moved] = applyOperation([shared], { type: 'move', id: 'a', ringIndex: 0, vertexIndex: 1, point: { x: 11, y: 0 } });
+    expect(moved.points[1]).toEqual({ x: 11, y: 0, node: 'n' });
+  });
+
+  it('drops changes to polygons that are gone', () => {
+    const polygons = [triangle];
+    expect(applyOperation(polygons, { type: 'move', id: 'a', ringIndex: 0, vertexIndex: 0, point: { x: 1, y: 1 } })).toEqual(polygons);
+    expect(applyOperation(polygons, { type: 'update', polygon: square })).toEqual(polygons);
+  });
+
+  it('is idempotent', () => {
+    const ops = [
+      { type: 'create', polygon: square, index: 0 },
+      { type: 'move', id: 'a', ringIndex: 0, vertexIndex: 0, point: { x: -1, y: -1 } }
+    ];
+    const once = applyOperations([triangle], ops);
+    expect(applyOperations(once, ops)).toEqual(once);
+  });
+
+  it('puts polygons missing from a reorder on top', () => {
+    const c = { ...triangle, id: 'c' };
+    expect(applyOperation([square, triangle, c], { type: 'order', ids: ['b', 'a'] }).map(polygon => polygon.id))
+      .toEqual(['b', 'a', 'c']);
+  });
+});
+
+describe('diffOperations', () => {
+  it('sends a single vertex move as a move', () => {
+    const after = [{ ...square, points: square.points.map((point, index) => index === 3 ? { x: 0, y: 12 } : point) }];
+    expect(diffOperations([square], after)).toEqual([
+      { type: 'move', id: 'a', ringIndex: 0, vertexIndex: 3, point: { x: 0, y: 12 } }
+    ]);
+  });
+
+  it('sends other changes as updates, creates and deletes', () => {
+    const renamed = { ...square, name: 'Plot' };
+    expect(diffOperations([square], [renamed, triangle])).toEqual([
+      { type: 'update', polygon: renamed },
+      { type: 'create', polygon: triangle, index: 1 }
+    ]);
+    expect(diffOperations([square, triangle], [triangle])).toEqual([{ type: 'delete', ids: ['a'] }]);
+    expect(diffOperations([square, triangle], [])).toEqual([{ type: 'delete', ids: ['a', 'b'] }]);
+    expect(diffOperations([square], [square])).toEqual([]);
+  });
+
+  it('reports a change of stacking order', () => {
+    expect(diffOperations([square, triangle], [triangle, square])).toEqual([{ type: 'order', ids: ['b', 'a'] }]);
+  });
+
+  it('leaves polygons created meanwhile when the last one is deleted', () => {
+    const theirs = { opId: 'x', ops: [{ type: 'create', polygon: triangle }] };
+    const mine = diffOperations([square], []);
+    expect(applyOperations(applyOperations([square], theirs.ops), mine)).toEqual([triangle]);
+  });
+
+  it('gives operations that turn one state into the other', () => {
+    const after = [triangle, { ...square, holes: [[{ x: 2, y: 2 }, { x: 4, y: 2 }, { x: 3, y: 4 }]] }];
+    expect(applyOperations([square, triangle], diffOperations([square, triangle], after))).toEqual(after);
+  });
+});
+
+describe('rebase', () => {
+  it('shows unconfirmed batches on top of the confirmed state', () => {
+    const pending = [
+      { opId: '1', ops: [{ type: 'create', polygon: triangle }] },
+      { opId: '2', ops: [{ type: 'move', id: 'b', ringIndex: 0, vertexIndex: 2, point: { x: 25, y: 20 } }] }
+    ];
+    const view = rebase([square], pending);
+    expect(view.map(polygon => polygon.id)).toEqual(['a', 'b']);
+    expect(view[1].points[2]).toEqual({ x: 25, y: 20 });
+  });
+
+  it('keeps both moves when two people move different vertices', () => {
+    const mine = { opId: '1', ops: [{ type: 'move', id: 'a', ringIndex: 0, vertexIndex: 0, point: { x: -1, y: -1 } }] };
+    const confirmed = applyOperation([square], { type: 'move', id: 'a', ringIndex: 0, vertexIndex: 2, point: { x: 11, y: 11 } });
+    const [merged] = rebase(confirmed, [mine]);
+    expect(merged.points[0]).toEqual({ x: -1, y: -1 });
+    expect(merged.points[2]).toEqual({ x: 11, y: 11 });
+  });
+
+  it('converges on the server order for concurrent edits of one drawing', () => {
+    // Both start from the same drawing and change it without seeing each other's change
+    const start = [square, triangle];
+    const ann = { opId: 'a', ops: diffOperations(start, [{ ...square, name: 'Ann' }, triangle]) };
+    const bob = { opId: 'b', ops: diffOperations(start, [square]) };
+    const moved = { ...square, points: square.points.map((point, index) => index === 0 ? { x: -5, y: -5 } : point) };
+    const cy = { opId: 'c', ops: diffOperations(start, [moved, triangle]) };
+
+    // The server applies them in the order they arrive
+    const server = [ann, bob, cy].reduce((polygons, batch) => applyOperations(polygons, batch.ops), start);
+    expect(server).toEqual([{ ...square, name: 'Ann', points: moved.points }]);
+
+    // Each client, once the batches before its own are confirmed, sees the same drawing
+    expect(rebase(applyOperations(start, ann.ops), [bob, cy])).toEqual(server);
+    expect(rebase(applyOperations(applyOperations(start, ann.ops), bob.ops), [cy])).toEqual(server);
+  });
+
+  it('drops a pending move of a polygon someone else deleted', () => {
+    const mine = { opId: '1', ops: [{ type: 'move', id: 'a', ringIndex: 0, vertexIndex: 0, point: { x: 3, y: 3 } }] };
+    const confirmed = applyOperation([square, triangle], { type: 'delete', ids: ['a'] });
+    expect(rebase(confirmed, [mine])).toEqual([triangle]);
+  });
+});
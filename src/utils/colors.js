@@ -0,0 +1,63 @@
+// Default polygon colors, derived from the polygon id so a polygon keeps its color when
+// others are added or removed. Colours are hex so they work with <input type="color">.
+
+export const DEFAULT_OPACITY = 0.3;
+export const DEFAULT_STROKE_WIDTH = 2;
+
+const hslToHex = (hue, saturation, lightness) => {
+  const s = saturation / 100;
+  const l = lightness / 100;
+  const a = s * Math.min(l, 1 - l);
+  const channel = (n) => {
+    const k = (n + hue / 30) % 12;
+    const value = l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+    return Math.round(value * 255).toString(16).padStart(2, '0');
+  };
+  return `#${channel(0)}${channel(8)}${channel(4)}`;
+};
+
+// Stable number from an id string
+const hashId = (id) => {
+  let hash = 0;
+  for (let i = 0; i < id.length; i++) {
+    hash = (hash * 31 + id.charCodeAt(i)) | 0;
+  }
+  return Math.abs(hash);
+};
+
+// Generate the default fill color for a seed
+export const getPolygonColor = (seed) => {
+  const angle = seed * 137.5; // Golden angle approximation for good color distribution
+
+  // Generate HSL color for better color variety
+  const hue = angle % 360;
+  const saturation = 60 + (angle % 40); // 60-100% saturation
+  const lightness = 85; // Keep lightness high for fill transparency
+
+  return hslToHex(hue, saturation, lightness);
+};
+
+export const getPolygonStroke = (seed) => {
+  // Use the same seed as fill color but with different saturation/lightness
+  const angle = seed * 137.5;
+
+  const hue = angle % 360;
+  const saturation = 70 + (angle % 30); // 70-100% saturation for stroke
+  const lightness = 45 + (angle % 20); // 45-65% lightness for stroke
+
+  return hslToHex(hue, saturation, lightness);
+};
+
+// The polygon's style with defaults filled in for anything the user has not set.
+// `defaults` replaces the generated colors, for editors embedded with their own palette.
+export const resolveStyle = (polygon, defaults = {}) => {
+  const seed = hashId(polygon.id || '');
+  return {
+    fill: getPolygonColor(seed),
+    stroke: getPolygonStroke(seed),
+    opacity: DEFAULT_OPACITY,
+    strokeWidth: DEFAULT_STROKE_WIDTH,
+    ...defaults,
+    ...polygon.style
+  };
+};
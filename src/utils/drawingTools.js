@@ -0,0 +1,123 @@
+// Shapes drawn with one drag instead of vertex by vertex. Every tool produces a plain ring
+// of { x, y } points, the same as a clicked polygon, so snapping, editing and undo treat
+// them alike.
+
+import { area, distance, closestPointOnSegment } from './geometry';
+
+export const DRAWING_TOOLS = {
+  polygon: 'Polygon',
+  rectangle: 'Rectangle',
+  regular: 'Regular polygon',
+  ellipse: 'Ellipse',
+  freehand: 'Freehand'
+};
+
+export const DEFAULT_TOOL_OPTIONS = { sides: 6, segments: 32 };
+
+// Corner opposite `start`, moved so the box from `start` is square (the larger side wins)
+const squareCorner = (start, end) => {
+  const side = Math.max(Math.abs(end.x - start.x), Math.abs(end.y - start.y));
+  return {
+    x: start.x + side * (end.x < start.x ? -1 : 1),
+    y: start.y + side * (end.y < start.y ? -1 : 1)
+  };
+};
+
+// Rectangle with `start` and `end` as opposite corners
+export const rectanglePoints = (start, end, square = false) => {
+  const corner = square ? squareCorner(start, end) : end;
+  return [
+    { x: start.x, y: start.y },
+    { x: corner.x, y: start.y },
+    { x: corner.x, y: corner.y },
+    { x: start.x, y: corner.y }
+  ];
+};
+
+// Regular polygon around `center` with its first vertex at `corner`. With `angleStep`
+// (degrees), the rotation is rounded to multiples of it.
+export const regularPolygonPoints = (center, corner, sides, angleStep = null) => {
+  const radius = distance(center, corner);
+  let start = Math.atan2(corner.y - center.y, corner.x - center.x);
+  if (angleStep) {
+    const step = (angleStep * Math.PI) / 180;
+    start = Math.round(start / step) * step;
+  }
+  return Array.from({ length: sides }, (_, index) => {
+    const angle = start + (index / sides) * Math.PI * 2;
+    return { x: center.x + Math.cos(angle) * radius, y: center.y + Math.sin(angle) * radius };
+  });
+};
+
+// Ellipse inscribed in the box from `start` to `end`, approximated by `segments` vertices
+export const ellipsePoints = (start, end, segments, circle = false) => {
+  const corner = circle ? squareCorner(start, end) : end;
+  const center = { x: (start.x + corner.x) / 2, y: (start.y + corner.y) / 2 };
+  const rx = Math.abs(corner.x - start.x) / 2;
+  const ry = Math.abs(corner.y - start.y) / 2;
+  return Array.from({ length: segments }, (_, index) => {
+    const angle = (index / segments) * Math.PI * 2;
+    return { x: center.x + Math.cos(angle) * rx, y: center.y + Math.sin(angle) * ry };
+  });
+};
+
+// Ramer–Douglas–Peucker: drop points closer than `tolerance` to the line through their
+// kept neighbours. The first and last points are always kept.
+export const simplifyPath = (points, tolerance) => {
+  if (points.length < 3) return points.slice();
+  const keep = new Array(points.length).fill(false);
+  keep[0] = true;
+  keep[points.length - 1] = true;
+  const stack = [[0, points.length - 1]];
+  while (stack.length > 0) {
+    const [first, last] = stack.pop();
+    let farthest = -1;
+    let farthestDistance = tolerance;
+    for (let index = first + 1; index < last; index++) {
+      const offset = distance(points[index], closestPointOnSegment(points[index], points[first], points[last]));
+      if (offset > farthestDistance) {
+        farthest = index;
+        farthestDistance = offset;
+      }
+    }
+    if (farthest !== -1) {
+      keep[farthest] = true;
+      stack.push([first, farthest], [farthest, last]);
+    }
+  }
+  return points.filter((_, index) => keep[index]);
+};
+
+// Ramer–Douglas–Peucker on a closed ring. The ring is split at the vertex farthest from
+// its first one, and both halves are simplified with those two vertices kept.
+export const simplifyRing = (ring, tolerance) => {
+  if (ring.length < 4) return ring.slice();
+  const farthest = ring.reduce((best, point, index) =>
+    distance(point, ring[0]) > distance(ring[best], ring[0]) ? index : best, 0);
+  return [
+    ...simplifyPath(ring.slice(0, farthest + 1), tolerance),
+    ...simplifyPath([...ring.slice(farthest), ring[0]], tolerance).slice(1, -1)
+  ];
+};
+
+// Closed ring from a freehand stroke, which is closed back to its start
+export const freehandPoints = (stroke, tolerance) => {
+  if (stroke.length < 3) return [];
+  const ring = simplifyRing(stroke, tolerance);
+  // The stroke usually ends where it started; drop the last point if it lands on the first
+  return ring.length > 3 && distance(ring[ring.length - 1], ring[0]) <= tolerance ? ring.slice(0, -1) : ring;
+};
+
+// Ring for a drag of one of the tools, or null while it is too small to be a shape.
+// `draft` holds the tool, the `start` and `current` points, the freehand `stroke` and
+// whether Shift (`constrain`) is held.
+export const shapePoints = (draft, { sides, segments, angleStep, tolerance }) => {
+  const { tool, start, current, stroke, constrain } = draft;
+  let points;
+  if (tool === 'rectangle') points = rectanglePoints(start, current, constrain);
+  else if (tool === 'regular') points = regularPolygonPoints(start, current, sides, constrain ? angleStep : null);
+  else if (tool === 'ellipse') points = ellipsePoints(start, current, segments, constrain);
+  else if (tool === 'freehand') points = freehandPoints(stroke, tolerance);
+  else return null;
+  return points.length >= 3 && area(points) > 0 ? points : null;
+};
@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import { rectanglePoints, regularPolygonPoints, ellipsePoints, simplifyPath, freehandPoints, shapePoints } from './drawingTools';
+import { area, distance } from './geometry';
+
+// Rounded, with -0 turned into 0 so toEqual compares the values only
+const round = (points) => points.map(point => ({ x: Math.round(point.x * 1000) / 1000 + 0, y: Math.round(point.y * 1000) / 1000 + 0 }));
+
+describe('rectanglePoints', () => {
+  it('uses the drag as opposite corners', () => {
+    expect(rectanglePoints({ x: 10, y: 10 }, { x: 30, y: 20 })).toEqual([
+      { x: 10, y: 10 }, { x: 30, y: 10 }, { x: 30, y: 20 }, { x: 10, y: 20 }
+    ]);
+  });
+
+  it('makes a square in the drag direction', () => {
+    expect(rectanglePoints({ x: 10, y: 10 }, { x: -20, y: 15 }, true)[2]).toEqual({ x: -20, y: 40 });
+  });
+});
+
+describe('regularPolygonPoints', () => {
+  it('places the first vertex at the pointer', () => {
+    const points = regularPolygonPoints({ x: 0, y: 0 }, { x: 0, y: 10 }, 4);
+    expect(round(points)).toEqual([{ x: 0, y: 10 }, { x: -10, y: 0 }, { x: 0, y: -10 }, { x: 10, y: 0 }]);
+  });
+
+  it('rounds the rotation to the angle step', () => {
+    const points = regularPolygonPoints({ x: 0, y: 0 }, { x: 10, y: 1 }, 3, 15);
+    expect(round(points)[0]).toEqual({ x: 10.05, y: 0 });
+  });
+});
+
+describe('ellipsePoints', () => {
+  it('fits the drag box', () => {
+    const points = ellipsePoints({ x: 0, y: 0 }, { x: 40, y: 20 }, 4);
+    expect(round(points)).toEqual([{ x: 40, y: 10 }, { x: 20, y: 20 }, { x: 0, y: 10 }, { x: 20, y: 0 }]);
+  });
+
+  it('approaches the true area with more segments', () => {
+    const points = ellipsePoints({ x: 0, y: 0 }, { x: 40, y: 40 }, 256, true);
+    expect(area(points)).toBeCloseTo(Math.PI * 400, 0);
+  });
+});
+
+describe('simplifyPath', () => {
+  it('drops points within the tolerance of a straight run', () => {
+    const line = [{ x: 0, y: 0 }, { x: 5, y: 0.2 }, { x: 10, y: -0.1 }, { x: 15, y: 0 }];
+    expect(simplifyPath(line, 1)).toEqual([{ x: 0, y: 0 }, { x: 15, y: 0 }]);
+  });
+
+  it('keeps corners', () => {
+    const corner = [{ x: 0, y: 0 }, { x: 5, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 5 }, { x: 10, y: 10 }];
+    expect(simplifyPath(corner, 1)).toEqual([{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }]);
+  });
+});
+
+describe('freehandPoints', () => {
+  it('turns a wobbly loop into a few vertices', () => {
+    const stroke = Array.from({ length: 200 }, (_, index) => {
+      const angle = (index / 200) * Math.PI * 2;
+      const wobble = index % 2 === 0 ? 0.3 : -0.3;
+      return { x: 50 + Math.cos(angle) * (40 + wobble), y: 50 + Math.sin(angle) * (40 + wobble) };
+    });
+    const ring = freehandPoints(stroke, 2);
+    expect(ring.length).toBeGreaterThan(6);
+    expect(ring.length).toBeLessThan(30);
+    expect(distance(ring[ring.length - 1], ring[0])).toBeGreaterThan(2);
+    expect(area(ring) / (Math.PI * 1600)).toBeGreaterThan(0.98);
+  });
+});
+
+describe('shapePoints', () => {
+  const options = { sides: 5, segments: 16, angleStep: 15, tolerance: 1 };
+
+  it('ignores drags too small to make a shape', () => {
+    expect(shapePoints({ tool: 'rectangle', start: { x: 0, y: 0 }, current: { x: 10, y: 0 } }, options)).toBeNull();
+    expect(shapePoints({ tool: 'freehand', stroke: [{ x: 0, y: 0 }, { x: 1, y: 1 }] }, options)).toBeNull();
+  });
+
+  it('uses the tool options', () => {
+    expect(shapePoints({ tool: 'regular', start: { x: 0, y: 0 }, current: { x: 10, y: 0 } }, options)).toHaveLength(5);
+    expect(shapePoints({ tool: 'ellipse', start: { x: 0, y: 0 }, current: { x: 10, y: 10 } }, options)).toHaveLength(16);
+  });
+});
@@ -0,0 +1,360 @@
+import { resolveStyle } from './colors';
+import { createPolygon, getRings, normalizePolygon, polygonToPath, ensureUniqueIds } from './polygonModel';
+
+// Native project file identification.
+// Version 1 stored each polygon as a bare array of points; version 2 adds holes;
+// version 3 adds ids, names, attributes and styles; version 4 adds layers.
+export const PROJECT_FORMAT = 'draw-polygon-project';
+export const PROJECT_VERSION = 4;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// GeoJSON property names for style values, following the simplestyle convention.
+// These and `name` are reserved; every other property is a polygon attribute.
+const STYLE_PROPERTIES = {
+  fill: 'fill',
+  opacity: 'fill-opacity',
+  stroke: 'stroke',
+  strokeWidth: 'stroke-width'
+};
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+// Read style values through `get(key)`, keeping only ones the editor can display
+const parseStyle = (get) => {
+  const style = {};
+  ['fill', 'stroke'].forEach(key => {
+    const value = get(key);
+    if (typeof value === 'string' && HEX_COLOR.test(value)) style[key] = value.toLowerCase();
+  });
+  ['opacity', 'strokeWidth'].forEach(key => {
+    const raw = get(key);
+    const value = Number(raw);
+    if (raw !== null && raw !== undefined && raw !== '' && Number.isFinite(value) && value >= 0) {
+      style[key] = key === 'opacity' ? Math.min(value, 1) : value;
+    }
+  });
+  return style;
+};
+
+// Attributes are strings; other JSON values are kept as their JSON text and nulls dropped
+const toAttributes = (entries) => {
+  const attributes = {};
+  entries.forEach(([key, value]) => {
+    if (value !== null && value !== undefined) {
+      attributes[key] = typeof value === 'string' ? value : JSON.stringify(value);
+    }
+  });
+  return attributes;
+};
+
+export const escapeXML = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// Canvas size used when exporting SVG without explicit dimensions
+const getExtent = (polygons) => {
+  let width = 0;
+  let height = 0;
+  polygons.forEach(polygon => polygon.points.forEach(point => {
+    width = Math.max(width, point.x);
+    height = Math.max(height, point.y);
+  }));
+  return { width: Math.ceil(width) + 20, height: Math.ceil(height) + 20 };
+};
+
+// Export polygons as a GeoJSON FeatureCollection (rings are closed per RFC 7946)
+export const toGeoJSON = (polygons) => {
+  const collection = {
+    type: 'FeatureCollection',
+    features: polygons.map(polygon => ({
+      type: 'Feature',
+      id: polygon.id,
+      properties: {
+        ...polygon.attributes,
+        name: polygon.name,
+        ...Object.fromEntries(Object.entries(polygon.style).map(([key, value]) => [STYLE_PROPERTIES[key], value]))
+      },
+      geometry: {
+        type: 'Polygon',
+        coordinates: getRings(polygon).map(ring =>
+          [...ring, ring[0]].map(point => [round(point.x), round(point.y)])
+        )
+      }
+    }))
+  };
+  return JSON.stringify(collection, null, 2);
+};
+
+// Export polygons as a standalone SVG document using the on-screen styling.
+// Ids, names and attributes are kept in id and data- attributes so they can be imported again.
+export const toSVG = (polygons, size = getExtent(polygons)) => {
+  const { width, height } = size;
+  const paths = polygons.map(polygon => {
+    const style = resolveStyle(polygon);
+    const attributes = Object.keys(polygon.attributes).length > 0
+      ? ` data-attributes="${escapeXML(JSON.stringify(polygon.attributes))}"`
+      : '';
+    const name = polygon.name ? ` data-name="${escapeXML(polygon.name)}"` : '';
+    return `  <path id="${escapeXML(polygon.id)}"${name}${attributes} d="${polygonToPath(polygon)}" fill="${style.fill}" fill-opacity="${style.opacity}" fill-rule="evenodd" stroke="${style.stroke}" stroke-width="${style.strokeWidth}" />`;
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    ...paths,
+    '</svg>',
+    ''
+  ].join('\n');
+};
+
+// Export polygons and their layers as a versioned native project file
+export const toProject = (polygons, layers = []) => {
+  const project = {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    savedAt: new Date().toISOString(),
+    layers,
+    polygons
+  };
+  return JSON.stringify(project, null, 2);
+};
+
+// Validate a single ring, returning its points or a description of the problem
+const parseRing = (ring) => {
+  if (!Array.isArray(ring)) {
+    return { error: 'ring is not an array' };
+  }
+
+  const points = [];
+  for (let i = 0; i < ring.length; i++) {
+    const entry = ring[i];
+    const point = Array.isArray(entry)
+      ? { x: entry[0], y: entry[1] }
+      : { x: entry?.x, y: entry?.y };
+    if (!Number.isFinite(point.x) || !Number.isFinite(point.y)) {
+      return { error: `point ${i + 1} is not a valid coordinate` };
+    }
+    points.push(point);
+  }
+
+  // Drop the closing point if the ring repeats its first vertex
+  const first = points[0];
+  const last = points[points.length - 1];
+  if (points.length > 1 && first.x === last.x && first.y === last.y) {
+    points.pop();
+  }
+
+  if (points.length < 3) {
+    return { error: `ring has ${points.length} distinct points, at least 3 are required` };
+  }
+  return { points };
+};
+
+// Build a polygon from an outer ring and holes; malformed holes are skipped and reported
+const parseRings = (rings, label, polygons, issues, properties = {}) => {
+  if (!Array.isArray(rings) || rings.length === 0) {
+    issues.push(`${label}: missing coordinates`);
+    return;
+  }
+  const { points, error } = parseRing(rings[0]);
+  if (error) {
+    issues.push(`${label}: ${error}`);
+    return;
+  }
+
+  const holes = [];
+  rings.slice(1).forEach((ring, index) => {
+    const hole = parseRing(ring);
+    if (hole.error) {
+      issues.push(`${label}, hole ${index + 1}: ${hole.error}`);
+    } else {
+      holes.push(hole.points);
+    }
+  });
+  polygons.push(createPolygon(points, holes, properties));
+};
+
+// Polygon properties from a GeoJSON feature: the feature id, `name`, style properties,
+// and every other property as a string attribute
+const featureProperties = (feature) => {
+  const { name, ...rest } = feature.properties || {};
+  const reserved = new Set(Object.values(STYLE_PROPERTIES));
+  // Earlier versions wrote the polygon's position as a numeric `index`
+  const attributes = toAttributes(Object.entries(rest).filter(([key, value]) =>
+    !reserved.has(key) && !(key === 'index' && typeof value === 'number')));
+  return {
+    id: typeof feature.id === 'string' || typeof feature.id === 'number' ? String(feature.id) : undefined,
+    name: typeof name === 'string' ? name : '',
+    attributes,
+    style: parseStyle(key => rest[STYLE_PROPERTIES[key]])
+  };
+};
+
+// Collect polygons from GeoJSON geometry, feature or feature collection.
+// Each part of a MultiPolygon becomes its own polygon with the feature's properties.
+const parseGeoJSON = (data, polygons, issues) => {
+  const addGeometry = (geometry, label, properties) => {
+    const addPolygon = (rings, partLabel) => parseRings(rings, partLabel, polygons, issues, properties);
+    if (!geometry) {
+      issues.push(`${label}: missing geometry`);
+    } else if (geometry.type === 'Polygon') {
+      addPolygon(geometry.coordinates, label);
+    } else if (geometry.type === 'MultiPolygon' && Array.isArray(geometry.coordinates)) {
+      geometry.coordinates.forEach((rings, index) => addPolygon(rings, `${label}, part ${index + 1}`));
+    } else if (geometry.type === 'GeometryCollection' && Array.isArray(geometry.geometries)) {
+      geometry.geometries.forEach((child, index) => addGeometry(child, `${label}, geometry ${index + 1}`, properties));
+    } else {
+      issues.push(`${label}: unsupported geometry type "${geometry.type}"`);
+    }
+  };
+
+  if (data.type === 'FeatureCollection') {
+    if (!Array.isArray(data.features)) {
+      throw new Error('FeatureCollection has no features array');
+    }
+    data.features.forEach((feature, index) =>
+      addGeometry(feature?.geometry, `Feature ${index + 1}`, featureProperties(feature || {})));
+  } else if (data.type === 'Feature') {
+    addGeometry(data.geometry, 'Feature', featureProperties(data));
+  } else {
+    addGeometry(data, 'Geometry');
+  }
+};
+
+// Collect polygons and layers from a native project file, upgrading older versions
+const parseProject = (data, polygons, layers, issues) => {
+  if (!Number.isInteger(data.version) || data.version < 1 || data.version > PROJECT_VERSION) {
+    throw new Error(`Unsupported project version: ${data.version}`);
+  }
+  if (!Array.isArray(data.polygons)) {
+    throw new Error('Project file has no polygons array');
+  }
+  if (Array.isArray(data.layers)) {
+    data.layers.forEach((layer, index) => {
+      if (layer && typeof layer.id === 'string') {
+        layers.push({
+          id: layer.id,
+          name: typeof layer.name === 'string' ? layer.name : `Layer ${index + 1}`,
+          visible: layer.visible !== false,
+          locked: layer.locked === true
+        });
+      } else {
+        issues.push(`Layer ${index + 1}: missing id, its polygons go to the current layer`);
+      }
+    });
+  }
+  data.polygons.forEach((entry, index) => {
+    const label = `Polygon ${index + 1}`;
+    if (data.version === 1 || Array.isArray(entry)) {
+      parseRings([entry], label, polygons, issues);
+    } else if (entry && typeof entry === 'object') {
+      const { id, name, attributes, style, layerId, points, holes } = normalizePolygon(entry);
+      parseRings([points, ...holes], label, polygons, issues, {
+        id: typeof id === 'string' ? id : undefined,
+        layerId: typeof layerId === 'string' ? layerId : null,
+        name: typeof name === 'string' ? name : '',
+        attributes: attributes && typeof attributes === 'object' ? toAttributes(Object.entries(attributes)) : {},
+        style: parseStyle(key => style?.[key])
+      });
+    } else {
+      issues.push(`${label}: not a polygon`);
+    }
+  });
+};
+
+// A coordinate in path data; signs and exponents may follow another number without a separator
+const SVG_NUMBER = /[-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi;
+
+// Collect polygons from the path elements of an SVG document (absolute M/L/Z commands only).
+// The first subpath of each path is the outer ring and any further subpaths are holes.
+const parseSVG = (text, polygons, issues) => {
+  const doc = new DOMParser().parseFromString(text, 'image/svg+xml');
+  if (doc.querySelector('parsererror')) {
+    throw new Error('File is not valid SVG');
+  }
+
+  doc.querySelectorAll('path').forEach((path, index) => {
+    const pathData = (path.getAttribute('d') || '').trim();
+    const commands = pathData.match(/[MLZmlz][^MLZmlz]*/g) || [];
+    const rings = [];
+    let unsupported = pathData !== '' && !/^[MLZmlz]/.test(pathData);
+    commands.forEach(command => {
+      const type = command[0];
+      const body = command.slice(1);
+      const values = (body.match(SVG_NUMBER) || []).map(Number);
+      // Anything left besides separators is another command (C, H, A...) or garbage
+      if (!['M', 'L', 'Z'].includes(type) || /[^\s,]/.test(body.replace(SVG_NUMBER, ''))) {
+        unsupported = true;
+        return;
+      }
+      if (type === 'M' || rings.length === 0) {
+        rings.push([]);
+      }
+      for (let i = 0; i + 1 < values.length; i += 2) {
+        rings[rings.length - 1].push({ x: values[i], y: values[i + 1] });
+      }
+    });
+
+    if (unsupported) {
+      issues.push(`Path ${index + 1}: only absolute M/L/Z path commands are supported`);
+      return;
+    }
+    let attributes = {};
+    try {
+      const data = JSON.parse(path.getAttribute('data-attributes') || '{}');
+      if (data && typeof data === 'object' && !Array.isArray(data)) attributes = toAttributes(Object.entries(data));
+    } catch {
+      issues.push(`Path ${index + 1}: ignored unreadable data-attributes`);
+    }
+    parseRings(rings, `Path ${index + 1}`, polygons, issues, {
+      id: path.getAttribute('id') || undefined,
+      name: path.getAttribute('data-name') || '',
+      attributes,
+      style: parseStyle(key => path.getAttribute(STYLE_PROPERTIES[key]))
+    });
+  });
+};
+
+// Parse an imported file into polygons, the layers they refer to (project files only) and
+// a list of non-fatal issues. Throws when the file cannot be recognised at all.
+export const parseImportFile = (text, fileName = '') => {
+  const polygons = [];
+  const layers = [];
+  const issues = [];
+
+  if (fileName.toLowerCase().endsWith('.svg') || text.trimStart().startsWith('<')) {
+    parseSVG(text, polygons, issues);
+    return { polygons: ensureUniqueIds([], polygons), layers, issues };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('File is not valid JSON');
+  }
+
+  if (data && data.format === PROJECT_FORMAT) {
+    parseProject(data, polygons, layers, issues);
+  } else if (data && typeof data.type === 'string') {
+    parseGeoJSON(data, polygons, issues);
+  } else {
+    throw new Error('Unrecognised file format');
+  }
+
+  // Parts of a multipolygon share their feature's id until they get their own here
+  return { polygons: ensureUniqueIds([], polygons), layers, issues };
+};
+
+// Trigger a browser download for generated file content
+export const downloadFile = (content, fileName, mimeType) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,87 @@
+// @vitest-environment jsdom
+import { describe, it, expect } from 'vitest';
+import { toGeoJSON, toProject, parseImportFile } from './fileFormats';
+import { createPolygon } from './polygonModel';
+
+const square = [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }, { x: 0, y: 10 }];
+const hole = [{ x: 2, y: 2 }, { x: 4, y: 2 }, { x: 4, y: 4 }];
+
+const lot = createPolygon(square, [hole], {
+  id: 'lot-1',
+  name: 'Lot 1',
+  attributes: { zone: 'R2', owner: 'City' },
+  style: { fill: '#ff8800', opacity: 0.5, strokeWidth: 3 }
+});
+
+describe('GeoJSON', () => {
+  it('round-trips geometry and properties', () => {
+    const { polygons, issues } = parseImportFile(toGeoJSON([lot]), 'lot.geojson');
+    expect(issues).toEqual([]);
+    expect(polygons).toEqual([lot]);
+  });
+
+  it('writes style with simplestyle property names', () => {
+    const feature = JSON.parse(toGeoJSON([lot])).features[0];
+    expect(feature.id).toBe('lot-1');
+    expect(feature.properties).toEqual({
+      zone: 'R2', owner: 'City', name: 'Lot 1', fill: '#ff8800', 'fill-opacity': 0.5, 'stroke-width': 3
+    });
+  });
+
+  it('gives each multipolygon part its own id and ignores unusable styles', () => {
+    const data = {
+      type: 'Feature',
+      id: 7,
+      properties: { name: 'Parts', fill: 'red', area: 12 },
+      geometry: {
+        type: 'MultiPolygon',
+        coordinates: [[square.map(p => [p.x, p.y])], [square.map(p => [p.x + 20, p.y])]]
+      }
+    };
+    const { polygons } = parseImportFile(JSON.stringify(data));
+    expect(polygons.map(polygon => polygon.name)).toEqual(['Parts', 'Parts']);
+    expect(polygons[0].id).toBe('7');
+    expect(polygons[1].id).not.toBe('7');
+    expect(polygons[0].style).toEqual({});
+    expect(polygons[0].attributes).toEqual({ area: '12' });
+  });
+});
+
+describe('project files', () => {
+  it('round-trips polygons with their properties and layers', () => {
+    const layers = [{ id: 'base', name: 'Base', visible: true, locked: true }];
+    const onBase = { ...lot, layerId: 'base' };
+    const result = parseImportFile(toProject([onBase], layers), 'drawing.json');
+    expect(result.polygons).toEqual([onBase]);
+    expect(result.layers).toEqual(layers);
+  });
+
+  it('upgrades version 2 polygons without properties', () => {
+    const text = JSON.stringify({ format: 'draw-polygon-project', version: 2, polygons: [{ points: square, holes: [] }] });
+    const [polygon] = parseImportFile(text).polygons;
+    expect(polygon).toMatchObject({ name: '', attributes: {}, style: {}, points: square });
+    expect(polygon.id).toEqual(expect.any(String));
+  });
+});
+
+describe('SVG', () => {
+  const svg = (d) => `<svg xmlns="http://www.w3.org/2000/svg"><path d="${d}"/></svg>`;
+
+  it('reads coordinates written with exponents', () => {
+    const { polygons, issues } = parseImportFile(svg('M1e-5 0 L10 0 L10 1E1 Z'), 'plan.svg');
+    expect(issues).toEqual([]);
+    expect(polygons[0].points).toEqual([{ x: 1e-5, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }]);
+  });
+
+  it('reads compact numbers without separators', () => {
+    const { polygons, issues } = parseImportFile(svg('M0-5L10-5L10.5.5Z'), 'plan.svg');
+    expect(issues).toEqual([]);
+    expect(polygons[0].points).toEqual([{ x: 0, y: -5 }, { x: 10, y: -5 }, { x: 10.5, y: 0.5 }]);
+  });
+
+  it('refuses paths with other commands', () => {
+    const { polygons, issues } = parseImportFile(svg('M0 0 L10 0 C10 5 5 10 0 10 Z'), 'plan.svg');
+    expect(polygons).toEqual([]);
+    expect(issues).toEqual(['Path 1: only absolute M/L/Z path commands are supported']);
+  });
+});
@@ -0,0 +1,226 @@
+// Framework-agnostic geometry helpers.
+// Points are plain { x, y } objects and rings are arrays of points (open: the closing
+// edge from the last point back to the first is implied). Functions that work on whole
+// shapes take { points, holes } polygons, where holes is a list of interior rings.
+
+// Euclidean distance between two points
+export const distance = (point1, point2) => {
+  const dx = point1.x - point2.x;
+  const dy = point1.y - point2.y;
+  return Math.sqrt(dx * dx + dy * dy);
+};
+
+// Check if a point is close to another point
+export const isNearPoint = (point1, point2, threshold = 15) => {
+  return distance(point1, point2) < threshold;
+};
+
+// Find the nearest vertex to snap to, checking completed polygons (outer rings and holes)
+// before the one being drawn. Ring index 0 is the outer ring, k > 0 is holes[k - 1].
+export const findSnapTarget = (coords, polygons, currentPolygon = [], snapThreshold = 12) => {
+  // Check all vertices in completed polygons
+  for (let polygonIndex = 0; polygonIndex < polygons.length; polygonIndex++) {
+    const rings = [polygons[polygonIndex].points, ...polygons[polygonIndex].holes];
+    for (let ringIndex = 0; ringIndex < rings.length; ringIndex++) {
+      const ring = rings[ringIndex];
+      for (let vertexIndex = 0; vertexIndex < ring.length; vertexIndex++) {
+        const vertex = ring[vertexIndex];
+        if (isNearPoint(coords, vertex, snapThreshold)) {
+          return {
+            vertex,
+            polygonIndex,
+            ringIndex,
+            vertexIndex,
+            type: 'completed'
+          };
+        }
+      }
+    }
+  }
+
+  // Check vertices in current polygon
+  for (let vertexIndex = 0; vertexIndex < currentPolygon.length; vertexIndex++) {
+    const vertex = currentPolygon[vertexIndex];
+    if (isNearPoint(coords, vertex, snapThreshold)) {
+      return {
+        vertex,
+        polygonIndex: -1, // Current polygon
+        ringIndex: 0,
+        vertexIndex,
+        type: 'current'
+      };
+    }
+  }
+
+  return null;
+};
+
+// Convert array of points to SVG path string
+export const pointsToPath = (points) => {
+  if (points.length === 0) return '';
+  return points.map((point, index) =>
+    `${index === 0 ? 'M' : 'L'} ${point.x} ${point.y}`
+  ).join(' ') + ' Z';
+};
+
+// Convert array of points to SVG polyline points string
+export const pointsToPolyline = (points) => {
+  return points.map(point => `${point.x},${point.y}`).join(' ');
+};
+
+// Shoelace signed area. Positive when the ring runs clockwise on screen (y axis pointing down)
+export const signedArea = (points) => {
+  let sum = 0;
+  for (let i = 0; i < points.length; i++) {
+    const current = points[i];
+    const next = points[(i + 1) % points.length];
+    sum += current.x * next.y - next.x * current.y;
+  }
+  return sum / 2;
+};
+
+export const area = (points) => Math.abs(signedArea(points));
+
+// Length of the closed ring
+export const perimeter = (points) => {
+  if (points.length < 2) return 0;
+  let total = 0;
+  for (let i = 0; i < points.length; i++) {
+    total += distance(points[i], points[(i + 1) % points.length]);
+  }
+  return total;
+};
+
+// Arithmetic mean of the vertices
+export const vertexCentroid = (points) => {
+  if (points.length === 0) return null;
+  return {
+    x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+    y: points.reduce((sum, p) => sum + p.y, 0) / points.length
+  };
+};
+
+// Area-weighted centroid; falls back to the vertex mean for degenerate (zero-area) rings
+export const centroid = (points) => {
+  const twiceArea = signedArea(points) * 2;
+  if (Math.abs(twiceArea) < 1e-9) return vertexCentroid(points);
+
+  let cx = 0;
+  let cy = 0;
+  for (let i = 0; i < points.length; i++) {
+    const current = points[i];
+    const next = points[(i + 1) % points.length];
+    const cross = current.x * next.y - next.x * current.y;
+    cx += (current.x + next.x) * cross;
+    cy += (current.y + next.y) * cross;
+  }
+  return { x: cx / (3 * twiceArea), y: cy / (3 * twiceArea) };
+};
+
+// Even-odd ray casting test; points exactly on an edge may fall either way
+export const pointInPolygon = (point, points) => {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[i];
+    const b = points[j];
+    if ((a.y > point.y) !== (b.y > point.y) &&
+      point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+// Whether a point lies in the filled area of a polygon with holes (even-odd over all rings)
+export const pointInShape = (point, polygon) =>
+  [polygon.points, ...polygon.holes].reduce((inside, ring) => inside !== pointInPolygon(point, ring), false);
+
+// Area of the outer ring minus its holes
+export const shapeArea = (polygon) =>
+  polygon.holes.reduce((total, hole) => total - area(hole), area(polygon.points));
+
+// A point inside the filled area for placing buttons and labels: the centroid when it is
+// inside, otherwise the first midpoint between the centroid and a vertex that is
+export const interiorPoint = (polygon) => {
+  const center = centroid(polygon.points);
+  if (!center || pointInShape(center, polygon)) return center;
+
+  for (const vertex of polygon.points) {
+    for (const t of [0.5, 0.25, 0.75, 0.9]) {
+      const candidate = { x: center.x + (vertex.x - center.x) * t, y: center.y + (vertex.y - center.y) * t };
+      if (pointInShape(candidate, polygon)) return candidate;
+    }
+  }
+  return center;
+};
+
+// Cross product of (b - a) and (c - a)
+const orientation = (a, b, c) => (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+
+const onSegment = (a, b, point) =>
+  Math.min(a.x, b.x) <= point.x && point.x <= Math.max(a.x, b.x) &&
+  Math.min(a.y, b.y) <= point.y && point.y <= Math.max(a.y, b.y);
+
+// Whether segment p1-p2 and segment p3-p4 touch or cross, including collinear overlap
+export const segmentsIntersect = (p1, p2, p3, p4) => {
+  const d1 = orientation(p3, p4, p1);
+  const d2 = orientation(p3, p4, p2);
+  const d3 = orientation(p1, p2, p3);
+  const d4 = orientation(p1, p2, p4);
+
+  if (((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) &&
+    ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))) {
+    return true;
+  }
+
+  return (d1 === 0 && onSegment(p3, p4, p1)) ||
+    (d2 === 0 && onSegment(p3, p4, p2)) ||
+    (d3 === 0 && onSegment(p1, p2, p3)) ||
+    (d4 === 0 && onSegment(p1, p2, p4));
+};
+
+// Intersection point of two segments, or null when they do not cross at a single point
+export const segmentIntersection = (p1, p2, p3, p4) => {
+  const denominator = (p2.x - p1.x) * (p4.y - p3.y) - (p2.y - p1.y) * (p4.x - p3.x);
+  if (denominator === 0) return null;
+
+  const t = ((p3.x - p1.x) * (p4.y - p3.y) - (p3.y - p1.y) * (p4.x - p3.x)) / denominator;
+  const u = ((p3.x - p1.x) * (p2.y - p1.y) - (p3.y - p1.y) * (p2.x - p1.x)) / denominator;
+  if (t < 0 || t > 1 || u < 0 || u > 1) return null;
+
+  return { x: p1.x + t * (p2.x - p1.x), y: p1.y + t * (p2.y - p1.y) };
+};
+
+// Closest point to `point` on segment a-b
+export const closestPointOnSegment = (point, a, b) => {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSquared = dx * dx + dy * dy;
+  if (lengthSquared === 0) return { x: a.x, y: a.y };
+  const t = Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSquared));
+  return { x: a.x + t * dx, y: a.y + t * dy };
+};
+
+// Axis-aligned bounding box of a set of points
+export const boundingBox = (points) => {
+  if (points.length === 0) return null;
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  points.forEach(point => {
+    minX = Math.min(minX, point.x);
+    minY = Math.min(minY, point.y);
+    maxX = Math.max(maxX, point.x);
+    maxY = Math.max(maxY, point.y);
+  });
+  return { minX, minY, maxX, maxY, width: maxX - minX, height: maxY - minY };
+};
+
+// Winding order as seen on screen: 'clockwise', 'counterclockwise' or 'degenerate'
+export const windingOrder = (points) => {
+  const value = signedArea(points);
+  if (value > 0) return 'clockwise';
+  if (value < 0) return 'counterclockwise';
+  return 'degenerate';
+};
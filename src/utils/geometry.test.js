@@ -0,0 +1,219 @@
+import { describe, it, expect } from 'vitest';
+import {
+  distance,
+  isNearPoint,
+  findSnapTarget,
+  pointsToPath,
+  pointsToPolyline,
+  signedArea,
+  area,
+  perimeter,
+  vertexCentroid,
+  centroid,
+  pointInPolygon,
+  pointInShape,
+  shapeArea,
+  interiorPoint,
+  segmentsIntersect,
+  segmentIntersection,
+  closestPointOnSegment,
+  boundingBox,
+  windingOrder
+} from './geometry';
+
+// Clockwise on screen (y axis pointing down)
+const square = [
+  { x: 0, y: 0 },
+  { x: 10, y: 0 },
+  { x: 10, y: 10 },
+  { x: 0, y: 10 }
+];
+
+const triangle = [
+  { x: 0, y: 0 },
+  { x: 6, y: 0 },
+  { x: 0, y: 6 }
+];
+
+describe('distance and isNearPoint', () => {
+  it('measures euclidean distance', () => {
+    expect(distance({ x: 0, y: 0 }, { x: 3, y: 4 })).toBe(5);
+  });
+
+  it('uses a strict threshold', () => {
+    expect(isNearPoint({ x: 0, y: 0 }, { x: 3, y: 4 }, 6)).toBe(true);
+    expect(isNearPoint({ x: 0, y: 0 }, { x: 3, y: 4 }, 5)).toBe(false);
+  });
+
+  it('defaults to a 15px threshold', () => {
+    expect(isNearPoint({ x: 0, y: 0 }, { x: 14, y: 0 })).toBe(true);
+    expect(isNearPoint({ x: 0, y: 0 }, { x: 15, y: 0 })).toBe(false);
+  });
+});
+
+// 30x30 square with a 10x10 hole in the middle
+const donut = {
+  points: [{ x: 0, y: 0 }, { x: 30, y: 0 }, { x: 30, y: 30 }, { x: 0, y: 30 }],
+  holes: [[{ x: 10, y: 10 }, { x: 20, y: 10 }, { x: 20, y: 20 }, { x: 10, y: 20 }]]
+};
+
+describe('findSnapTarget', () => {
+  const shape = { points: square, holes: [] };
+
+  it('snaps to completed polygon vertices first', () => {
+    const target = findSnapTarget({ x: 11, y: 1 }, [shape], [{ x: 12, y: 0 }], 5);
+    expect(target).toEqual({ vertex: square[1], polygonIndex: 0, ringIndex: 0, vertexIndex: 1, type: 'completed' });
+  });
+
+  it('snaps to hole vertices', () => {
+    const target = findSnapTarget({ x: 21, y: 19 }, [donut], [], 5);
+    expect(target).toMatchObject({ polygonIndex: 0, ringIndex: 1, vertexIndex: 2 });
+  });
+
+  it('falls back to the polygon being drawn', () => {
+    const current = [{ x: 100, y: 100 }];
+    const target = findSnapTarget({ x: 105, y: 100 }, [shape], current);
+    expect(target).toEqual({ vertex: current[0], polygonIndex: -1, ringIndex: 0, vertexIndex: 0, type: 'current' });
+  });
+
+  it('returns null when nothing is within the threshold', () => {
+    expect(findSnapTarget({ x: 50, y: 50 }, [shape], [])).toBeNull();
+    expect(findSnapTarget({ x: 20, y: 0 }, [shape], [], 5)).toBeNull();
+  });
+});
+
+describe('SVG serialisation', () => {
+  it('builds a closed path', () => {
+    expect(pointsToPath(triangle)).toBe('M 0 0 L 6 0 L 0 6 Z');
+    expect(pointsToPath([])).toBe('');
+  });
+
+  it('builds polyline points', () => {
+    expect(pointsToPolyline(triangle)).toBe('0,0 6,0 0,6');
+  });
+});
+
+describe('area and perimeter', () => {
+  it('computes signed area by winding', () => {
+    expect(signedArea(square)).toBe(100);
+    expect(signedArea([...square].reverse())).toBe(-100);
+    expect(area([...square].reverse())).toBe(100);
+  });
+
+  it('computes the closed perimeter', () => {
+    expect(perimeter(square)).toBe(40);
+    expect(perimeter([{ x: 0, y: 0 }])).toBe(0);
+  });
+});
+
+describe('centroid', () => {
+  it('weights by area rather than vertex count', () => {
+    // Extra collinear vertices along one edge pull the vertex mean but not the true centroid
+    const dense = [
+      { x: 0, y: 0 },
+      { x: 2, y: 0 },
+      { x: 4, y: 0 },
+      { x: 6, y: 0 },
+      { x: 8, y: 0 },
+      { x: 10, y: 0 },
+      { x: 10, y: 10 },
+      { x: 0, y: 10 }
+    ];
+    expect(centroid(dense)).toEqual({ x: 5, y: 5 });
+    expect(vertexCentroid(dense).y).toBeCloseTo(2.5);
+  });
+
+  it('matches the triangle centroid', () => {
+    const { x, y } = centroid(triangle);
+    expect(x).toBeCloseTo(2);
+    expect(y).toBeCloseTo(2);
+  });
+
+  it('falls back to the vertex mean for zero-area rings', () => {
+    const line = [{ x: 0, y: 0 }, { x: 4, y: 0 }, { x: 8, y: 0 }];
+    expect(centroid(line)).toEqual({ x: 4, y: 0 });
+  });
+});
+
+describe('pointInPolygon', () => {
+  it('detects inside and outside points', () => {
+    expect(pointInPolygon({ x: 5, y: 5 }, square)).toBe(true);
+    expect(pointInPolygon({ x: 15, y: 5 }, square)).toBe(false);
+  });
+
+  it('handles concave shapes', () => {
+    const ell = [
+      { x: 0, y: 0 },
+      { x: 10, y: 0 },
+      { x: 10, y: 4 },
+      { x: 4, y: 4 },
+      { x: 4, y: 10 },
+      { x: 0, y: 10 }
+    ];
+    expect(pointInPolygon({ x: 2, y: 8 }, ell)).toBe(true);
+    expect(pointInPolygon({ x: 8, y: 8 }, ell)).toBe(false);
+  });
+});
+
+describe('shapes with holes', () => {
+  it('treats holes as outside the shape', () => {
+    expect(pointInShape({ x: 5, y: 5 }, donut)).toBe(true);
+    expect(pointInShape({ x: 15, y: 15 }, donut)).toBe(false);
+  });
+
+  it('subtracts hole area', () => {
+    expect(shapeArea(donut)).toBe(800);
+  });
+
+  it('finds an interior point away from the hole', () => {
+    const point = interiorPoint(donut);
+    expect(pointInShape(point, donut)).toBe(true);
+    expect(interiorPoint({ points: square, holes: [] })).toEqual({ x: 5, y: 5 });
+  });
+});
+
+describe('segment intersection', () => {
+  const a = { x: 0, y: 0 };
+  const b = { x: 10, y: 10 };
+  const c = { x: 0, y: 10 };
+  const d = { x: 10, y: 0 };
+
+  it('detects crossing segments and their intersection point', () => {
+    expect(segmentsIntersect(a, b, c, d)).toBe(true);
+    expect(segmentIntersection(a, b, c, d)).toEqual({ x: 5, y: 5 });
+  });
+
+  it('detects touching and collinear overlapping segments', () => {
+    expect(segmentsIntersect(a, d, d, b)).toBe(true);
+    expect(segmentsIntersect(a, { x: 6, y: 0 }, { x: 4, y: 0 }, d)).toBe(true);
+  });
+
+  it('rejects disjoint and parallel segments', () => {
+    expect(segmentsIntersect(a, { x: 4, y: 4 }, c, { x: 4, y: 6 })).toBe(false);
+    expect(segmentIntersection(a, d, c, b)).toBeNull();
+    expect(segmentIntersection(a, { x: 4, y: 4 }, c, d)).toBeNull();
+  });
+});
+
+describe('closestPointOnSegment', () => {
+  it('projects onto the segment and clamps to its ends', () => {
+    const a = { x: 0, y: 0 };
+    const b = { x: 10, y: 0 };
+    expect(closestPointOnSegment({ x: 4, y: 3 }, a, b)).toEqual({ x: 4, y: 0 });
+    expect(closestPointOnSegment({ x: -5, y: 3 }, a, b)).toEqual(a);
+    expect(closestPointOnSegment({ x: 1, y: 1 }, a, a)).toEqual(a);
+  });
+});
+
+describe('boundingBox and windingOrder', () => {
+  it('computes the axis-aligned bounds', () => {
+    expect(boundingBox(triangle)).toEqual({ minX: 0, minY: 0, maxX: 6, maxY: 6, width: 6, height: 6 });
+    expect(boundingBox([])).toBeNull();
+  });
+
+  it('reports winding as seen on screen', () => {
+    expect(windingOrder(square)).toBe('clockwise');
+    expect(windingOrder([...square].reverse())).toBe('counterclockwise');
+    expect(windingOrder([{ x: 0, y: 0 }, { x: 1, y: 1 }, { x: 2, y: 2 }])).toBe('degenerate');
+  });
+});
@@ -0,0 +1,182 @@
+// Clean-up operations on finished polygons. Each takes one polygon and returns the
+// polygons that replace it: usually one, keeping the id and properties, but an inward
+// offset can split a polygon into several or remove it entirely.
+
+import polygonClipping from 'polygon-clipping';
+import { area, boundingBox, distance } from './geometry';
+import { createPolygon, getRings, polygonProperties } from './polygonModel';
+import { simplifyRing } from './drawingTools';
+import { toGeometry, fromRing } from './booleanOps';
+
+export const GEOMETRY_OPERATIONS = {
+  simplify: 'Simplify',
+  smooth: 'Smooth',
+  offset: 'Offset',
+  hull: 'Convex hull',
+  bbox: 'Bounding box',
+  obb: 'Oriented bounding box'
+};
+
+// `tolerance` and `distance` are in drawing units
+export const DEFAULT_GEOMETRY_OPTIONS = { tolerance: 2, iterations: 2, distance: 10 };
+
+// Vertices of the circle approximation used for the rounded corners of an offset
+const OFFSET_SEGMENTS = 16;
+
+// Simplify every ring, keeping rings that would collapse below three vertices as they are
+export const simplifyPolygon = (polygon, tolerance) => {
+  const simplify = (ring) => {
+    const simplified = simplifyRing(ring, tolerance);
+    return simplified.length >= 3 && area(simplified) > 0 ? simplified : ring;
+  };
+  return { ...polygon, points: simplify(polygon.points), holes: polygon.holes.map(simplify) };
+};
+
+// Chaikin corner cutting: every edge is replaced by the points at a quarter and three
+// quarters along it, which rounds each corner a little more on every iteration
+export const smoothRing = (ring, iterations = 1) => {
+  let smoothed = ring;
+  for (let step = 0; step < iterations; step++) {
+    smoothed = smoothed.flatMap((point, index) => {
+      const next = smoothed[(index + 1) % smoothed.length];
+      return [
+        { x: 0.75 * point.x + 0.25 * next.x, y: 0.75 * point.y + 0.25 * next.y },
+        { x: 0.25 * point.x + 0.75 * next.x, y: 0.25 * point.y + 0.75 * next.y }
+      ];
+    });
+  }
+  return smoothed;
+};
+
+export const smoothPolygon = (polygon, iterations) => ({
+  ...polygon,
+  points: smoothRing(polygon.points, iterations),
+  holes: polygon.holes.map(ring => smoothRing(ring, iterations))
+});
+
+// Closed polygon-clipping ring of a circle around a point. The polygon is drawn around
+// the circle rather than inside it, so it crosses the edge bands instead of touching
+// them along a shared line, which polygon-clipping does not handle reliably.
+const circleGeometry = (center, radius) => {
+  const outer = radius / Math.cos(Math.PI / OFFSET_SEGMENTS);
+  const ring = Array.from({ length: OFFSET_SEGMENTS }, (_, index) => {
+    const angle = (index / OFFSET_SEGMENTS) * Math.PI * 2;
+    return [center.x + Math.cos(angle) * outer, center.y + Math.sin(angle) * outer];
+  });
+  return [[...ring, ring[0]]];
+};
+
+// Everything within `radius` of the polygon's outline: a band around each edge and a
+// disc around each vertex
+const outlineBand = (polygon, radius) => {
+  const pieces = [];
+  getRings(polygon).forEach(ring => ring.forEach((point, index) => {
+    const next = ring[(index + 1) % ring.length];
+    pieces.push(circleGeometry(point, radius));
+    const length = distance(point, next);
+    if (length === 0) return;
+    const nx = (-(next.y - point.y) / length) * radius;
+    const ny = ((next.x - point.x) / length) * radius;
+    pieces.push([[
+      [point.x + nx, point.y + ny],
+      [next.x + nx, next.y + ny],
+      [next.x - nx, next.y - ny],
+      [point.x - nx, point.y - ny],
+      [point.x + nx, point.y + ny]
+    ]]);
+  }));
+  try {
+    return polygonClipping.union(...pieces);
+  } catch {
+    // polygon-clipping occasionally loses track of nearly coincident edges when given
+    // many pieces at once; adding them one at a time is slower but holds up
+    return pieces.reduce((union, piece) => polygonClipping.union(union, piece));
+  }
+};
+
+// Grow the polygon by `amount`, or shrink it when `amount` is negative. Corners are
+// rounded. Returns the resulting polygons; the first one keeps the polygon's id.
+export const offsetPolygon = (polygon, amount) => {
+  if (amount === 0) return [polygon];
+  const band = outlineBand(polygon, Math.abs(amount));
+  const result = amount > 0
+    ? polygonClipping.union(toGeometry(polygon), band)
+    : polygonClipping.difference(toGeometry(polygon), band);
+  return result.map(([outer, ...holes], index) => index === 0
+    ? { ...polygon, points: fromRing(outer), holes: holes.map(fromRing) }
+    : createPolygon(fromRing(outer), holes.map(fromRing), polygonProperties(polygon)));
+};
+
+const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+
+// Convex hull of a set of points (monotone chain), without collinear points
+export const convexHull = (points) => {
+  const sorted = [...points].sort((a, b) => a.x - b.x || a.y - b.y);
+  if (sorted.length < 3) return sorted;
+  const half = (list) => {
+    const chain = [];
+    list.forEach(point => {
+      while (chain.length >= 2 && cross(chain[chain.length - 2], chain[chain.length - 1], point) <= 0) chain.pop();
+      chain.push(point);
+    });
+    return chain.slice(0, -1);
+  };
+  return [...half(sorted), ...half([...sorted].reverse())];
+};
+
+// Axis-aligned rectangle around the points
+export const boundingBoxRing = (points) => {
+  const { minX, minY, maxX, maxY } = boundingBox(points);
+  return [{ x: minX, y: minY }, { x: maxX, y: minY }, { x: maxX, y: maxY }, { x: minX, y: maxY }];
+};
+
+// Smallest-area rectangle around the points. One of its sides always lies along an edge
+// of the convex hull, so only those directions are tried.
+export const orientedBoundingBox = (points) => {
+  const hull = convexHull(points);
+  let best = null;
+  hull.forEach((point, index) => {
+    const next = hull[(index + 1) % hull.length];
+    const length = distance(point, next);
+    if (length === 0) return;
+    const u = { x: (next.x - point.x) / length, y: (next.y - point.y) / length };
+    let minU = Infinity;
+    let maxU = -Infinity;
+    let minV = Infinity;
+    let maxV = -Infinity;
+    hull.forEach(corner => {
+      const along = corner.x * u.x + corner.y * u.y;
+      const across = -corner.x * u.y + corner.y * u.x;
+      minU = Math.min(minU, along);
+      maxU = Math.max(maxU, along);
+      minV = Math.min(minV, across);
+      maxV = Math.max(maxV, across);
+    });
+    const boxArea = (maxU - minU) * (maxV - minV);
+    if (!best || boxArea < best.area - 1e-9) best = { area: boxArea, u, minU, maxU, minV, maxV };
+  });
+  if (!best) return boundingBoxRing(points);
+  const { u, minU, maxU, minV, maxV } = best;
+  const toPoint = (along, across) => ({ x: along * u.x - across * u.y, y: along * u.y + across * u.x });
+  return [toPoint(minU, minV), toPoint(maxU, minV), toPoint(maxU, maxV), toPoint(minU, maxV)];
+};
+
+// Polygons replacing `polygon` after an operation, with `options` as in DEFAULT_GEOMETRY_OPTIONS
+export const applyGeometryOperation = (type, polygon, options) => {
+  switch (type) {
+    case 'simplify':
+      return [simplifyPolygon(polygon, options.tolerance)];
+    case 'smooth':
+      return [smoothPolygon(polygon, options.iterations)];
+    case 'offset':
+      return offsetPolygon(polygon, options.distance);
+    case 'hull':
+      return [{ ...polygon, points: convexHull(polygon.points), holes: [] }];
+    case 'bbox':
+      return [{ ...polygon, points: boundingBoxRing(polygon.points), holes: [] }];
+    case 'obb':
+      return [{ ...polygon, points: orientedBoundingBox(polygon.points), holes: [] }];
+    default:
+      throw new Error(`Unknown geometry operation: ${type}`);
+  }
+};
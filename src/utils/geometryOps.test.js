@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest';
+import {
+  simplifyPolygon,
+  smoothRing,
+  offsetPolygon,
+  convexHull,
+  boundingBoxRing,
+  orientedBoundingBox,
+  applyGeometryOperation
+} from './geometryOps';
+import { createPolygon } from './polygonModel';
+import { area, shapeArea } from './geometry';
+
+const square = createPolygon(
+  [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 100 }, { x: 0, y: 100 }],
+  [[{ x: 40, y: 40 }, { x: 60, y: 40 }, { x: 60, y: 60 }, { x: 40, y: 60 }]],
+  { id: 'square', name: 'Square' }
+);
+
+describe('simplifyPolygon', () => {
+  it('removes vertices within the tolerance and keeps the id', () => {
+    const jagged = createPolygon([
+      { x: 0, y: 0 }, { x: 50, y: 0.5 }, { x: 100, y: 0 }, { x: 100.4, y: 50 }, { x: 100, y: 100 }, { x: 0, y: 100 }
+    ], [], { id: 'jagged' });
+    const simplified = simplifyPolygon(jagged, 1);
+    expect(simplified.id).toBe('jagged');
+    expect(simplified.points).toHaveLength(4);
+  });
+
+  it('leaves rings that would collapse alone', () => {
+    const sliver = createPolygon([{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 50, y: 1 }]);
+    expect(simplifyPolygon(sliver, 5).points).toEqual(sliver.points);
+  });
+});
+
+describe('smoothRing', () => {
+  it('cuts every corner', () => {
+    const smoothed = smoothRing(square.points);
+    expect(smoothed).toHaveLength(8);
+    expect(smoothed[0]).toEqual({ x: 25, y: 0 });
+    expect(smoothRing(square.points, 2)).toHaveLength(16);
+  });
+});
+
+describe('offsetPolygon', () => {
+  const plain = { ...square, holes: [] };
+
+  it('grows a polygon with rounded corners', () => {
+    const [grown] = offsetPolygon(plain, 10);
+    expect(grown.id).toBe('square');
+    // The square, four 10-wide bands along its sides and a circle split over the corners
+    expect(shapeArea(grown)).toBeCloseTo(10000 + 4000 + Math.PI * 100, -2);
+  });
+
+  it('shrinks a polygon and its holes grow', () => {
+    const [shrunk] = offsetPolygon(square, -10);
+    expect(shrunk.points.every(point => point.x >= 9.99 && point.x <= 90.01)).toBe(true);
+    expect(area(shrunk.holes[0])).toBeGreaterThan(400);
+  });
+
+  it('can remove a polygon or split it', () => {
+    expect(offsetPolygon(plain, -60)).toEqual([]);
+    const dumbbell = createPolygon([
+      { x: 0, y: 0 }, { x: 40, y: 0 }, { x: 40, y: 18 }, { x: 60, y: 18 }, { x: 60, y: 0 }, { x: 100, y: 0 },
+      { x: 100, y: 40 }, { x: 60, y: 40 }, { x: 60, y: 22 }, { x: 40, y: 22 }, { x: 40, y: 40 }, { x: 0, y: 40 }
+    ], [], { name: 'Dumbbell' });
+    const pieces = offsetPolygon(dumbbell, -5);
+    expect(pieces).toHaveLength(2);
+    expect(pieces[0].id).toBe(dumbbell.id);
+    expect(pieces[1].name).toBe('Dumbbell');
+  });
+});
+
+describe('convexHull', () => {
+  it('skips interior and collinear points', () => {
+    const hull = convexHull([{ x: 0, y: 0 }, { x: 5, y: 0 }, { x: 10, y: 0 }, { x: 5, y: 5 }, { x: 10, y: 10 }, { x: 0, y: 10 }]);
+    expect(hull).toHaveLength(4);
+    expect(area(hull)).toBe(100);
+  });
+});
+
+describe('bounding boxes', () => {
+  const diamond = [{ x: 50, y: 0 }, { x: 100, y: 50 }, { x: 50, y: 100 }, { x: 0, y: 50 }];
+
+  it('fits an axis-aligned box', () => {
+    expect(boundingBoxRing(diamond)).toEqual([{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 100 }, { x: 0, y: 100 }]);
+  });
+
+  it('fits a rotated box with the smallest area', () => {
+    expect(area(orientedBoundingBox(diamond))).toBeCloseTo(5000);
+  });
+});
+
+describe('applyGeometryOperation', () => {
+  it('drops holes for hull and boxes', () => {
+    ['hull', 'bbox', 'obb'].forEach(type => {
+      const [result] = applyGeometryOperation(type, square, {});
+      expect(result.holes).toEqual([]);
+      expect(result.name).toBe('Square');
+    });
+  });
+
+  it('rejects unknown operations', () => {
+    expect(() => applyGeometryOperation('explode', square, {})).toThrow('Unknown geometry operation');
+  });
+});
@@ -0,0 +1,146 @@
+// Undo history kept as small patches instead of full snapshots. The history holds the
+// committed state ({ polygons, currentPolygon, layers }) and one entry per recorded
+// action: its label and a patch with what the action changed, before and after.
+// State is never mutated, so patches share polygons with it rather than copying them.
+
+// Edits with the same coalesce key this close together become a single entry (ms)
+export const COALESCE_DELAY = 1000;
+
+// Choices for the number of undo steps kept; null keeps everything
+export const HISTORY_LIMITS = [50, 200, 1000, null];
+
+export const createHistory = (state, limit = null) => ({ state, entries: [], index: 0, limit });
+
+// Polygon changes by id: polygons only in `before` are removed, polygons only in `after`
+// are added, and the rest are replaced when their object changed. Positions are kept for
+// removed and added polygons; the full id order is stored only when others moved.
+const diffPolygons = (before, after) => {
+  const beforeIndex = new Map(before.map((polygon, index) => [polygon.id, index]));
+  const afterIds = new Set(after.map(polygon => polygon.id));
+  const removed = [];
+  before.forEach((polygon, index) => {
+    if (!afterIds.has(polygon.id)) removed.push({ index, polygon });
+  });
+
+  const added = [];
+  const changed = [];
+  let previous = -1;
+  let reordered = false;
+  after.forEach((polygon, index) => {
+    if (!beforeIndex.has(polygon.id)) {
+      added.push({ index, polygon });
+      return;
+    }
+    const from = beforeIndex.get(polygon.id);
+    if (from < previous) reordered = true;
+    previous = from;
+    if (before[from] !== polygon) changed.push({ before: before[from], after: polygon });
+  });
+
+  if (removed.length === 0 && added.length === 0 && changed.length === 0 && !reordered) return null;
+  const patch = { removed, added, changed };
+  if (reordered) {
+    patch.order = { before: before.map(polygon => polygon.id), after: after.map(polygon => polygon.id) };
+  }
+  return patch;
+};
+
+// Patch taking `before` to `after`; empty when nothing changed
+export const diffStates = (before, after) => {
+  const patch = {};
+  const polygons = before.polygons === after.polygons ? null : diffPolygons(before.polygons, after.polygons);
+  if (polygons) patch.polygons = polygons;
+  if (before.currentPolygon !== after.currentPolygon) {
+    patch.currentPolygon = { before: before.currentPolygon, after: after.currentPolygon };
+  }
+  if (before.layers !== after.layers) {
+    patch.layers = { before: before.layers, after: after.layers };
+  }
+  return patch;
+};
+
+export const isEmptyPatch = (patch) => Object.keys(patch).length === 0;
+
+const applyPolygonPatch = (polygons, patch, side) => {
+  const [dropped, inserted] = side === 'after' ? [patch.removed, patch.added] : [patch.added, patch.removed];
+  const droppedIds = new Set(dropped.map(({ polygon }) => polygon.id));
+  const replacements = new Map(patch.changed.map(change => [change[side].id, change[side]]));
+  const result = polygons
+    .filter(polygon => !droppedIds.has(polygon.id))
+    .map(polygon => replacements.get(polygon.id) || polygon);
+
+  if (patch.order) {
+    const byId = new Map([...result, ...inserted.map(({ polygon }) => polygon)].map(polygon => [polygon.id, polygon]));
+    // Polygons that came or went through adoptState since the patch was made are not in
+    // its order: the missing are skipped and the unknown stay on top
+    const ordered = new Set(patch.order[side]);
+    return [
+      ...patch.order[side].filter(id => byId.has(id)).map(id => byId.get(id)),
+      ...[...byId.values()].filter(polygon => !ordered.has(polygon.id))
+    ];
+  }
+  // Inserting in ascending order puts each polygon back at its recorded position
+  inserted.forEach(({ index, polygon }) => result.splice(index, 0, polygon));
+  return result;
+};
+
+// State with a patch applied forwards (side 'after') or reverted (side 'before')
+export const applyPatch = (state, patch, side) => ({
+  polygons: patch.polygons ? applyPolygonPatch(state.polygons, patch.polygons, side) : state.polygons,
+  currentPolygon: patch.currentPolygon ? patch.currentPolygon[side] : state.currentPolygon,
+  layers: patch.layers ? patch.layers[side] : state.layers
+});
+
+// Drop the oldest entries beyond the limit. Entries already undone go last, so the
+// current position always stays in the history.
+const trimHistory = (history) => {
+  const { entries, index, limit } = history;
+  if (limit === null || entries.length <= limit) return history;
+  const fromStart = Math.min(entries.length - limit, index);
+  return {
+    ...history,
+    entries: entries.slice(fromStart, fromStart + limit),
+    index: index - fromStart
+  };
+};
+
+// Record the move to `state` as a new entry, discarding anything undone. An edit with
+// the same `coalesce` key as the previous entry, soon after it, extends that entry.
+export const recordHistory = (history, state, { label = 'Edit', coalesce = null, time = Date.now() } = {}) => {
+  let entries = history.entries.slice(0, history.index);
+  let base = history.state;
+  const last = entries[entries.length - 1];
+  if (coalesce && last && last.coalesce === coalesce && time - last.time < COALESCE_DELAY) {
+    base = applyPatch(history.state, last.patch, 'before');
+    entries = entries.slice(0, -1);
+  }
+
+  const patch = diffStates(base, state);
+  if (isEmptyPatch(patch)) {
+    // Nothing changed: keep the redo steps unless an entry was coalesced away
+    return base === history.state ? { ...history, state } : { ...history, state, entries, index: entries.length };
+  }
+  const entry = { label, patch, time };
+  if (coalesce) entry.coalesce = coalesce;
+  return trimHistory({ ...history, state, entries: [...entries, entry], index: entries.length + 1 });
+};
+
+// Take on a state changed by someone else without recording an entry. Entries are patches
+// by polygon id, so undoing one afterwards only takes back that action and leaves the
+// other changes in place.
+export const adoptState = (history, state) => ({ ...history, state });
+
+// Undo or redo to just after entry `index` - 1; 0 is the start of the history
+export const moveHistory = (history, index) => {
+  const target = Math.min(Math.max(index, 0), history.entries.length);
+  let { state } = history;
+  for (let position = history.index; position > target; position--) {
+    state = applyPatch(state, history.entries[position - 1].patch, 'before');
+  }
+  for (let position = history.index; position < target; position++) {
+    state = applyPatch(state, history.entries[position].patch, 'after');
+  }
+  return { ...history, state, index: target };
+};
+
+export const setHistoryLimit = (history, limit) => trimHistory({ ...history, limit });
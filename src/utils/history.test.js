@@ -0,0 +1,121 @@
+import { describe, it, expect } from 'vitest';
+import { adoptState, applyPatch, createHistory, diffStates, isEmptyPatch, moveHistory, recordHistory, setHistoryLimit } from './history';
+import { createPolygon, moveVertex } from './polygonModel';
+import { createDefaultLayers } from './layers';
+
+const triangle = [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 0, y: 10 }];
+const a = createPolygon(triangle, [], { id: 'a' });
+const b = createPolygon(triangle, [], { id: 'b' });
+const c = createPolygon(triangle, [], { id: 'c' });
+const start = { polygons: [a, b], currentPolygon: [], layers: createDefaultLayers() };
+
+const roundTrip = (before, after) => {
+  const patch = diffStates(before, after);
+  expect(applyPatch(before, patch, 'after')).toEqual(after);
+  expect(applyPatch(after, patch, 'before')).toEqual(before);
+  return patch;
+};
+
+describe('diffStates', () => {
+  it('is empty when nothing changed', () => {
+    expect(isEmptyPatch(diffStates(start, { ...start, polygons: [...start.polygons] }))).toBe(true);
+  });
+
+  it('keeps only the polygons that changed', () => {
+    const moved = moveVertex(b, 0, 1, { x: 20, y: 0 });
+    const patch = roundTrip(start, { ...start, polygons: [a, moved] });
+    expect(patch.polygons).toEqual({ removed: [], added: [], changed: [{ before: b, after: moved }] });
+    expect(patch.layers).toBeUndefined();
+  });
+
+  it('restores added and removed polygons in place', () => {
+    roundTrip(start, { ...start, polygons: [c, a] });
+    roundTrip({ ...start, polygons: [a, b, c] }, { ...start, polygons: [b] });
+  });
+
+  it('records the order only when polygons move', () => {
+    expect(roundTrip(start, { ...start, polygons: [a, b, c] }).polygons.order).toBeUndefined();
+    expect(roundTrip({ ...start, polygons: [a, b, c] }, { ...start, polygons: [c, a] }).polygons.order)
+      .toEqual({ before: ['a', 'b', 'c'], after: ['c', 'a'] });
+  });
+
+  it('covers the drawing ring and layers', () => {
+    roundTrip(start, { ...start, currentPolygon: triangle, layers: [] });
+  });
+});
+
+describe('recordHistory', () => {
+  const addC = { ...start, polygons: [a, b, c] };
+  const removeA = { ...start, polygons: [b, c] };
+
+  it('undoes, redoes and jumps', () => {
+    let history = createHistory(start);
+    history = recordHistory(history, addC, { label: 'Add polygon' });
+    history = recordHistory(history, removeA, { label: 'Delete polygon' });
+    expect(history.entries.map(entry => entry.label)).toEqual(['Add polygon', 'Delete polygon']);
+
+    expect(moveHistory(history, 1).state).toEqual(addC);
+    expect(moveHistory(history, 0).state).toEqual(start);
+    expect(moveHistory(moveHistory(history, 0), 2).state).toEqual(removeA);
+  });
+
+  it('drops undone entries when recording', () => {
+    let history = recordHistory(createHistory(start), addC);
+    history = recordHistory(moveHistory(history, 0), removeA);
+    expect(history.entries).toHaveLength(1);
+    expect(moveHistory(history, 0).state).toEqual(start);
+  });
+
+  it('skips edits that change nothing', () => {
+    const history = recordHistory(moveHistory(recordHistory(createHistory(start), addC), 0), start);
+    expect(history.entries).toHaveLength(1);
+    expect(history.index).toBe(0);
+  });
+
+  it('coalesces rapid edits with the same key', () => {
+    const nudge = (polygon, dx) => ({ ...polygon, points: polygon.points.map(p => ({ x: p.x + dx, y: p.y })) });
+    let history = recordHistory(createHistory(start), { ...start, polygons: [nudge(a, 1), b] }, { coalesce: 'nudge', time: 0 });
+    history = recordHistory(history, { ...start, polygons: [nudge(a, 2), b] }, { coalesce: 'nudge', time: 500 });
+    expect(history.entries).toHaveLength(1);
+    expect(moveHistory(history, 0).state).toEqual(start);
+
+    history = recordHistory(history, { ...start, polygons: [nudge(a, 3), b] }, { coalesce: 'nudge', time: 5000 });
+    expect(history.entries).toHaveLength(2);
+  });
+
+  it('keeps at most the limit, dropping the oldest entries', () => {
+    let history = createHistory(start, 2);
+    [addC, removeA, start].forEach(state => { history = recordHistory(history, state); });
+    expect(history.entries).toHaveLength(2);
+    expect(history.index).toBe(2);
+    expect(moveHistory(history, 0).state).toEqual(addC);
+  });
+
+  it('keeps the current position when the limit shrinks', () => {
+    let history = createHistory(start);
+    [addC, removeA, start].forEach(state => { history = recordHistory(history, state); });
+    history = setHistoryLimit(moveHistory(history, 1), 1);
+    expect(history.entries).toHaveLength(1);
+    expect(history.index).toBe(0);
+    expect(moveHistory(history, 1).state).toEqual(removeA);
+  });
+});
+
+describe('adoptState', () => {
+  it('undoes only recorded actions on top of adopted changes', () => {
+    const addC = { ...start, polygons: [a, b, c] };
+    let history = recordHistory(createHistory(start), addC);
+    // Someone else moves a vertex of b and removes a
+    const moved = moveVertex(b, 0, 0, { x: -5, y: 0 });
+    history = adoptState(history, { ...addC, polygons: [moved, c] });
+    expect(history.entries).toHaveLength(1);
+    expect(moveHistory(history, 0).state.polygons).toEqual([moved]);
+    expect(moveHistory(moveHistory(history, 0), 1).state.polygons).toEqual([moved, c]);
+  });
+
+  it('keeps adopted polygons when undoing a reorder', () => {
+    let history = recordHistory(createHistory(start), { ...start, polygons: [b, a] });
+    history = adoptState(history, { ...start, polygons: [c, b] });
+    expect(moveHistory(history, 0).state.polygons).toEqual([b, c]);
+  });
+});
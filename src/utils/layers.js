@@ -0,0 +1,87 @@
+// Layers group polygons for visibility, locking and stacking. Layers are listed bottom to
+// top: polygons are drawn layer by layer and, within a layer, in array order. A polygon
+// whose layerId matches no layer belongs to the bottom layer.
+
+export const DEFAULT_LAYER_ID = 'layer-1';
+
+const createLayerId = () =>
+  `l-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+export const createLayer = (name, id = createLayerId()) => ({ id, name, visible: true, locked: false });
+
+export const createDefaultLayers = () => [createLayer('Layer 1', DEFAULT_LAYER_ID)];
+
+export const layerOf = (polygon, layers) =>
+  layers.find(layer => layer.id === polygon.layerId) || layers[0];
+
+// Visible and unlocked, so it can be selected and edited
+export const isEditable = (polygon, layers) => {
+  const layer = layerOf(polygon, layers);
+  return layer.visible && !layer.locked;
+};
+
+// Polygon indices in drawing order, bottom first
+export const drawingOrder = (polygons, layers) => {
+  const byLayer = new Map(layers.map(layer => [layer.id, []]));
+  polygons.forEach((polygon, index) => byLayer.get(layerOf(polygon, layers).id).push(index));
+  return layers.flatMap(layer => byLayer.get(layer.id));
+};
+
+export const updateLayer = (layers, id, changes) =>
+  layers.map(layer => (layer.id === id ? { ...layer, ...changes } : layer));
+
+// Move a layer up (offset 1) or down (offset -1) the stack
+export const moveLayer = (layers, id, offset) => {
+  const index = layers.findIndex(layer => layer.id === id);
+  const target = index + offset;
+  if (index === -1 || target < 0 || target >= layers.length) return layers;
+  const moved = [...layers];
+  [moved[index], moved[target]] = [moved[target], moved[index]];
+  return moved;
+};
+
+// Remove a layer and its polygons. The last layer cannot be removed, so this returns null.
+export const removeLayer = (layers, polygons, id) => {
+  if (layers.length <= 1) return null;
+  const remaining = layers.filter(layer => layer.id !== id);
+  return {
+    layers: remaining,
+    polygons: polygons.filter(polygon => layerOf(polygon, layers).id !== id)
+  };
+};
+
+// Swap a polygon with the next (offset 1) or previous (offset -1) polygon in its layer,
+// moving it up or down the stack. Returns the reordered polygons and the polygon's new index.
+export const shiftPolygon = (polygons, layers, index, offset) => {
+  const layerId = layerOf(polygons[index], layers).id;
+  let target = index + offset;
+  while (target >= 0 && target < polygons.length && layerOf(polygons[target], layers).id !== layerId) {
+    target += offset;
+  }
+  if (target < 0 || target >= polygons.length) return { polygons, index };
+  const moved = [...polygons];
+  [moved[index], moved[target]] = [moved[target], moved[index]];
+  return { polygons: moved, index: target };
+};
+
+// Add imported layers that imported polygons use, renaming ids that clash with existing
+// layers. Polygons without a known layer go to the fallback layer.
+export const mergeLayers = (layers, incoming, polygons, fallbackId) => {
+  const used = new Set(polygons.map(polygon => polygon.layerId));
+  const existingIds = new Set(layers.map(layer => layer.id));
+  const idMap = new Map();
+  const added = incoming
+    .filter(layer => used.has(layer.id))
+    .map(layer => {
+      const id = existingIds.has(layer.id) ? createLayerId() : layer.id;
+      idMap.set(layer.id, id);
+      return { ...layer, id };
+    });
+  return {
+    layers: [...layers, ...added],
+    polygons: polygons.map(polygon => ({
+      ...polygon,
+      layerId: idMap.get(polygon.layerId) || fallbackId
+    }))
+  };
+};
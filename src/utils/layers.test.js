@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_LAYER_ID,
+  createLayer,
+  createDefaultLayers,
+  layerOf,
+  isEditable,
+  drawingOrder,
+  updateLayer,
+  moveLayer,
+  removeLayer,
+  shiftPolygon,
+  mergeLayers
+} from './layers';
+import { createPolygon } from './polygonModel';
+
+const triangle = [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 0, y: 10 }];
+
+const base = createLayer('Base', 'base');
+const top = createLayer('Top', 'top');
+const layers = [base, top];
+
+const onLayer = (layerId, id) => createPolygon(triangle, [], { id, layerId });
+
+describe('layer membership', () => {
+  it('puts polygons without a known layer on the bottom layer', () => {
+    expect(layerOf(onLayer('top'), layers)).toBe(top);
+    expect(layerOf(onLayer(null), layers)).toBe(base);
+    expect(createDefaultLayers()[0].id).toBe(DEFAULT_LAYER_ID);
+  });
+
+  it('only allows editing on visible, unlocked layers', () => {
+    const polygon = onLayer('top');
+    expect(isEditable(polygon, layers)).toBe(true);
+    expect(isEditable(polygon, updateLayer(layers, 'top', { locked: true }))).toBe(false);
+    expect(isEditable(polygon, updateLayer(layers, 'top', { visible: false }))).toBe(false);
+  });
+
+  it('draws layer by layer, bottom first', () => {
+    const polygons = [onLayer('top'), onLayer('base'), onLayer('top'), onLayer('base')];
+    expect(drawingOrder(polygons, layers)).toEqual([1, 3, 0, 2]);
+    expect(drawingOrder(polygons, moveLayer(layers, 'base', 1))).toEqual([0, 2, 1, 3]);
+  });
+});
+
+describe('layer editing', () => {
+  it('keeps the stack order at its ends', () => {
+    expect(moveLayer(layers, 'top', 1)).toBe(layers);
+    expect(moveLayer(layers, 'top', -1).map(layer => layer.id)).toEqual(['top', 'base']);
+  });
+
+  it('removes a layer with its polygons but never the last one', () => {
+    const polygons = [onLayer('top', 'a'), onLayer('base', 'b')];
+    const result = removeLayer(layers, polygons, 'top');
+    expect(result.layers).toEqual([base]);
+    expect(result.polygons.map(polygon => polygon.id)).toEqual(['b']);
+    expect(removeLayer([base], polygons, 'base')).toBeNull();
+  });
+});
+
+describe('shiftPolygon', () => {
+  it('swaps with the neighbour in the same layer', () => {
+    const polygons = [onLayer('base', 'a'), onLayer('top', 'b'), onLayer('base', 'c')];
+    const forward = shiftPolygon(polygons, layers, 0, 1);
+    expect(forward.index).toBe(2);
+    expect(forward.polygons.map(polygon => polygon.id)).toEqual(['c', 'b', 'a']);
+    expect(shiftPolygon(polygons, layers, 1, 1)).toEqual({ polygons, index: 1 });
+  });
+});
+
+describe('mergeLayers', () => {
+  it('adds used layers, renaming clashing ids, and falls back for the rest', () => {
+    const incoming = [createLayer('Imported', 'base'), createLayer('Unused', 'unused')];
+    const polygons = [onLayer('base', 'a'), onLayer('missing', 'b')];
+    const merged = mergeLayers(layers, incoming, polygons, 'top');
+    expect(merged.layers.map(layer => layer.name)).toEqual(['Base', 'Top', 'Imported']);
+    const importedId = merged.layers[2].id;
+    expect(importedId).not.toBe('base');
+    expect(merged.polygons.map(polygon => polygon.layerId)).toEqual([importedId, 'top']);
+  });
+});
@@ -0,0 +1,81 @@
+// Measurements of polygons in real-world units. A measurement scale says how many drawing
+// units (screen pixels at 100% zoom) make up one unit, so lengths are divided by
+// pixelsPerUnit and areas by its square.
+
+import { distance, signedArea, area, perimeter, centroid, boundingBox, shapeArea } from './geometry';
+
+export const UNITS = {
+  px: { label: 'pixels', symbol: 'px' },
+  m: { label: 'meters', symbol: 'm', meters: 1 },
+  ft: { label: 'feet', symbol: 'ft', meters: 0.3048 }
+};
+
+export const DEFAULT_SCALE = { unit: 'px', pixelsPerUnit: 1 };
+
+// Switch units, converting the scale between real-world units. Pixels always map 1:1.
+export const changeUnit = (scale, unit) => {
+  if (unit === 'px') return { unit, pixelsPerUnit: 1 };
+  if (scale.unit === 'px') return { unit, pixelsPerUnit: scale.pixelsPerUnit };
+  return { unit, pixelsPerUnit: scale.pixelsPerUnit * UNITS[unit].meters / UNITS[scale.unit].meters };
+};
+
+const round = (value) => (Math.abs(value) >= 100 ? value.toFixed(1) : value.toFixed(2));
+
+export const formatLength = (length, scale) =>
+  `${round(length / scale.pixelsPerUnit)} ${UNITS[scale.unit].symbol}`;
+
+export const formatArea = (value, scale) =>
+  `${round(value / (scale.pixelsPerUnit * scale.pixelsPerUnit))} ${UNITS[scale.unit].symbol}²`;
+
+export const formatPoint = (point, scale) =>
+  `(${round(point.x / scale.pixelsPerUnit)}, ${round(point.y / scale.pixelsPerUnit)})`;
+
+// Interior angle at every vertex in degrees; reflex vertices are above 180
+export const interiorAngles = (points) => {
+  const orientation = Math.sign(signedArea(points)) || 1;
+  return points.map((current, index) => {
+    const previous = points[(index - 1 + points.length) % points.length];
+    const next = points[(index + 1) % points.length];
+    const incoming = { x: current.x - previous.x, y: current.y - previous.y };
+    const outgoing = { x: next.x - current.x, y: next.y - current.y };
+    const cross = incoming.x * outgoing.y - incoming.y * outgoing.x;
+    const dot = incoming.x * outgoing.x + incoming.y * outgoing.y;
+    const turn = (Math.atan2(cross, dot) * 180) / Math.PI;
+    return 180 - orientation * turn;
+  });
+};
+
+// Length of each edge; edge i runs from points[i] to points[i + 1]
+export const edgeLengths = (points, { closed = true } = {}) => {
+  const count = closed ? points.length : points.length - 1;
+  const lengths = [];
+  for (let i = 0; i < count; i++) {
+    lengths.push(distance(points[i], points[(i + 1) % points.length]));
+  }
+  return lengths;
+};
+
+// Area-weighted centroid of the filled area, with holes subtracted
+export const shapeCentroid = (polygon) => {
+  const rings = [polygon.points, ...polygon.holes];
+  const weights = rings.map((ring, index) => (index === 0 ? 1 : -1) * area(ring));
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  if (Math.abs(total) < 1e-9) return centroid(polygon.points);
+
+  const centers = rings.map(ring => centroid(ring));
+  return {
+    x: centers.reduce((sum, center, index) => sum + center.x * weights[index], 0) / total,
+    y: centers.reduce((sum, center, index) => sum + center.y * weights[index], 0) / total
+  };
+};
+
+// Everything the measurement panel shows for one polygon, in drawing units.
+// The perimeter includes the boundaries of holes.
+export const measurePolygon = (polygon) => ({
+  area: shapeArea(polygon),
+  perimeter: [polygon.points, ...polygon.holes].reduce((total, ring) => total + perimeter(ring), 0),
+  centroid: shapeCentroid(polygon),
+  bounds: boundingBox(polygon.points),
+  angles: interiorAngles(polygon.points),
+  edges: edgeLengths(polygon.points)
+});
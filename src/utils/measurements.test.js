@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_SCALE,
+  changeUnit,
+  formatLength,
+  formatArea,
+  formatPoint,
+  interiorAngles,
+  edgeLengths,
+  shapeCentroid,
+  measurePolygon
+} from './measurements';
+import { createPolygon } from './polygonModel';
+
+const square = [{ x: 0, y: 0 }, { x: 40, y: 0 }, { x: 40, y: 40 }, { x: 0, y: 40 }];
+
+const ell = [
+  { x: 0, y: 0 },
+  { x: 10, y: 0 },
+  { x: 10, y: 4 },
+  { x: 4, y: 4 },
+  { x: 4, y: 10 },
+  { x: 0, y: 10 }
+];
+
+describe('interiorAngles', () => {
+  it('measures right angles whatever the winding', () => {
+    expect(interiorAngles(square)).toEqual([90, 90, 90, 90]);
+    expect(interiorAngles([...square].reverse())).toEqual([90, 90, 90, 90]);
+  });
+
+  it('reports reflex angles above 180 degrees', () => {
+    const angles = interiorAngles(ell);
+    expect(angles[3]).toBeCloseTo(270);
+    expect(angles.reduce((sum, angle) => sum + angle, 0)).toBeCloseTo(720);
+  });
+});
+
+describe('edgeLengths', () => {
+  it('includes the closing edge only for closed rings', () => {
+    const path = [{ x: 0, y: 0 }, { x: 3, y: 4 }, { x: 3, y: 0 }];
+    expect(edgeLengths(path)).toEqual([5, 4, 3]);
+    expect(edgeLengths(path, { closed: false })).toEqual([5, 4]);
+  });
+});
+
+describe('measurePolygon', () => {
+  const hole = [{ x: 0, y: 0 }, { x: 20, y: 0 }, { x: 20, y: 20 }, { x: 0, y: 20 }];
+
+  it('subtracts holes from the area and centroid', () => {
+    const polygon = createPolygon(square, [hole]);
+    const measures = measurePolygon(polygon);
+    expect(measures.area).toBe(1200);
+    expect(measures.perimeter).toBe(240);
+    // Removing the top-left quarter moves the centroid towards the bottom-right
+    expect(shapeCentroid(polygon).x).toBeCloseTo(70 / 3);
+    expect(measures.bounds).toMatchObject({ width: 40, height: 40 });
+  });
+});
+
+describe('formatting with a scale', () => {
+  const meters = { unit: 'm', pixelsPerUnit: 20 };
+
+  it('converts lengths and areas', () => {
+    expect(formatLength(50, meters)).toBe('2.50 m');
+    expect(formatArea(1200, meters)).toBe('3.00 m²');
+    expect(formatPoint({ x: 10, y: 40 }, meters)).toBe('(0.50, 2.00)');
+    expect(formatLength(1234, DEFAULT_SCALE)).toBe('1234.0 px');
+  });
+
+  it('converts the scale between real-world units', () => {
+    const feet = changeUnit(meters, 'ft');
+    expect(feet.pixelsPerUnit).toBeCloseTo(6.096);
+    expect(formatLength(50, feet)).toBe('8.20 ft');
+    expect(changeUnit(feet, 'px')).toEqual(DEFAULT_SCALE);
+  });
+});
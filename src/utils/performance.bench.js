@@ -0,0 +1,56 @@
+// Benchmarks on large generated drawings. Run with `npm run bench`.
+
+import { bench, describe } from 'vitest';
+import { createSyntheticPolygons } from './syntheticData';
+import { createSpatialIndex, queryRect } from './spatialIndex';
+import { DEFAULT_SNAP_SETTINGS, findSnap } from './snapping';
+import { validatePolygons } from './validation';
+import { createHistory, recordHistory } from './history';
+import { translatePolygon } from './transforms';
+
+const SIZES = [1000, 5000];
+
+// Pointer positions spread over the drawing, the same for every run
+const pointers = (polygons, count = 10) => {
+  const last = polygons[polygons.length - 1].points[0];
+  return Array.from({ length: count }, (_, index) => ({
+    x: (last.x * ((index * 37) % count)) / count,
+    y: (last.y * ((index * 11) % count)) / count
+  }));
+};
+
+SIZES.forEach(size => {
+  const polygons = createSyntheticPolygons(size);
+  const index = createSpatialIndex(polygons);
+  const moves = pointers(polygons);
+  const options = { polygons, settings: DEFAULT_SNAP_SETTINGS, threshold: 12 };
+
+  describe(`${size} polygons`, () => {
+    bench('snap without index', () => {
+      moves.forEach(point => findSnap(point, options));
+    });
+
+    bench('snap with index', () => {
+      moves.forEach(point => findSnap(point, { ...options, index }));
+    });
+
+    bench('build index', () => {
+      createSpatialIndex(polygons);
+    });
+
+    bench('cull to an 800 x 600 view', () => {
+      moves.forEach(point => queryRect(index, { minX: point.x, minY: point.y, maxX: point.x + 800, maxY: point.y + 600 }));
+    });
+
+    bench('revalidate after moving one polygon', () => {
+      const moved = polygons.map((polygon, position) => position === 0 ? translatePolygon(polygon, 1, 0) : polygon);
+      validatePolygons(moved);
+    });
+
+    bench('record one edit in the history', () => {
+      const state = { polygons, currentPolygon: [], layers: [] };
+      const moved = polygons.map((polygon, position) => position === 0 ? translatePolygon(polygon, 1, 0) : polygon);
+      recordHistory(createHistory(state), { ...state, polygons: moved });
+    });
+  });
+});
@@ -0,0 +1,17 @@
+// The latest pointer position in drawing units, kept outside React state so that moving
+// the pointer only re-renders the components subscribed to it with useSyncExternalStore
+export const createPointerStore = (position = { x: 0, y: 0 }) => {
+  let current = position;
+  const listeners = new Set();
+  return {
+    get: () => current,
+    set: (next) => {
+      current = next;
+      listeners.forEach(listener => listener());
+    },
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
+  };
+};
@@ -0,0 +1,100 @@
+// Shape model: a polygon has an outer ring (`points`) and any number of interior rings (`holes`).
+// Rings are open arrays of { x, y } points. Ring index 0 is the outer ring and ring
+// index k > 0 is holes[k - 1], which lets vertices be addressed uniformly.
+// Every polygon also carries a stable `id`, a `name`, free-form string `attributes`, a
+// `style` holding only the fill, stroke, opacity and strokeWidth the user has set, and the
+// `layerId` of the layer it belongs to (see layers.js).
+
+import { pointsToPath } from './geometry';
+
+export const createPolygonId = () =>
+  `p-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+export const createPolygon = (points, holes = [], { id, name = '', attributes = {}, style = {}, layerId = null } = {}) => ({
+  id: id || createPolygonId(),
+  name,
+  attributes,
+  style,
+  layerId,
+  points,
+  holes
+});
+
+// Accept both the current shape and older ones (a bare array of points, or rings without properties)
+export const normalizePolygon = (polygon) =>
+  Array.isArray(polygon) ? createPolygon(polygon) : createPolygon(polygon.points, polygon.holes || [], polygon);
+
+// Properties that carry over when a polygon is derived from another one
+export const polygonProperties = ({ name, attributes, style, layerId }) => ({ name, attributes, style, layerId });
+
+// Copy of a polygon with a fresh id, for duplicates
+export const withNewId = (polygon) => ({ ...polygon, id: createPolygonId() });
+
+// Give incoming polygons new ids where they clash with existing ones or with each other
+export const ensureUniqueIds = (existing, incoming) => {
+  const used = new Set(existing.map(polygon => polygon.id));
+  return incoming.map(polygon => {
+    const unique = used.has(polygon.id) ? withNewId(polygon) : polygon;
+    used.add(unique.id);
+    return unique;
+  });
+};
+
+export const getRings = (polygon) => [polygon.points, ...polygon.holes];
+
+export const getRing = (polygon, ringIndex) =>
+  ringIndex === 0 ? polygon.points : polygon.holes[ringIndex - 1];
+
+// Return a copy of the polygon with one ring replaced
+export const setRing = (polygon, ringIndex, ring) => {
+  if (ringIndex === 0) {
+    return { ...polygon, points: ring };
+  }
+  return {
+    ...polygon,
+    holes: polygon.holes.map((hole, index) => index === ringIndex - 1 ? ring : hole)
+  };
+};
+
+// Return a copy of the polygon with one vertex moved
+export const moveVertex = (polygon, ringIndex, vertexIndex, point) =>
+  setRing(polygon, ringIndex, getRing(polygon, ringIndex).map((vertex, index) =>
+    index === vertexIndex ? point : vertex
+  ));
+
+// Return a copy of the polygon with a vertex inserted before position `index` of a ring
+export const insertVertex = (polygon, ringIndex, index, point) => {
+  const ring = getRing(polygon, ringIndex);
+  return setRing(polygon, ringIndex, [...ring.slice(0, index), point, ...ring.slice(index)]);
+};
+
+// Return a copy of the polygon without one vertex, or null if the ring would drop below three
+export const removeVertex = (polygon, ringIndex, vertexIndex) => {
+  const ring = getRing(polygon, ringIndex);
+  if (ring.length <= 3) return null;
+  return setRing(polygon, ringIndex, ring.filter((_, index) => index !== vertexIndex));
+};
+
+export const addHole = (polygon, hole) => ({ ...polygon, holes: [...polygon.holes, hole] });
+
+export const removeHole = (polygon, holeIndex) => ({
+  ...polygon,
+  holes: polygon.holes.filter((_, index) => index !== holeIndex)
+});
+
+// SVG path for every ring; render with fill-rule="evenodd" so holes stay empty
+export const polygonToPath = (polygon) => getRings(polygon).map(pointsToPath).join(' ');
+
+// Return a copy of the polygon with every vertex of every ring mapped through fn
+export const mapVertices = (polygon, fn) => ({
+  ...polygon,
+  points: polygon.points.map(fn),
+  holes: polygon.holes.map(hole => hole.map(fn))
+});
+
+// Return a copy of the polygon with every ring's vertex order reversed
+export const reverseRings = (polygon) => ({
+  ...polygon,
+  points: [...polygon.points].reverse(),
+  holes: polygon.holes.map(hole => [...hole].reverse())
+});
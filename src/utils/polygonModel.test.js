@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createPolygon,
+  normalizePolygon,
+  getRings,
+  moveVertex,
+  insertVertex,
+  removeVertex,
+  addHole,
+  removeHole,
+  polygonToPath,
+  withNewId,
+  ensureUniqueIds
+} from './polygonModel';
+
+const triangle = [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 0, y: 10 }];
+const hole = [{ x: 1, y: 1 }, { x: 3, y: 1 }, { x: 1, y: 3 }];
+
+describe('polygon model', () => {
+  it('upgrades bare point arrays', () => {
+    expect(normalizePolygon(triangle)).toMatchObject({ name: '', attributes: {}, style: {}, points: triangle, holes: [] });
+    expect(normalizePolygon(triangle).id).toEqual(expect.any(String));
+  });
+
+  it('keeps the properties of current polygons', () => {
+    const polygon = createPolygon(triangle, [], { id: 'a', name: 'Lot 1', attributes: { zone: 'R2' }, style: { fill: '#ff0000' } });
+    expect(normalizePolygon(JSON.parse(JSON.stringify(polygon)))).toEqual(polygon);
+    expect(moveVertex(polygon, 0, 0, { x: 1, y: 1 })).toMatchObject({ id: 'a', name: 'Lot 1' });
+  });
+
+  it('gives clashing ids fresh ones', () => {
+    const a = createPolygon(triangle, [], { id: 'a' });
+    const copy = withNewId(a);
+    expect(copy.id).not.toBe('a');
+    const ids = ensureUniqueIds([a], [a, createPolygon(triangle, [], { id: 'b' }), createPolygon(triangle, [], { id: 'b' })])
+      .map(polygon => polygon.id);
+    expect(new Set([...ids, 'a']).size).toBe(4);
+    expect(ids[1]).toBe('b');
+  });
+
+  it('addresses the outer ring as ring 0 and holes after it', () => {
+    const polygon = addHole(createPolygon(triangle), hole);
+    expect(getRings(polygon)).toEqual([triangle, hole]);
+    expect(moveVertex(polygon, 1, 0, { x: 2, y: 2 }).holes[0][0]).toEqual({ x: 2, y: 2 });
+    expect(removeHole(polygon, 0).holes).toEqual([]);
+  });
+
+  it('inserts vertices into a ring', () => {
+    const polygon = insertVertex(createPolygon(triangle), 0, 1, { x: 5, y: -1 });
+    expect(polygon.points.map(point => point.x)).toEqual([0, 5, 10, 0]);
+  });
+
+  it('removes vertices while at least three remain', () => {
+    const square = insertVertex(createPolygon(triangle), 0, 2, { x: 10, y: 10 });
+    expect(removeVertex(square, 0, 0).points).toHaveLength(3);
+    expect(removeVertex(createPolygon(triangle), 0, 0)).toBeNull();
+  });
+
+  it('builds one path with a subpath per ring', () => {
+    expect(polygonToPath(addHole(createPolygon(triangle), hole)))
+      .toBe('M 0 0 L 10 0 L 0 10 Z M 1 1 L 3 1 L 1 3 Z');
+  });
+});
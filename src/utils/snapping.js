@@ -0,0 +1,213 @@
+// Snapping for placing and dragging vertices. Every enabled mode looks for a candidate
+// near the pointer and the first one found wins, in this order: vertices, edge midpoints,
+// the nearest point on an edge, extension lines through other vertices, then the grid.
+// Holding Shift instead constrains the segment from the anchor (the previous vertex) to
+// multiples of the angle step.
+
+import { distance, closestPointOnSegment } from './geometry';
+import { queryRect } from './spatialIndex';
+
+export const SNAP_MODES = ['vertex', 'midpoint', 'edge', 'extension', 'grid'];
+
+export const ANGLE_STEPS = [15, 45, 90];
+
+export const DEFAULT_SNAP_SETTINGS = {
+  vertex: true,
+  midpoint: true,
+  edge: true,
+  extension: true,
+  grid: false,
+  gridSize: 20,
+  angleStep: 15,
+  // Whether polygons on hidden or locked layers can be snapped to
+  hiddenLayers: false,
+  lockedLayers: true,
+  // Whether vertices snapped onto each other become one shared node (see topology.js)
+  shared: false
+};
+
+// `exclude` is one vertex address or a list of them
+const isExcluded = (exclude, polygonIndex, ringIndex, vertexIndex) =>
+  exclude !== null && [exclude].flat().some(vertex =>
+    vertex.polygonIndex === polygonIndex &&
+    vertex.ringIndex === ringIndex &&
+    vertex.vertexIndex === vertexIndex);
+
+// Every vertex of the candidate polygons that can be snapped to. The polygon being drawn
+// has polygonIndex -1.
+const collectVertices = (polygons, candidates, currentPolygon, exclude, include) => {
+  const vertices = [];
+  candidates.forEach(polygonIndex => {
+    const polygon = polygons[polygonIndex];
+    if (!include(polygon, polygonIndex)) return;
+    [polygon.points, ...polygon.holes].forEach((ring, ringIndex) => {
+      ring.forEach((point, vertexIndex) => {
+        if (!isExcluded(exclude, polygonIndex, ringIndex, vertexIndex)) {
+          vertices.push({ point, polygonIndex, ringIndex, vertexIndex });
+        }
+      });
+    });
+  });
+  currentPolygon.forEach((point, vertexIndex) => {
+    if (!isExcluded(exclude, -1, 0, vertexIndex)) {
+      vertices.push({ point, polygonIndex: -1, ringIndex: 0, vertexIndex });
+    }
+  });
+  return vertices;
+};
+
+// Every edge that can be snapped to, skipping edges attached to the excluded vertex.
+// Edge i runs from vertex i to vertex i + 1; the polygon being drawn is an open path.
+const collectEdges = (polygons, candidates, currentPolygon, exclude, include) => {
+  const edges = [];
+  const addRing = (ring, polygonIndex, ringIndex, closed) => {
+    const count = closed ? ring.length : ring.length - 1;
+    for (let edgeIndex = 0; edgeIndex < count; edgeIndex++) {
+      const endIndex = (edgeIndex + 1) % ring.length;
+      if (isExcluded(exclude, polygonIndex, ringIndex, edgeIndex) ||
+        isExcluded(exclude, polygonIndex, ringIndex, endIndex)) {
+        continue;
+      }
+      edges.push({ start: ring[edgeIndex], end: ring[endIndex], polygonIndex, ringIndex, edgeIndex });
+    }
+  };
+  candidates.forEach(polygonIndex => {
+    const polygon = polygons[polygonIndex];
+    if (!include(polygon, polygonIndex)) return;
+    [polygon.points, ...polygon.holes].forEach((ring, ringIndex) => addRing(ring, polygonIndex, ringIndex, true));
+  });
+  addRing(currentPolygon, -1, 0, false);
+  return edges;
+};
+
+// The candidate with the smallest distance to coords, or null if none is within threshold
+const nearest = (coords, candidates, threshold) => {
+  let best = null;
+  let bestDistance = threshold;
+  candidates.forEach(candidate => {
+    const d = distance(coords, candidate.point);
+    if (d < bestDistance) {
+      best = candidate;
+      bestDistance = d;
+    }
+  });
+  return best;
+};
+
+export const snapToGrid = (point, gridSize) => ({
+  x: Math.round(point.x / gridSize) * gridSize,
+  y: Math.round(point.y / gridSize) * gridSize
+});
+
+// Constrain the direction from anchor to point to multiples of step degrees, keeping the
+// length of the projection onto that direction. The angle is reported counterclockwise
+// as seen on screen, so straight up is 90.
+export const constrainAngle = (anchor, point, step) => {
+  const stepRadians = (step * Math.PI) / 180;
+  const angle = Math.atan2(point.y - anchor.y, point.x - anchor.x);
+  const snapped = Math.round(angle / stepRadians) * stepRadians;
+  const direction = { x: Math.cos(snapped), y: Math.sin(snapped) };
+  const length = (point.x - anchor.x) * direction.x + (point.y - anchor.y) * direction.y;
+  const degrees = Math.round((-snapped * 180) / Math.PI);
+  return {
+    point: { x: anchor.x + direction.x * length, y: anchor.y + direction.y * length },
+    angle: ((degrees % 360) + 360) % 360
+  };
+};
+
+// Find where the pointer at coords should snap to. Returns null when nothing applies, or
+// { point, kind, ... } where kind is one of SNAP_MODES or 'angle'. Vertex snaps carry the
+// vertex address, edge and midpoint snaps the edge address, and extension and angle snaps
+// the guide lines to draw. `exclude` is the vertex being dragged, or the vertices of the
+// node being dragged, which must not snap to themselves or their own edges, and
+// `include(polygon, index)` can rule out whole polygons.
+// `threshold` is in drawing units. With a spatial `index` of the polygons only those near
+// the pointer are examined, which keeps snapping fast in large drawings.
+export const findSnap = (coords, {
+  polygons,
+  currentPolygon = [],
+  settings = DEFAULT_SNAP_SETTINGS,
+  threshold = 12,
+  anchor = null,
+  constrain = false,
+  exclude = null,
+  include = () => true,
+  index = null
+}) => {
+  if (constrain && anchor) {
+    const { point, angle } = constrainAngle(anchor, coords, settings.angleStep);
+    return { point, kind: 'angle', angle, guides: [{ from: anchor, to: point }] };
+  }
+
+  // Polygons whose bounds meet `rect`: every polygon without an index
+  const candidates = (rect) => index ? queryRect(index, rect) : polygons.map((_, polygonIndex) => polygonIndex);
+  const near = {
+    minX: coords.x - threshold,
+    minY: coords.y - threshold,
+    maxX: coords.x + threshold,
+    maxY: coords.y + threshold
+  };
+  const nearby = candidates(near);
+  const vertices = collectVertices(polygons, nearby, currentPolygon, exclude, include);
+
+  if (settings.vertex) {
+    const vertex = nearest(coords, vertices, threshold);
+    if (vertex) return { ...vertex, kind: 'vertex' };
+  }
+
+  if (settings.midpoint || settings.edge) {
+    const edges = collectEdges(polygons, nearby, currentPolygon, exclude, include);
+    const address = ({ polygonIndex, ringIndex, edgeIndex }) => ({ polygonIndex, ringIndex, edgeIndex });
+
+    if (settings.midpoint) {
+      const midpoint = nearest(coords, edges.map(edge => ({
+        ...address(edge),
+        point: { x: (edge.start.x + edge.end.x) / 2, y: (edge.start.y + edge.end.y) / 2 }
+      })), threshold);
+      if (midpoint) return { ...midpoint, kind: 'midpoint' };
+    }
+
+    if (settings.edge) {
+      const onEdge = nearest(coords, edges.map(edge => ({
+        ...address(edge),
+        point: closestPointOnSegment(coords, edge.start, edge.end)
+      })), threshold);
+      if (onEdge) return { ...onEdge, kind: 'edge' };
+    }
+  }
+
+  const gridPoint = settings.grid ? snapToGrid(coords, settings.gridSize) : null;
+
+  if (settings.extension) {
+    // Closest vertex lined up horizontally and vertically with the pointer, from the
+    // polygons crossing the vertical and horizontal bands through it
+    const inBands = index
+      ? [...new Set([
+        ...candidates({ ...near, minY: -Infinity, maxY: Infinity }),
+        ...candidates({ ...near, minX: -Infinity, maxX: Infinity })
+      ])].sort((a, b) => a - b)
+      : nearby;
+    let alignedX = null;
+    let alignedY = null;
+    collectVertices(polygons, inBands, currentPolygon, exclude, include).forEach(({ point }) => {
+      const dx = Math.abs(point.x - coords.x);
+      const dy = Math.abs(point.y - coords.y);
+      if (dx < threshold && (!alignedX || dx < Math.abs(alignedX.x - coords.x))) alignedX = point;
+      if (dy < threshold && (!alignedY || dy < Math.abs(alignedY.y - coords.y))) alignedY = point;
+    });
+    if (alignedX || alignedY) {
+      // The free axis still follows the grid when it is on
+      const free = gridPoint || coords;
+      const point = { x: alignedX ? alignedX.x : free.x, y: alignedY ? alignedY.y : free.y };
+      const guides = [alignedX, alignedY].filter(Boolean).map(from => ({ from, to: point }));
+      return { point, kind: 'extension', guides };
+    }
+  }
+
+  if (gridPoint) return { point: gridPoint, kind: 'grid' };
+
+  return null;
+};
+
+// Whether two snaps (or nulls) put the pointer at the same point for the same reason
+export const isSameSnap = (a, b) => a === b || (a !== null && b !== null && JSON.stringify(a) === JSON.stringify(b));
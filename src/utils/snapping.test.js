@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_SNAP_SETTINGS, findSnap, snapToGrid, constrainAngle, isSameSnap } from './snapping';
+import { createPolygon } from './polygonModel';
+
+const square = createPolygon([{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 100 }, { x: 0, y: 100 }]);
+
+const only = (mode, extra = {}) => ({
+  vertex: false,
+  midpoint: false,
+  edge: false,
+  extension: false,
+  grid: false,
+  gridSize: 20,
+  angleStep: 15,
+  [mode]: true,
+  ...extra
+});
+
+describe('findSnap', () => {
+  it('prefers vertices over edges', () => {
+    const snap = findSnap({ x: 98, y: 3 }, { polygons: [square] });
+    expect(snap).toMatchObject({ kind: 'vertex', point: { x: 100, y: 0 }, polygonIndex: 0, vertexIndex: 1 });
+  });
+
+  it('snaps to edge midpoints and the nearest point on an edge', () => {
+    expect(findSnap({ x: 52, y: 4 }, { polygons: [square] }))
+      .toMatchObject({ kind: 'midpoint', point: { x: 50, y: 0 }, edgeIndex: 0 });
+    expect(findSnap({ x: 30, y: 104 }, { polygons: [square] }))
+      .toMatchObject({ kind: 'edge', point: { x: 30, y: 100 }, edgeIndex: 2 });
+  });
+
+  it('ignores the dragged vertex and its edges', () => {
+    const exclude = { polygonIndex: 0, ringIndex: 0, vertexIndex: 1 };
+    expect(findSnap({ x: 98, y: 3 }, { polygons: [square], settings: only('vertex'), exclude })).toBeNull();
+    expect(findSnap({ x: 50, y: 2 }, { polygons: [square], settings: only('edge'), exclude })).toBeNull();
+  });
+
+  it('ignores every vertex of a dragged shared node', () => {
+    const other = createPolygon([{ x: 100, y: 0 }, { x: 200, y: 0 }, { x: 200, y: 100 }]);
+    const exclude = [{ polygonIndex: 0, ringIndex: 0, vertexIndex: 1 }, { polygonIndex: 1, ringIndex: 0, vertexIndex: 0 }];
+    expect(findSnap({ x: 98, y: 3 }, { polygons: [square, other], settings: only('vertex'), exclude })).toBeNull();
+  });
+
+  it('skips polygons that are not included', () => {
+    const include = (polygon, index) => index !== 0;
+    expect(findSnap({ x: 98, y: 3 }, { polygons: [square], include })).toBeNull();
+  });
+
+  it('lines up with other vertices along extension lines', () => {
+    const snap = findSnap({ x: 203, y: 98 }, { polygons: [square], currentPolygon: [{ x: 200, y: 300 }], settings: only('extension') });
+    expect(snap.kind).toBe('extension');
+    expect(snap.point).toEqual({ x: 200, y: 100 });
+    expect(snap.guides).toHaveLength(2);
+  });
+
+  it('falls back to the grid', () => {
+    expect(findSnap({ x: 307, y: 291 }, { polygons: [square], settings: only('grid') }))
+      .toEqual({ kind: 'grid', point: { x: 300, y: 300 } });
+    expect(findSnap({ x: 307, y: 291 }, { polygons: [square], settings: DEFAULT_SNAP_SETTINGS })).toBeNull();
+  });
+
+  it('constrains the angle from the anchor when asked', () => {
+    const snap = findSnap({ x: 50, y: -3 }, { polygons: [square], anchor: { x: 0, y: 0 }, constrain: true });
+    expect(snap.kind).toBe('angle');
+    expect(snap.angle).toBe(0);
+    expect(snap.point.x).toBeCloseTo(50);
+    expect(snap.point.y).toBeCloseTo(0);
+  });
+});
+
+describe('snapToGrid and constrainAngle', () => {
+  it('rounds to the nearest grid point', () => {
+    expect(snapToGrid({ x: 14, y: -6 }, 10)).toEqual({ x: 10, y: -10 });
+  });
+
+  it('snaps to the nearest multiple of the step', () => {
+    // 40 degrees up and to the right on screen rounds to 45
+    const { point, angle } = constrainAngle({ x: 0, y: 0 }, { x: 10, y: -8.4 }, 45);
+    expect(angle).toBe(45);
+    expect(point.x).toBeCloseTo(-point.y);
+    expect(constrainAngle({ x: 0, y: 0 }, { x: 1, y: 20 }, 90).angle).toBe(270);
+  });
+});
+
+describe('isSameSnap', () => {
+  it('compares snaps by what they hold', () => {
+    const snap = { point: { x: 20, y: 40 }, kind: 'grid' };
+    expect(isSameSnap(snap, { point: { x: 20, y: 40 }, kind: 'grid' })).toBe(true);
+    expect(isSameSnap(snap, { point: { x: 20, y: 60 }, kind: 'grid' })).toBe(false);
+    expect(isSameSnap(null, null)).toBe(true);
+    expect(isSameSnap(snap, null)).toBe(false);
+  });
+});
@@ -0,0 +1,88 @@
+// Uniform grid over polygon bounding boxes, for finding the polygons near a point or
+// inside a rectangle without visiting every one of them. Polygons are immutable, so their
+// bounds are cached per object and rebuilding the index after an edit is cheap.
+
+import { boundingBox } from './geometry';
+
+// Polygons covering more cells than this are kept in a list checked by every query
+const MAX_CELLS_PER_POLYGON = 64;
+
+const boundsCache = new WeakMap();
+
+// Bounding box of a polygon's outer ring, which contains its holes; null when it has no points
+export const polygonBounds = (polygon) => {
+  if (!boundsCache.has(polygon)) {
+    boundsCache.set(polygon, boundingBox(polygon.points));
+  }
+  return boundsCache.get(polygon);
+};
+
+export const rectsIntersect = (a, b) =>
+  a.minX <= b.maxX && a.maxX >= b.minX && a.minY <= b.maxY && a.maxY >= b.minY;
+
+const cellRange = (rect, cellSize) => [
+  Math.floor(rect.minX / cellSize),
+  Math.floor(rect.minY / cellSize),
+  Math.floor(rect.maxX / cellSize),
+  Math.floor(rect.maxY / cellSize)
+];
+
+const cellCount = ([minCol, minRow, maxCol, maxRow]) => (maxCol - minCol + 1) * (maxRow - minRow + 1);
+
+// Index the polygons by position in the array. Without a `cellSize` the cells are about
+// as large as the average polygon, so most polygons land in one to four cells.
+export const createSpatialIndex = (polygons, cellSize = null) => {
+  const bounds = polygons.map(polygonBounds);
+  const sizes = bounds.filter(Boolean).map(box => Math.max(box.width, box.height));
+  const size = cellSize ?? Math.max(sizes.reduce((sum, value) => sum + value, 0) / (sizes.length || 1), 1);
+  const cells = new Map();
+  const oversized = [];
+
+  bounds.forEach((box, index) => {
+    if (!box) return;
+    const range = cellRange(box, size);
+    if (cellCount(range) > MAX_CELLS_PER_POLYGON) {
+      oversized.push(index);
+      return;
+    }
+    const [minCol, minRow, maxCol, maxRow] = range;
+    for (let col = minCol; col <= maxCol; col++) {
+      for (let row = minRow; row <= maxRow; row++) {
+        const key = `${col},${row}`;
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(index);
+      }
+    }
+  });
+
+  return { cellSize: size, cells, bounds, oversized };
+};
+
+// Indices, in ascending order, of the polygons whose bounds meet `rect`. Rectangles
+// spanning more cells than there are polygons (or unbounded ones) scan the bounds instead.
+export const queryRect = (index, rect) => {
+  const { cellSize, cells, bounds, oversized } = index;
+  const range = cellRange(rect, cellSize);
+  const meets = (polygonIndex) => bounds[polygonIndex] && rectsIntersect(bounds[polygonIndex], rect);
+
+  if (!(cellCount(range) <= bounds.length)) {
+    return bounds.map((_, polygonIndex) => polygonIndex).filter(meets);
+  }
+
+  const found = new Set(oversized);
+  const [minCol, minRow, maxCol, maxRow] = range;
+  for (let col = minCol; col <= maxCol; col++) {
+    for (let row = minRow; row <= maxRow; row++) {
+      cells.get(`${col},${row}`)?.forEach(polygonIndex => found.add(polygonIndex));
+    }
+  }
+  return [...found].filter(meets).sort((a, b) => a - b);
+};
+
+// Polygons whose bounds come within `radius` of a point
+export const queryPoint = (index, point, radius = 0) => queryRect(index, {
+  minX: point.x - radius,
+  minY: point.y - radius,
+  maxX: point.x + radius,
+  maxY: point.y + radius
+});
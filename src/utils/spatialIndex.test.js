@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import { createSpatialIndex, polygonBounds, queryPoint, queryRect } from './spatialIndex';
+import { createSyntheticPolygons } from './syntheticData';
+import { DEFAULT_SNAP_SETTINGS, findSnap } from './snapping';
+import { createPolygon } from './polygonModel';
+
+const polygons = createSyntheticPolygons(400, { size: 40, gap: 20 });
+
+// Indices found by checking every polygon's bounds
+const scan = (rect) => polygons
+  .map((polygon, index) => {
+    const box = polygonBounds(polygon);
+    return box.minX <= rect.maxX && box.maxX >= rect.minX && box.minY <= rect.maxY && box.maxY >= rect.minY ? index : -1;
+  })
+  .filter(index => index !== -1);
+
+describe('spatial index', () => {
+  const index = createSpatialIndex(polygons);
+
+  it('caches bounds per polygon object', () => {
+    expect(polygonBounds(polygons[0])).toBe(polygonBounds(polygons[0]));
+  });
+
+  it('finds the same polygons as a full scan', () => {
+    [
+      { minX: 0, minY: 0, maxX: 10, maxY: 10 },
+      { minX: 95, minY: 205, maxX: 330, maxY: 260 },
+      { minX: -500, minY: -500, maxX: 5000, maxY: 5000 },
+      { minX: 50, minY: -Infinity, maxX: 55, maxY: Infinity }
+    ].forEach(rect => expect(queryRect(index, rect)).toEqual(scan(rect)));
+  });
+
+  it('finds polygons near a point', () => {
+    expect(queryPoint(index, { x: 20, y: 20 })).toEqual([0]);
+    expect(queryPoint(index, { x: 50, y: 20 })).toEqual([]);
+    expect(queryPoint(index, { x: 50, y: 20 }, 25)).toEqual([0, 1]);
+  });
+
+  it('handles polygons much larger than a cell and empty ones', () => {
+    const large = createPolygon([{ x: -1000, y: -1000 }, { x: 2000, y: -1000 }, { x: 2000, y: 2000 }]);
+    const withLarge = [...polygons, large, createPolygon([])];
+    const largeIndex = createSpatialIndex(withLarge);
+    expect(largeIndex.oversized).toEqual([polygons.length]);
+    expect(queryPoint(largeIndex, { x: 20, y: 20 })).toEqual([0, polygons.length]);
+  });
+});
+
+describe('findSnap with an index', () => {
+  const index = createSpatialIndex(polygons);
+
+  it('gives the same snaps as without one', () => {
+    const points = [{ x: 21, y: 3 }, { x: 50, y: 50 }, { x: 200, y: 31 }, { x: 613, y: 407 }, { x: 1300, y: 1300 }];
+    points.forEach(point => {
+      const options = { polygons, settings: DEFAULT_SNAP_SETTINGS, threshold: 12 };
+      expect(findSnap(point, { ...options, index })).toEqual(findSnap(point, options));
+    });
+  });
+});
@@ -0,0 +1,151 @@
+// Splitting a polygon along a cut line and merging two polygons that share an edge. Both
+// keep the parent's name, attributes, style and layer; the largest piece of a split and
+// the result of a merge keep the id of the polygon they came from.
+
+import polygonClipping from 'polygon-clipping';
+import { area, distance, closestPointOnSegment, segmentIntersection, pointInPolygon } from './geometry';
+import { createPolygon, getRings, polygonProperties } from './polygonModel';
+import { toGeometry, fromRing } from './booleanOps';
+
+// Distance in drawing units below which a point counts as lying on an edge
+const EPSILON = 1e-6;
+
+const onRingEdge = (point, ring) => ring.findIndex((vertex, index) =>
+  distance(point, closestPointOnSegment(point, vertex, ring[(index + 1) % ring.length])) < EPSILON);
+
+// Position of the point along the polyline, as segment index plus the fraction of that segment
+const pathPosition = (segment, from, to, point) => {
+  const length = distance(from, to);
+  return segment + (length === 0 ? 0 : distance(from, point) / length);
+};
+
+// Parts of the polyline that run through the ring from one point of its outline to
+// another. Parts that start or end inside the ring cut nothing and are left out.
+export const cutChords = (ring, line) => {
+  // The line's vertices plus every point where it meets the outline, in order along it
+  const stops = line.map((point, index) => ({ point, position: index }));
+  line.slice(1).forEach((to, index) => {
+    const from = line[index];
+    ring.forEach((vertex, edgeIndex) => {
+      const point = segmentIntersection(from, to, vertex, ring[(edgeIndex + 1) % ring.length]);
+      if (point) stops.push({ point, position: pathPosition(index, from, to, point) });
+    });
+  });
+  stops.sort((a, b) => a.position - b.position);
+  const sequence = stops
+    .filter((stop, index) => index === 0 || distance(stop.point, stops[index - 1].point) >= EPSILON)
+    .map(({ point }) => ({ x: point.x, y: point.y, boundary: onRingEdge(point, ring) !== -1 }));
+
+  const chords = [];
+  let start = -1;
+  sequence.forEach((stop, index) => {
+    if (!stop.boundary) return;
+    if (start !== -1) {
+      const first = sequence[start];
+      const next = sequence[start + 1];
+      const middle = { x: (first.x + next.x) / 2, y: (first.y + next.y) / 2 };
+      if (onRingEdge(middle, ring) === -1 && pointInPolygon(middle, ring)) {
+        chords.push(sequence.slice(start, index + 1).map(({ x, y }) => ({ x, y })));
+      }
+    }
+    start = index;
+  });
+  return chords;
+};
+
+// Ring with `point` on its outline made a vertex, and that vertex's index
+const withVertexAt = (ring, point) => {
+  const existing = ring.findIndex(vertex => distance(vertex, point) < EPSILON);
+  if (existing !== -1) return { ring, index: existing };
+  const edge = onRingEdge(point, ring);
+  return { ring: [...ring.slice(0, edge + 1), point, ...ring.slice(edge + 1)], index: edge + 1 };
+};
+
+// Split a ring in two along a chord whose ends lie on its outline, or return null when
+// the chord does not divide it
+const splitRing = (ring, chord) => {
+  const start = withVertexAt(ring, chord[0]);
+  const end = withVertexAt(start.ring, chord[chord.length - 1]);
+  const { ring: cut } = end;
+  // Inserting the end point may have moved the start vertex along
+  const from = cut.findIndex(vertex => distance(vertex, chord[0]) < EPSILON);
+  const to = end.index;
+  if (from === to) return null;
+  const interior = chord.slice(1, -1);
+  const walk = (a, b) => {
+    const points = [];
+    for (let index = a; index !== b; index = (index + 1) % cut.length) points.push(cut[index]);
+    return [...points, cut[b]];
+  };
+  const pieces = [
+    [...walk(from, to), ...[...interior].reverse()],
+    [...walk(to, from), ...interior]
+  ];
+  return pieces.every(piece => piece.length >= 3 && area(piece) > EPSILON) ? pieces : null;
+};
+
+// Cut a polygon along a polyline. Returns the pieces, largest first, or null when the line
+// does not run across the polygon from one side to another. Holes the line crosses are
+// divided between the pieces.
+export const splitPolygon = (polygon, line) => {
+  let rings = [polygon.points];
+  cutChords(polygon.points, line).forEach(chord => {
+    const first = { x: (chord[0].x + chord[1].x) / 2, y: (chord[0].y + chord[1].y) / 2 };
+    const target = rings.findIndex(ring => pointInPolygon(first, ring));
+    const pieces = target === -1 ? null : splitRing(rings[target], chord);
+    if (pieces) rings = [...rings.slice(0, target), ...pieces, ...rings.slice(target + 1)];
+  });
+  if (rings.length < 2) return null;
+
+  // Cutting the outer ring and then taking the holes out of every piece gives the same
+  // pieces as cutting the polygon with its holes
+  const shapes = polygon.holes.length === 0
+    ? rings.map(ring => ({ points: ring, holes: [] }))
+    : rings.flatMap(ring => polygonClipping.difference(
+      toGeometry({ points: ring, holes: [] }),
+      ...polygon.holes.map(hole => toGeometry({ points: hole, holes: [] }))
+    ).map(([outer, ...holes]) => ({ points: fromRing(outer), holes: holes.map(fromRing) })));
+  if (shapes.length < 2) return null;
+
+  return shapes
+    .sort((a, b) => area(b.points) - area(a.points))
+    .map(({ points, holes }, index) => index === 0
+      ? { ...polygon, points, holes }
+      : createPolygon(points, holes, polygonProperties(polygon)));
+};
+
+// Whether edge a-b and edge c-d lie on one line and overlap along some length
+const edgesOverlap = (a, b, c, d) => {
+  const length = distance(a, b);
+  if (length < EPSILON) return false;
+  const ux = (b.x - a.x) / length;
+  const uy = (b.y - a.y) / length;
+  const across = (point) => Math.abs((point.x - a.x) * uy - (point.y - a.y) * ux);
+  if (across(c) >= EPSILON || across(d) >= EPSILON) return false;
+  const along = (point) => (point.x - a.x) * ux + (point.y - a.y) * uy;
+  const overlap = Math.min(length, Math.max(along(c), along(d))) - Math.max(0, Math.min(along(c), along(d)));
+  return overlap > EPSILON;
+};
+
+const edges = (polygon) => getRings(polygon).flatMap(ring =>
+  ring.map((point, index) => [point, ring[(index + 1) % ring.length]]));
+
+// Whether the outlines of two polygons run along each other somewhere
+export const sharesEdge = (first, second) => {
+  const others = edges(second);
+  return edges(first).some(([a, b]) => others.some(([c, d]) => edgesOverlap(a, b, c, d)));
+};
+
+// Join two polygons that share an edge into one, keeping the first one's id and
+// properties. Throws when they share no edge or do not join into a single polygon.
+export const mergePolygons = (first, second) => {
+  if (!sharesEdge(first, second)) {
+    throw new Error('The polygons do not share an edge');
+  }
+  const result = polygonClipping.union(toGeometry(first), toGeometry(second));
+  if (result.length !== 1) {
+    throw new Error('The polygons do not join into a single polygon');
+  }
+  const [outer, ...holes] = result[0];
+  return { ...first, points: fromRing(outer), holes: holes.map(fromRing) };
+};
@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import { cutChords, splitPolygon, sharesEdge, mergePolygons } from './splitMerge';
+import { createPolygon } from './polygonModel';
+import { area, shapeArea } from './geometry';
+
+const square = createPolygon(
+  [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 100 }, { x: 0, y: 100 }],
+  [],
+  { id: 'square', name: 'Parcel', attributes: { zone: 'R1' }, layerId: 'layer-1' }
+);
+
+describe('cutChords', () => {
+  it('keeps only the parts running across the ring', () => {
+    const chords = cutChords(square.points, [{ x: 50, y: -10 }, { x: 50, y: 110 }]);
+    expect(chords).toEqual([[{ x: 50, y: 0 }, { x: 50, y: 100 }]]);
+    expect(cutChords(square.points, [{ x: 50, y: -10 }, { x: 50, y: 50 }])).toEqual([]);
+  });
+
+  it('starts at end points snapped onto the outline', () => {
+    const chords = cutChords(square.points, [{ x: 0, y: 50 }, { x: 50, y: 40 }, { x: 100, y: 50 }]);
+    expect(chords).toEqual([[{ x: 0, y: 50 }, { x: 50, y: 40 }, { x: 100, y: 50 }]]);
+  });
+});
+
+describe('splitPolygon', () => {
+  it('cuts a polygon in two along a polyline', () => {
+    const pieces = splitPolygon(square, [{ x: -10, y: 30 }, { x: 50, y: 30 }, { x: 50, y: 110 }]);
+    expect(pieces).toHaveLength(2);
+    expect(pieces.map(piece => area(piece.points))).toEqual([6500, 3500]);
+    expect(pieces[0].id).toBe('square');
+    expect(pieces[1].id).not.toBe('square');
+    expect(pieces[1]).toMatchObject({ name: 'Parcel', attributes: { zone: 'R1' }, layerId: 'layer-1' });
+  });
+
+  it('cuts into several pieces where the line crosses more than once', () => {
+    const zigzag = [{ x: 20, y: -10 }, { x: 20, y: 110 }, { x: 60, y: 110 }, { x: 60, y: -10 }];
+    expect(splitPolygon(square, zigzag)).toHaveLength(3);
+  });
+
+  it('divides holes between the pieces', () => {
+    const framed = { ...square, holes: [[{ x: 40, y: 40 }, { x: 60, y: 40 }, { x: 60, y: 60 }, { x: 40, y: 60 }]] };
+    const pieces = splitPolygon(framed, [{ x: 50, y: -10 }, { x: 50, y: 110 }]);
+    expect(pieces).toHaveLength(2);
+    pieces.forEach(piece => {
+      expect(piece.holes).toEqual([]);
+      expect(shapeArea(piece)).toBeCloseTo(4800);
+    });
+  });
+
+  it('returns null when the line does not cross the polygon', () => {
+    expect(splitPolygon(square, [{ x: 50, y: -10 }, { x: 50, y: 50 }])).toBeNull();
+    expect(splitPolygon(square, [{ x: 150, y: 0 }, { x: 150, y: 100 }])).toBeNull();
+  });
+});
+
+describe('mergePolygons', () => {
+  const right = createPolygon([{ x: 100, y: 20 }, { x: 150, y: 20 }, { x: 150, y: 80 }, { x: 100, y: 80 }], [], { name: 'Right' });
+
+  it('detects edges running along each other', () => {
+    expect(sharesEdge(square, right)).toBe(true);
+    const corner = createPolygon([{ x: 100, y: 100 }, { x: 150, y: 100 }, { x: 150, y: 150 }]);
+    expect(sharesEdge(square, corner)).toBe(false);
+  });
+
+  it('joins two polygons, keeping the first one\'s id and properties', () => {
+    const merged = mergePolygons(square, right);
+    expect(merged).toMatchObject({ id: 'square', name: 'Parcel', layerId: 'layer-1' });
+    expect(area(merged.points)).toBeCloseTo(13000);
+  });
+
+  it('rejects polygons without a shared edge', () => {
+    const apart = createPolygon([{ x: 200, y: 0 }, { x: 250, y: 0 }, { x: 250, y: 50 }]);
+    expect(() => mergePolygons(square, apart)).toThrow('do not share an edge');
+  });
+
+  it('splits and merges back to the same area', () => {
+    const [first, second] = splitPolygon(square, [{ x: 30, y: -10 }, { x: 70, y: 110 }]);
+    expect(area(mergePolygons(second, first).points)).toBeCloseTo(10000);
+  });
+});
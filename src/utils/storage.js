@@ -0,0 +1,191 @@
+// Persistence of named documents in localStorage.
+// Each document is stored under its own key; a small index lists their ids and names.
+
+import { createPolygon, createPolygonId, normalizePolygon } from './polygonModel';
+import { DEFAULT_LAYER_ID, createDefaultLayers } from './layers';
+import { createHistory, diffStates } from './history';
+
+const STORAGE_PREFIX = 'draw-polygon';
+const INDEX_KEY = `${STORAGE_PREFIX}:documents`;
+const documentKey = (id) => `${STORAGE_PREFIX}:document:${id}`;
+
+// Bump when the stored document shape changes and add a migration below
+export const SCHEMA_VERSION = 5;
+
+// Each migration upgrades a document from the keyed version to the next one
+const migrations = {
+  // Version 0: unversioned saves holding only the visible state
+  0: (data) => {
+    const polygons = Array.isArray(data) ? data : data.polygons || [];
+    const currentPolygon = Array.isArray(data) ? [] : data.currentPolygon || [];
+    return {
+      ...(Array.isArray(data) ? {} : data),
+      history: [{ polygons, currentPolygon }],
+      historyIndex: 0,
+      schemaVersion: 1
+    };
+  },
+  // Version 1: polygons were bare arrays of points; version 2 stores { points, holes }
+  1: (data) => ({
+    ...data,
+    history: data.history.map(entry => ({
+      ...entry,
+      polygons: entry.polygons.map(normalizePolygon)
+    })),
+    schemaVersion: 2
+  }),
+  // Version 2 polygons had no id, name, attributes or style. The polygon at a given
+  // position gets the same id in every history entry so its color survives undo.
+  2: (data) => {
+    const ids = [];
+    const idAt = (index) => {
+      ids[index] = ids[index] || createPolygonId();
+      return ids[index];
+    };
+    return {
+      ...data,
+      history: data.history.map(entry => ({
+        ...entry,
+        polygons: entry.polygons.map((polygon, index) => createPolygon(polygon.points, polygon.holes, { id: idAt(index) }))
+      })),
+      schemaVersion: 3
+    };
+  },
+  // Version 3 had no layers; everything moves onto a single default layer
+  3: (data) => ({
+    ...data,
+    history: data.history.map(entry => ({
+      ...entry,
+      polygons: entry.polygons.map(polygon => ({ ...polygon, layerId: DEFAULT_LAYER_ID })),
+      layers: createDefaultLayers()
+    })),
+    schemaVersion: 4
+  }),
+  // Version 4 stored a full snapshot per undo step; version 5 stores the current state and
+  // a patch per step. Snapshots parse into separate objects, so unchanged polygons, rings
+  // and layers are first shared with the previous step to keep the patches small.
+  4: (data) => {
+    const { history, historyIndex, ...rest } = data;
+    const known = new Map();
+    const share = (value, key) => {
+      const json = JSON.stringify(value);
+      const previous = known.get(key);
+      if (previous && previous.json === json) return previous.value;
+      known.set(key, { json, value });
+      return value;
+    };
+    const states = history.map(entry => ({
+      polygons: entry.polygons.map(polygon => share(polygon, `polygon:${polygon.id}`)),
+      currentPolygon: share(entry.currentPolygon, 'currentPolygon'),
+      layers: share(entry.layers, 'layers')
+    }));
+    // A save without any history entry holds no drawing
+    if (states.length === 0) {
+      states.push({ polygons: [], currentPolygon: [], layers: createDefaultLayers() });
+    }
+    const index = Math.min(Math.max(historyIndex, 0), states.length - 1);
+    const entries = states.slice(1).map((state, position) => ({
+      label: 'Edit',
+      patch: diffStates(states[position], state),
+      time: 0
+    }));
+    return {
+      ...rest,
+      history: { ...createHistory(states[index]), entries, index },
+      schemaVersion: 5
+    };
+  }
+};
+
+// Upgrade a stored document to the current schema version
+export const migrateDocument = (data) => {
+  let doc = data;
+  let version = Array.isArray(data) ? 0 : data.schemaVersion ?? 0;
+
+  if (version > SCHEMA_VERSION) {
+    throw new Error(`Document schema version ${version} is newer than this app supports`);
+  }
+
+  while (version < SCHEMA_VERSION) {
+    doc = migrations[version](doc);
+    version = doc.schemaVersion;
+  }
+
+  // A position outside the stored steps cannot be undone from; keep just the state
+  const { history } = doc;
+  if (!Number.isInteger(history.index) || history.index < 0 || history.index > history.entries.length) {
+    return { ...doc, history: { ...history, entries: [], index: 0 } };
+  }
+  return doc;
+};
+
+export const generateId = () =>
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+export const createDocument = (id = generateId()) => ({
+  schemaVersion: SCHEMA_VERSION,
+  id,
+  updatedAt: new Date().toISOString(),
+  history: createHistory({ polygons: [], currentPolygon: [], layers: createDefaultLayers() })
+});
+
+// Stored value, or null when it is missing or unreadable
+const readJSON = (key) => {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+};
+
+// Returns whether the value was stored. Writes fail when the quota is exceeded or storage
+// is disabled; the app then keeps working in memory.
+const writeJSON = (key, value) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Load the list of documents and the id of the last active one
+export const loadDocumentIndex = () => {
+  const index = readJSON(INDEX_KEY);
+  if (!index || !Array.isArray(index.documents)) {
+    return { documents: [], activeId: null };
+  }
+  return index;
+};
+
+export const saveDocumentIndex = (index) => writeJSON(INDEX_KEY, index);
+
+// Load and migrate a document, or null when it is missing, unreadable or too new
+export const loadDocument = (id) => {
+  const data = readJSON(documentKey(id));
+  if (!data) return null;
+
+  try {
+    return { ...migrateDocument(data), id };
+  } catch {
+    return null;
+  }
+};
+
+// Returns whether the document was stored
+export const saveDocument = (doc) =>
+  writeJSON(documentKey(doc.id), {
+    ...doc,
+    schemaVersion: SCHEMA_VERSION,
+    updatedAt: new Date().toISOString()
+  });
+
+// A document that cannot be removed stays behind unlisted, which does no harm
+export const removeDocument = (id) => {
+  try {
+    localStorage.removeItem(documentKey(id));
+  } catch {
+    // Storage disabled
+  }
+};
@@ -0,0 +1,98 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { SCHEMA_VERSION, migrateDocument, createDocument, loadDocument, saveDocument } from './storage';
+import { moveHistory } from './history';
+import { createDefaultLayers } from './layers';
+
+const triangle = [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 0, y: 10 }];
+const polygon = (id, points = triangle) => ({
+  id, name: '', attributes: {}, style: {}, layerId: 'layer-1', points, holes: []
+});
+
+// localStorage backed by a map; `full` makes every write fail like an exceeded quota
+const fakeStorage = ({ full = false } = {}) => {
+  const items = new Map();
+  return {
+    getItem: (key) => items.has(key) ? items.get(key) : null,
+    setItem: (key, value) => {
+      if (full) throw new Error('QuotaExceededError');
+      items.set(key, String(value));
+    },
+    removeItem: (key) => items.delete(key)
+  };
+};
+
+describe('migrateDocument', () => {
+  it('upgrades an unversioned save of bare point arrays', () => {
+    const doc = migrateDocument([triangle]);
+    expect(doc.schemaVersion).toBe(SCHEMA_VERSION);
+    expect(doc.history.entries).toEqual([]);
+    const [migrated] = doc.history.state.polygons;
+    expect(migrated).toMatchObject({ points: triangle, holes: [], layerId: 'layer-1' });
+    expect(migrated.id).toEqual(expect.any(String));
+    expect(doc.history.state.layers).toEqual(createDefaultLayers());
+  });
+
+  it('refuses documents from a newer version', () => {
+    expect(() => migrateDocument({ schemaVersion: SCHEMA_VERSION + 1 })).toThrow('newer');
+  });
+
+  it('turns version 4 snapshots into patches', () => {
+    const layers = createDefaultLayers();
+    const snapshots = [
+      { polygons: [], currentPolygon: [], layers },
+      { polygons: [polygon('a')], currentPolygon: [], layers },
+      { polygons: [polygon('a'), polygon('b')], currentPolygon: [], layers }
+    ];
+    const doc = migrateDocument({ schemaVersion: 4, id: 'doc', history: JSON.parse(JSON.stringify(snapshots)), historyIndex: 1 });
+
+    expect(doc.schemaVersion).toBe(SCHEMA_VERSION);
+    expect(doc.historyIndex).toBeUndefined();
+    expect(doc.history.index).toBe(1);
+    expect(doc.history.state).toEqual(snapshots[1]);
+    // The unchanged polygon is not repeated in the second step
+    expect(doc.history.entries[1].patch.polygons.changed).toEqual([]);
+    expect(moveHistory(doc.history, 0).state).toEqual(snapshots[0]);
+    expect(moveHistory(doc.history, 2).state).toEqual(snapshots[2]);
+  });
+
+  it('migrates a version 4 save with an empty history to an empty document', () => {
+    const doc = migrateDocument({ schemaVersion: 4, id: 'doc', history: [], historyIndex: 0 });
+    expect(doc.history.index).toBe(0);
+    expect(doc.history.entries).toEqual([]);
+    expect(doc.history.state).toEqual({ polygons: [], currentPolygon: [], layers: createDefaultLayers() });
+  });
+
+  it('drops steps that the stored position does not match', () => {
+    const doc = migrateDocument({
+      schemaVersion: SCHEMA_VERSION,
+      history: { state: { polygons: [], currentPolygon: [], layers: [] }, entries: [], index: 3, limit: null }
+    });
+    expect(doc.history.index).toBe(0);
+  });
+});
+
+describe('saveDocument and loadDocument', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('store and read back a document', () => {
+    vi.stubGlobal('localStorage', fakeStorage());
+    const doc = createDocument('doc');
+    expect(saveDocument(doc)).toBe(true);
+    expect(loadDocument('doc').history).toEqual(doc.history);
+  });
+
+  it('report a failed save', () => {
+    vi.stubGlobal('localStorage', fakeStorage({ full: true }));
+    expect(saveDocument(createDocument('doc'))).toBe(false);
+    expect(loadDocument('doc')).toBeNull();
+  });
+
+  it('treat unreadable documents as missing', () => {
+    const storage = fakeStorage();
+    storage.setItem('draw-polygon:document:doc', '{not json');
+    vi.stubGlobal('localStorage', storage);
+    expect(loadDocument('doc')).toBeNull();
+  });
+});
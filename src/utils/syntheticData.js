@@ -0,0 +1,39 @@
+// Large generated drawings for benchmarks and performance testing. The same options
+// always give the same polygons.
+
+import { createPolygon } from './polygonModel';
+
+// Small seeded generator (mulberry32) returning numbers in [0, 1)
+const random = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// `count` star-shaped polygons of `vertices` points laid out on a square grid, each about
+// `size` across with `gap` between neighbouring cells
+export const createSyntheticPolygons = (count, { vertices = 8, size = 40, gap = 20, seed = 1 } = {}) => {
+  const next = random(seed);
+  const columns = Math.ceil(Math.sqrt(count));
+  const pitch = size + gap;
+  return Array.from({ length: count }, (_, index) => {
+    const center = {
+      x: (index % columns) * pitch + size / 2,
+      y: Math.floor(index / columns) * pitch + size / 2
+    };
+    const points = Array.from({ length: vertices }, (_, vertex) => {
+      const angle = (vertex / vertices) * Math.PI * 2;
+      const radius = (size / 2) * (0.6 + next() * 0.4);
+      return {
+        x: Math.round((center.x + Math.cos(angle) * radius) * 100) / 100,
+        y: Math.round((center.y + Math.sin(angle) * radius) * 100) / 100
+      };
+    });
+    return createPolygon(points, [], { id: `synthetic-${index + 1}` });
+  });
+};
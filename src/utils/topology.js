@@ -0,0 +1,130 @@
+// Shared-vertex topology. With shared snapping on, vertices snapped onto each other get
+// the same `node` id ({ x, y, node }) and from then on move, split and disappear together,
+// so neighbouring polygons keep tiling without gaps. Vertices are addressed as
+// { polygonIndex, ringIndex, vertexIndex }. A node id left on a single vertex, after its
+// partners were moved apart by a transform or deleted, means nothing.
+//
+// The operations take an optional `canEdit(polygon)`; vertices of polygons it rejects, such
+// as those on locked layers, are left alone even when they share the node.
+
+import { getRing, getRings, setRing } from './polygonModel';
+
+export const createNodeId = () =>
+  `n-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+export const getVertex = (polygons, { polygonIndex, ringIndex, vertexIndex }) =>
+  getRing(polygons[polygonIndex], ringIndex)[vertexIndex];
+
+// Addresses of every vertex carrying the node id
+export const nodeMembers = (polygons, node) => {
+  const members = [];
+  polygons.forEach((polygon, polygonIndex) => getRings(polygon).forEach((ring, ringIndex) =>
+    ring.forEach((vertex, vertexIndex) => {
+      if (vertex.node === node) members.push({ polygonIndex, ringIndex, vertexIndex });
+    })
+  ));
+  return members;
+};
+
+// Node ids used by more than one vertex, sorted
+export const sharedNodeIds = (polygons) => {
+  const counts = new Map();
+  polygons.forEach(polygon => getRings(polygon).forEach(ring => ring.forEach(({ node }) => {
+    if (node) counts.set(node, (counts.get(node) || 0) + 1);
+  })));
+  return [...counts].filter(([, count]) => count > 1).map(([node]) => node).sort();
+};
+
+const anyPolygon = () => true;
+
+// The vertex and every vertex sharing its node
+export const vertexGroup = (polygons, address, canEdit = anyPolygon) => {
+  const { node } = getVertex(polygons, address);
+  if (!node) return [address];
+  return nodeMembers(polygons, node).filter(member =>
+    member.polygonIndex === address.polygonIndex || canEdit(polygons[member.polygonIndex]));
+};
+
+// Copy of the polygons with the vertices at `addresses` replaced by fn(vertex)
+const updateVertices = (polygons, addresses, fn) => polygons.map((polygon, polygonIndex) => {
+  const own = addresses.filter(address => address.polygonIndex === polygonIndex);
+  const rings = [...new Set(own.map(address => address.ringIndex))];
+  return rings.reduce((updated, ringIndex) => {
+    const indices = own.filter(address => address.ringIndex === ringIndex).map(address => address.vertexIndex);
+    return setRing(updated, ringIndex, getRing(updated, ringIndex).map((vertex, index) =>
+      indices.includes(index) ? fn(vertex) : vertex));
+  }, polygon);
+});
+
+// Move the vertex and every vertex sharing its node to `point`
+export const moveNode = (polygons, address, point, canEdit = anyPolygon) =>
+  updateVertices(polygons, vertexGroup(polygons, address, canEdit), vertex => ({ ...vertex, x: point.x, y: point.y }));
+
+// Make the vertices, and any nodes they already belong to, one node at the position of
+// the first vertex
+export const joinVertices = (polygons, addresses, canEdit = anyPolygon) => {
+  const group = addresses.flatMap(address => vertexGroup(polygons, address, canEdit))
+    .filter(member => canEdit(polygons[member.polygonIndex]));
+  const { x, y } = getVertex(polygons, addresses[0]);
+  const node = group.map(address => getVertex(polygons, address).node).find(Boolean) || createNodeId();
+  return updateVertices(polygons, group, () => ({ x, y, node }));
+};
+
+// Give the vertex a node id, if it has none, so a new vertex can join it. Returns the
+// polygons and the id.
+export const ensureNode = (polygons, address) => {
+  const { node } = getVertex(polygons, address);
+  if (node) return { polygons, node };
+  const created = createNodeId();
+  return { polygons: updateVertices(polygons, [address], vertex => ({ ...vertex, node: created })), node: created };
+};
+
+// Split the vertex's node back into independent vertices
+export const detachNode = (polygons, address, canEdit = anyPolygon) =>
+  updateVertices(polygons, vertexGroup(polygons, address, canEdit), ({ x, y }) => ({ x, y }));
+
+// Insert `point` on edge `edgeIndex` of a ring. When both ends of the edge are shared
+// nodes, every other ring with an edge between the same two nodes gets the point too, as
+// one new shared node, so the shared edge stays a single edge.
+export const insertOnEdge = (polygons, { polygonIndex, ringIndex, edgeIndex }, point, canEdit = anyPolygon) => {
+  const ring = getRing(polygons[polygonIndex], ringIndex);
+  const start = ring[edgeIndex].node;
+  const end = ring[(edgeIndex + 1) % ring.length].node;
+  const isSharedEdge = (vertex, next) =>
+    start && end && start !== end &&
+    ((vertex.node === start && next.node === end) || (vertex.node === end && next.node === start));
+
+  const node = createNodeId();
+  let linked = 0;
+  const result = polygons.map((polygon, pIndex) => getRings(polygon).reduce((updated, current, rIndex) => {
+    if (pIndex !== polygonIndex && !canEdit(polygon)) return updated;
+    const isTarget = pIndex === polygonIndex && rIndex === ringIndex;
+    const positions = current
+      .map((vertex, index) => (isTarget ? index === edgeIndex : isSharedEdge(vertex, current[(index + 1) % current.length])) ? index : -1)
+      .filter(index => index !== -1);
+    if (positions.length === 0) return updated;
+    if (!isTarget) linked += positions.length;
+    const inserted = [...current];
+    // From the back so earlier positions stay valid
+    positions.reverse().forEach(index => inserted.splice(index + 1, 0, { ...point, node }));
+    return setRing(updated, rIndex, inserted);
+  }, polygon));
+
+  // An edge nobody else uses gets a plain vertex
+  return linked > 0 ? result : updateVertices(result, [{ polygonIndex, ringIndex, vertexIndex: edgeIndex + 1 }], ({ x, y }) => ({ x, y }));
+};
+
+// Remove the vertex and every vertex sharing its node, or return null when that would
+// leave a ring with fewer than three vertices
+export const removeNode = (polygons, address, canEdit = anyPolygon) => {
+  const group = vertexGroup(polygons, address, canEdit);
+  const result = polygons.map((polygon, polygonIndex) => {
+    const own = group.filter(member => member.polygonIndex === polygonIndex);
+    const rings = [...new Set(own.map(member => member.ringIndex))];
+    return rings.reduce((updated, ringIndex) => {
+      const indices = own.filter(member => member.ringIndex === ringIndex).map(member => member.vertexIndex);
+      return setRing(updated, ringIndex, getRing(updated, ringIndex).filter((_, index) => !indices.includes(index)));
+    }, polygon);
+  });
+  return result.every(polygon => getRings(polygon).every(ring => ring.length >= 3)) ? result : null;
+};
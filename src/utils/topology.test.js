@@ -0,0 +1,152 @@
+import { describe, it, expect } from 'vitest';
+import {
+  sharedNodeIds,
+  vertexGroup,
+  moveNode,
+  joinVertices,
+  ensureNode,
+  detachNode,
+  insertOnEdge,
+  removeNode
+} from './topology';
+import { createPolygon } from './polygonModel';
+
+// Two unit squares side by side sharing the edge from (10, 0) to (10, 10)
+const tiles = () => [
+  createPolygon([{ x: 0, y: 0 }, { x: 10, y: 0, node: 'a' }, { x: 10, y: 10, node: 'b' }, { x: 0, y: 10 }], [], { id: 'left' }),
+  createPolygon([{ x: 10, y: 0, node: 'a' }, { x: 20, y: 0 }, { x: 20, y: 10 }, { x: 10, y: 10, node: 'b' }], [], { id: 'right' })
+];
+
+// Stands in for a locked layer: only the left tile may change
+const leftOnly = (polygon) => polygon.id === 'left';
+
+describe('sharedNodeIds', () => {
+  it('lists nodes used by more than one vertex', () => {
+    const [left, right] = tiles();
+    expect(sharedNodeIds([left, right])).toEqual(['a', 'b']);
+    expect(sharedNodeIds([left])).toEqual([]);
+  });
+});
+
+describe('vertexGroup', () => {
+  it('finds every vertex of the node', () => {
+    expect(vertexGroup(tiles(), { polygonIndex: 0, ringIndex: 0, vertexIndex: 1 })).toEqual([
+      { polygonIndex: 0, ringIndex: 0, vertexIndex: 1 },
+      { polygonIndex: 1, ringIndex: 0, vertexIndex: 0 }
+    ]);
+    expect(vertexGroup(tiles(), { polygonIndex: 0, ringIndex: 0, vertexIndex: 0 })).toHaveLength(1);
+  });
+});
+
+describe('moveNode', () => {
+  it('moves a shared vertex in every polygon', () => {
+    const moved = moveNode(tiles(), { polygonIndex: 1, ringIndex: 0, vertexIndex: 0 }, { x: 12, y: -2 });
+    expect(moved[0].points[1]).toEqual({ x: 12, y: -2, node: 'a' });
+    expect(moved[1].points[0]).toEqual({ x: 12, y: -2, node: 'a' });
+  });
+
+  it('moves a plain vertex alone', () => {
+    const polygons = tiles();
+    const moved = moveNode(polygons, { polygonIndex: 0, ringIndex: 0, vertexIndex: 0 }, { x: -5, y: 0 });
+    expect(moved[0].points[0]).toEqual({ x: -5, y: 0 });
+    expect(moved[1]).toBe(polygons[1]);
+  });
+
+  it('leaves vertices of polygons that cannot be edited', () => {
+    const polygons = tiles();
+    const moved = moveNode(polygons, { polygonIndex: 0, ringIndex: 0, vertexIndex: 1 }, { x: 12, y: -2 }, leftOnly);
+    expect(moved[0].points[1]).toEqual({ x: 12, y: -2, node: 'a' });
+    expect(moved[1]).toBe(polygons[1]);
+  });
+});
+
+describe('joinVertices', () => {
+  it('links vertices at the position of the first', () => {
+    const polygons = [
+      createPolygon([{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 0, y: 10 }]),
+      createPolygon([{ x: 11, y: 1 }, { x: 20, y: 0 }, { x: 20, y: 10 }])
+    ];
+    const joined = joinVertices(polygons, [
+      { polygonIndex: 0, ringIndex: 0, vertexIndex: 1 },
+      { polygonIndex: 1, ringIndex: 0, vertexIndex: 0 }
+    ]);
+    expect(joined[1].points[0]).toEqual({ x: 10, y: 0, node: joined[0].points[1].node });
+    expect(sharedNodeIds(joined)).toHaveLength(1);
+  });
+
+  it('merges existing nodes into one', () => {
+    const [left, right] = tiles();
+    const third = createPolygon([{ x: 10, y: 10, node: 'c' }, { x: 20, y: 10, node: 'c2' }, { x: 15, y: 20 }]);
+    const joined = joinVertices([left, right, third], [
+      { polygonIndex: 2, ringIndex: 0, vertexIndex: 0 },
+      { polygonIndex: 0, ringIndex: 0, vertexIndex: 2 }
+    ]);
+    expect(vertexGroup(joined, { polygonIndex: 2, ringIndex: 0, vertexIndex: 0 })).toHaveLength(3);
+  });
+});
+
+describe('ensureNode', () => {
+  it('gives a plain vertex an id and keeps an existing one', () => {
+    const { polygons, node } = ensureNode(tiles(), { polygonIndex: 0, ringIndex: 0, vertexIndex: 0 });
+    expect(polygons[0].points[0].node).toBe(node);
+    expect(ensureNode(tiles(), { polygonIndex: 0, ringIndex: 0, vertexIndex: 1 }).node).toBe('a');
+  });
+});
+
+describe('detachNode', () => {
+  it('splits a node into independent vertices', () => {
+    const detached = detachNode(tiles(), { polygonIndex: 0, ringIndex: 0, vertexIndex: 1 });
+    expect(detached[0].points[1]).toEqual({ x: 10, y: 0 });
+    expect(detached[1].points[0]).toEqual({ x: 10, y: 0 });
+    expect(sharedNodeIds(detached)).toEqual(['b']);
+  });
+});
+
+describe('insertOnEdge', () => {
+  it('inserts one shared vertex on a shared edge', () => {
+    const inserted = insertOnEdge(tiles(), { polygonIndex: 0, ringIndex: 0, edgeIndex: 1 }, { x: 10, y: 5 });
+    expect(inserted[0].points).toHaveLength(5);
+    expect(inserted[1].points).toHaveLength(5);
+    expect(inserted[0].points[2]).toEqual(inserted[1].points[4]);
+    expect(inserted[0].points[2].node).toBeTruthy();
+  });
+
+  it('inserts a plain vertex on an edge nobody else uses', () => {
+    const polygons = tiles();
+    const inserted = insertOnEdge(polygons, { polygonIndex: 0, ringIndex: 0, edgeIndex: 0 }, { x: 5, y: 0 });
+    expect(inserted[0].points[1]).toEqual({ x: 5, y: 0 });
+    expect(inserted[1]).toBe(polygons[1]);
+  });
+
+  it('does not insert into a shared edge of a polygon that cannot be edited', () => {
+    const polygons = tiles();
+    const inserted = insertOnEdge(polygons, { polygonIndex: 0, ringIndex: 0, edgeIndex: 1 }, { x: 10, y: 5 }, leftOnly);
+    expect(inserted[0].points[2]).toEqual({ x: 10, y: 5 });
+    expect(inserted[1]).toBe(polygons[1]);
+  });
+});
+
+describe('removeNode', () => {
+  it('removes the vertex from every polygon', () => {
+    const [left, right] = tiles();
+    const pentagon = { ...right, points: [...right.points, { x: 15, y: 12 }] };
+    const removed = removeNode([{ ...left, points: [...left.points, { x: -2, y: 5 }] }, pentagon], {
+      polygonIndex: 0, ringIndex: 0, vertexIndex: 2
+    });
+    expect(removed[0].points).toHaveLength(4);
+    expect(removed[1].points).toHaveLength(4);
+  });
+
+  it('keeps the vertex in polygons that cannot be edited', () => {
+    const [left, right] = tiles();
+    const pentagon = { ...left, points: [...left.points, { x: -2, y: 5 }] };
+    const removed = removeNode([pentagon, right], { polygonIndex: 0, ringIndex: 0, vertexIndex: 2 }, leftOnly);
+    expect(removed[0].points).toHaveLength(4);
+    expect(removed[1]).toBe(right);
+  });
+
+  it('refuses to leave a ring with fewer than three vertices', () => {
+    const triangle = createPolygon([{ x: 0, y: 0, node: 'a' }, { x: 5, y: 5 }, { x: 0, y: 10 }]);
+    expect(removeNode([...tiles(), triangle], { polygonIndex: 0, ringIndex: 0, vertexIndex: 1 })).toBeNull();
+  });
+});
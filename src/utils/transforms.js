@@ -0,0 +1,85 @@
+// Whole-shape transforms. Each returns new polygons and leaves the input untouched.
+
+import { boundingBox } from './geometry';
+import { mapVertices, reverseRings } from './polygonModel';
+
+export const translatePolygon = (polygon, dx, dy) =>
+  mapVertices(polygon, point => ({ x: point.x + dx, y: point.y + dy }));
+
+// Rotate by angle (radians, clockwise on screen) around origin
+export const rotatePolygon = (polygon, angle, origin) => {
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  return mapVertices(polygon, point => {
+    const dx = point.x - origin.x;
+    const dy = point.y - origin.y;
+    return { x: origin.x + dx * cos - dy * sin, y: origin.y + dx * sin + dy * cos };
+  });
+};
+
+// Scale around origin. A mirroring scale reverses the rings so winding order is preserved.
+export const scalePolygon = (polygon, sx, sy, origin) => {
+  const scaled = mapVertices(polygon, point => ({
+    x: origin.x + (point.x - origin.x) * sx,
+    y: origin.y + (point.y - origin.y) * sy
+  }));
+  return sx * sy < 0 ? reverseRings(scaled) : scaled;
+};
+
+// Mirror across the vertical ('horizontal' flip) or horizontal ('vertical' flip) line through origin
+export const flipPolygon = (polygon, direction, origin) =>
+  direction === 'horizontal'
+    ? scalePolygon(polygon, -1, 1, origin)
+    : scalePolygon(polygon, 1, -1, origin);
+
+// Bounding box around the outer rings of several polygons
+export const polygonsBounds = (polygons) =>
+  boundingBox(polygons.flatMap(polygon => polygon.points));
+
+export const boundsCenter = (bounds) => ({
+  x: bounds.minX + bounds.width / 2,
+  y: bounds.minY + bounds.height / 2
+});
+
+// Snap an angle to the nearest multiple of step (radians)
+const snapAngle = (angle, step) => Math.round(angle / step) * step;
+
+// Apply an in-progress drag to the polygons it started from. `drag` holds the pointer
+// position where the drag began, the untouched `originals`, the selected indices and,
+// for scaling and rotating, the fixed `anchor` or `center`. With `constrain` (Shift held)
+// scaling keeps the aspect ratio and rotation snaps to 15 degree steps.
+export const applyDrag = (drag, pointer, { constrain = false } = {}) => {
+  const { type, start, originals, selection } = drag;
+  let transform;
+
+  if (type === 'move') {
+    const dx = pointer.x - start.x;
+    const dy = pointer.y - start.y;
+    transform = polygon => translatePolygon(polygon, dx, dy);
+  } else if (type === 'rotate') {
+    const { center } = drag;
+    const angle = Math.atan2(pointer.y - center.y, pointer.x - center.x) -
+      Math.atan2(start.y - center.y, start.x - center.x);
+    const finalAngle = constrain ? snapAngle(angle, Math.PI / 12) : angle;
+    transform = polygon => rotatePolygon(polygon, finalAngle, center);
+  } else if (type === 'scale') {
+    const { anchor } = drag;
+    // Guard against collapsing the selection onto the anchor
+    const ratio = (to, from) => {
+      const value = from === 0 ? 1 : to / from;
+      return Math.abs(value) < 0.01 ? Math.sign(value || 1) * 0.01 : value;
+    };
+    let sx = ratio(pointer.x - anchor.x, start.x - anchor.x);
+    let sy = ratio(pointer.y - anchor.y, start.y - anchor.y);
+    if (constrain) {
+      const uniform = Math.max(Math.abs(sx), Math.abs(sy));
+      sx = Math.sign(sx) * uniform;
+      sy = Math.sign(sy) * uniform;
+    }
+    transform = polygon => scalePolygon(polygon, sx, sy, anchor);
+  } else {
+    return originals;
+  }
+
+  return originals.map((polygon, index) => selection.includes(index) ? transform(polygon) : polygon);
+};
@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest';
+import {
+  translatePolygon,
+  rotatePolygon,
+  scalePolygon,
+  flipPolygon,
+  polygonsBounds,
+  boundsCenter,
+  applyDrag
+} from './transforms';
+import { createPolygon } from './polygonModel';
+import { windingOrder } from './geometry';
+
+const square = createPolygon(
+  [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }, { x: 0, y: 10 }],
+  [[{ x: 4, y: 4 }, { x: 6, y: 4 }, { x: 6, y: 6 }]]
+);
+
+const rounded = (polygon) => polygon.points.map(({ x, y }) => ({ x: Math.round(x) + 0, y: Math.round(y) + 0 }));
+
+describe('transforms', () => {
+  it('translates outer rings and holes', () => {
+    const moved = translatePolygon(square, 5, -2);
+    expect(moved.points[0]).toEqual({ x: 5, y: -2 });
+    expect(moved.holes[0][0]).toEqual({ x: 9, y: 2 });
+  });
+
+  it('rotates around an origin', () => {
+    const rotated = rotatePolygon(square, Math.PI / 2, { x: 5, y: 5 });
+    expect(rounded(rotated)).toEqual([{ x: 10, y: 0 }, { x: 10, y: 10 }, { x: 0, y: 10 }, { x: 0, y: 0 }]);
+  });
+
+  it('scales around an origin', () => {
+    const scaled = scalePolygon(square, 2, 3, { x: 0, y: 0 });
+    expect(scaled.points[2]).toEqual({ x: 20, y: 30 });
+    expect(scaled.holes[0][0]).toEqual({ x: 8, y: 12 });
+  });
+
+  it('keeps winding order when mirroring', () => {
+    expect(windingOrder(flipPolygon(square, 'horizontal', { x: 5, y: 5 }).points)).toBe('clockwise');
+    expect(windingOrder(flipPolygon(square, 'vertical', { x: 5, y: 5 }).holes[0]))
+      .toBe(windingOrder(square.holes[0]));
+  });
+
+  it('mirrors across the selection centre', () => {
+    const flipped = flipPolygon(translatePolygon(square, 10, 0), 'horizontal', { x: 0, y: 0 });
+    expect(polygonsBounds([flipped])).toMatchObject({ minX: -20, maxX: -10 });
+  });
+
+  it('computes combined bounds and their centre', () => {
+    const bounds = polygonsBounds([square, translatePolygon(square, 20, 10)]);
+    expect(bounds).toEqual({ minX: 0, minY: 0, maxX: 30, maxY: 20, width: 30, height: 20 });
+    expect(boundsCenter(bounds)).toEqual({ x: 15, y: 10 });
+  });
+});
+
+describe('applyDrag', () => {
+  const other = translatePolygon(square, 50, 50);
+  const originals = [square, other];
+
+  it('only transforms the selected polygons', () => {
+    const result = applyDrag({ type: 'move', start: { x: 0, y: 0 }, originals, selection: [0] }, { x: 3, y: 4 });
+    expect(result[0].points[0]).toEqual({ x: 3, y: 4 });
+    expect(result[1]).toBe(other);
+  });
+
+  it('scales relative to the anchor and keeps the aspect ratio when constrained', () => {
+    const drag = { type: 'scale', start: { x: 10, y: 10 }, anchor: { x: 0, y: 0 }, originals, selection: [0] };
+    expect(applyDrag(drag, { x: 20, y: 15 })[0].points[2]).toEqual({ x: 20, y: 15 });
+    expect(applyDrag(drag, { x: 20, y: 15 }, { constrain: true })[0].points[2]).toEqual({ x: 20, y: 20 });
+  });
+
+  it('snaps rotation to 15 degree steps when constrained', () => {
+    const drag = { type: 'rotate', start: { x: 10, y: 5 }, center: { x: 5, y: 5 }, originals, selection: [0] };
+    // Pointer 80 degrees around the centre snaps to 75 degrees
+    const pointer = { x: 5 + Math.cos(80 * Math.PI / 180), y: 5 + Math.sin(80 * Math.PI / 180) };
+    const rotated = applyDrag(drag, pointer, { constrain: true })[0];
+    const expected = rotatePolygon(square, 75 * Math.PI / 180, { x: 5, y: 5 });
+    expect(rotated.points[0].x).toBeCloseTo(expected.points[0].x);
+    expect(rotated.points[0].y).toBeCloseTo(expected.points[0].y);
+  });
+});
@@ -0,0 +1,233 @@
+// Polygon validity checks. A ring is validated as closed (a finished polygon) or open
+// (a polygon still being drawn). Issues reference edges by the index of their start
+// vertex, so edge i runs from points[i] to points[i + 1] (wrapping for closed rings).
+// Issues for whole polygons also carry the ring they belong to (0 = outer, k = holes[k - 1]).
+
+import { area, windingOrder, pointInPolygon } from './geometry';
+import { getRings } from './polygonModel';
+
+const EPSILON = 1e-9;
+
+export const WINDING_OPTIONS = ['any', 'consistent', 'clockwise', 'counterclockwise'];
+
+const samePoint = (a, b) => Math.abs(a.x - b.x) < EPSILON && Math.abs(a.y - b.y) < EPSILON;
+
+const cross = (a, b, c) => (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+
+const between = (value, a, b) => Math.min(a, b) - EPSILON <= value && value <= Math.max(a, b) + EPSILON;
+
+const onSegment = (a, b, point) => between(point.x, a.x, b.x) && between(point.y, a.y, b.y);
+
+// Segment test tolerant to floating point noise from dragging
+const segmentsTouch = (p1, p2, p3, p4) => {
+  const d1 = cross(p3, p4, p1);
+  const d2 = cross(p3, p4, p2);
+  const d3 = cross(p1, p2, p3);
+  const d4 = cross(p1, p2, p4);
+
+  if (((d1 > EPSILON && d2 < -EPSILON) || (d1 < -EPSILON && d2 > EPSILON)) &&
+    ((d3 > EPSILON && d4 < -EPSILON) || (d3 < -EPSILON && d4 > EPSILON))) {
+    return true;
+  }
+
+  return (Math.abs(d1) <= EPSILON && onSegment(p3, p4, p1)) ||
+    (Math.abs(d2) <= EPSILON && onSegment(p3, p4, p2)) ||
+    (Math.abs(d3) <= EPSILON && onSegment(p1, p2, p3)) ||
+    (Math.abs(d4) <= EPSILON && onSegment(p1, p2, p4));
+};
+
+// Adjacent edges a-b and b-c fold back onto each other
+const foldsBack = (a, b, c) => {
+  if (Math.abs(cross(a, b, c)) > EPSILON) return false;
+  return (b.x - a.x) * (c.x - b.x) + (b.y - a.y) * (c.y - b.y) < 0;
+};
+
+// Validate a single ring and return a list of issues
+export const validateRing = (points, { closed = true, winding = 'any' } = {}) => {
+  const issues = [];
+  const n = points.length;
+  if (n < 2) return issues;
+
+  // Duplicate consecutive vertices produce zero-length edges
+  const edgeCount = closed ? n : n - 1;
+  const duplicateEdges = [];
+  for (let i = 0; i < edgeCount; i++) {
+    if (samePoint(points[i], points[(i + 1) % n])) {
+      duplicateEdges.push(i);
+    }
+  }
+  if (duplicateEdges.length > 0) {
+    issues.push({
+      type: 'duplicate-vertex',
+      severity: 'error',
+      message: `${duplicateEdges.length} duplicate consecutive vertex${duplicateEdges.length === 1 ? '' : 'es'}`,
+      edges: [],
+      vertices: duplicateEdges.map(i => (i + 1) % n)
+    });
+  }
+
+  // Work on the ring without duplicates, remembering original vertex indices
+  const kept = [];
+  for (let i = 0; i < n; i++) {
+    const previous = kept[kept.length - 1];
+    if (previous === undefined || !samePoint(points[previous], points[i])) {
+      kept.push(i);
+    }
+  }
+  if (closed && kept.length > 1 && samePoint(points[kept[0]], points[kept[kept.length - 1]])) {
+    kept.pop();
+  }
+
+  const m = kept.length;
+  const edges = [];
+  const keptEdgeCount = closed ? m : m - 1;
+  for (let k = 0; k < keptEdgeCount; k++) {
+    edges.push({ start: points[kept[k]], end: points[kept[(k + 1) % m]], index: kept[k] });
+  }
+
+  // Non-adjacent edges must not touch; adjacent edges must not fold back.
+  // Closed rings with fewer than three edges are reported as zero-area instead.
+  const crossing = new Set();
+  if (!closed || edges.length >= 3) {
+    for (let i = 0; i < edges.length; i++) {
+      for (let j = i + 1; j < edges.length; j++) {
+        let intersects;
+        if (j === i + 1) {
+          intersects = foldsBack(edges[i].start, edges[i].end, edges[j].end);
+        } else if (closed && i === 0 && j === edges.length - 1) {
+          intersects = foldsBack(edges[j].start, edges[j].end, edges[i].end);
+        } else {
+          intersects = segmentsTouch(edges[i].start, edges[i].end, edges[j].start, edges[j].end);
+        }
+        if (intersects) {
+          crossing.add(edges[i].index);
+          crossing.add(edges[j].index);
+        }
+      }
+    }
+  }
+  if (crossing.size > 0) {
+    issues.push({
+      type: 'self-intersection',
+      severity: 'error',
+      message: 'Edges cross or overlap each other',
+      edges: [...crossing].sort((a, b) => a - b),
+      vertices: []
+    });
+  }
+
+  if (closed) {
+    if (m < 3 || area(kept.map(i => points[i])) < EPSILON) {
+      issues.push({
+        type: 'zero-area',
+        severity: 'error',
+        message: 'Polygon has no area',
+        edges: points.map((_, i) => i),
+        vertices: []
+      });
+    } else if (winding === 'clockwise' || winding === 'counterclockwise') {
+      const actual = windingOrder(points);
+      if (actual !== winding) {
+        issues.push({
+          type: 'winding',
+          severity: 'warning',
+          message: `Vertices run ${actual}, expected ${winding}`,
+          edges: points.map((_, i) => i),
+          vertices: []
+        });
+      }
+    }
+  }
+
+  return issues;
+};
+
+const ringEdges = (ring) => ring.map((start, index) => ({ start, end: ring[(index + 1) % ring.length], index }));
+
+// Validate a polygon with holes: every ring on its own, holes inside the outer ring,
+// and no ring touching another
+export const validatePolygon = (polygon, { winding = 'any' } = {}) => {
+  const rings = getRings(polygon);
+  const issues = validateRing(polygon.points, { closed: true, winding })
+    .map(issue => ({ ...issue, ring: 0 }));
+
+  polygon.holes.forEach((hole, holeIndex) => {
+    validateRing(hole, { closed: true }).forEach(issue => {
+      issues.push({ ...issue, message: `Hole ${holeIndex + 1}: ${issue.message}`, ring: holeIndex + 1 });
+    });
+  });
+
+  // Rings must not touch each other; report each ring's offending edges separately
+  const touching = rings.map(() => new Set());
+  for (let a = 0; a < rings.length; a++) {
+    for (let b = a + 1; b < rings.length; b++) {
+      ringEdges(rings[a]).forEach(edgeA => {
+        ringEdges(rings[b]).forEach(edgeB => {
+          if (segmentsTouch(edgeA.start, edgeA.end, edgeB.start, edgeB.end)) {
+            touching[a].add(edgeA.index);
+            touching[b].add(edgeB.index);
+          }
+        });
+      });
+    }
+  }
+  touching.forEach((edges, ring) => {
+    if (edges.size > 0) {
+      issues.push({
+        type: 'ring-intersection',
+        severity: 'error',
+        message: ring === 0 ? 'Outer ring touches a hole' : `Hole ${ring}: touches another ring`,
+        edges: [...edges].sort((a, b) => a - b),
+        vertices: [],
+        ring
+      });
+    }
+  });
+
+  // A hole that does not cross any ring is either fully inside the outer ring or fully outside it
+  polygon.holes.forEach((hole, holeIndex) => {
+    const ring = holeIndex + 1;
+    if (touching[ring].size === 0 && hole.length > 0 && !pointInPolygon(hole[0], polygon.points)) {
+      issues.push({
+        type: 'hole-outside',
+        severity: 'error',
+        message: `Hole ${ring}: lies outside the polygon`,
+        edges: hole.map((_, index) => index),
+        vertices: [],
+        ring
+      });
+    }
+  });
+
+  return issues;
+};
+
+// Results per polygon object and winding rule. Polygons are immutable, so an edit only
+// re-validates the polygons it touched, and the others keep the same issue arrays.
+const validationCache = new WeakMap();
+
+const cachedValidation = (polygon, winding) => {
+  if (!validationCache.has(polygon)) validationCache.set(polygon, {});
+  const results = validationCache.get(polygon);
+  if (!results[winding]) results[winding] = validatePolygon(polygon, { winding });
+  return results[winding];
+};
+
+// Validate every completed polygon. With 'consistent' winding the majority orientation is expected.
+export const validatePolygons = (polygons, { winding = 'any' } = {}) => {
+  let expected = winding;
+  if (winding === 'consistent') {
+    const clockwise = polygons.filter(polygon => windingOrder(polygon.points) === 'clockwise').length;
+    const counterclockwise = polygons.filter(polygon => windingOrder(polygon.points) === 'counterclockwise').length;
+    expected = clockwise >= counterclockwise ? 'clockwise' : 'counterclockwise';
+  }
+  return polygons.map(polygon => cachedValidation(polygon, expected));
+};
+
+export const hasErrors = (issues) => issues.some(issue => issue.severity === 'error');
+
+// Summarise the errors that stop a polygon from being committed
+export const describeErrors = (issues) => issues
+  .filter(issue => issue.severity === 'error')
+  .map(issue => issue.message.toLowerCase())
+  .join(', ');
@@ -0,0 +1,112 @@
+import { describe, it, expect } from 'vitest';
+import { validateRing, validatePolygon, validatePolygons, hasErrors } from './validation';
+import { createPolygon } from './polygonModel';
+
+const square = [
+  { x: 0, y: 0 },
+  { x: 10, y: 0 },
+  { x: 10, y: 10 },
+  { x: 0, y: 10 }
+];
+
+// Edges 0 and 2 cross (an asymmetric bow-tie, so the net area is not zero)
+const bowTie = [
+  { x: 0, y: 0 },
+  { x: 10, y: 10 },
+  { x: 10, y: 0 },
+  { x: 0, y: 6 }
+];
+
+const types = (issues) => issues.map(issue => issue.type);
+
+describe('validateRing', () => {
+  it('accepts a simple polygon', () => {
+    expect(validateRing(square)).toEqual([]);
+  });
+
+  it('flags the crossing edges of a bow-tie', () => {
+    const issues = validateRing(bowTie);
+    expect(types(issues)).toEqual(['self-intersection']);
+    expect(issues[0].edges).toEqual([0, 2]);
+    expect(hasErrors(issues)).toBe(true);
+  });
+
+  it('only checks the closing edge of closed rings', () => {
+    // Open path 0-1-2-3 does not cross itself; closing it back to 0 crosses edge 1
+    const path = [
+      { x: 0, y: 0 },
+      { x: 10, y: 0 },
+      { x: 10, y: 10 },
+      { x: 20, y: 5 }
+    ];
+    expect(validateRing(path, { closed: false })).toEqual([]);
+    expect(validateRing(path, { closed: true })[0].edges).toEqual([1, 3]);
+  });
+
+  it('flags adjacent edges that fold back on themselves', () => {
+    const spike = [
+      { x: 0, y: 0 },
+      { x: 10, y: 0 },
+      { x: 5, y: 0 }
+    ];
+    expect(types(validateRing(spike, { closed: false }))).toEqual(['self-intersection']);
+  });
+
+  it('flags duplicate consecutive vertices without reporting them as crossings', () => {
+    const ring = [square[0], square[1], { ...square[1] }, square[2], square[3]];
+    const issues = validateRing(ring);
+    expect(types(issues)).toEqual(['duplicate-vertex']);
+    expect(issues[0].vertices).toEqual([2]);
+  });
+
+  it('flags zero-area rings', () => {
+    const line = [{ x: 0, y: 0 }, { x: 5, y: 5 }, { x: 10, y: 10 }, { x: 5, y: 5 }];
+    expect(types(validateRing(line))).toContain('zero-area');
+  });
+
+  it('warns about unexpected winding without treating it as an error', () => {
+    const issues = validateRing([...square].reverse(), { winding: 'clockwise' });
+    expect(types(issues)).toEqual(['winding']);
+    expect(hasErrors(issues)).toBe(false);
+  });
+});
+
+describe('validatePolygons', () => {
+  it('expects the majority winding in consistent mode', () => {
+    const shifted = square.map(point => ({ x: point.x + 20, y: point.y }));
+    const reversed = [...square].reverse().map(point => ({ x: point.x + 40, y: point.y }));
+    const results = validatePolygons([square, shifted, reversed].map(ring => createPolygon(ring)), { winding: 'consistent' });
+    expect(results.map(types)).toEqual([[], [], ['winding']]);
+  });
+});
+
+describe('validatePolygon', () => {
+  const outer = [{ x: 0, y: 0 }, { x: 30, y: 0 }, { x: 30, y: 30 }, { x: 0, y: 30 }];
+  const inner = [{ x: 10, y: 10 }, { x: 20, y: 10 }, { x: 20, y: 20 }, { x: 10, y: 20 }];
+
+  it('accepts a hole inside the outer ring', () => {
+    expect(validatePolygon(createPolygon(outer, [inner]))).toEqual([]);
+  });
+
+  it('flags holes outside the outer ring', () => {
+    const outside = inner.map(point => ({ x: point.x + 100, y: point.y }));
+    const issues = validatePolygon(createPolygon(outer, [outside]));
+    expect(issues).toMatchObject([{ type: 'hole-outside', ring: 1 }]);
+  });
+
+  it('flags the edges where a hole crosses the outer ring', () => {
+    const crossing = inner.map(point => ({ x: point.x + 15, y: point.y }));
+    const issues = validatePolygon(createPolygon(outer, [crossing]));
+    expect(issues.map(issue => [issue.type, issue.ring])).toEqual([
+      ['ring-intersection', 0],
+      ['ring-intersection', 1]
+    ]);
+    expect(issues[0].edges).toEqual([1]);
+  });
+
+  it('validates each hole as a ring', () => {
+    const bowTieHole = [{ x: 10, y: 10 }, { x: 20, y: 20 }, { x: 20, y: 10 }, { x: 10, y: 16 }];
+    const issues = validatePolygon(createPolygon(outer, [bowTieHole]));
+    expect(issues).toMatchObject([{ type: 'self-intersection', ring: 1 }]);
+  });
+});
@@ -0,0 +1,53 @@
+// Canvas viewport: drawing coordinates are shown at `scale` and shifted by (x, y) screen
+// pixels, so screen = drawing * scale + offset. Hit-test distances are given in screen
+// pixels and divided by the scale to stay the same size on screen at every zoom level.
+
+export const MIN_SCALE = 0.05;
+export const MAX_SCALE = 40;
+
+export const IDENTITY_VIEWPORT = { x: 0, y: 0, scale: 1 };
+
+const clampScale = (scale) => Math.min(MAX_SCALE, Math.max(MIN_SCALE, scale));
+
+export const screenToWorld = (viewport, point) => ({
+  x: (point.x - viewport.x) / viewport.scale,
+  y: (point.y - viewport.y) / viewport.scale
+});
+
+export const worldToScreen = (viewport, point) => ({
+  x: point.x * viewport.scale + viewport.x,
+  y: point.y * viewport.scale + viewport.y
+});
+
+// SVG transform attribute for the group holding the drawing
+export const viewportTransform = (viewport) =>
+  `translate(${viewport.x} ${viewport.y}) scale(${viewport.scale})`;
+
+// Zoom by `factor` keeping the drawing point under `screenPoint` where it is
+export const zoomAt = (viewport, screenPoint, factor) => {
+  const scale = clampScale(viewport.scale * factor);
+  const anchor = screenToWorld(viewport, screenPoint);
+  return {
+    x: screenPoint.x - anchor.x * scale,
+    y: screenPoint.y - anchor.y * scale,
+    scale
+  };
+};
+
+export const panBy = (viewport, dx, dy) => ({ ...viewport, x: viewport.x + dx, y: viewport.y + dy });
+
+// Viewport that centres `bounds` in a width x height canvas with `padding` screen pixels
+// around it. Degenerate bounds (a point or a line) keep the current scale on that axis.
+export const fitBounds = (bounds, width, height, padding = 40, maxScale = 4) => {
+  const availableWidth = Math.max(width - padding * 2, 1);
+  const availableHeight = Math.max(height - padding * 2, 1);
+  const scales = [];
+  if (bounds.width > 0) scales.push(availableWidth / bounds.width);
+  if (bounds.height > 0) scales.push(availableHeight / bounds.height);
+  const scale = clampScale(Math.min(maxScale, ...scales));
+  return {
+    x: width / 2 - (bounds.minX + bounds.width / 2) * scale,
+    y: height / 2 - (bounds.minY + bounds.height / 2) * scale,
+    scale
+  };
+};
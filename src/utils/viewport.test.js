@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import {
+  MAX_SCALE,
+  IDENTITY_VIEWPORT,
+  screenToWorld,
+  worldToScreen,
+  viewportTransform,
+  zoomAt,
+  panBy,
+  fitBounds
+} from './viewport';
+import { boundingBox } from './geometry';
+
+const viewport = { x: 100, y: 50, scale: 2 };
+
+describe('coordinate mapping', () => {
+  it('round-trips between screen and drawing coordinates', () => {
+    expect(screenToWorld(viewport, { x: 120, y: 70 })).toEqual({ x: 10, y: 10 });
+    expect(worldToScreen(viewport, { x: 10, y: 10 })).toEqual({ x: 120, y: 70 });
+    expect(screenToWorld(IDENTITY_VIEWPORT, { x: 3, y: 4 })).toEqual({ x: 3, y: 4 });
+  });
+
+  it('builds the SVG transform', () => {
+    expect(viewportTransform(viewport)).toBe('translate(100 50) scale(2)');
+  });
+});
+
+describe('zoomAt and panBy', () => {
+  it('keeps the point under the cursor fixed', () => {
+    const cursor = { x: 300, y: 200 };
+    const before = screenToWorld(viewport, cursor);
+    const zoomed = zoomAt(viewport, cursor, 1.5);
+    expect(zoomed.scale).toBe(3);
+    expect(screenToWorld(zoomed, cursor)).toEqual(before);
+  });
+
+  it('clamps the scale', () => {
+    expect(zoomAt(viewport, { x: 0, y: 0 }, 1000).scale).toBe(MAX_SCALE);
+  });
+
+  it('pans in screen pixels', () => {
+    expect(panBy(viewport, 10, -5)).toEqual({ x: 110, y: 45, scale: 2 });
+  });
+});
+
+describe('fitBounds', () => {
+  it('centres and scales the bounds into the canvas', () => {
+    const bounds = boundingBox([{ x: 0, y: 0 }, { x: 100, y: 50 }]);
+    const fitted = fitBounds(bounds, 500, 300, 50);
+    expect(fitted.scale).toBe(4);
+    expect(worldToScreen(fitted, { x: 50, y: 25 })).toEqual({ x: 250, y: 150 });
+  });
+
+  it('handles a single point', () => {
+    const fitted = fitBounds(boundingBox([{ x: 10, y: 10 }]), 200, 200, 20, 2);
+    expect(fitted.scale).toBe(2);
+    expect(worldToScreen(fitted, { x: 10, y: 10 })).toEqual({ x: 100, y: 100 });
+  });
+});
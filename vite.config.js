@@ -2,6 +2,20 @@ import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
 import tailwindcss from "@tailwindcss/vite";
 // https://vitejs.dev/config/
-export default defineConfig({
+export default defineConfig(({ mode }) => ({
   plugins: [react(), tailwindcss()],
-});
+  publicDir: mode === "lib" ? false : "public",
+  // `vite build --mode lib` builds the embeddable editor instead of the app
+  build: mode === "lib" ? {
+    outDir: "dist-lib",
+    lib: {
+      entry: "src/index.js",
+      name: "PolygonEditor",
+      formats: ["es", "cjs"],
+      fileName: "polygon-editor",
+    },
+    rollupOptions: {
+      external: ["react", "react-dom", "react/jsx-runtime", "prop-types", "polygon-clipping"],
+    },
+  } : {},
+}));